@@ -5,6 +5,7 @@ module.exports = {
       script: "/opt/halo-xero-widget/server.js",
       cwd: "/opt/halo-xero-widget",
       time: true,
+      kill_timeout: 20000,
       env: { NODE_ENV: "production" }
     },
     {
@@ -0,0 +1,120 @@
+// lib/agent-access-utils.js
+// -------------------------------------------------
+// Pure helpers for the finance access policy: flattening a Halo agent into
+// teams / roles / departments and evaluating it against the policy from
+// getFinanceAccessPolicy(). No Halo or config access here.
+// -------------------------------------------------
+
+// Ascending: each level includes everything the previous one can see.
+export const FINANCE_ACCESS_LEVELS = ["restricted", "balances", "full"];
+
+const POLICY_MATCH_ORDER = [
+  ["team", "teams"],
+  ["role", "roles"],
+  ["department", "departments"]
+];
+
+export function financeAccessAllows(level, requiredLevel) {
+  const levelIndex = FINANCE_ACCESS_LEVELS.indexOf(level);
+  return levelIndex >= 0 && levelIndex >= FINANCE_ACCESS_LEVELS.indexOf(requiredLevel);
+}
+
+function asArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function addEntry(entries, id, name) {
+  const entry = {
+    id: id === null || id === undefined || id === "" ? null : String(id),
+    name: typeof name === "string" && name.trim() ? name.trim() : null
+  };
+  if (!entry.id && !entry.name) return;
+
+  const duplicate = entries.some(existing =>
+    entry.id && existing.id
+      ? existing.id === entry.id
+      : Boolean(entry.name) && existing.name?.toLowerCase() === entry.name.toLowerCase()
+  );
+  if (!duplicate) entries.push(entry);
+}
+
+// Halo returns the agent's default team / department as flat fields and the
+// full memberships as arrays; field names vary a little between versions.
+export function normaliseHaloAgent(agent) {
+  if (!agent || (agent.id === undefined && !agent.name)) return null;
+
+  const teams = [];
+  addEntry(teams, agent.team_id, agent.team);
+  for (const team of asArray(agent.teams)) {
+    addEntry(teams, team.team_id ?? team.id, team.team_name ?? team.name ?? team.team);
+  }
+
+  const roles = [];
+  for (const role of asArray(agent.roles)) {
+    addEntry(roles, role.id ?? role.role_id, role.name ?? role.role_name);
+  }
+
+  const departments = [];
+  addEntry(departments, agent.department_id, agent.department_name ?? agent.department);
+  for (const department of asArray(agent.departments)) {
+    addEntry(
+      departments,
+      department.id ?? department.department_id,
+      department.name ?? department.department_name
+    );
+  }
+
+  return {
+    id: agent.id === undefined ? null : String(agent.id),
+    name: agent.name || "",
+    email: agent.email || "",
+    isDisabled: Boolean(agent.isdisabled),
+    teams,
+    roles,
+    departments
+  };
+}
+
+// Policy values match an entry's name case-insensitively, or its ID when
+// the value is all digits.
+function findPolicyMatch(entries, values) {
+  for (const value of asArray(values)) {
+    const wanted = String(value).trim().toLowerCase();
+    if (!wanted) continue;
+
+    const match = entries.find(entry =>
+      /^\d+$/.test(wanted) ? entry.id === wanted : entry.name?.toLowerCase() === wanted
+    );
+    if (match) return match;
+  }
+
+  return null;
+}
+
+// Returns { level, reason, matchedOn }. Full-access rules are checked before
+// balances-only ones, so an agent in both gets full access.
+export function evaluateFinanceAccess(agent, policy) {
+  if (!policy?.enabled) {
+    return { level: "full", reason: "policy_disabled", matchedOn: null };
+  }
+
+  const fallbackAccess = policy.fallbackAccess || "restricted";
+  if (!agent) {
+    return { level: fallbackAccess, reason: "agent_not_found", matchedOn: null };
+  }
+
+  if (agent.isDisabled) {
+    return { level: "restricted", reason: "agent_disabled", matchedOn: null };
+  }
+
+  for (const level of ["full", "balances"]) {
+    for (const [label, field] of POLICY_MATCH_ORDER) {
+      const match = findPolicyMatch(agent[field] || [], policy[level]?.[field]);
+      if (match) {
+        return { level, reason: "matched", matchedOn: `${label}: ${match.name || match.id}` };
+      }
+    }
+  }
+
+  return { level: fallbackAccess, reason: "no_match", matchedOn: null };
+}
@@ -0,0 +1,91 @@
+// lib/agent-access.js
+// -------------------------------------------------
+// Finance tab authorisation. The HMAC-verified agent is looked up in Halo
+// (GET /Agent/{id}) and evaluated against the admin-managed policy. The
+// policy is re-read on every request so admin edits apply at once; agent
+// profiles are cached for AGENT_ACCESS_CACHE_SECONDS.
+// -------------------------------------------------
+import NodeCache from "node-cache";
+
+import { evaluateFinanceAccess, normaliseHaloAgent } from "./agent-access-utils.js";
+import { getFinanceAccessPolicy } from "./config.js";
+import { getHaloConfigStatus, haloGet } from "./halo.js";
+
+// Failed lookups are remembered briefly so a Halo outage does not add a
+// timeout to every tab load.
+const FAILED_LOOKUP_CACHE_SECONDS = 60;
+
+const agentCache = new NodeCache({ useClones: false, checkperiod: 120 });
+const inFlightLookups = new Map();
+
+function parseAgentId(agentId) {
+  const value = String(agentId ?? "").trim();
+  return /^\d{1,10}$/.test(value) && Number(value) > 0 ? value : null;
+}
+
+async function lookupHaloAgent(agentId, cacheSeconds) {
+  try {
+    const agent = normaliseHaloAgent(await haloGet(`/Agent/${agentId}`));
+    const entry = { agent, error: agent ? null : "not_found", fetchedAt: new Date().toISOString() };
+    agentCache.set(agentId, entry, cacheSeconds);
+    return entry;
+  } catch (err) {
+    const status = err.response?.status;
+    if (status === 404) {
+      const entry = { agent: null, error: "not_found", fetchedAt: new Date().toISOString() };
+      agentCache.set(agentId, entry, cacheSeconds);
+      return entry;
+    }
+
+    console.warn("⚠️ Halo agent lookup failed:", { agentId, status: status || null, error: err.message });
+    const entry = { agent: null, error: "lookup_failed", fetchedAt: new Date().toISOString() };
+    agentCache.set(agentId, entry, FAILED_LOOKUP_CACHE_SECONDS);
+    return entry;
+  }
+}
+
+// Returns { agent, error, fetchedAt, cached }. error is invalid_agent_id,
+// not_found or lookup_failed.
+export async function getHaloAgentProfile(agentId, { cacheSeconds, forceRefresh = false } = {}) {
+  const id = parseAgentId(agentId);
+  if (!id) return { agent: null, error: "invalid_agent_id", fetchedAt: null, cached: false };
+
+  if (!forceRefresh) {
+    const cached = agentCache.get(id);
+    if (cached) return { ...cached, cached: true };
+  }
+
+  if (!inFlightLookups.has(id)) {
+    const ttl = cacheSeconds || getFinanceAccessPolicy().agentCacheSeconds;
+    inFlightLookups.set(
+      id,
+      lookupHaloAgent(id, ttl).finally(() => inFlightLookups.delete(id))
+    );
+  }
+
+  return { ...(await inFlightLookups.get(id)), cached: false };
+}
+
+// Returns { level: "full" | "balances" | "restricted", reason, matchedOn, agent }.
+// Agents Halo cannot confirm get the policy's fallback level.
+export async function resolveFinanceAccess(agentId, { forceRefresh = false } = {}) {
+  const policy = getFinanceAccessPolicy();
+  if (!policy.enabled) {
+    return { ...evaluateFinanceAccess(null, policy), agent: null };
+  }
+
+  if (!getHaloConfigStatus().configured) {
+    return { level: policy.fallbackAccess, reason: "halo_not_configured", matchedOn: null, agent: null };
+  }
+
+  const profile = await getHaloAgentProfile(agentId, {
+    cacheSeconds: policy.agentCacheSeconds,
+    forceRefresh
+  });
+
+  if (profile.error === "lookup_failed" || profile.error === "invalid_agent_id") {
+    return { level: policy.fallbackAccess, reason: profile.error, matchedOn: null, agent: null };
+  }
+
+  return { ...evaluateFinanceAccess(profile.agent, policy), agent: profile.agent };
+}
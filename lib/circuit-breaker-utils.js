@@ -0,0 +1,140 @@
+// lib/circuit-breaker-utils.js
+// -------------------------------------------------
+// Circuit breaker state machine for the Xero, GoCardless and Halo APIs. Kept
+// free of timers, network and Postgres access so it can be unit tested.
+//
+//   closed    - requests go through; consecutive failures are counted
+//   open      - requests fail fast until the open period has passed
+//   half_open - one probe request goes through; success closes the
+//               circuit, failure opens it again
+//
+// Only signs that the upstream is down or refusing work count as failures:
+// timeouts, network errors, 5xx responses and 429 rate limits. Other 4xx
+// answers show the upstream is up, so they count as successes. Errors raised
+// by our own code (a bad argument, a Postgres error) never trip the circuit,
+// even when they carry a code.
+// -------------------------------------------------
+
+export const CIRCUIT_STATES = ["closed", "half_open", "open"];
+
+export function createCircuit() {
+  return {
+    state: "closed",
+    consecutiveFailures: 0,
+    openedAt: null,
+    openUntil: null,
+    probeInFlight: false,
+    lastFailureAt: null,
+    lastError: null,
+    lastSuccessAt: null,
+    openedCount: 0
+  };
+}
+
+// Socket and DNS failures, plus axios's own timeout codes.
+const NETWORK_ERROR_CODES = new Set([
+  "ECONNABORTED",
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "EAI_AGAIN",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "ENOTFOUND",
+  "EPIPE",
+  "ETIMEDOUT",
+  "ERR_NETWORK"
+]);
+
+export function isCircuitFailure(err) {
+  const status = err?.response?.status;
+  if (status) return status === 429 || status >= 500;
+  if (NETWORK_ERROR_CODES.has(err?.code)) return true;
+  // An axios request that was sent but got no response.
+  return Boolean(err?.isAxiosError && err.request);
+}
+
+// Short description of a failure for the health page, e.g. "HTTP 503" or
+// "ECONNABORTED".
+export function describeCircuitFailure(err) {
+  const status = err?.response?.status;
+  if (status) return `HTTP ${status}`;
+  return err?.code || err?.message || "Unknown error";
+}
+
+// Returns "allow", "probe" (the one request a half-open circuit lets through)
+// or "reject". Moves an open circuit whose open period has passed to
+// half_open.
+export function planCircuitRequest(circuit, now = Date.now()) {
+  if (circuit.state === "closed") return "allow";
+
+  if (circuit.state === "open") {
+    if (now < circuit.openUntil) return "reject";
+    circuit.state = "half_open";
+    circuit.probeInFlight = false;
+  }
+
+  if (circuit.probeInFlight) return "reject";
+  circuit.probeInFlight = true;
+  return "probe";
+}
+
+// Whether a request made now would be refused without a probe.
+export function isCircuitRejecting(circuit, now = Date.now()) {
+  if (circuit.state === "open") return now < circuit.openUntil;
+  return circuit.state === "half_open" && circuit.probeInFlight;
+}
+
+// Both record functions return the previous state so the caller can tell
+// when the circuit changed.
+export function recordCircuitSuccess(circuit, now = Date.now()) {
+  const previous = circuit.state;
+  circuit.state = "closed";
+  circuit.consecutiveFailures = 0;
+  circuit.openedAt = null;
+  circuit.openUntil = null;
+  circuit.probeInFlight = false;
+  circuit.lastSuccessAt = now;
+  return previous;
+}
+
+export function recordCircuitFailure(circuit, err, { failureThreshold, openMs, now = Date.now() }) {
+  const previous = circuit.state;
+  circuit.consecutiveFailures += 1;
+  circuit.lastFailureAt = now;
+  circuit.lastError = describeCircuitFailure(err);
+  circuit.probeInFlight = false;
+
+  if (previous === "half_open" || (previous === "closed" && circuit.consecutiveFailures >= failureThreshold)) {
+    circuit.state = "open";
+    circuit.openedAt = previous === "closed" ? now : circuit.openedAt ?? now;
+    circuit.openUntil = now + openMs;
+    circuit.openedCount += 1;
+  }
+
+  return previous;
+}
+
+// The worst state wins: open, then half_open, then closed.
+export function worstCircuitState(states) {
+  return [...CIRCUIT_STATES].reverse().find(state => states.includes(state)) || "closed";
+}
+
+export function describeCircuitStatus(state) {
+  if (state === "open") return { state: "error", label: "Circuit Open" };
+  if (state === "half_open") return { state: "warn", label: "Probing" };
+  return { state: "ok", label: "Circuit Closed" };
+}
+
+// What the finance tab skips while an upstream's circuit is open, in the
+// order the sections appear on the tab.
+const UNAVAILABLE_SECTION_MESSAGES = {
+  xero: "Xero — invoice details, PDFs and online invoice links cannot be loaded, and other organisations' balances may be out of date or missing.",
+  gocardless: "GoCardless — Direct Debit status is skipped.",
+  halo: "Halo — agent permissions use the fallback access level and new client links cannot be looked up."
+};
+
+export function describeUnavailableSections(openUpstreams) {
+  return Object.keys(UNAVAILABLE_SECTION_MESSAGES)
+    .filter(upstream => openUpstreams.includes(upstream))
+    .map(upstream => ({ upstream, message: UNAVAILABLE_SECTION_MESSAGES[upstream] }));
+}
@@ -0,0 +1,272 @@
+// lib/circuit-breaker.js
+// -------------------------------------------------
+// One circuit breaker per upstream API (Xero, GoCardless, Halo) in each
+// process. While a circuit is open, calls fail fast with CircuitOpenError
+// instead of waiting for their timeout, and the widget skips that section.
+//
+// Each process writes its circuits to halo.upstream_circuit when they change
+// and once a minute while in use, so /admin/health can show the widget's
+// circuits as well as its own.
+// -------------------------------------------------
+import os from "os";
+import path from "path";
+
+import { getRuntimeConfig } from "./config.js";
+import { pgPool } from "./db.js";
+import {
+  createCircuit,
+  describeCircuitStatus,
+  isCircuitFailure,
+  isCircuitRejecting,
+  planCircuitRequest,
+  recordCircuitFailure,
+  recordCircuitSuccess,
+  worstCircuitState
+} from "./circuit-breaker-utils.js";
+
+export const UPSTREAMS = {
+  xero: { label: "Xero", timeoutKey: "xeroTimeoutMs" },
+  gocardless: { label: "GoCardless", timeoutKey: "goCardlessTimeoutMs" },
+  halo: { label: "Halo", timeoutKey: "haloTimeoutMs" }
+};
+
+const HEARTBEAT_MS = 60_000;
+
+// Instances that have not reported for this long are left off the report.
+const REPORT_MAX_AGE_SECONDS = 5 * 60;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const PROCESS_NAME = path.basename(process.argv[1] || "node");
+
+// Carries a code so the Xero snapshot fallback (isXeroUnavailableError)
+// treats it like a network failure.
+export class CircuitOpenError extends Error {
+  constructor(upstream, retryAfterMs = null) {
+    super(`${UPSTREAMS[upstream]?.label || upstream} is temporarily unavailable (circuit open).`);
+    this.name = "CircuitOpenError";
+    this.statusCode = 503;
+    this.code = "ECIRCUITOPEN";
+    this.upstream = upstream;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export function isCircuitOpenError(err) {
+  return err?.code === "ECIRCUITOPEN";
+}
+
+// -------------------------------------------------
+// CIRCUITS
+// -------------------------------------------------
+const circuits = new Map();
+let heartbeatTimer = null;
+
+function getCircuit(upstream) {
+  if (!UPSTREAMS[upstream]) throw new TypeError(`Unknown upstream: ${upstream}`);
+  if (!circuits.has(upstream)) circuits.set(upstream, createCircuit());
+  startHeartbeat();
+  return circuits.get(upstream);
+}
+
+export function getUpstreamTimeoutMs(upstream) {
+  return getRuntimeConfig()[UPSTREAMS[upstream].timeoutKey];
+}
+
+// True while calls to the upstream would fail fast; callers use it to skip
+// optional work (e.g. GoCardless auto-mapping) before starting it.
+export function isCircuitOpen(upstream) {
+  return isCircuitRejecting(getCircuit(upstream));
+}
+
+export function assertCircuitClosed(upstream) {
+  const circuit = getCircuit(upstream);
+  if (isCircuitRejecting(circuit)) {
+    throw new CircuitOpenError(upstream, circuit.openUntil ? Math.max(0, circuit.openUntil - Date.now()) : null);
+  }
+}
+
+function logTransition(upstream, previous, circuit) {
+  if (previous === circuit.state) return;
+
+  const label = UPSTREAMS[upstream].label;
+  if (circuit.state === "open") {
+    console.warn(
+      `🛑 ${label} circuit opened after ${circuit.consecutiveFailures} failure(s) (${circuit.lastError}) — failing fast for ${getRuntimeConfig().circuitOpenSeconds}s`
+    );
+  } else if (circuit.state === "closed") {
+    console.log(`🟢 ${label} circuit closed`);
+  }
+  persistCircuit(upstream);
+}
+
+// Runs fn (one HTTP call) through the upstream's circuit.
+export async function withCircuitBreaker(upstream, fn) {
+  const circuit = getCircuit(upstream);
+  const before = circuit.state;
+  const plan = planCircuitRequest(circuit);
+
+  if (plan === "reject") {
+    throw new CircuitOpenError(upstream, circuit.openUntil ? Math.max(0, circuit.openUntil - Date.now()) : null);
+  }
+  if (plan === "probe" && before === "open") {
+    console.log(`⏳ ${UPSTREAMS[upstream].label} circuit half-open — probing`);
+    persistCircuit(upstream);
+  }
+
+  try {
+    const result = await fn();
+    logTransition(upstream, recordCircuitSuccess(circuit), circuit);
+    return result;
+  } catch (err) {
+    if (isCircuitFailure(err)) {
+      const runtimeConfig = getRuntimeConfig();
+      const previous = recordCircuitFailure(circuit, err, {
+        failureThreshold: runtimeConfig.circuitFailureThreshold,
+        openMs: runtimeConfig.circuitOpenSeconds * 1000
+      });
+      logTransition(upstream, previous, circuit);
+    } else {
+      logTransition(upstream, recordCircuitSuccess(circuit), circuit);
+    }
+    throw err;
+  }
+}
+
+function describeLocalCircuit(upstream, circuit) {
+  return {
+    upstream,
+    label: UPSTREAMS[upstream].label,
+    state: circuit.state,
+    consecutiveFailures: circuit.consecutiveFailures,
+    openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+    openUntil: circuit.openUntil ? new Date(circuit.openUntil).toISOString() : null,
+    lastFailureAt: circuit.lastFailureAt ? new Date(circuit.lastFailureAt).toISOString() : null,
+    lastError: circuit.lastError,
+    lastSuccessAt: circuit.lastSuccessAt ? new Date(circuit.lastSuccessAt).toISOString() : null,
+    openedCount: circuit.openedCount
+  };
+}
+
+// This process's circuits that are failing fast, e.g. for the widget's
+// "temporarily unavailable" notices.
+export function getOpenCircuits() {
+  return [...circuits.entries()]
+    .filter(([, circuit]) => isCircuitRejecting(circuit))
+    .map(([upstream, circuit]) => describeLocalCircuit(upstream, circuit));
+}
+
+// -------------------------------------------------
+// REPORTING (halo.upstream_circuit)
+// -------------------------------------------------
+let ensurePromise = null;
+
+export function ensureUpstreamCircuitTable() {
+  if (!ensurePromise) {
+    ensurePromise = (async () => {
+      await pgPool.query("CREATE SCHEMA IF NOT EXISTS halo");
+      await pgPool.query(`
+        CREATE TABLE IF NOT EXISTS halo.upstream_circuit (
+          upstream text NOT NULL,
+          instance_id text NOT NULL,
+          process_name text NOT NULL,
+          state text NOT NULL,
+          consecutive_failures integer NOT NULL DEFAULT 0,
+          opened_at timestamptz,
+          open_until timestamptz,
+          last_failure_at timestamptz,
+          last_error text,
+          last_success_at timestamptz,
+          opened_count integer NOT NULL DEFAULT 0,
+          updated_at timestamptz NOT NULL DEFAULT now(),
+          PRIMARY KEY (upstream, instance_id)
+        )
+      `);
+    })().catch(err => {
+      ensurePromise = null;
+      throw err;
+    });
+  }
+
+  return ensurePromise;
+}
+
+async function writeCircuit(upstream, circuit) {
+  const entry = describeLocalCircuit(upstream, circuit);
+  await ensureUpstreamCircuitTable();
+  await pgPool.query(
+    `
+      INSERT INTO halo.upstream_circuit (
+        upstream, instance_id, process_name, state, consecutive_failures, opened_at, open_until,
+        last_failure_at, last_error, last_success_at, opened_count, updated_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, now())
+      ON CONFLICT (upstream, instance_id)
+      DO UPDATE SET
+        process_name = EXCLUDED.process_name,
+        state = EXCLUDED.state,
+        consecutive_failures = EXCLUDED.consecutive_failures,
+        opened_at = EXCLUDED.opened_at,
+        open_until = EXCLUDED.open_until,
+        last_failure_at = EXCLUDED.last_failure_at,
+        last_error = EXCLUDED.last_error,
+        last_success_at = EXCLUDED.last_success_at,
+        opened_count = EXCLUDED.opened_count,
+        updated_at = now()
+    `,
+    [
+      upstream,
+      INSTANCE_ID,
+      PROCESS_NAME,
+      entry.state,
+      entry.consecutiveFailures,
+      entry.openedAt,
+      entry.openUntil,
+      entry.lastFailureAt,
+      entry.lastError,
+      entry.lastSuccessAt,
+      entry.openedCount
+    ]
+  );
+}
+
+// Reporting must never fail the request that changed the circuit.
+function persistCircuit(upstream) {
+  writeCircuit(upstream, circuits.get(upstream)).catch(err => {
+    console.warn("⚠️ Circuit state write failed:", upstream, err.message);
+  });
+}
+
+function startHeartbeat() {
+  if (heartbeatTimer) return;
+  heartbeatTimer = setInterval(() => {
+    for (const upstream of circuits.keys()) persistCircuit(upstream);
+  }, HEARTBEAT_MS);
+  heartbeatTimer.unref();
+}
+
+// For /admin/health: every upstream with the instances that reported
+// recently. state is the worst instance state ("closed" when none report).
+export async function getUpstreamCircuitReport() {
+  await ensureUpstreamCircuitTable();
+  await pgPool.query(
+    "DELETE FROM halo.upstream_circuit WHERE updated_at < now() - interval '7 days'"
+  );
+
+  const { rows } = await pgPool.query(
+    `
+      SELECT
+        upstream, instance_id, process_name, state, consecutive_failures,
+        opened_at, open_until, last_failure_at, last_error, last_success_at, opened_count, updated_at
+      FROM halo.upstream_circuit
+      WHERE updated_at >= now() - ($1::int * interval '1 second')
+      ORDER BY upstream, process_name, instance_id
+    `,
+    [REPORT_MAX_AGE_SECONDS]
+  );
+
+  return Object.entries(UPSTREAMS).map(([upstream, { label }]) => {
+    const instances = rows.filter(row => row.upstream === upstream);
+    const state = worstCircuitState(instances.map(instance => instance.state));
+    return { upstream, label, state, status: describeCircuitStatus(state), instances };
+  });
+}
@@ -1,3 +1,4 @@
+import crypto from "crypto";
 import dotenv from "dotenv";
 import fs from "fs";
 import path from "path";
@@ -5,11 +6,39 @@ import path from "path";
 dotenv.config();
 
 const DEFAULT_FINANCE_CACHE_TTL_SECONDS = 300;
+const DEFAULT_FINANCE_STALE_WHILE_REVALIDATE_SECONDS = 3_600;
+const DEFAULT_FINANCE_SNAPSHOT_MAX_AGE_DAYS = 7;
 const DEFAULT_EXPORT_TOKEN_TTL_SECONDS = 900;
 const DEFAULT_GOCARDLESS_AUTO_MAP_INTERVAL_SECONDS = 21_600;
+const DEFAULT_GOCARDLESS_CACHE_TTL_SECONDS = 300;
+const DEFAULT_UPSTREAM_TIMEOUT_MS = 10_000;
+const DEFAULT_CIRCUIT_FAILURE_THRESHOLD = 5;
+const DEFAULT_CIRCUIT_OPEN_SECONDS = 30;
+const DEFAULT_FINANCE_HISTORY_MONTHS = 24;
+const DEFAULT_XERO_PAGE_CONCURRENCY = 2;
+const DEFAULT_FINANCE_MAX_INVOICE_PAGES = 50;
+const DEFAULT_XERO_BASE_CURRENCY = "NZD";
+const DEFAULT_PDF_EXPORT_CONCURRENCY = 2;
+const DEFAULT_PDF_EXPORT_QUEUE_LIMIT = 20;
+const DEFAULT_PDF_RENDER_TIMEOUT_MS = 30_000;
+const DEFAULT_PDF_RENDERER = "chromium";
+const PDF_RENDERERS = ["chromium", "pdfkit"];
+const DEFAULT_FINANCE_CACHE_BACKEND = "memory";
+const FINANCE_CACHE_BACKENDS = ["memory", "postgres"];
+const DEFAULT_HMAC_MAX_AGE_SECONDS = 900;
+const DEFAULT_HMAC_SIGNING_MODE = "legacy";
+const HMAC_SIGNING_MODES = ["legacy", "signed"];
+const MIN_HMAC_SECRET_LENGTH = 16;
+const DEFAULT_AGENT_ACCESS_CACHE_SECONDS = 600;
+const DEFAULT_FINANCE_AUDIT_RETENTION_DAYS = 365;
+const DEFAULT_FINANCE_ACCESS_FALLBACK = "restricted";
+const FINANCE_ACCESS_FALLBACK_LEVELS = ["balances", "restricted"];
+const FINANCE_ACCESS_POLICY_FIELDS = ["teams", "roles", "departments"];
+const MAX_FINANCE_ACCESS_POLICY_ENTRIES = 100;
 const DEFAULT_GOCARDLESS_WEBHOOK_URL = "https://widget.engagetech.nz/webhooks/gocardless";
 const MIN_TTL_SECONDS = 30;
 const MAX_TTL_SECONDS = 86_400;
+const MAX_FINANCE_HISTORY_MONTHS = 240;
 
 function getConfigPath() {
   return process.env.RUNTIME_CONFIG_PATH || path.join(process.cwd(), "data", "runtime-config.json");
@@ -20,6 +49,12 @@ function positiveIntegerEnv(name, defaultValue) {
   return Number.isFinite(value) && value > 0 ? value : defaultValue;
 }
 
+function nonNegativeIntegerEnv(name, defaultValue) {
+  const rawValue = String(process.env[name] || "").trim();
+  if (!/^\d+$/.test(rawValue)) return defaultValue;
+  return Number.parseInt(rawValue, 10);
+}
+
 function parseTtlSeconds(value, fieldName) {
   const rawValue = String(value || "").trim();
 
@@ -40,6 +75,42 @@ function parseTtlSeconds(value, fieldName) {
   return ttl;
 }
 
+function parseHistoryMonths(value, fieldName) {
+  const rawValue = String(value ?? "").trim();
+
+  if (!/^\d+$/.test(rawValue)) {
+    throw new Error(`${fieldName} must be a whole number of months.`);
+  }
+
+  const months = Number.parseInt(rawValue, 10);
+
+  if (months > MAX_FINANCE_HISTORY_MONTHS) {
+    throw new Error(`${fieldName} must be between 0 and ${MAX_FINANCE_HISTORY_MONTHS} months.`);
+  }
+
+  return months;
+}
+
+function parsePdfRenderer(value, fieldName) {
+  const renderer = String(value ?? "").trim().toLowerCase();
+
+  if (!PDF_RENDERERS.includes(renderer)) {
+    throw new Error(`${fieldName} must be one of: ${PDF_RENDERERS.join(", ")}.`);
+  }
+
+  return renderer;
+}
+
+function parseHmacSigningMode(value, fieldName) {
+  const mode = String(value ?? "").trim().toLowerCase();
+
+  if (!HMAC_SIGNING_MODES.includes(mode)) {
+    throw new Error(`${fieldName} must be one of: ${HMAC_SIGNING_MODES.join(", ")}.`);
+  }
+
+  return mode;
+}
+
 function readRuntimeOverrides() {
   const configPath = getConfigPath();
   if (!fs.existsSync(configPath)) return {};
@@ -70,6 +141,14 @@ function getBaseConfig() {
       "FINANCE_CACHE_TTL_SECONDS",
       DEFAULT_FINANCE_CACHE_TTL_SECONDS
     ),
+    financeStaleWhileRevalidateSeconds: nonNegativeIntegerEnv(
+      "FINANCE_STALE_WHILE_REVALIDATE_SECONDS",
+      DEFAULT_FINANCE_STALE_WHILE_REVALIDATE_SECONDS
+    ),
+    financeSnapshotMaxAgeDays: positiveIntegerEnv(
+      "FINANCE_SNAPSHOT_MAX_AGE_DAYS",
+      DEFAULT_FINANCE_SNAPSHOT_MAX_AGE_DAYS
+    ),
     exportTokenTtlSeconds: positiveIntegerEnv(
       "EXPORT_TOKEN_TTL_SECONDS",
       DEFAULT_EXPORT_TOKEN_TTL_SECONDS
@@ -77,10 +156,58 @@ function getBaseConfig() {
     goCardlessAutoMapIntervalSeconds: positiveIntegerEnv(
       "GOCARDLESS_AUTO_MAP_INTERVAL_SECONDS",
       DEFAULT_GOCARDLESS_AUTO_MAP_INTERVAL_SECONDS
+    ),
+    goCardlessCacheTtlSeconds: positiveIntegerEnv(
+      "GOCARDLESS_CACHE_TTL_SECONDS",
+      DEFAULT_GOCARDLESS_CACHE_TTL_SECONDS
+    ),
+    financeHistoryMonths: Math.min(
+      nonNegativeIntegerEnv("FINANCE_HISTORY_MONTHS", DEFAULT_FINANCE_HISTORY_MONTHS),
+      MAX_FINANCE_HISTORY_MONTHS
+    ),
+    xeroPageConcurrency: positiveIntegerEnv("XERO_PAGE_CONCURRENCY", DEFAULT_XERO_PAGE_CONCURRENCY),
+    financeMaxInvoicePages: positiveIntegerEnv(
+      "FINANCE_MAX_INVOICE_PAGES",
+      DEFAULT_FINANCE_MAX_INVOICE_PAGES
+    ),
+    pdfExportConcurrency: positiveIntegerEnv("PDF_EXPORT_CONCURRENCY", DEFAULT_PDF_EXPORT_CONCURRENCY),
+    pdfExportQueueLimit: nonNegativeIntegerEnv("PDF_EXPORT_QUEUE_LIMIT", DEFAULT_PDF_EXPORT_QUEUE_LIMIT),
+    pdfRenderTimeoutMs: positiveIntegerEnv("PDF_RENDER_TIMEOUT_MS", DEFAULT_PDF_RENDER_TIMEOUT_MS),
+    pdfRenderer: PDF_RENDERERS.includes(String(process.env.PDF_RENDERER || "").trim().toLowerCase())
+      ? String(process.env.PDF_RENDERER).trim().toLowerCase()
+      : DEFAULT_PDF_RENDERER,
+    hmacMaxAgeSeconds: positiveIntegerEnv("HMAC_MAX_AGE_SECONDS", DEFAULT_HMAC_MAX_AGE_SECONDS),
+    hmacSigningMode: HMAC_SIGNING_MODES.includes(String(process.env.HMAC_SIGNING_MODE || "").trim().toLowerCase())
+      ? String(process.env.HMAC_SIGNING_MODE).trim().toLowerCase()
+      : DEFAULT_HMAC_SIGNING_MODE,
+    xeroTimeoutMs: positiveIntegerEnv("XERO_TIMEOUT_MS", DEFAULT_UPSTREAM_TIMEOUT_MS),
+    goCardlessTimeoutMs: positiveIntegerEnv("GOCARDLESS_TIMEOUT_MS", DEFAULT_UPSTREAM_TIMEOUT_MS),
+    haloTimeoutMs: positiveIntegerEnv("HALO_TIMEOUT_MS", DEFAULT_UPSTREAM_TIMEOUT_MS),
+    circuitFailureThreshold: positiveIntegerEnv("CIRCUIT_FAILURE_THRESHOLD", DEFAULT_CIRCUIT_FAILURE_THRESHOLD),
+    circuitOpenSeconds: positiveIntegerEnv("CIRCUIT_OPEN_SECONDS", DEFAULT_CIRCUIT_OPEN_SECONDS),
+    // Deployment-level choice: every widget worker must agree, so there is
+    // deliberately no admin override for it.
+    financeCacheBackend: FINANCE_CACHE_BACKENDS.includes(
+      String(process.env.FINANCE_CACHE_BACKEND || "").trim().toLowerCase()
     )
+      ? String(process.env.FINANCE_CACHE_BACKEND).trim().toLowerCase()
+      : DEFAULT_FINANCE_CACHE_BACKEND
   };
 }
 
+function readHmacSigningModeOverride(overrides, fallback) {
+  if (!overrides.hmacSigningMode) {
+    return { value: fallback, source: ".env default" };
+  }
+
+  try {
+    return { value: parseHmacSigningMode(overrides.hmacSigningMode, "Tab signature mode"), source: "admin override" };
+  } catch (err) {
+    console.error("Invalid runtime config value for hmacSigningMode:", err.message);
+    return { value: fallback, source: ".env default" };
+  }
+}
+
 function readTtlOverride(overrides, key, fieldName, fallback) {
   if (!overrides[key]) {
     return { value: fallback, source: ".env default" };
@@ -94,6 +221,40 @@ function readTtlOverride(overrides, key, fieldName, fallback) {
   }
 }
 
+function readHistoryOverride(overrides, fallback) {
+  if (!Object.prototype.hasOwnProperty.call(overrides, "financeHistoryMonths")) {
+    return { value: fallback, source: ".env default" };
+  }
+
+  try {
+    return {
+      value: parseHistoryMonths(overrides.financeHistoryMonths, "Invoice history"),
+      source: "admin override"
+    };
+  } catch (err) {
+    console.error("Invalid runtime config value for financeHistoryMonths:", err.message);
+    return { value: fallback, source: ".env default" };
+  }
+}
+
+function readPdfRendererOverride(overrides, fallback) {
+  if (!overrides.pdfRenderer) {
+    return { value: fallback, source: ".env default" };
+  }
+
+  try {
+    return { value: parsePdfRenderer(overrides.pdfRenderer, "PDF renderer"), source: "admin override" };
+  } catch (err) {
+    console.error("Invalid runtime config value for pdfRenderer:", err.message);
+    return { value: fallback, source: ".env default" };
+  }
+}
+
+export function formatHistoryHorizon(months) {
+  if (!months) return "Full history";
+  return `${months === 1 ? "1 month" : `${months} months`} plus open invoices`;
+}
+
 function trimConfigValue(value) {
   return String(value || "").trim();
 }
@@ -193,6 +354,21 @@ export function getRuntimeConfig() {
     "GoCardless auto-map interval",
     baseConfig.goCardlessAutoMapIntervalSeconds
   );
+  const goCardlessCacheTtl = readTtlOverride(
+    overrides,
+    "goCardlessCacheTtlSeconds",
+    "GoCardless cache TTL",
+    baseConfig.goCardlessCacheTtlSeconds
+  );
+  const financeHistory = readHistoryOverride(overrides, baseConfig.financeHistoryMonths);
+  const pdfRenderer = readPdfRendererOverride(overrides, baseConfig.pdfRenderer);
+  const hmacSigningMode = readHmacSigningModeOverride(overrides, baseConfig.hmacSigningMode);
+  const hmacMaxAge = readTtlOverride(
+    overrides,
+    "hmacMaxAgeSeconds",
+    "Tab signature max age",
+    baseConfig.hmacMaxAgeSeconds
+  );
 
   const hasGoCardlessOverride = Boolean(overrides.gocardlessAccessToken);
   const hasGoCardlessEnv = Boolean(process.env.GOCARDLESS_ACCESS_TOKEN);
@@ -203,14 +379,45 @@ export function getRuntimeConfig() {
     financeCacheTtlSeconds: financeCacheTtl.value,
     financeCacheTtlHuman: formatDuration(financeCacheTtl.value),
     financeCacheTtlSource: financeCacheTtl.source,
+    financeCacheBackend: baseConfig.financeCacheBackend,
+    financeStaleWhileRevalidateSeconds: baseConfig.financeStaleWhileRevalidateSeconds,
+    financeSnapshotMaxAgeSeconds: baseConfig.financeSnapshotMaxAgeDays * 86_400,
     exportTokenTtlSeconds: exportTokenTtl.value,
     exportTokenTtlHuman: formatDuration(exportTokenTtl.value),
     exportTokenTtlSource: exportTokenTtl.source,
     goCardlessAutoMapIntervalSeconds: goCardlessAutoMapInterval.value,
     goCardlessAutoMapIntervalHuman: formatDuration(goCardlessAutoMapInterval.value),
     goCardlessAutoMapIntervalSource: goCardlessAutoMapInterval.source,
+    goCardlessCacheTtlSeconds: goCardlessCacheTtl.value,
+    goCardlessCacheTtlHuman: formatDuration(goCardlessCacheTtl.value),
+    goCardlessCacheTtlSource: goCardlessCacheTtl.source,
+    financeHistoryMonths: financeHistory.value,
+    financeHistoryHuman: formatHistoryHorizon(financeHistory.value),
+    financeHistorySource: financeHistory.source,
+    maxFinanceHistoryMonths: MAX_FINANCE_HISTORY_MONTHS,
+    xeroPageConcurrency: baseConfig.xeroPageConcurrency,
+    financeMaxInvoicePages: baseConfig.financeMaxInvoicePages,
+    pdfExportConcurrency: baseConfig.pdfExportConcurrency,
+    pdfExportQueueLimit: baseConfig.pdfExportQueueLimit,
+    pdfRenderTimeoutMs: baseConfig.pdfRenderTimeoutMs,
+    pdfRenderer: pdfRenderer.value,
+    pdfRendererSource: pdfRenderer.source,
+    pdfRenderers: PDF_RENDERERS,
+    hmacSigningMode: hmacSigningMode.value,
+    hmacSigningModeSource: hmacSigningMode.source,
+    hmacSigningModes: HMAC_SIGNING_MODES,
+    xeroTimeoutMs: baseConfig.xeroTimeoutMs,
+    goCardlessTimeoutMs: baseConfig.goCardlessTimeoutMs,
+    haloTimeoutMs: baseConfig.haloTimeoutMs,
+    circuitFailureThreshold: baseConfig.circuitFailureThreshold,
+    circuitOpenSeconds: baseConfig.circuitOpenSeconds,
+    hmacMaxAgeSeconds: hmacMaxAge.value,
+    hmacMaxAgeHuman: formatDuration(hmacMaxAge.value),
+    hmacMaxAgeSource: hmacMaxAge.source,
+    xeroBaseCurrency:
+      trimConfigValue(process.env.XERO_BASE_CURRENCY).toUpperCase() || DEFAULT_XERO_BASE_CURRENCY,
     exportTokenSecretConfigured: Boolean(process.env.EXPORT_TOKEN_SECRET),
-    exportTokenSecretSource: process.env.EXPORT_TOKEN_SECRET ? "EXPORT_TOKEN_SECRET" : "HMAC_SECRET fallback",
+    exportTokenSecretSource: process.env.EXPORT_TOKEN_SECRET ? "EXPORT_TOKEN_SECRET" : "Tab signing secrets",
     goCardlessAccessTokenConfigured: hasGoCardlessOverride || hasGoCardlessEnv,
     goCardlessAccessTokenSource: hasGoCardlessOverride
       ? "admin override"
@@ -247,6 +454,26 @@ export function updateRuntimeConfig(input) {
     updatedAt: new Date().toISOString()
   };
 
+  if (typeof input.goCardlessCacheTtlSeconds !== "undefined") {
+    nextConfig.goCardlessCacheTtlSeconds = parseTtlSeconds(input.goCardlessCacheTtlSeconds, "GoCardless cache TTL");
+  }
+
+  if (typeof input.financeHistoryMonths !== "undefined") {
+    nextConfig.financeHistoryMonths = parseHistoryMonths(input.financeHistoryMonths, "Invoice history");
+  }
+
+  if (typeof input.pdfRenderer !== "undefined") {
+    nextConfig.pdfRenderer = parsePdfRenderer(input.pdfRenderer, "PDF renderer");
+  }
+
+  if (typeof input.hmacSigningMode !== "undefined") {
+    nextConfig.hmacSigningMode = parseHmacSigningMode(input.hmacSigningMode, "Tab signature mode");
+  }
+
+  if (typeof input.hmacMaxAgeSeconds !== "undefined") {
+    nextConfig.hmacMaxAgeSeconds = parseTtlSeconds(input.hmacMaxAgeSeconds, "Tab signature max age");
+  }
+
   writeRuntimeOverrides(nextConfig);
 
   return getRuntimeConfig();
@@ -285,6 +512,186 @@ export function clearGoCardlessAccessTokenOverride() {
   return getRuntimeConfig();
 }
 
+// -------------------------------------------------
+// UPSTREAM BASE URLS
+// The production hosts unless overridden in .env, e.g. to point the widget and
+// admin portal at the local stand-in servers (scripts/fake-upstreams.js).
+// Halo has no fixed host; it always comes from HALO_RESOURCE_SERVER_URL and
+// HALO_AUTH_SERVER_URL.
+// -------------------------------------------------
+const UPSTREAM_BASE_URLS = {
+  xeroApi: { envName: "XERO_API_BASE_URL", live: "https://api.xero.com" },
+  xeroIdentity: { envName: "XERO_IDENTITY_BASE_URL", live: "https://identity.xero.com" },
+  xeroLogin: { envName: "XERO_LOGIN_BASE_URL", live: "https://login.xero.com" },
+  goCardlessApi: {
+    envName: "GOCARDLESS_API_BASE_URL",
+    live: "https://api.gocardless.com",
+    sandbox: "https://api-sandbox.gocardless.com"
+  },
+  goCardlessDashboard: {
+    envName: "GOCARDLESS_DASHBOARD_BASE_URL",
+    live: "https://manage.gocardless.com",
+    sandbox: "https://manage-sandbox.gocardless.com"
+  }
+};
+
+const warnedUpstreamUrls = new Set();
+
+// Returns { xeroApi, xeroIdentity, xeroLogin, goCardlessApi,
+// goCardlessDashboard } without trailing slashes. GoCardless defaults follow
+// GOCARDLESS_ENVIRONMENT. An invalid override is ignored with a warning.
+export function getUpstreamBaseUrls() {
+  const sandbox = process.env.GOCARDLESS_ENVIRONMENT === "sandbox";
+
+  return Object.fromEntries(
+    Object.entries(UPSTREAM_BASE_URLS).map(([key, { envName, live, sandbox: sandboxUrl }]) => {
+      const fallback = sandbox && sandboxUrl ? sandboxUrl : live;
+      const value = trimConfigUrl(process.env[envName]);
+      if (!value) return [key, fallback];
+
+      try {
+        return [key, parseRequiredUrl(value, envName)];
+      } catch (err) {
+        if (!warnedUpstreamUrls.has(envName)) {
+          warnedUpstreamUrls.add(envName);
+          console.warn(`⚠️ ${err.message} Using ${fallback}.`);
+        }
+        return [key, fallback];
+      }
+    })
+  );
+}
+
+// The .env names of upstream base URLs that point somewhere other than the
+// real services, for start-up warnings.
+export function getOverriddenUpstreamBaseUrls() {
+  const urls = getUpstreamBaseUrls();
+  const sandbox = process.env.GOCARDLESS_ENVIRONMENT === "sandbox";
+
+  return Object.entries(UPSTREAM_BASE_URLS)
+    .filter(([key, { live, sandbox: sandboxUrl }]) => urls[key] !== (sandbox && sandboxUrl ? sandboxUrl : live))
+    .map(([key, { envName }]) => ({ envName, url: urls[key] }));
+}
+
+// -------------------------------------------------
+// HALO TAB HMAC SECRETS
+// Admin-added secrets plus HMAC_SECRET from .env, all accepted at once so a
+// new secret can be rolled out in Halo before the old one is removed.
+// -------------------------------------------------
+function readHmacSecretOverrides(overrides) {
+  return (Array.isArray(overrides.hmacSecrets) ? overrides.hmacSecrets : []).filter(
+    entry => entry?.id && typeof entry.secret === "string" && entry.secret
+  );
+}
+
+// Every secret the widget should accept, newest admin secret first.
+export function getHaloHmacSecrets() {
+  const overrides = readRuntimeOverrides();
+  const secrets = readHmacSecretOverrides(overrides).map(entry => ({
+    id: entry.id,
+    secret: entry.secret,
+    source: "admin override"
+  }));
+
+  const envSecret = trimConfigValue(process.env.HMAC_SECRET);
+  if (envSecret && !overrides.hmacEnvSecretRetired) {
+    secrets.push({ id: "env", secret: envSecret, source: "HMAC_SECRET" });
+  }
+
+  return secrets;
+}
+
+// Safe to render: never includes the secret values.
+export function getHaloHmacSecretSummary() {
+  const overrides = readRuntimeOverrides();
+  const envConfigured = Boolean(trimConfigValue(process.env.HMAC_SECRET));
+
+  return {
+    secrets: readHmacSecretOverrides(overrides).map(entry => ({
+      id: entry.id,
+      suffix: entry.secret.slice(-4),
+      addedAt: entry.addedAt || null
+    })),
+    envConfigured,
+    envRetired: Boolean(overrides.hmacEnvSecretRetired),
+    activeCount: getHaloHmacSecrets().length
+  };
+}
+
+// Returns the stored secret so the admin page can show it once. A blank
+// input generates a random secret.
+export function addHaloHmacSecret(secretInput) {
+  const secret = String(secretInput || "").trim() || crypto.randomBytes(32).toString("base64url");
+  if (secret.length < MIN_HMAC_SECRET_LENGTH) {
+    throw new Error(`Tab signing secrets must be at least ${MIN_HMAC_SECRET_LENGTH} characters.`);
+  }
+
+  const previousConfig = readRuntimeOverrides();
+  const existing = readHmacSecretOverrides(previousConfig);
+  if (existing.some(entry => entry.secret === secret) || secret === trimConfigValue(process.env.HMAC_SECRET)) {
+    throw new Error("That tab signing secret is already configured.");
+  }
+
+  const entry = {
+    id: crypto.randomBytes(6).toString("hex"),
+    secret,
+    addedAt: new Date().toISOString()
+  };
+
+  writeRuntimeOverrides({
+    ...previousConfig,
+    hmacSecrets: [entry, ...existing],
+    updatedAt: new Date().toISOString()
+  });
+
+  return entry;
+}
+
+function assertHmacSecretRemains(nextConfig) {
+  const remaining =
+    readHmacSecretOverrides(nextConfig).length +
+    (trimConfigValue(process.env.HMAC_SECRET) && !nextConfig.hmacEnvSecretRetired ? 1 : 0);
+
+  if (remaining === 0) {
+    throw new Error("At least one tab signing secret must stay active.");
+  }
+}
+
+export function removeHaloHmacSecret(id) {
+  const previousConfig = readRuntimeOverrides();
+  const existing = readHmacSecretOverrides(previousConfig);
+  if (!existing.some(entry => entry.id === id)) {
+    throw new Error("Tab signing secret not found.");
+  }
+
+  const nextConfig = {
+    ...previousConfig,
+    hmacSecrets: existing.filter(entry => entry.id !== id),
+    updatedAt: new Date().toISOString()
+  };
+  assertHmacSecretRemains(nextConfig);
+  writeRuntimeOverrides(nextConfig);
+}
+
+// Retiring stops accepting HMAC_SECRET without editing .env; restoring
+// accepts it again.
+export function setHaloHmacEnvSecretRetired(retired) {
+  const previousConfig = readRuntimeOverrides();
+  const nextConfig = {
+    ...previousConfig,
+    hmacEnvSecretRetired: Boolean(retired),
+    updatedAt: new Date().toISOString()
+  };
+  assertHmacSecretRemains(nextConfig);
+  writeRuntimeOverrides(nextConfig);
+}
+
+// Webhook signing key from the Xero developer portal (Webhooks tab).
+// 0 keeps audit records forever.
+export function getFinanceAuditRetentionDays() {
+  return nonNegativeIntegerEnv("FINANCE_AUDIT_RETENTION_DAYS", DEFAULT_FINANCE_AUDIT_RETENTION_DAYS);
+}
+
 export function getGoCardlessWebhookSecret() {
   const overrides = readRuntimeOverrides();
   return String(overrides.gocardlessWebhookSecret || process.env.GOCARDLESS_WEBHOOK_SECRET || "").trim();
@@ -497,3 +904,100 @@ export function clearAlertConfigOverride() {
 
   return getAlertSettings();
 }
+
+// -------------------------------------------------
+// FINANCE ACCESS POLICY
+// Which Halo agents see full financials in the tab. Entries are Halo team,
+// role or department names (or numeric IDs); lib/agent-access-utils.js does
+// the matching. Agents matching nothing get fallbackAccess.
+// -------------------------------------------------
+function parsePolicyList(value) {
+  const entries = Array.isArray(value) ? value : String(value || "").split(/\r?\n/);
+  const unique = [...new Set(entries.map(entry => String(entry).trim()).filter(Boolean))];
+
+  if (unique.length > MAX_FINANCE_ACCESS_POLICY_ENTRIES) {
+    throw new Error(`Finance access lists are limited to ${MAX_FINANCE_ACCESS_POLICY_ENTRIES} entries each.`);
+  }
+
+  return unique;
+}
+
+function readPolicyRuleSet(ruleSet) {
+  return Object.fromEntries(
+    FINANCE_ACCESS_POLICY_FIELDS.map(field => {
+      try {
+        return [field, parsePolicyList(ruleSet?.[field])];
+      } catch (err) {
+        console.error(`Invalid runtime config value for finance access ${field}:`, err.message);
+        return [field, []];
+      }
+    })
+  );
+}
+
+function countPolicyEntries(ruleSet) {
+  return FINANCE_ACCESS_POLICY_FIELDS.reduce((total, field) => total + ruleSet[field].length, 0);
+}
+
+export function getFinanceAccessPolicy() {
+  const overrides = readRuntimeOverrides();
+  const stored = overrides.financeAccessPolicy || {};
+  const agentCacheSeconds = positiveIntegerEnv("AGENT_ACCESS_CACHE_SECONDS", DEFAULT_AGENT_ACCESS_CACHE_SECONDS);
+
+  return {
+    enabled: Boolean(stored.enabled),
+    full: readPolicyRuleSet(stored.full),
+    balances: readPolicyRuleSet(stored.balances),
+    fallbackAccess: FINANCE_ACCESS_FALLBACK_LEVELS.includes(stored.fallbackAccess)
+      ? stored.fallbackAccess
+      : DEFAULT_FINANCE_ACCESS_FALLBACK,
+    fallbackAccessLevels: FINANCE_ACCESS_FALLBACK_LEVELS,
+    agentCacheSeconds,
+    agentCacheHuman: formatDuration(agentCacheSeconds),
+    updatedAt: stored.updatedAt || null,
+    updatedBy: stored.updatedBy || null
+  };
+}
+
+export function updateFinanceAccessPolicy(input, updatedBy = null) {
+  const previousConfig = readRuntimeOverrides();
+  const enabled = input.enabled === "true" || input.enabled === true;
+  const fallbackAccess = String(input.fallbackAccess || DEFAULT_FINANCE_ACCESS_FALLBACK).trim().toLowerCase();
+
+  if (!FINANCE_ACCESS_FALLBACK_LEVELS.includes(fallbackAccess)) {
+    throw new Error(`Default access must be one of: ${FINANCE_ACCESS_FALLBACK_LEVELS.join(", ")}.`);
+  }
+
+  const full = {
+    teams: parsePolicyList(input.fullTeams),
+    roles: parsePolicyList(input.fullRoles),
+    departments: parsePolicyList(input.fullDepartments)
+  };
+  const balances = {
+    teams: parsePolicyList(input.balancesTeams),
+    roles: parsePolicyList(input.balancesRoles),
+    departments: parsePolicyList(input.balancesDepartments)
+  };
+
+  // Enabling an empty policy would lock every agent out of the tab.
+  if (enabled && countPolicyEntries(full) === 0) {
+    throw new Error("Add at least one team, role or department with full access before enabling the policy.");
+  }
+
+  const nextConfig = {
+    ...previousConfig,
+    financeAccessPolicy: {
+      enabled,
+      full,
+      balances,
+      fallbackAccess,
+      updatedAt: new Date().toISOString(),
+      updatedBy: updatedBy || null
+    },
+    updatedAt: new Date().toISOString()
+  };
+
+  writeRuntimeOverrides(nextConfig);
+
+  return getFinanceAccessPolicy();
+}
@@ -12,7 +12,9 @@ export const pgPool = new Pool({
   user: process.env.DB_USER,
   password: String(process.env.DB_PASSWORD),
   database: process.env.DB_NAME,
-  ssl: process.env.DB_SSL === "true"
+  ssl: process.env.DB_SSL === "true",
+  // Fail a query instead of queueing forever when every client is busy.
+  connectionTimeoutMillis: Number(process.env.DB_CONNECTION_TIMEOUT_MS || 10_000)
 });
 
 pgPool.on("connect", () => {
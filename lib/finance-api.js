@@ -0,0 +1,170 @@
+// lib/finance-api.js
+// -------------------------------------------------
+// Versioned JSON shape for /api/v1/finance.
+// The cached finance payload is an internal structure shared with the EJS
+// views; this module maps it onto the documented field names so internal
+// refactors do not break dashboards and scripts reading the API.
+// Add fields freely, but renaming or removing one needs a new version.
+// -------------------------------------------------
+
+export const FINANCE_API_VERSION = 1;
+
+function toMoney(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function serialiseRow(row) {
+  return {
+    type: row.type,
+    number: row.number || "",
+    date: row.date || null,
+    dueDate: row.due || null,
+    status: row.status || "",
+    reference: row.reference || "",
+    currency: row.currency,
+    currencyRate: Number(row.currencyRate) || 1,
+    total: toMoney(row.total),
+    balance: toMoney(row.balance),
+    baseTotal: toMoney(row.baseTotal ?? row.total),
+    baseBalance: toMoney(row.baseBalance ?? row.balance),
+    ageBucket: row.ageBucket || null,
+    isOverdue: Boolean(row.isOverdue),
+    invoiceId: row.invoiceId || null,
+    creditId: row.creditId || null,
+    onlineInvoiceUrl: row.xeroUrl || null,
+    payments: (row.payments || []).map(payment => ({
+      date: payment.date || null,
+      amount: toMoney(payment.amount),
+      reference: payment.reference || ""
+    }))
+  };
+}
+
+function serialiseMandate(mandate) {
+  if (!mandate) return null;
+
+  return {
+    id: mandate.id,
+    reference: mandate.reference || "",
+    status: mandate.status,
+    statusLabel: mandate.statusLabel || mandate.status,
+    scheme: mandate.scheme || null,
+    nextPossibleChargeDate: mandate.nextPossibleChargeDate || null,
+    dashboardUrl: mandate.dashboardUrl || null
+  };
+}
+
+// Mapping rows and raw GoCardless API fields stay internal.
+function serialiseGoCardless(goCardless) {
+  const summary = goCardless || {};
+
+  return {
+    configured: Boolean(summary.configured),
+    mapped: Boolean(summary.mapped),
+    state: summary.state || "not_configured",
+    hasActiveMandate: Boolean(summary.hasActiveMandate),
+    customer: summary.customer
+      ? {
+          id: summary.customer.id,
+          name: summary.customer.name,
+          email: summary.customer.email || null,
+          dashboardUrl: summary.customer.dashboardUrl || null
+        }
+      : null,
+    primaryMandate: serialiseMandate(summary.primaryMandate),
+    mandates: (summary.mandates || []).map(serialiseMandate),
+    error: summary.state === "error" ? String(summary.error || "") : null
+  };
+}
+
+function serialiseCurrencyBalances(currencyBalances) {
+  return (currencyBalances || []).map(entry => ({
+    currency: entry.currency,
+    account: toMoney(entry.accountBal),
+    overdue: toMoney(entry.overdueBal),
+    baseAccount: toMoney(entry.baseAccountBal),
+    baseOverdue: toMoney(entry.baseOverdueBal)
+  }));
+}
+
+// Balances only; the other organisations' rows are not part of the API.
+function serialiseOtherOrganisation(organisation) {
+  return {
+    xeroTenantId: organisation.tenantId,
+    tenantName: organisation.tenantName || "",
+    xeroContactId: organisation.contactId,
+    contactName: organisation.contactName || "",
+    balances: organisation.error
+      ? null
+      : {
+          baseCurrency: organisation.baseCurrency,
+          account: toMoney(organisation.accountBal),
+          overdue: toMoney(organisation.overdueBal),
+          multiCurrency: Boolean(organisation.multiCurrency),
+          currencies: serialiseCurrencyBalances(organisation.currencyBalances),
+          truncated: Boolean(organisation.truncated)
+        },
+    fetchedAt: organisation.fetchedAt || null,
+    error: organisation.error || null
+  };
+}
+
+export function buildFinanceApiPayload(
+  data,
+  {
+    contactId,
+    cacheStatus,
+    cacheTtlSeconds,
+    xeroUnavailable = null,
+    access = "full",
+    otherOrganisations = []
+  }
+) {
+  return {
+    apiVersion: FINANCE_API_VERSION,
+    // "balances" when the agent access policy limits the caller; rows is
+    // then empty.
+    access,
+    client: {
+      name: data.clientName,
+      xeroContactId: contactId,
+      xeroTenantId: data.xeroTenantId || null,
+      tenantName: data.xeroTenantName || null
+    },
+    balances: {
+      baseCurrency: data.baseCurrency,
+      account: toMoney(data.accountBal),
+      overdue: toMoney(data.overdueBal),
+      multiCurrency: Boolean(data.multiCurrency),
+      currencies: serialiseCurrencyBalances(data.currencyBalances),
+      // The invoice page limit cut the list short, so the totals above are
+      // missing the oldest invoices.
+      truncated: Boolean(data.invoiceHistory?.truncated)
+    },
+    // The same client's balances in the other connected Xero organisations.
+    otherOrganisations: otherOrganisations.map(serialiseOtherOrganisation),
+    aging: data.aging
+      ? {
+          source: data.aging.source,
+          buckets: data.aging.buckets.map(bucket => ({ label: bucket.label, amount: toMoney(bucket.amount) })),
+          total: toMoney(data.aging.total)
+        }
+      : null,
+    invoiceHistory: data.invoiceHistory
+      ? {
+          shown: data.invoiceHistory.shown,
+          total: data.invoiceHistory.total ?? null,
+          historyMonths: data.invoiceHistory.historyMonths,
+          truncated: Boolean(data.invoiceHistory.truncated)
+        }
+      : null,
+    rows: access === "full" ? (data.rows || []).map(serialiseRow) : [],
+    goCardless: serialiseGoCardless(data.goCardless),
+    cache: {
+      status: cacheStatus,
+      ttlSeconds: cacheTtlSeconds,
+      fetchedAt: data.fetchedAt || null,
+      xeroUnavailable
+    }
+  };
+}
@@ -0,0 +1,116 @@
+// lib/finance-audit-utils.js
+// -------------------------------------------------
+// Filter parsing and WHERE-clause building for the finance audit admin
+// pages. Kept free of Postgres so it can be unit tested.
+// -------------------------------------------------
+export const FINANCE_AUDIT_ACTIONS = {
+  view: "Viewed",
+  refresh: "Refreshed",
+  api_view: "API view",
+  restricted: "Access restricted",
+  export_pdf: "Statement PDF",
+  export_excel: "Statement Excel",
+  activity_pdf: "Activity PDF",
+  activity_excel: "Activity Excel",
+  export_csv: "CSV export",
+  export_json: "JSON export",
+  invoice_pdf: "Invoice PDF"
+};
+
+export const FINANCE_AUDIT_PAGE_SIZE = 50;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const XERO_GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function queryText(value, maxLength) {
+  return typeof value === "string" ? value.trim().slice(0, maxLength) : "";
+}
+
+function parseDateFilter(value, label, errors) {
+  const text = queryText(value, 10);
+  if (!text) return "";
+
+  const parsed = new Date(`${text}T00:00:00Z`);
+  if (!DATE_PATTERN.test(text) || Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== text) {
+    errors.push(`${label} date must be YYYY-MM-DD.`);
+    return "";
+  }
+
+  return text;
+}
+
+export function parseFinanceAuditFilters(query = {}) {
+  const errors = [];
+  const from = parseDateFilter(query.from, "From", errors);
+  const to = parseDateFilter(query.to, "To", errors);
+  const page = Number.parseInt(queryText(query.page, 6), 10);
+
+  if (from && to && from > to) {
+    errors.push("From date must be on or before the To date.");
+  }
+
+  return {
+    q: queryText(query.q, 120),
+    action: Object.hasOwn(FINANCE_AUDIT_ACTIONS, query.action) ? query.action : "all",
+    agentId: /^\d{1,10}$/.test(queryText(query.agentId, 10)) ? queryText(query.agentId, 10) : "",
+    from: errors.length ? "" : from,
+    to: errors.length ? "" : to,
+    page: Number.isInteger(page) && page > 0 ? page : 1,
+    errors
+  };
+}
+
+// Audit rows store contact GUIDs lowercased.
+export function parseFinanceAuditContactId(value) {
+  const guid = String(value || "").trim().toLowerCase();
+  return XERO_GUID_PATTERN.test(guid) ? guid : null;
+}
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+// contactId scopes the query to one client for the per-client page.
+export function buildFinanceAuditWhere(filters, { contactId = null } = {}) {
+  const clauses = [];
+  const params = [];
+  const addParam = value => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (contactId) {
+    const guid = parseFinanceAuditContactId(contactId);
+    if (!guid) throw new Error("Invalid Xero contact GUID.");
+    clauses.push(`xero_contact_guid = ${addParam(guid)}`);
+  }
+
+  if (filters.action && filters.action !== "all") {
+    clauses.push(`action = ${addParam(filters.action)}`);
+  }
+
+  if (filters.agentId) {
+    clauses.push(`agent_id = ${addParam(filters.agentId)}`);
+  }
+
+  if (filters.from) {
+    clauses.push(`occurred_at >= ${addParam(filters.from)}::date`);
+  }
+
+  if (filters.to) {
+    clauses.push(`occurred_at < ${addParam(filters.to)}::date + 1`);
+  }
+
+  if (filters.q) {
+    const pattern = addParam(`%${escapeLike(filters.q)}%`);
+    clauses.push(
+      `(agent_name ILIKE ${pattern} OR agent_id ILIKE ${pattern} OR halo_client_name ILIKE ${pattern}` +
+        ` OR xero_contact_guid ILIKE ${pattern} OR halo_client_id::text ILIKE ${pattern})`
+    );
+  }
+
+  return {
+    where: clauses.length ? `WHERE ${clauses.join(" AND ")}` : "",
+    params
+  };
+}
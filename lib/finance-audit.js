@@ -0,0 +1,191 @@
+// lib/finance-audit.js
+// -------------------------------------------------
+// Who looked at or downloaded a client's finance data. One row per tab
+// view, refresh and export, kept for FINANCE_AUDIT_RETENTION_DAYS.
+// -------------------------------------------------
+import { getHaloAgentProfile } from "./agent-access.js";
+import { getFinanceAuditRetentionDays } from "./config.js";
+import { pgPool } from "./db.js";
+import { buildFinanceAuditWhere, FINANCE_AUDIT_PAGE_SIZE } from "./finance-audit-utils.js";
+import { getHaloConfigStatus } from "./halo.js";
+
+const PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+let ensurePromise = null;
+let lastPrunedAt = 0;
+
+export function ensureFinanceAuditTable() {
+  if (!ensurePromise) {
+    ensurePromise = (async () => {
+      await pgPool.query("CREATE SCHEMA IF NOT EXISTS halo");
+      await pgPool.query(`
+        CREATE TABLE IF NOT EXISTS halo.finance_audit_event (
+          id bigserial PRIMARY KEY,
+          occurred_at timestamptz NOT NULL DEFAULT now(),
+          action text NOT NULL,
+          agent_id text,
+          agent_name text,
+          halo_client_id integer,
+          halo_client_name text,
+          xero_contact_guid text,
+          cache_status text,
+          access_level text,
+          request_path text,
+          detail jsonb
+        )
+      `);
+      await pgPool.query(`
+        CREATE INDEX IF NOT EXISTS finance_audit_event_occurred_idx
+        ON halo.finance_audit_event (occurred_at DESC)
+      `);
+      await pgPool.query(`
+        CREATE INDEX IF NOT EXISTS finance_audit_event_contact_idx
+        ON halo.finance_audit_event (xero_contact_guid, occurred_at DESC)
+      `);
+      await pgPool.query(`
+        CREATE INDEX IF NOT EXISTS finance_audit_event_agent_idx
+        ON halo.finance_audit_event (agent_id, occurred_at DESC)
+      `);
+    })().catch(err => {
+      ensurePromise = null;
+      throw err;
+    });
+  }
+
+  return ensurePromise;
+}
+
+// Uses the agent cache shared with the access policy, so repeat views by the
+// same agent do not call Halo again.
+async function resolveAgentName(agentId) {
+  if (!/^\d+$/.test(String(agentId || "")) || !getHaloConfigStatus().configured) return null;
+
+  const profile = await getHaloAgentProfile(agentId);
+  return profile.agent?.name || null;
+}
+
+function pruneFinanceAuditEvents() {
+  const retentionDays = getFinanceAuditRetentionDays();
+  if (!retentionDays || Date.now() - lastPrunedAt < PRUNE_INTERVAL_MS) return;
+
+  lastPrunedAt = Date.now();
+  pgPool
+    .query("DELETE FROM halo.finance_audit_event WHERE occurred_at < now() - ($1::int * INTERVAL '1 day')", [
+      retentionDays
+    ])
+    .catch(err => console.warn("⚠️ Finance audit prune failed:", err.message));
+}
+
+// Never rejects: an audit write failing must not fail or slow the request, so
+// callers do not await it.
+export async function recordFinanceAuditEvent(event) {
+  try {
+    await ensureFinanceAuditTable();
+    const agentName = event.agentName || (await resolveAgentName(event.agentId).catch(() => null));
+
+    await pgPool.query(
+      `
+      INSERT INTO halo.finance_audit_event (
+        action,
+        agent_id,
+        agent_name,
+        halo_client_id,
+        halo_client_name,
+        xero_contact_guid,
+        cache_status,
+        access_level,
+        request_path,
+        detail
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10::jsonb)
+      `,
+      [
+        event.action,
+        event.agentId ? String(event.agentId) : null,
+        agentName || null,
+        event.haloClientId || null,
+        event.haloClientName || null,
+        event.contactId ? String(event.contactId).toLowerCase() : null,
+        event.cacheStatus || null,
+        event.accessLevel || null,
+        event.requestPath || null,
+        event.detail ? JSON.stringify(event.detail) : null
+      ]
+    );
+
+    pruneFinanceAuditEvents();
+  } catch (err) {
+    console.warn("⚠️ Finance audit write failed:", { action: event.action, error: err.message });
+  }
+}
+
+export async function searchFinanceAuditEvents(filters, { contactId = null, pageSize = FINANCE_AUDIT_PAGE_SIZE } = {}) {
+  await ensureFinanceAuditTable();
+
+  const { where, params } = buildFinanceAuditWhere(filters, { contactId });
+  const offset = (filters.page - 1) * pageSize;
+
+  const [{ rows }, { rows: countRows }] = await Promise.all([
+    pgPool.query(
+      `
+      SELECT *
+      FROM halo.finance_audit_event
+      ${where}
+      ORDER BY occurred_at DESC, id DESC
+      LIMIT ${pageSize} OFFSET ${offset}
+      `,
+      params
+    ),
+    pgPool.query(`SELECT COUNT(*)::int AS total FROM halo.finance_audit_event ${where}`, params)
+  ]);
+
+  return {
+    events: rows,
+    total: countRows[0]?.total || 0,
+    page: filters.page,
+    pageCount: Math.max(1, Math.ceil((countRows[0]?.total || 0) / pageSize))
+  };
+}
+
+// Per-client page header: the names this client has been seen under and who
+// has looked at it, most recent first.
+export async function getFinanceAuditClientSummary(contactId) {
+  await ensureFinanceAuditTable();
+
+  const { params } = buildFinanceAuditWhere({}, { contactId });
+
+  const [{ rows: clientRows }, { rows: agentRows }] = await Promise.all([
+    pgPool.query(
+      `
+      SELECT halo_client_name, MAX(halo_client_id) AS halo_client_id, MAX(occurred_at) AS last_seen_at
+      FROM halo.finance_audit_event
+      WHERE xero_contact_guid = $1 AND halo_client_name IS NOT NULL
+      GROUP BY halo_client_name
+      ORDER BY last_seen_at DESC
+      `,
+      params
+    ),
+    pgPool.query(
+      `
+      SELECT
+        agent_id,
+        MAX(agent_name) AS agent_name,
+        COUNT(*) FILTER (WHERE action IN ('view', 'refresh', 'api_view'))::int AS views,
+        COUNT(*) FILTER (WHERE action LIKE 'export_%' OR action LIKE 'activity_%' OR action = 'invoice_pdf')::int AS downloads,
+        MAX(occurred_at) AS last_seen_at
+      FROM halo.finance_audit_event
+      WHERE xero_contact_guid = $1
+      GROUP BY agent_id
+      ORDER BY last_seen_at DESC
+      LIMIT 50
+      `,
+      params
+    )
+  ]);
+
+  return {
+    contactId: params[0],
+    clientNames: clientRows,
+    agents: agentRows
+  };
+}
@@ -0,0 +1,279 @@
+// lib/finance-cache.js
+// -------------------------------------------------
+// Finance payload cache with pluggable backends.
+//   memory   - per-process NodeCache (default, single worker)
+//   postgres - halo.finance_cache, shared by every widget worker and
+//              surviving restarts, so export links work on any worker;
+//              falls back to memory while Postgres is unreachable
+// Select with FINANCE_CACHE_BACKEND. Entries expire after the finance cache
+// TTL that was active when they were written; readers additionally apply
+// isFinanceCacheEntryFresh with the current TTL so an admin TTL change takes
+// effect immediately.
+// -------------------------------------------------
+import { randomUUID } from "crypto";
+import os from "os";
+
+import NodeCache from "node-cache";
+
+import { getRuntimeConfig } from "./config.js";
+import { pgPool } from "./db.js";
+
+// The holder renews its refresh lease while the refresh runs, however long
+// Xero pacing makes it; a lease left by a crashed worker simply expires.
+const LOCK_LEASE_SECONDS = 90;
+const LOCK_RENEW_MS = 30_000;
+const LOCK_WAIT_MS = 30_000;
+const LOCK_POLL_MS = 250;
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+export function isFinanceCacheEntryFresh(cached, ttlSeconds) {
+  if (!cached?.fetchedAt) return false;
+
+  const fetchedAt = new Date(cached.fetchedAt).getTime();
+  if (!Number.isFinite(fetchedAt)) return false;
+
+  return Date.now() - fetchedAt <= ttlSeconds * 1000;
+}
+
+// -------------------------------------------------
+// MEMORY BACKEND
+// -------------------------------------------------
+const memoryCache = new NodeCache({
+  stdTTL: 0,
+  useClones: false
+});
+
+const memoryBackend = {
+  name: "memory",
+
+  async get(key) {
+    return memoryCache.get(key) || null;
+  },
+
+  async set(key, value, ttlSeconds) {
+    memoryCache.set(key, value, ttlSeconds);
+  },
+
+  async del(key) {
+    memoryCache.del(key);
+  },
+
+  // Same-process callers are already de-duplicated by the caller's
+  // in-flight map; there is nobody else to coordinate with.
+  async withRefreshLock(_key, fn) {
+    return fn({ waited: false });
+  }
+};
+
+// -------------------------------------------------
+// POSTGRES BACKEND
+// -------------------------------------------------
+let ensurePromise = null;
+let lastPrunedAt = 0;
+
+function ensureFinanceCacheTable() {
+  if (!ensurePromise) {
+    ensurePromise = (async () => {
+      await pgPool.query("CREATE SCHEMA IF NOT EXISTS halo");
+      await pgPool.query(`
+        CREATE TABLE IF NOT EXISTS halo.finance_cache (
+          cache_key text PRIMARY KEY,
+          payload jsonb NOT NULL,
+          fetched_at timestamptz NOT NULL,
+          expires_at timestamptz NOT NULL,
+          updated_at timestamptz NOT NULL DEFAULT now()
+        )
+      `);
+      await pgPool.query(`
+        CREATE INDEX IF NOT EXISTS finance_cache_expires_idx
+        ON halo.finance_cache (expires_at)
+      `);
+      await pgPool.query(`
+        CREATE TABLE IF NOT EXISTS halo.finance_refresh_lock (
+          cache_key text PRIMARY KEY,
+          holder text NOT NULL,
+          expires_at timestamptz NOT NULL
+        )
+      `);
+    })().catch(err => {
+      ensurePromise = null;
+      throw err;
+    });
+  }
+
+  return ensurePromise;
+}
+
+function pruneExpiredEntries() {
+  if (Date.now() - lastPrunedAt < PRUNE_INTERVAL_MS) return;
+  lastPrunedAt = Date.now();
+
+  pgPool
+    .query("DELETE FROM halo.finance_cache WHERE expires_at < now()")
+    .catch(err => console.warn("⚠️ Finance cache prune failed:", err.message));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+const postgresBackend = {
+  name: "postgres",
+
+  async get(key) {
+    await ensureFinanceCacheTable();
+
+    const { rows } = await pgPool.query(
+      "SELECT payload FROM halo.finance_cache WHERE cache_key = $1 AND expires_at > now()",
+      [key]
+    );
+    return rows[0]?.payload || null;
+  },
+
+  async set(key, value, ttlSeconds) {
+    await ensureFinanceCacheTable();
+
+    await pgPool.query(
+      `
+      INSERT INTO halo.finance_cache (cache_key, payload, fetched_at, expires_at, updated_at)
+      VALUES ($1, $2::jsonb, $3, now() + ($4::int * INTERVAL '1 second'), now())
+      ON CONFLICT (cache_key) DO UPDATE SET
+        payload = EXCLUDED.payload,
+        fetched_at = EXCLUDED.fetched_at,
+        expires_at = EXCLUDED.expires_at,
+        updated_at = now()
+      `,
+      [key, JSON.stringify(value), value.fetchedAt || new Date().toISOString(), ttlSeconds]
+    );
+    pruneExpiredEntries();
+  },
+
+  async del(key) {
+    await ensureFinanceCacheTable();
+    await pgPool.query("DELETE FROM halo.finance_cache WHERE cache_key = $1", [key]);
+  },
+
+  // Lease row in halo.finance_refresh_lock rather than an advisory lock: each
+  // attempt and renewal is a single pooled query, so a slow refresh never
+  // pins one of the pool's connections while fn calls Xero. After
+  // LOCK_WAIT_MS, or if Postgres cannot be reached, the caller proceeds
+  // without the lease.
+  async withRefreshLock(key, fn) {
+    const holder = `${os.hostname()}:${process.pid}:${randomUUID()}`;
+    const startedAt = Date.now();
+    let locked = false;
+
+    try {
+      await ensureFinanceCacheTable();
+      while (!locked) {
+        const { rowCount } = await pgPool.query(
+          `
+          INSERT INTO halo.finance_refresh_lock (cache_key, holder, expires_at)
+          VALUES ($1, $2, now() + ($3::int * INTERVAL '1 second'))
+          ON CONFLICT (cache_key) DO UPDATE SET
+            holder = EXCLUDED.holder,
+            expires_at = EXCLUDED.expires_at
+          WHERE halo.finance_refresh_lock.expires_at <= now()
+          `,
+          [key, holder, LOCK_LEASE_SECONDS]
+        );
+        locked = rowCount === 1;
+        if (locked || Date.now() - startedAt >= LOCK_WAIT_MS) break;
+        await sleep(LOCK_POLL_MS);
+      }
+
+      if (!locked) {
+        console.warn("⚠️ Finance refresh lock wait timed out; refreshing without it:", key);
+      }
+    } catch (err) {
+      console.warn("⚠️ Finance refresh lock unavailable; refreshing without it:", key, err.message);
+    }
+
+    const renewal = locked
+      ? setInterval(() => {
+          pgPool
+            .query(
+              `
+              UPDATE halo.finance_refresh_lock
+              SET expires_at = now() + ($3::int * INTERVAL '1 second')
+              WHERE cache_key = $1 AND holder = $2
+              `,
+              [key, holder, LOCK_LEASE_SECONDS]
+            )
+            .catch(err => console.warn("⚠️ Finance refresh lease renewal failed:", key, err.message));
+        }, LOCK_RENEW_MS)
+      : null;
+    renewal?.unref();
+
+    try {
+      return await fn({ waited: Date.now() - startedAt >= LOCK_POLL_MS });
+    } finally {
+      clearInterval(renewal);
+      if (locked) {
+        await pgPool
+          .query("DELETE FROM halo.finance_refresh_lock WHERE cache_key = $1 AND holder = $2", [key, holder])
+          .catch(err => console.warn("⚠️ Finance refresh unlock failed:", err.message));
+      }
+    }
+  }
+};
+
+// -------------------------------------------------
+// PUBLIC API
+// -------------------------------------------------
+const BACKENDS = {
+  memory: memoryBackend,
+  postgres: postgresBackend
+};
+
+export function getFinanceCacheKey(contactId) {
+  return `finance:${contactId}`;
+}
+
+// Refresh jobs and the metrics page only see cache keys; anything that is not
+// a finance entry for a Xero contact maps to null.
+export function getContactIdFromCacheKey(cacheKey) {
+  const contactId = String(cacheKey || "").replace(/^finance:/, "");
+  return /^[0-9a-fA-F-]{36}$/.test(contactId) ? contactId : null;
+}
+
+// The finance tab's GoCardless panel is cached in the same store under its
+// own key and TTL (GOCARDLESS_CACHE_TTL_SECONDS).
+export function getGoCardlessCacheKey(contactId) {
+  return `gocardless:${String(contactId || "").toLowerCase()}`;
+}
+
+export function getFinanceCacheBackend() {
+  return BACKENDS[getRuntimeConfig().financeCacheBackend] || memoryBackend;
+}
+
+// A Postgres outage degrades to this worker's memory cache instead of failing
+// the tab; entries written meanwhile are local to the worker, as with the
+// memory backend.
+async function withMemoryFallback(operation, key, run) {
+  const backend = getFinanceCacheBackend();
+  if (backend === memoryBackend) return run(memoryBackend);
+
+  try {
+    return await run(backend);
+  } catch (err) {
+    console.warn(`⚠️ Finance cache ${operation} failed; using memory:`, key, err.message);
+    return run(memoryBackend);
+  }
+}
+
+export function getFinanceCacheEntry(key) {
+  return withMemoryFallback("read", key, backend => backend.get(key));
+}
+
+export function setFinanceCacheEntry(key, value, ttlSeconds) {
+  return withMemoryFallback("write", key, backend => backend.set(key, value, ttlSeconds));
+}
+
+export function deleteFinanceCacheEntry(key) {
+  return withMemoryFallback("delete", key, backend => backend.del(key));
+}
+
+export function withFinanceRefreshLock(key, fn) {
+  return getFinanceCacheBackend().withRefreshLock(key, fn);
+}
@@ -0,0 +1,314 @@
+// lib/finance-export.js
+// -------------------------------------------------
+// Spreadsheet and CSV builders for the finance exports.
+// Works from the cached finance payload built in server.js; routes handle
+// token checks and send the results.
+// -------------------------------------------------
+
+const MONEY_FORMAT = "#,##0.00;-#,##0.00";
+const ACTIVITY_MONEY_FORMAT = "#,##0.00;(#,##0.00)";
+const RATE_FORMAT = "0.000000";
+const DATE_FORMAT = "yyyy-mm-dd";
+
+// One definition for both the CSV and the Excel transactions sheet, so the
+// two formats always carry the same columns in the same order.
+const TRANSACTION_COLUMNS = [
+  { key: "date", header: "Date", width: 12, type: "date" },
+  { key: "type", header: "Type", width: 14 },
+  { key: "number", header: "Number", width: 18 },
+  { key: "reference", header: "Reference", width: 24 },
+  { key: "status", header: "Status", width: 12 },
+  { key: "due", header: "Due Date", width: 12, type: "date" },
+  { key: "ageBucket", header: "Age Bucket", width: 11 },
+  { key: "isOverdue", header: "Overdue", width: 9, type: "boolean" },
+  { key: "currency", header: "Currency", width: 9 },
+  { key: "currencyRate", header: "Currency Rate", width: 13, type: "rate" },
+  { key: "total", header: "Total", width: 14, type: "money" },
+  { key: "balance", header: "Balance", width: 14, type: "money" },
+  { key: "baseTotal", header: "Base Total", width: 14, type: "money" },
+  { key: "baseBalance", header: "Base Balance", width: 14, type: "money" },
+  { key: "invoiceId", header: "Invoice ID", width: 38 },
+  { key: "creditId", header: "Credit ID", width: 38 }
+];
+
+function roundMoney(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function toExcelDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+  return match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+}
+
+function getTransactionValue(row, column) {
+  const value = row[column.key];
+
+  switch (column.type) {
+    case "money":
+      return roundMoney(value);
+    case "rate":
+      return Number(value) || 1;
+    case "boolean":
+      return Boolean(value);
+    default:
+      return value ?? "";
+  }
+}
+
+export function describeGoCardlessState(goCardless) {
+  if (!goCardless?.configured) return "GoCardless not configured";
+  if (goCardless.state === "unavailable") return "GoCardless temporarily unavailable";
+  if (!goCardless.mapped) return "No GoCardless customer mapped";
+  if (goCardless.state === "error") return "GoCardless lookup failed";
+  if (goCardless.hasActiveMandate) return "Mandate active";
+  if (goCardless.primaryMandate) return `Mandate ${goCardless.primaryMandate.statusLabel || goCardless.primaryMandate.status}`;
+  return "No mandate found";
+}
+
+// -------------------------------------------------
+// CSV
+// -------------------------------------------------
+
+// Quotes per RFC 4180 and neutralises text that spreadsheet apps would
+// otherwise evaluate as a formula (client-entered references can contain
+// anything). Numbers are written as-is so negatives stay numeric.
+function csvCell(value) {
+  if (typeof value === "number") return String(value);
+  if (typeof value === "boolean") return value ? "true" : "false";
+
+  let text = String(value ?? "");
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function buildTransactionsCsv(rows) {
+  const lines = [TRANSACTION_COLUMNS.map(column => csvCell(column.header)).join(",")];
+
+  for (const row of rows || []) {
+    lines.push(TRANSACTION_COLUMNS.map(column => csvCell(getTransactionValue(row, column))).join(","));
+  }
+
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+// -------------------------------------------------
+// EXCEL
+// -------------------------------------------------
+
+// Rows 1-4 of every sheet identify the statement; data starts below.
+function addHeaderBlock(ws, title, { clientName, tenantName, asAt }) {
+  ws.addRow([title]).font = { bold: true, size: 14 };
+  ws.addRow(["Client", clientName]);
+  ws.addRow(["Tenant", tenantName]);
+  ws.addRow(["As at", asAt]);
+  [2, 3, 4].forEach(rowNumber => {
+    ws.getRow(rowNumber).getCell(1).font = { bold: true };
+  });
+}
+
+function addTableHeader(ws, headers) {
+  const row = ws.addRow(headers);
+  row.font = { bold: true };
+  row.eachCell(cell => {
+    cell.fill = { type: "pattern", pattern: "solid", fgColor: { argb: "FFF3F4F6" } };
+    cell.border = { bottom: { style: "thin", color: { argb: "FFD1D5DB" } } };
+  });
+  return row;
+}
+
+function addTransactionsSheet(wb, data, meta) {
+  const ws = wb.addWorksheet("Transactions");
+  addHeaderBlock(ws, `${data.clientName} — Statement`, meta);
+  ws.addRow(["Base currency", data.baseCurrency]);
+  ws.getRow(5).getCell(1).font = { bold: true };
+  ws.addRow([]);
+
+  TRANSACTION_COLUMNS.forEach((column, index) => {
+    ws.getColumn(index + 1).width = column.width;
+  });
+
+  const headerRow = addTableHeader(ws, TRANSACTION_COLUMNS.map(column => column.header));
+
+  for (const row of data.rows || []) {
+    const excelRow = ws.addRow(
+      TRANSACTION_COLUMNS.map(column => {
+        const value = getTransactionValue(row, column);
+        if (column.type === "date") return toExcelDate(value);
+        if (column.type === "boolean") return value ? "Yes" : "";
+        return value;
+      })
+    );
+
+    TRANSACTION_COLUMNS.forEach((column, index) => {
+      const cell = excelRow.getCell(index + 1);
+      if (column.type === "date") cell.numFmt = DATE_FORMAT;
+      if (column.type === "money") cell.numFmt = MONEY_FORMAT;
+      if (column.type === "rate") cell.numFmt = RATE_FORMAT;
+    });
+  }
+
+  const lastDataRow = ws.rowCount;
+  ws.autoFilter = {
+    from: { row: headerRow.number, column: 1 },
+    to: { row: Math.max(lastDataRow, headerRow.number), column: TRANSACTION_COLUMNS.length }
+  };
+  ws.views = [{ state: "frozen", ySplit: headerRow.number }];
+
+  // Totals sit below a blank row so the autofilter range excludes them.
+  const totalColumn = TRANSACTION_COLUMNS.findIndex(column => column.key === "total") + 1;
+  const currencyColumn = TRANSACTION_COLUMNS.findIndex(column => column.key === "currency") + 1;
+  ws.addRow([]);
+
+  const addTotalRow = (label, currency, total, balance) => {
+    const row = ws.addRow([]);
+    row.getCell(1).value = label;
+    row.getCell(currencyColumn).value = currency;
+    row.getCell(totalColumn).value = roundMoney(total);
+    row.getCell(totalColumn + 1).value = roundMoney(balance);
+    row.getCell(totalColumn).numFmt = MONEY_FORMAT;
+    row.getCell(totalColumn + 1).numFmt = MONEY_FORMAT;
+    row.font = { bold: true };
+  };
+
+  meta.totals.currencyTotals.forEach(entry => {
+    addTotalRow("Totals", entry.currency, entry.total, entry.balance);
+  });
+  if (meta.totals.multiCurrency) {
+    addTotalRow(
+      `Total (${meta.totals.baseCurrency} equivalent)`,
+      meta.totals.baseCurrency,
+      meta.totals.totalAmount,
+      meta.totals.totalBalance
+    );
+  }
+
+  return ws;
+}
+
+function addAgingSheet(wb, data, meta) {
+  const ws = wb.addWorksheet("Aging");
+  const aging = meta.aging;
+
+  addHeaderBlock(ws, "Aged Receivables", meta);
+  ws.addRow([
+    "Source",
+    aging.source === "xero" ? "Xero AgedReceivablesByContact report" : "Estimated from invoice due dates"
+  ]);
+  ws.getRow(5).getCell(1).font = { bold: true };
+  ws.addRow([]);
+  ws.getColumn(1).width = 18;
+  ws.getColumn(2).width = 18;
+
+  addTableHeader(ws, ["Bucket", `Amount (${data.baseCurrency})`]);
+  aging.buckets.forEach(bucket => {
+    ws.addRow([bucket.label, roundMoney(bucket.amount)]).getCell(2).numFmt = MONEY_FORMAT;
+  });
+
+  const totalRow = ws.addRow(["Total", roundMoney(aging.total)]);
+  totalRow.font = { bold: true };
+  totalRow.getCell(2).numFmt = MONEY_FORMAT;
+
+  return ws;
+}
+
+function addGoCardlessSheet(wb, data, meta) {
+  const ws = wb.addWorksheet("GoCardless");
+  const goCardless = data.goCardless || {};
+
+  addHeaderBlock(ws, "GoCardless Direct Debit", meta);
+  ws.addRow(["Status", describeGoCardlessState(goCardless)]);
+  ws.addRow(["Customer", goCardless.customer?.name || goCardless.mapping?.gocardless_customer_id || ""]);
+  [5, 6].forEach(rowNumber => {
+    ws.getRow(rowNumber).getCell(1).font = { bold: true };
+  });
+  ws.addRow([]);
+
+  [18, 20, 16, 12, 20, 50].forEach((width, index) => {
+    ws.getColumn(index + 1).width = width;
+  });
+
+  const mandates = goCardless.mandates || [];
+  if (!mandates.length) {
+    ws.addRow(["No GoCardless mandates for this client."]);
+    return ws;
+  }
+
+  addTableHeader(ws, ["Mandate ID", "Reference", "Status", "Scheme", "Next Possible Charge", "Dashboard"]);
+  mandates.forEach(mandate => {
+    const row = ws.addRow([
+      mandate.id,
+      mandate.reference || "",
+      mandate.statusLabel || mandate.status,
+      mandate.scheme || "",
+      toExcelDate(mandate.nextPossibleChargeDate),
+      mandate.dashboardUrl ? { text: mandate.dashboardUrl, hyperlink: mandate.dashboardUrl } : ""
+    ]);
+    row.getCell(5).numFmt = DATE_FORMAT;
+  });
+
+  return ws;
+}
+
+// meta: { tenantName, totals (getStatementTotals), aging }
+export function addStatementWorkbookSheets(wb, data, meta) {
+  const sheetMeta = {
+    ...meta,
+    clientName: data.clientName,
+    asAt: data.asAt
+  };
+
+  addTransactionsSheet(wb, data, sheetMeta);
+  addAgingSheet(wb, data, sheetMeta);
+  addGoCardlessSheet(wb, data, sheetMeta);
+}
+
+export function addActivityStatementSheet(wb, data, statement, { tenantName }) {
+  const ws = wb.addWorksheet("Activity Statement");
+
+  ws.columns = [
+    { key: "date", width: 14 },
+    { key: "type", width: 16 },
+    { key: "number", width: 20 },
+    { key: "reference", width: 28 },
+    { key: "debit", width: 14 },
+    { key: "credit", width: 14 },
+    { key: "balance", width: 14 }
+  ];
+  ["debit", "credit", "balance"].forEach(key => {
+    ws.getColumn(key).numFmt = ACTIVITY_MONEY_FORMAT;
+  });
+
+  addHeaderBlock(ws, `${data.clientName} — Activity Statement`, {
+    clientName: data.clientName,
+    tenantName,
+    asAt: data.asAt
+  });
+  ws.addRow(["Period", `${statement.from} to ${statement.to}`]).getCell(1).font = { bold: true };
+
+  if (!statement.currencies.length) {
+    ws.addRow([]);
+    ws.addRow(["No activity up to the end of this period."]);
+    return ws;
+  }
+
+  for (const section of statement.currencies) {
+    ws.addRow([]);
+    ws.addRow([`Currency: ${section.currency}`]).font = { bold: true };
+    addTableHeader(ws, ["Date", "Type", "Number", "Reference", "Debit", "Credit", "Balance"]);
+    ws.addRow({
+      date: statement.from,
+      type: "Opening balance",
+      balance: section.openingBalance
+    }).font = { italic: true };
+    section.lines.forEach(line => ws.addRow(line));
+    ws.addRow({
+      date: statement.to,
+      type: "Closing balance",
+      debit: section.totalDebits,
+      credit: section.totalCredits,
+      balance: section.closingBalance
+    }).font = { bold: true };
+  }
+
+  return ws;
+}
@@ -0,0 +1,116 @@
+// lib/finance-snapshots.js
+// -------------------------------------------------
+// Last known-good finance payload per contact, kept in Postgres whatever the
+// cache backend so it survives restarts. The widget serves it while a stale
+// entry revalidates in the background, and when Xero is unavailable.
+// -------------------------------------------------
+import { pgPool } from "./db.js";
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+let ensurePromise = null;
+let lastPrunedAt = 0;
+
+// Rate limits, 5xx responses and timeouts / network failures of a Xero call,
+// plus an open Xero circuit. Only axios errors (and the client's own rate
+// limit error, shaped like an axios 429) qualify: a Postgres or code error
+// raised while building the payload also carries a code but is not an outage.
+export function isXeroUnavailableError(err) {
+  if (err?.code === "ECIRCUITOPEN") return err.upstream === "xero";
+  if (!err?.isAxiosError && !err?.config && err?.name !== "XeroRateLimitError") return false;
+
+  const status = err.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return Boolean(err.request);
+}
+
+export function describeXeroUnavailable(err) {
+  const status = err?.response?.status;
+  if (err?.code === "ECIRCUITOPEN") return "Xero temporarily unavailable";
+  if (status === 429) return "Xero rate limit hit";
+  if (status) return `Xero returned ${status}`;
+  if (err?.code === "ECONNABORTED" || err?.code === "ETIMEDOUT") return "Xero timed out";
+  return "Xero unreachable";
+}
+
+export function ensureFinanceSnapshotsTable() {
+  if (!ensurePromise) {
+    ensurePromise = (async () => {
+      await pgPool.query("CREATE SCHEMA IF NOT EXISTS halo");
+      await pgPool.query(`
+        CREATE TABLE IF NOT EXISTS halo.finance_snapshots (
+          cache_key text PRIMARY KEY,
+          payload jsonb NOT NULL,
+          fetched_at timestamptz NOT NULL,
+          updated_at timestamptz NOT NULL DEFAULT now()
+        )
+      `);
+      await pgPool.query(`
+        ALTER TABLE halo.finance_snapshots
+          ADD COLUMN IF NOT EXISTS invalidated_at timestamptz
+      `);
+    })().catch(err => {
+      ensurePromise = null;
+      throw err;
+    });
+  }
+
+  return ensurePromise;
+}
+
+// Invalidated snapshots (Xero reported a change since) are still a valid
+// outage fallback but should not be served as if nothing had changed.
+export async function getFinanceSnapshot(cacheKey, maxAgeSeconds, { includeInvalidated = true } = {}) {
+  await ensureFinanceSnapshotsTable();
+
+  const { rows } = await pgPool.query(
+    `
+    SELECT payload
+    FROM halo.finance_snapshots
+    WHERE cache_key = $1
+      AND fetched_at > now() - ($2::int * INTERVAL '1 second')
+      AND ($3 OR invalidated_at IS NULL)
+    `,
+    [cacheKey, maxAgeSeconds, includeInvalidated]
+  );
+  return rows[0]?.payload || null;
+}
+
+// Never replaces a snapshot with an older one, so a slow refresh finishing
+// after a faster one cannot roll the snapshot back.
+export async function saveFinanceSnapshot(cacheKey, data, maxAgeSeconds) {
+  await ensureFinanceSnapshotsTable();
+
+  await pgPool.query(
+    `
+    INSERT INTO halo.finance_snapshots (cache_key, payload, fetched_at, updated_at)
+    VALUES ($1, $2::jsonb, $3, now())
+    ON CONFLICT (cache_key) DO UPDATE SET
+      payload = EXCLUDED.payload,
+      fetched_at = EXCLUDED.fetched_at,
+      invalidated_at = NULL,
+      updated_at = now()
+    WHERE halo.finance_snapshots.fetched_at <= EXCLUDED.fetched_at
+    `,
+    [cacheKey, JSON.stringify(data), data.fetchedAt || new Date().toISOString()]
+  );
+
+  if (Date.now() - lastPrunedAt >= PRUNE_INTERVAL_MS) {
+    lastPrunedAt = Date.now();
+    pgPool
+      .query(
+        "DELETE FROM halo.finance_snapshots WHERE fetched_at < now() - ($1::int * INTERVAL '1 second')",
+        [maxAgeSeconds]
+      )
+      .catch(err => console.warn("⚠️ Finance snapshot prune failed:", err.message));
+  }
+}
+
+export async function invalidateFinanceSnapshot(cacheKey) {
+  await ensureFinanceSnapshotsTable();
+
+  await pgPool.query(
+    "UPDATE halo.finance_snapshots SET invalidated_at = now() WHERE cache_key = $1 AND invalidated_at IS NULL",
+    [cacheKey]
+  );
+}
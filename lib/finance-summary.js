@@ -0,0 +1,322 @@
+// lib/finance-summary.js
+// -------------------------------------------------
+// Pure balance maths for the finance ledger rows built in server.js.
+// Shared by the widget view and the PDF / Excel exports so every
+// surface nets credits and converts currencies the same way.
+// -------------------------------------------------
+
+function roundMoney(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+// Xero returns nested dates either as DateString or in the legacy
+// "/Date(1518685950940+0000)/" form.
+export function parseXeroDate(value, dateString) {
+  if (dateString) return String(dateString).slice(0, 10);
+
+  const match = /\/Date\((-?\d+)/.exec(value || "");
+  if (match) return new Date(Number(match[1])).toISOString().slice(0, 10);
+
+  return value ? String(value).slice(0, 10) : "";
+}
+
+// Xero's CurrencyRate is units of the document currency per one unit of the
+// organisation's base currency, so the base equivalent divides by the rate.
+export function toBaseAmount(amount, currencyRate) {
+  const rate = Number(currencyRate);
+  const value = Number(amount) || 0;
+  return Number.isFinite(rate) && rate > 0 ? value / rate : value;
+}
+
+function emptyCurrencyTotals(currency) {
+  return {
+    currency,
+    total: 0,
+    balance: 0,
+    overdue: 0,
+    credit: 0,
+    baseTotal: 0,
+    baseBalance: 0,
+    baseOverdue: 0,
+    baseCredit: 0
+  };
+}
+
+export function summariseByCurrency(rows, baseCurrency) {
+  const byCurrency = new Map();
+
+  for (const row of rows || []) {
+    const currency = row.currency || baseCurrency;
+    const entry = byCurrency.get(currency) || emptyCurrencyTotals(currency);
+    const balance = Number(row.balance) || 0;
+    const baseBalance = Number(row.baseBalance ?? balance) || 0;
+
+    entry.total += Number(row.total) || 0;
+    entry.baseTotal += Number(row.baseTotal ?? row.total) || 0;
+    entry.balance += balance;
+    entry.baseBalance += baseBalance;
+
+    if (row.isOverdue) {
+      entry.overdue += balance;
+      entry.baseOverdue += baseBalance;
+    } else if (balance < 0) {
+      entry.credit += balance;
+      entry.baseCredit += baseBalance;
+    }
+
+    byCurrency.set(currency, entry);
+  }
+
+  // Unallocated credit can be applied to overdue invoices in the same
+  // currency, but a client in credit is never "negative overdue".
+  const currencies = [...byCurrency.values()]
+    .map(entry => ({
+      currency: entry.currency,
+      total: roundMoney(entry.total),
+      balance: roundMoney(entry.balance),
+      overdue: roundMoney(Math.max(0, entry.overdue + entry.credit)),
+      baseTotal: roundMoney(entry.baseTotal),
+      baseBalance: roundMoney(entry.baseBalance),
+      baseOverdue: roundMoney(Math.max(0, entry.baseOverdue + entry.baseCredit))
+    }))
+    .sort((a, b) => {
+      if (a.currency === baseCurrency) return -1;
+      if (b.currency === baseCurrency) return 1;
+      return a.currency.localeCompare(b.currency);
+    });
+
+  return {
+    baseCurrency,
+    currencies,
+    multiCurrency: currencies.some(entry => entry.currency !== baseCurrency),
+    total: roundMoney(currencies.reduce((sum, entry) => sum + entry.baseTotal, 0)),
+    balance: roundMoney(currencies.reduce((sum, entry) => sum + entry.baseBalance, 0)),
+    overdue: roundMoney(currencies.reduce((sum, entry) => sum + entry.baseOverdue, 0))
+  };
+}
+
+// -------------------------------------------------
+// ACTIVITY STATEMENT
+// Rebuilds account movements from the cached ledger rows: documents
+// (invoices, credit notes, overpayments, prepayments) plus the cash
+// payments and refunds Xero lists against them. Allocations between
+// documents move no money, so they are not separate movements.
+// -------------------------------------------------
+const STATEMENT_STATUSES = new Set(["AUTHORISED", "PAID"]);
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export function parseStatementPeriod(from, to) {
+  const fromDate = String(from || "").trim();
+  const toDate = String(to || "").trim();
+
+  if (!DATE_ONLY_PATTERN.test(fromDate) || !DATE_ONLY_PATTERN.test(toDate)) {
+    return { valid: false, error: "Statement period must use YYYY-MM-DD dates." };
+  }
+
+  const validDate = value => {
+    const parsed = new Date(`${value}T00:00:00.000Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+  };
+
+  if (!validDate(fromDate) || !validDate(toDate)) {
+    return { valid: false, error: "Statement period contains an invalid date." };
+  }
+
+  if (fromDate > toDate) {
+    return { valid: false, error: "Statement start date must be on or before the end date." };
+  }
+
+  return { valid: true, from: fromDate, to: toDate };
+}
+
+function buildActivityEvents(rows, baseCurrency) {
+  const events = [];
+
+  for (const row of rows || []) {
+    if (row.status && !STATEMENT_STATUSES.has(row.status)) continue;
+    if (row.type === "Invoice" && row.xeroType && row.xeroType !== "ACCREC") continue;
+    if (!row.date) continue;
+
+    const currency = row.currency || baseCurrency;
+    const isInvoice = row.type === "Invoice";
+
+    events.push({
+      date: row.date,
+      order: 0,
+      currency,
+      type: row.type,
+      number: row.number || "",
+      reference: row.reference || "",
+      amount: Number(row.total) || 0
+    });
+
+    // Payments reduce an invoice; payments against a credit are refunds
+    // paid back to the client and so increase what they owe.
+    for (const payment of row.payments || []) {
+      if (!payment.date) continue;
+      const amount = Number(payment.amount) || 0;
+
+      events.push({
+        date: payment.date,
+        order: 1,
+        currency,
+        type: isInvoice ? "Payment" : "Refund",
+        number: row.number || "",
+        reference: payment.reference || "",
+        amount: isInvoice ? -amount : amount
+      });
+    }
+  }
+
+  return events;
+}
+
+export function buildActivityStatement(rows, { from, to, baseCurrency }) {
+  const byCurrency = new Map();
+  const events = buildActivityEvents(rows, baseCurrency).sort(
+    (a, b) => a.date.localeCompare(b.date) || a.order - b.order
+  );
+
+  for (const event of events) {
+    if (event.date > to) continue;
+
+    const section = byCurrency.get(event.currency) || {
+      currency: event.currency,
+      openingBalance: 0,
+      lines: [],
+      totalDebits: 0,
+      totalCredits: 0,
+      closingBalance: 0
+    };
+
+    if (event.date < from) {
+      section.openingBalance += event.amount;
+    } else {
+      const running = section.openingBalance + section.totalDebits + section.totalCredits + event.amount;
+      if (event.amount >= 0) section.totalDebits += event.amount;
+      else section.totalCredits += event.amount;
+
+      section.lines.push({
+        date: event.date,
+        type: event.type,
+        number: event.number,
+        reference: event.reference,
+        debit: event.amount >= 0 ? roundMoney(event.amount) : 0,
+        credit: event.amount < 0 ? roundMoney(-event.amount) : 0,
+        balance: roundMoney(running)
+      });
+    }
+
+    byCurrency.set(event.currency, section);
+  }
+
+  const currencies = [...byCurrency.values()]
+    .map(section => ({
+      currency: section.currency,
+      openingBalance: roundMoney(section.openingBalance),
+      lines: section.lines,
+      totalDebits: roundMoney(section.totalDebits),
+      totalCredits: roundMoney(-section.totalCredits),
+      closingBalance: roundMoney(section.openingBalance + section.totalDebits + section.totalCredits)
+    }))
+    .sort((a, b) => {
+      if (a.currency === baseCurrency) return -1;
+      if (b.currency === baseCurrency) return 1;
+      return a.currency.localeCompare(b.currency);
+    });
+
+  return { from, to, baseCurrency, currencies };
+}
+
+// -------------------------------------------------
+// Aged receivables
+// Xero's AgedReceivablesByContact report is the source of truth for the
+// aging strip; the per-row buckets are only a fallback when it fails.
+// -------------------------------------------------
+export const AGING_BUCKETS = ["Current", "1-30", "31-60", "61-90", "90+"];
+
+function buildAgingSummary(source, amounts) {
+  const buckets = AGING_BUCKETS.map(label => ({ label, amount: roundMoney(amounts[label]) }));
+  return {
+    source,
+    buckets,
+    total: roundMoney(buckets.reduce((sum, bucket) => sum + bucket.amount, 0))
+  };
+}
+
+// Local fallback: outstanding invoice balances in base currency, bucketed by
+// the ageBucket assigned when the row was built. Unallocated credit has no due
+// date, so it is not spread across buckets here.
+export function summariseAgingFromRows(rows) {
+  const amounts = {};
+
+  for (const row of rows || []) {
+    if (!AGING_BUCKETS.includes(row.ageBucket)) continue;
+    amounts[row.ageBucket] = (amounts[row.ageBucket] || 0) + (Number(row.baseBalance ?? row.balance) || 0);
+  }
+
+  return buildAgingSummary("local", amounts);
+}
+
+// Xero labels its columns by month ("< 1 Month", "1 Month", "Older") or by
+// day range ("1 - 30 days") depending on the report settings.
+function getAgingColumnBucket(label) {
+  const text = String(label || "").trim().toLowerCase();
+  if (!text) return null;
+  if (text.includes("total")) return "total";
+  if (text.includes("current")) return "Current";
+  if (text.includes("older") || text.includes("+")) return "90+";
+
+  const days = /(\d+)\s*(?:-\s*\d+\s*)?day/.exec(text);
+  if (days) {
+    const start = Number(days[1]);
+    if (start <= 30) return "1-30";
+    if (start <= 60) return "31-60";
+    if (start <= 90) return "61-90";
+    return "90+";
+  }
+
+  if (/<\s*1\s*month/.test(text)) return "1-30";
+  const months = /(\d+)\s*month/.exec(text);
+  if (months) {
+    const count = Number(months[1]);
+    if (count <= 1) return "31-60";
+    if (count === 2) return "61-90";
+    return "90+";
+  }
+
+  return null;
+}
+
+function collectReportRows(rows, type, found = []) {
+  for (const row of rows || []) {
+    if (row.RowType === type) found.push(row);
+    if (Array.isArray(row.Rows)) collectReportRows(row.Rows, type, found);
+  }
+  return found;
+}
+
+// Returns null when the report has no recognisable aging columns so the
+// caller can fall back to the local computation.
+export function parseAgedReceivablesReport(report) {
+  const rows = report?.Rows || [];
+  const header = rows.find(row => row.RowType === "Header");
+  if (!header) return null;
+
+  const columns = (header.Cells || []).map(cell => getAgingColumnBucket(cell.Value));
+  if (!columns.some(bucket => AGING_BUCKETS.includes(bucket))) return null;
+
+  const summaryRows = collectReportRows(rows, "SummaryRow");
+  const valueRows = summaryRows.length ? summaryRows.slice(-1) : collectReportRows(rows, "Row");
+  const amounts = {};
+
+  for (const row of valueRows) {
+    (row.Cells || []).forEach((cell, index) => {
+      const bucket = columns[index];
+      if (!AGING_BUCKETS.includes(bucket)) return;
+      amounts[bucket] = (amounts[bucket] || 0) + (Number(String(cell.Value ?? "").replace(/,/g, "")) || 0);
+    });
+  }
+
+  return buildAgingSummary("xero", amounts);
+}
@@ -1,4 +1,5 @@
 import { getGoCardlessWebhookSecret } from "./config.js";
+import { deleteFinanceCacheEntry, getGoCardlessCacheKey } from "./finance-cache.js";
 import { getGoCardlessMandateById } from "./gocardless.js";
 import { getGoCardlessMappingsForCustomerId } from "./gocardless-map.js";
 import { updateHaloDirectDebitFieldForMapping } from "./halo-direct-debit.js";
@@ -65,6 +66,12 @@ async function processMandateEvent(eventInfo) {
     haloSync.mappings = mappings.length;
 
     for (const mapping of mappings) {
+      // The finance tab's Direct Debit panel picks the new status up on its
+      // next load instead of after the cache TTL.
+      await deleteFinanceCacheEntry(getGoCardlessCacheKey(mapping.xero_contact_guid)).catch(err => {
+        console.warn("⚠️ GoCardless panel cache invalidation failed:", mapping.xero_contact_guid, err.message);
+      });
+
       try {
         const result = await updateHaloDirectDebitFieldForMapping(mapping);
         if (result.updated) haloSync.updated += 1;
@@ -1,8 +1,9 @@
 import axios from "axios";
 
-import { getGoCardlessAccessToken } from "./config.js";
+import { getUpstreamTimeoutMs, isCircuitOpen, isCircuitOpenError, withCircuitBreaker } from "./circuit-breaker.js";
+import { getGoCardlessAccessToken, getUpstreamBaseUrls } from "./config.js";
 import { pgPool } from "./db.js";
-import { getXeroHeaders } from "./xero.js";
+import { xeroGet } from "./xero-client.js";
 import {
   getGoCardlessMappingForXeroGuid,
   getGoCardlessMappingsForCustomerId,
@@ -26,13 +27,9 @@ import {
   summariseStoredMandateState,
   upsertGoCardlessMandateStateFromApi
 } from "./gocardless-webhook-store.js";
+import { getXeroTenantIdForContact } from "./resolver.js";
 
 const GOCARDLESS_VERSION = "2015-07-06";
-const XERO_API_BASE_URL = "https://api.xero.com/api.xro/2.0";
-const LIVE_API_BASE_URL = "https://api.gocardless.com";
-const SANDBOX_API_BASE_URL = "https://api-sandbox.gocardless.com";
-const LIVE_DASHBOARD_BASE_URL = "https://manage.gocardless.com";
-const SANDBOX_DASHBOARD_BASE_URL = "https://manage-sandbox.gocardless.com";
 const PROBLEM_PAYMENT_STATUSES = new Set([
   "failed",
   "cancelled",
@@ -42,16 +39,14 @@ const PROBLEM_PAYMENT_STATUSES = new Set([
 const XERO_GUID_PATTERN =
   /\b[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}\b/g;
 
+// Live or sandbox hosts per GOCARDLESS_ENVIRONMENT, unless overridden (see
+// getUpstreamBaseUrls).
 function getApiBaseUrl() {
-  return process.env.GOCARDLESS_ENVIRONMENT === "sandbox"
-    ? SANDBOX_API_BASE_URL
-    : LIVE_API_BASE_URL;
+  return getUpstreamBaseUrls().goCardlessApi;
 }
 
 function getDashboardBaseUrl() {
-  return process.env.GOCARDLESS_ENVIRONMENT === "sandbox"
-    ? SANDBOX_DASHBOARD_BASE_URL
-    : LIVE_DASHBOARD_BASE_URL;
+  return getUpstreamBaseUrls().goCardlessDashboard;
 }
 
 function goCardlessCustomerUrl(customerId) {
@@ -76,21 +71,14 @@ function getGoCardlessHeaders() {
 }
 
 async function goCardlessGet(path, params = {}) {
-  const response = await axios.get(`${getApiBaseUrl()}${path}`, {
-    headers: getGoCardlessHeaders(),
-    params,
-    timeout: 10000
-  });
-
-  return response.data;
-}
-
-async function xeroGet(path, params = {}) {
-  const response = await axios.get(`${XERO_API_BASE_URL}${path}`, {
-    headers: await getXeroHeaders(),
-    params,
-    timeout: 10000
-  });
+  const headers = getGoCardlessHeaders();
+  const response = await withCircuitBreaker("gocardless", () =>
+    axios.get(`${getApiBaseUrl()}${path}`, {
+      headers,
+      params,
+      timeout: getUpstreamTimeoutMs("gocardless")
+    })
+  );
 
   return response.data;
 }
@@ -151,14 +139,17 @@ function extractGuidsFromValue(value, found = new Set()) {
   return found;
 }
 
-async function getUniqueXeroContactByEmail(email, cache = new Map()) {
+// priority is the shared Xero client's: the scheduled auto-map runs as
+// background work, admin pages and the widget as interactive.
+async function getUniqueXeroContactByEmail(email, cache = new Map(), priority = "interactive") {
   const normalisedEmail = normaliseEmail(email);
   if (!normalisedEmail) return { contact: null, matchCount: 0 };
   if (cache.has(normalisedEmail)) return cache.get(normalisedEmail);
 
   try {
     const data = await xeroGet("/Contacts", {
-      where: `EmailAddress=="${escapeXeroWhereString(normalisedEmail)}"`
+      priority,
+      params: { where: `EmailAddress=="${escapeXeroWhereString(normalisedEmail)}"` }
     });
     const matches = (data.Contacts || []).filter(
       contact => normaliseEmail(contact.EmailAddress) === normalisedEmail && contact.ContactID
@@ -180,7 +171,9 @@ async function getUniqueXeroContactByEmail(email, cache = new Map()) {
 async function getXeroContactByGuid(xeroContactGuid) {
   if (!xeroContactGuid) return null;
 
-  const data = await xeroGet(`/Contacts/${encodeURIComponent(xeroContactGuid)}`);
+  // The contact may belong to a non-default Xero organisation.
+  const tenantId = await getXeroTenantIdForContact(xeroContactGuid);
+  const data = await xeroGet(`/Contacts/${encodeURIComponent(xeroContactGuid)}`, { tenantId });
   return data.Contacts?.[0] || null;
 }
 
@@ -922,7 +915,7 @@ export async function autoMapGoCardlessCustomersByXeroGuid() {
       skipped.ambiguousName += 1;
     }
 
-    const xeroEmailMatch = await getUniqueXeroContactByEmail(customer.email, xeroEmailCache);
+    const xeroEmailMatch = await getUniqueXeroContactByEmail(customer.email, xeroEmailCache, "background");
     if (xeroEmailMatch.matchCount === 0) {
       skipped.noEmailMatch += 1;
       continue;
@@ -1087,18 +1080,23 @@ export async function getGoCardlessSummaryForXeroGuid(xeroContactGuid, haloClien
     return { configured: false, mapped: false, state: "not_configured" };
   }
 
+  // Auto-mapping searches GoCardless, so it is skipped while the circuit is
+  // open; the mapping can still be read from Postgres.
+  const goCardlessDown = isCircuitOpen("gocardless");
   let mapping = await getGoCardlessMappingForXeroGuid(xeroContactGuid);
-  if (!mapping && haloClientName) {
+  if (!mapping && haloClientName && !goCardlessDown) {
     await autoMapGoCardlessCustomerByHaloName(xeroContactGuid, haloClientName);
     mapping = await getGoCardlessMappingForXeroGuid(xeroContactGuid);
   }
-  if (!mapping) {
+  if (!mapping && !goCardlessDown) {
     await autoMapGoCardlessCustomerByXeroEmail(xeroContactGuid, haloClientName);
     mapping = await getGoCardlessMappingForXeroGuid(xeroContactGuid);
   }
 
   if (!mapping) {
-    return { configured: true, mapped: false, state: "not_mapped" };
+    return goCardlessDown
+      ? { configured: true, mapped: false, state: "unavailable" }
+      : { configured: true, mapped: false, state: "not_mapped" };
   }
 
   try {
@@ -1156,7 +1154,7 @@ export async function getGoCardlessSummaryForXeroGuid(xeroContactGuid, haloClien
     return {
       configured: true,
       mapped: true,
-      state: "error",
+      state: isCircuitOpenError(err) ? "unavailable" : "error",
       mapping,
       error: err.response?.status || err.message
     };
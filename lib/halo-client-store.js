@@ -0,0 +1,92 @@
+// lib/halo-client-store.js
+// -------------------------------------------------
+// Writes to halo.halo_client shared by the scheduled contact sync and the
+// Xero contact webhook. `db` is any pg Pool or client.
+//
+// With several Xero organisations, halo.halo_client keeps one contact per
+// client name (the first organisation to supply it), and every contact is
+// also recorded per organisation in halo.xero_tenant_contact so the widget
+// can find the same client in the other organisations.
+// -------------------------------------------------
+
+let ensurePromise = null;
+
+export function ensureXeroTenantContactTable(db) {
+  if (!ensurePromise) {
+    ensurePromise = (async () => {
+      await db.query("CREATE SCHEMA IF NOT EXISTS halo");
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS halo.xero_tenant_contact (
+          xero_contact_guid text PRIMARY KEY,
+          xero_tenant_id text NOT NULL,
+          contact_name text NOT NULL,
+          xero_contact_number text,
+          updated_at timestamptz NOT NULL DEFAULT now()
+        )
+      `);
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS xero_tenant_contact_name_idx
+        ON halo.xero_tenant_contact (lower(contact_name))
+      `);
+    })().catch(err => {
+      ensurePromise = null;
+      throw err;
+    });
+  }
+
+  return ensurePromise;
+}
+
+// Returns false for contacts the table cannot hold (no ID or name).
+export async function upsertHaloClientFromXeroContact(db, contact, tenantId = null) {
+  if (!contact?.ContactID || !contact?.Name) return false;
+
+  const name = contact.Name.trim();
+  const contactId = contact.ContactID.toLowerCase();
+
+  // Another organisation's contact with the same name never replaces the
+  // client's existing mapping.
+  await db.query(
+    `
+    INSERT INTO halo.halo_client
+      (halo_client_name, xero_contact_guid, xero_contact_number, xero_tenant_id)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (halo_client_name)
+    DO UPDATE SET
+      xero_contact_guid = EXCLUDED.xero_contact_guid,
+      xero_contact_number = EXCLUDED.xero_contact_number,
+      xero_tenant_id = EXCLUDED.xero_tenant_id,
+      updated_at = now()
+    WHERE halo.halo_client.xero_tenant_id IS NULL
+      OR EXCLUDED.xero_tenant_id IS NULL
+      OR lower(halo.halo_client.xero_tenant_id) = lower(EXCLUDED.xero_tenant_id)
+      OR lower(halo.halo_client.xero_contact_guid) = lower(EXCLUDED.xero_contact_guid)
+    `,
+    [
+      name,
+      contact.ContactID,
+      contact.ContactNumber || null,
+      tenantId || null
+    ]
+  );
+
+  if (tenantId) {
+    await ensureXeroTenantContactTable(db);
+    await db.query(
+      `
+      INSERT INTO halo.xero_tenant_contact
+        (xero_contact_guid, xero_tenant_id, contact_name, xero_contact_number)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (xero_contact_guid)
+      DO UPDATE SET
+        xero_tenant_id = EXCLUDED.xero_tenant_id,
+        contact_name = EXCLUDED.contact_name,
+        xero_contact_number = EXCLUDED.xero_contact_number,
+        updated_at = now()
+      `,
+      [contactId, String(tenantId).toLowerCase(), name, contact.ContactNumber || null]
+    );
+  }
+
+  return true;
+}
@@ -1,11 +1,11 @@
 import axios from "axios";
 import dotenv from "dotenv";
+import { getUpstreamTimeoutMs, withCircuitBreaker } from "./circuit-breaker.js";
 import { getHaloApiConfig, getHaloApiSettings } from "./config.js";
 
 dotenv.config();
 
 const TOKEN_REFRESH_BUFFER_MS = 60_000;
-const DEFAULT_TIMEOUT_MS = 10_000;
 
 let cachedToken = {
   accessToken: null,
@@ -78,13 +78,15 @@ export async function getHaloAccessToken() {
     body.set("scope", config.scopes);
   }
 
-  const response = await axios.post(`${config.authServerUrl}/token`, body, {
-    headers: {
-      "Content-Type": "application/x-www-form-urlencoded",
-      Accept: "application/json"
-    },
-    timeout: DEFAULT_TIMEOUT_MS
-  });
+  const response = await withCircuitBreaker("halo", () =>
+    axios.post(`${config.authServerUrl}/token`, body, {
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        Accept: "application/json"
+      },
+      timeout: getUpstreamTimeoutMs("halo")
+    })
+  );
 
   const accessToken = response.data?.access_token;
   if (!accessToken) {
@@ -119,11 +121,13 @@ export async function haloGet(path, params = {}) {
   const config = requireHaloConfig();
   const headers = await getHaloHeaders();
 
-  const response = await axios.get(`${config.resourceServerUrl}${normalisePath(path)}`, {
-    headers,
-    params,
-    timeout: DEFAULT_TIMEOUT_MS
-  });
+  const response = await withCircuitBreaker("halo", () =>
+    axios.get(`${config.resourceServerUrl}${normalisePath(path)}`, {
+      headers,
+      params,
+      timeout: getUpstreamTimeoutMs("halo")
+    })
+  );
 
   return response.data;
 }
@@ -132,13 +136,15 @@ export async function haloPost(path, payload = {}) {
   const config = requireHaloConfig();
   const headers = await getHaloHeaders();
 
-  const response = await axios.post(`${config.resourceServerUrl}${normalisePath(path)}`, payload, {
-    headers: {
-      ...headers,
-      "Content-Type": "application/json"
-    },
-    timeout: DEFAULT_TIMEOUT_MS
-  });
+  const response = await withCircuitBreaker("halo", () =>
+    axios.post(`${config.resourceServerUrl}${normalisePath(path)}`, payload, {
+      headers: {
+        ...headers,
+        "Content-Type": "application/json"
+      },
+      timeout: getUpstreamTimeoutMs("halo")
+    })
+  );
 
   return response.data;
 }
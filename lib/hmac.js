@@ -1,19 +1,96 @@
 // lib/hmac.js
 import crypto from "crypto";
 
-export function validateHaloHmac(req) {
-  const secret = process.env.HMAC_SECRET;
-  const received = req.query.hmac;
-  const agent = req.query.agentId;
+import { getHaloHmacSecrets, getRuntimeConfig } from "./config.js";
 
-  if (!secret || !received || !agent) {
-    return { valid: false };
+// Signed links may be generated slightly ahead of this server's clock.
+const MAX_CLOCK_SKEW_SECONDS = 60;
+
+// Signed-payload mode: one line each for version, agent, Halo client ID,
+// area and Unix timestamp (seconds). Missing client ID / area are empty.
+export function buildHaloHmacPayload({ agentId, clientId = "", area = "", timestamp }) {
+  return ["v1", agentId, clientId || "", area || "", timestamp].join("\n");
+}
+
+export function signHaloHmac(value, secret) {
+  return crypto.createHmac("sha256", secret).update(String(value)).digest("base64");
+}
+
+function safeBase64Equal(expected, received) {
+  const expectedBuffer = Buffer.from(expected, "base64");
+  const receivedBuffer = Buffer.from(String(received || ""), "base64");
+  return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+// Checks every active secret without stopping at the first match, so the
+// time taken does not reveal which secret (if any) signed the link.
+function findMatchingSecret(value, received, secrets) {
+  let match = null;
+  for (const entry of secrets) {
+    if (safeBase64Equal(signHaloHmac(value, entry.secret), received) && !match) {
+      match = entry;
+    }
   }
+  return match;
+}
+
+// Pure check used by validateHaloHmac. mode "legacy" also accepts the
+// agent-only $HMAC Halo generates; "signed" requires a timestamped payload.
+export function verifyHaloHmac(
+  { agentId, hmac, timestamp = null, clientId = "", area = "" },
+  { secrets, mode = "legacy", maxAgeSeconds, now = Date.now() }
+) {
+  if (!secrets?.length || !hmac || !agentId) {
+    return { valid: false, reason: "missing" };
+  }
+
+  if (timestamp === null || timestamp === undefined || timestamp === "") {
+    if (mode === "signed") return { valid: false, agent: agentId, reason: "signature_required" };
+
+    const secret = findMatchingSecret(agentId, hmac, secrets);
+    return secret
+      ? { valid: true, agent: agentId, mode: "agent", secretId: secret.id }
+      : { valid: false, agent: agentId, reason: "mismatch" };
+  }
+
+  const timestampText = String(timestamp).trim();
+  if (!/^\d{1,12}$/.test(timestampText)) {
+    return { valid: false, agent: agentId, reason: "bad_timestamp" };
+  }
+
+  const ageSeconds = Math.floor(now / 1000) - Number(timestampText);
+  if (ageSeconds > maxAgeSeconds || ageSeconds < -MAX_CLOCK_SKEW_SECONDS) {
+    return { valid: false, agent: agentId, reason: "expired" };
+  }
+
+  const payload = buildHaloHmacPayload({ agentId, clientId, area, timestamp: timestampText });
+  const secret = findMatchingSecret(payload, hmac, secrets);
+  return secret
+    ? { valid: true, agent: agentId, mode: "signed", secretId: secret.id }
+    : { valid: false, agent: agentId, reason: "mismatch" };
+}
+
+function queryString(value) {
+  return typeof value === "string" ? value : "";
+}
 
-  const expected = crypto
-    .createHmac("sha256", secret)
-    .update(agent)
-    .digest("base64");
+// area / clientId are the values the widget will act on (after the Halo
+// area rebuild), so a signed link cannot be replayed for another client.
+export function validateHaloHmac(req, { area = req.query.area, clientId = req.query.clientId } = {}) {
+  const runtimeConfig = getRuntimeConfig();
 
-  return { valid: expected === received, agent };
+  return verifyHaloHmac(
+    {
+      agentId: queryString(req.query.agentId),
+      hmac: queryString(req.query.hmac),
+      timestamp: queryString(req.query.ts),
+      clientId: queryString(clientId).trim(),
+      area: queryString(area)
+    },
+    {
+      secrets: getHaloHmacSecrets(),
+      mode: runtimeConfig.hmacSigningMode,
+      maxAgeSeconds: runtimeConfig.hmacMaxAgeSeconds
+    }
+  );
 }
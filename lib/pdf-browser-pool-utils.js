@@ -0,0 +1,69 @@
+// lib/pdf-browser-pool-utils.js
+// -------------------------------------------------
+// Render slots for the PDF browser pool: up to `concurrency` renders run at
+// once, up to `queueLimit` more wait in FIFO order, and the rest are turned
+// away. Kept free of Chromium so it can be unit tested.
+// -------------------------------------------------
+
+export function createRenderSlots() {
+  let active = 0;
+  const waiting = [];
+
+  return {
+    get active() {
+      return active;
+    },
+
+    get queued() {
+      return waiting.length;
+    },
+
+    // Resolves once a slot is held; returns null when the queue is full.
+    acquire({ concurrency, queueLimit }) {
+      if (active < concurrency) {
+        active += 1;
+        return Promise.resolve();
+      }
+      if (waiting.length >= queueLimit) return null;
+
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+
+    // The finishing render hands its slot straight to the next waiter, so
+    // `active` only drops when the queue is empty.
+    release() {
+      const next = waiting.shift();
+      if (next) {
+        next.resolve();
+      } else {
+        active = Math.max(0, active - 1);
+      }
+    },
+
+    rejectQueued(err) {
+      while (waiting.length) waiting.shift().reject(err);
+    }
+  };
+}
+
+// Remembers a failed Chromium launch so exports during the cool-down fall
+// back straight away instead of each paying for another launch attempt.
+export function createLaunchCooldown(cooldownMs) {
+  let failure = null;
+
+  return {
+    record(err, now = Date.now()) {
+      failure = { err, until: now + cooldownMs };
+    },
+
+    // The remembered error while the cool-down lasts, otherwise null.
+    current(now = Date.now()) {
+      if (failure && now >= failure.until) failure = null;
+      return failure?.err || null;
+    },
+
+    get until() {
+      return failure?.until ?? null;
+    }
+  };
+}
@@ -0,0 +1,231 @@
+// lib/pdf-browser-pool.js
+// -------------------------------------------------
+// One long-lived Chromium shared by every PDF export.
+// Renders run in their own page, capped at PDF_EXPORT_CONCURRENCY with a
+// bounded FIFO queue behind it. A crashed or hung browser is dropped and
+// relaunched on the next render or health check. A browser that cannot be
+// launched at all is not retried for five minutes.
+// -------------------------------------------------
+import puppeteer from "puppeteer";
+
+import { getRuntimeConfig } from "./config.js";
+import { createLaunchCooldown, createRenderSlots } from "./pdf-browser-pool-utils.js";
+
+const HEALTH_CHECK_INTERVAL_MS = 60_000;
+const HEALTH_CHECK_TIMEOUT_MS = 5_000;
+const SHUTDOWN_DRAIN_TIMEOUT_MS = 15_000;
+const LAUNCH_FAILURE_COOLDOWN_MS = 5 * 60_000;
+
+export class PdfExportQueueError extends Error {
+  constructor(message, statusCode = 503) {
+    super(message);
+    this.name = "PdfExportQueueError";
+    this.statusCode = statusCode;
+  }
+}
+
+// Chromium could not be started at all (missing binary, sandbox or shared
+// library problems), as opposed to a render failing in a running browser.
+export class PdfBrowserLaunchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PdfBrowserLaunchError";
+  }
+}
+
+let browserPromise = null;
+let healthTimer = null;
+let closing = false;
+const slots = createRenderSlots();
+const launchCooldown = createLaunchCooldown(LAUNCH_FAILURE_COOLDOWN_MS);
+const stats = {
+  launches: 0,
+  relaunches: 0,
+  completed: 0,
+  failed: 0,
+  lastTotalMs: null
+};
+
+function withTimeout(promise, timeoutMs, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function launchBrowser() {
+  stats.launches += 1;
+  if (stats.launches > 1) stats.relaunches += 1;
+
+  const launch = puppeteer
+    .launch({
+      headless: "new",
+      args: ["--no-sandbox", "--disable-setuid-sandbox"]
+    })
+    .then(browser => {
+      console.log("🖨️ PDF browser launched", { pid: browser.process()?.pid || null });
+      browser.on("disconnected", () => {
+        if (browserPromise === launch) browserPromise = null;
+        if (!closing) console.warn("⚠️ PDF browser disconnected; it will be relaunched on next use.");
+      });
+      return browser;
+    })
+    .catch(err => {
+      if (browserPromise === launch) browserPromise = null;
+      const launchError = new PdfBrowserLaunchError(err.message);
+      launchCooldown.record(launchError);
+      console.warn("⚠️ PDF browser launch failed; not retrying for five minutes:", err.message);
+      throw launchError;
+    });
+
+  return launch;
+}
+
+async function getBrowser() {
+  const launchFailure = launchCooldown.current();
+  if (launchFailure) throw launchFailure;
+
+  if (!browserPromise) browserPromise = launchBrowser();
+
+  const browser = await browserPromise;
+  if (!browser.connected) {
+    browserPromise = null;
+    return getBrowser();
+  }
+  return browser;
+}
+
+async function discardBrowser(reason) {
+  const pending = browserPromise;
+  browserPromise = null;
+  if (!pending) return;
+
+  console.warn("⚠️ Restarting PDF browser:", reason);
+  const browser = await pending.catch(() => null);
+  await browser?.close().catch(() => {});
+}
+
+function acquireSlot() {
+  const runtimeConfig = getRuntimeConfig();
+
+  if (closing) {
+    return Promise.reject(new PdfExportQueueError("PDF exports are shutting down — try again shortly."));
+  }
+
+  const slot = slots.acquire({
+    concurrency: runtimeConfig.pdfExportConcurrency,
+    queueLimit: runtimeConfig.pdfExportQueueLimit
+  });
+  return slot || Promise.reject(new PdfExportQueueError("PDF export queue is full — try again shortly."));
+}
+
+// Renders HTML to a PDF buffer. onSample receives timing for every attempt,
+// including queue rejections, so callers can persist export metrics.
+export async function renderPdf(html, { pdfOptions = {}, onSample = null } = {}) {
+  const startedAt = Date.now();
+  const queueDepth = slots.queued;
+  const sample = { queueDepth, waitMs: 0, renderMs: 0, totalMs: 0, outcome: "ok", error: null };
+
+  try {
+    await acquireSlot();
+  } catch (err) {
+    sample.outcome = "rejected";
+    sample.error = err.message;
+    sample.totalMs = Date.now() - startedAt;
+    onSample?.(sample);
+    throw err;
+  }
+
+  sample.waitMs = Date.now() - startedAt;
+  const renderStartedAt = Date.now();
+  const { pdfRenderTimeoutMs } = getRuntimeConfig();
+  let page = null;
+
+  try {
+    const browser = await getBrowser();
+    page = await browser.newPage();
+    await page.setContent(html, { waitUntil: "networkidle0", timeout: pdfRenderTimeoutMs });
+    const pdf = await withTimeout(
+      page.pdf({ format: "A4", printBackground: true, ...pdfOptions }),
+      pdfRenderTimeoutMs,
+      "PDF render timed out"
+    );
+
+    stats.completed += 1;
+    return pdf;
+  } catch (err) {
+    stats.failed += 1;
+    sample.outcome = "error";
+    sample.error = err.message;
+
+    // Only restart Chromium if it is actually unresponsive; a single bad
+    // document should not take down renders sharing the browser.
+    await checkBrowserHealth();
+    throw err;
+  } finally {
+    await page?.close().catch(() => {});
+    slots.release();
+
+    sample.renderMs = Date.now() - renderStartedAt;
+    sample.totalMs = Date.now() - startedAt;
+    stats.lastTotalMs = sample.totalMs;
+    onSample?.(sample);
+  }
+}
+
+// Live counts for this process; the widget reports them on a heartbeat so
+// the admin metrics page can show them (see recordPdfPoolStatus).
+export function getPdfPoolStatus() {
+  const runtimeConfig = getRuntimeConfig();
+  return {
+    browserRunning: Boolean(browserPromise),
+    active: slots.active,
+    queued: slots.queued,
+    concurrency: runtimeConfig.pdfExportConcurrency,
+    queueLimit: runtimeConfig.pdfExportQueueLimit,
+    closing,
+    launchFailedUntil: launchCooldown.current() ? new Date(launchCooldown.until).toISOString() : null,
+    ...stats
+  };
+}
+
+async function checkBrowserHealth() {
+  if (!browserPromise || closing) return;
+
+  try {
+    const browser = await browserPromise;
+    if (!browser.connected) throw new Error("browser disconnected");
+    await withTimeout(browser.version(), HEALTH_CHECK_TIMEOUT_MS, "health check timed out");
+  } catch (err) {
+    await discardBrowser(`health check failed: ${err.message}`);
+  }
+}
+
+export function startPdfBrowserHealthChecks() {
+  if (healthTimer) return;
+  healthTimer = setInterval(() => {
+    checkBrowserHealth().catch(() => {});
+  }, HEALTH_CHECK_INTERVAL_MS);
+  healthTimer.unref();
+}
+
+// Stops accepting work, fails anything still queued, lets in-flight renders
+// finish (bounded), then closes Chromium.
+export async function closePdfBrowserPool() {
+  closing = true;
+  if (healthTimer) clearInterval(healthTimer);
+  healthTimer = null;
+
+  slots.rejectQueued(new PdfExportQueueError("PDF exports are shutting down — try again shortly."));
+
+  const deadline = Date.now() + SHUTDOWN_DRAIN_TIMEOUT_MS;
+  while (slots.active > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  const pending = browserPromise;
+  browserPromise = null;
+  const browser = await pending?.catch(() => null);
+  await browser?.close().catch(() => {});
+}
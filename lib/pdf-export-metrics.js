@@ -0,0 +1,231 @@
+// lib/pdf-export-metrics.js
+// -------------------------------------------------
+// One row per PDF export, written by the widget and read by the admin
+// metrics page (the two run as separate processes). The widget also reports
+// its render pool's live counts to halo.pdf_pool_status on a heartbeat.
+// -------------------------------------------------
+import os from "os";
+import path from "path";
+
+import { pgPool } from "./db.js";
+
+const PDF_EXPORT_METRICS_RETENTION_DAYS = 90;
+
+let ensurePromise = null;
+
+export function ensurePdfExportMetricsTable() {
+  if (!ensurePromise) {
+    ensurePromise = (async () => {
+      await pgPool.query("CREATE SCHEMA IF NOT EXISTS halo");
+      await pgPool.query(`
+        CREATE TABLE IF NOT EXISTS halo.pdf_export_metrics (
+          id bigserial PRIMARY KEY,
+          recorded_at timestamptz NOT NULL DEFAULT now(),
+          kind text NOT NULL,
+          outcome text NOT NULL,
+          queue_depth integer NOT NULL DEFAULT 0,
+          wait_ms integer NOT NULL DEFAULT 0,
+          render_ms integer NOT NULL DEFAULT 0,
+          total_ms integer NOT NULL DEFAULT 0,
+          error text
+        )
+      `);
+      await pgPool.query(`
+        CREATE INDEX IF NOT EXISTS pdf_export_metrics_recorded_idx
+        ON halo.pdf_export_metrics (recorded_at DESC)
+      `);
+    })().catch(err => {
+      ensurePromise = null;
+      throw err;
+    });
+  }
+
+  return ensurePromise;
+}
+
+export async function recordPdfExportSample(sample) {
+  await ensurePdfExportMetricsTable();
+
+  await pgPool.query(
+    `
+    INSERT INTO halo.pdf_export_metrics
+      (kind, outcome, queue_depth, wait_ms, render_ms, total_ms, error)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `,
+    [
+      sample.kind,
+      sample.outcome,
+      sample.queueDepth,
+      Math.round(sample.waitMs),
+      Math.round(sample.renderMs),
+      Math.round(sample.totalMs),
+      sample.error || null
+    ]
+  );
+}
+
+export async function prunePdfExportMetrics() {
+  await ensurePdfExportMetricsTable();
+
+  const { rowCount } = await pgPool.query(
+    `DELETE FROM halo.pdf_export_metrics WHERE recorded_at < now() - ($1::int * INTERVAL '1 day')`,
+    [PDF_EXPORT_METRICS_RETENTION_DAYS]
+  );
+  return rowCount;
+}
+
+// Aggregates for the admin metrics page, using the same optional from / to
+// date filter as the sync metrics chart.
+export async function getPdfExportMetricsSummary({ from = null, to = null } = {}) {
+  await ensurePdfExportMetricsTable();
+
+  const params = [];
+  const where = [];
+
+  if (from) {
+    params.push(from);
+    where.push(`recorded_at >= $${params.length}::date`);
+  }
+
+  if (to) {
+    params.push(to);
+    where.push(`recorded_at < ($${params.length}::date + INTERVAL '1 day')`);
+  }
+
+  const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  const { rows: summaryRows } = await pgPool.query(
+    `
+    SELECT
+      COUNT(*)::int AS exports,
+      COUNT(*) FILTER (WHERE outcome <> 'ok')::int AS failures,
+      ROUND(AVG(total_ms) FILTER (WHERE outcome = 'ok'))::int AS avg_total_ms,
+      (percentile_cont(0.5) WITHIN GROUP (ORDER BY total_ms) FILTER (WHERE outcome = 'ok'))::int AS p50_total_ms,
+      (percentile_cont(0.95) WITHIN GROUP (ORDER BY total_ms) FILTER (WHERE outcome = 'ok'))::int AS p95_total_ms,
+      ROUND(AVG(wait_ms))::int AS avg_wait_ms,
+      MAX(queue_depth)::int AS max_queue_depth
+    FROM halo.pdf_export_metrics
+    ${whereSql}
+    `,
+    params
+  );
+
+  const { rows: recentRows } = await pgPool.query(
+    `
+    SELECT recorded_at, kind, outcome, queue_depth, wait_ms, render_ms, total_ms, error
+    FROM halo.pdf_export_metrics
+    ${whereSql}
+    ORDER BY recorded_at DESC
+    LIMIT 25
+    `,
+    params
+  );
+
+  return {
+    ...(summaryRows[0] || {}),
+    recent: recentRows
+  };
+}
+
+// -------------------------------------------------
+// LIVE POOL STATUS (halo.pdf_pool_status)
+// -------------------------------------------------
+export const PDF_POOL_STATUS_HEARTBEAT_MS = 10_000;
+
+// Instances that have not reported for this long (stopped or restarted
+// widgets) are left off the report.
+const PDF_POOL_STATUS_MAX_AGE_SECONDS = 60;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const PROCESS_NAME = path.basename(process.argv[1] || "node");
+
+let ensureStatusPromise = null;
+
+export function ensurePdfPoolStatusTable() {
+  if (!ensureStatusPromise) {
+    ensureStatusPromise = (async () => {
+      await pgPool.query("CREATE SCHEMA IF NOT EXISTS halo");
+      await pgPool.query(`
+        CREATE TABLE IF NOT EXISTS halo.pdf_pool_status (
+          instance_id text PRIMARY KEY,
+          process_name text NOT NULL,
+          browser_running boolean NOT NULL DEFAULT false,
+          active integer NOT NULL DEFAULT 0,
+          queued integer NOT NULL DEFAULT 0,
+          concurrency integer NOT NULL DEFAULT 0,
+          queue_limit integer NOT NULL DEFAULT 0,
+          launches integer NOT NULL DEFAULT 0,
+          relaunches integer NOT NULL DEFAULT 0,
+          updated_at timestamptz NOT NULL DEFAULT now()
+        )
+      `);
+    })().catch(err => {
+      ensureStatusPromise = null;
+      throw err;
+    });
+  }
+
+  return ensureStatusPromise;
+}
+
+// status is getPdfPoolStatus() from lib/pdf-browser-pool.js.
+export async function recordPdfPoolStatus(status) {
+  await ensurePdfPoolStatusTable();
+
+  await pgPool.query(
+    `
+    INSERT INTO halo.pdf_pool_status (
+      instance_id, process_name, browser_running, active, queued, concurrency, queue_limit,
+      launches, relaunches, updated_at
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, now())
+    ON CONFLICT (instance_id)
+    DO UPDATE SET
+      process_name = EXCLUDED.process_name,
+      browser_running = EXCLUDED.browser_running,
+      active = EXCLUDED.active,
+      queued = EXCLUDED.queued,
+      concurrency = EXCLUDED.concurrency,
+      queue_limit = EXCLUDED.queue_limit,
+      launches = EXCLUDED.launches,
+      relaunches = EXCLUDED.relaunches,
+      updated_at = now()
+    `,
+    [
+      INSTANCE_ID,
+      PROCESS_NAME,
+      Boolean(status.browserRunning),
+      status.active,
+      status.queued,
+      status.concurrency,
+      status.queueLimit,
+      status.launches,
+      status.relaunches
+    ]
+  );
+}
+
+// For /admin/metrics: every widget process that reported recently, with the
+// renders it has in flight and queued right now.
+export async function getPdfPoolStatusReport() {
+  await ensurePdfPoolStatusTable();
+  await pgPool.query("DELETE FROM halo.pdf_pool_status WHERE updated_at < now() - interval '7 days'");
+
+  const { rows } = await pgPool.query(
+    `
+    SELECT
+      instance_id, process_name, browser_running, active, queued, concurrency, queue_limit,
+      launches, relaunches, updated_at
+    FROM halo.pdf_pool_status
+    WHERE updated_at >= now() - ($1::int * interval '1 second')
+    ORDER BY process_name, instance_id
+    `,
+    [PDF_POOL_STATUS_MAX_AGE_SECONDS]
+  );
+
+  return {
+    instances: rows,
+    active: rows.reduce((sum, row) => sum + row.active, 0),
+    queued: rows.reduce((sum, row) => sum + row.queued, 0)
+  };
+}
@@ -0,0 +1,319 @@
+// lib/pdf-statement.js
+// -------------------------------------------------
+// PDFKit renderer for the statement exports.
+// Mirrors views/statement.ejs and views/activity_statement.ejs so hosts
+// without Chromium (or with a broken one) can still export statements.
+// Takes the same data the EJS views receive.
+// -------------------------------------------------
+import PDFDocument from "pdfkit";
+
+const PAGE_MARGIN = 36;
+const CELL_PADDING_X = 6;
+const CELL_PADDING_Y = 5;
+const TABLE_FONT_SIZE = 8.5;
+
+const COLORS = {
+  text: "#111827",
+  muted: "#6b7280",
+  border: "#e5e7eb",
+  header: "#f3f4f6",
+  footer: "#f9fafb",
+  card: "#eff6ff",
+  cardRed: "#fef2f2"
+};
+
+function money(value) {
+  return Number(value || 0).toFixed(2);
+}
+
+function collectPdf(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on("data", chunk => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+}
+
+function contentWidth(doc) {
+  return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+function pageBottom(doc) {
+  return doc.page.height - doc.page.margins.bottom;
+}
+
+function drawTitle(doc, title, subtitle) {
+  doc.font("Helvetica-Bold").fontSize(16).fillColor(COLORS.text).text(title, PAGE_MARGIN, PAGE_MARGIN);
+  doc.moveDown(0.2);
+  doc.font("Helvetica").fontSize(8.5).fillColor(COLORS.muted).text(subtitle);
+  doc.moveDown(1);
+}
+
+function drawLabel(doc, text) {
+  doc.font("Helvetica").fontSize(7.5).fillColor(COLORS.muted).text(text, PAGE_MARGIN, doc.y);
+  doc.moveDown(0.3);
+}
+
+// Cards are laid out left to right in equal widths, like the .summary flex row.
+function drawCards(doc, cards, { height = 44, background = COLORS.card } = {}) {
+  const gap = 10;
+  const width = (contentWidth(doc) - gap * (cards.length - 1)) / cards.length;
+  const top = doc.y;
+
+  cards.forEach((card, index) => {
+    const left = PAGE_MARGIN + index * (width + gap);
+    doc.roundedRect(left, top, width, height, 5).fill(card.background || background);
+    doc.font("Helvetica").fontSize(7.5).fillColor(COLORS.muted)
+      .text(card.label, left + 8, top + 7, { width: width - 16 });
+    doc.font("Helvetica-Bold").fontSize(11).fillColor(COLORS.text)
+      .text(card.value, left + 8, top + 18, { width: width - 16 });
+    if (card.detail) {
+      doc.font("Helvetica").fontSize(7).fillColor(COLORS.muted)
+        .text(card.detail, left + 8, top + 32, { width: width - 16, lineBreak: false, ellipsis: true });
+    }
+  });
+
+  doc.x = PAGE_MARGIN;
+  doc.y = top + height + 12;
+}
+
+function drawAging(doc, aging, baseCurrency) {
+  if (!aging?.buckets?.length) return;
+
+  drawLabel(
+    doc,
+    `Aged Receivables (${baseCurrency})${aging.source === "xero" ? "" : " — estimated from invoice due dates"}`
+  );
+  drawCards(
+    doc,
+    [
+      ...aging.buckets.map(bucket => ({ label: bucket.label, value: money(bucket.amount), background: "#ffffff" })),
+      { label: "Total", value: money(aging.total), background: COLORS.footer }
+    ],
+    { height: 32 }
+  );
+}
+
+function getRowHeight(doc, columns, cells, bold) {
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(TABLE_FONT_SIZE);
+  const heights = columns.map((column, index) =>
+    doc.heightOfString(String(cells[index] ?? ""), { width: column.width - CELL_PADDING_X * 2 })
+  );
+  return Math.max(...heights, TABLE_FONT_SIZE) + CELL_PADDING_Y * 2;
+}
+
+function drawRow(doc, columns, cells, { top, bold = false, background = null }) {
+  const height = getRowHeight(doc, columns, cells, bold);
+  let left = PAGE_MARGIN;
+
+  columns.forEach((column, index) => {
+    if (background) doc.rect(left, top, column.width, height).fill(background);
+    doc.lineWidth(0.5).strokeColor(COLORS.border).rect(left, top, column.width, height).stroke();
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(TABLE_FONT_SIZE).fillColor(COLORS.text)
+      .text(String(cells[index] ?? ""), left + CELL_PADDING_X, top + CELL_PADDING_Y, {
+        width: column.width - CELL_PADDING_X * 2,
+        align: column.align || "left"
+      });
+    left += column.width;
+  });
+
+  return height;
+}
+
+// Column widths are fractions of the content width. Rows that would cross
+// the bottom margin start a new page with the header row repeated.
+function drawTable(doc, columnSpec, rows) {
+  const totalWidth = contentWidth(doc);
+  const columns = columnSpec.map(column => ({ ...column, width: column.width * totalWidth }));
+  const headerCells = columns.map(column => column.header);
+  let y = doc.y;
+
+  const drawHeader = () => {
+    y += drawRow(doc, columns, headerCells, { top: y, bold: true, background: COLORS.header });
+  };
+
+  drawHeader();
+
+  rows.forEach(row => {
+    const height = getRowHeight(doc, columns, row.cells, row.bold);
+    if (y + height > pageBottom(doc)) {
+      doc.addPage();
+      y = doc.page.margins.top;
+      drawHeader();
+    }
+    y += drawRow(doc, columns, row.cells, { top: y, bold: row.bold, background: row.background });
+  });
+
+  doc.x = PAGE_MARGIN;
+  doc.y = y + 12;
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > pageBottom(doc)) {
+    doc.addPage();
+  }
+}
+
+function createDocument(title) {
+  return new PDFDocument({
+    size: "A4",
+    margin: PAGE_MARGIN,
+    info: { Title: title }
+  });
+}
+
+export function renderStatementPdf(data) {
+  const title = `${data.clientName} — Statement`;
+  const doc = createDocument(title);
+  const output = collectPdf(doc);
+  const baseCurrency = data.baseCurrency;
+  const currencyTotals = data.currencyTotals || [];
+
+  drawTitle(doc, title, `As at ${data.asAt} — Tenant: ${data.tenantName || "Xero"}`);
+  drawCards(doc, [
+    {
+      label: "Account Balance",
+      value: `${baseCurrency} ${data.accountBal}`,
+      detail: data.multiCurrency
+        ? currencyTotals.map(entry => `${entry.currency} ${money(entry.balance)}`).join(" · ")
+        : ""
+    },
+    {
+      label: "Overdue Balance",
+      value: `${baseCurrency} ${data.overdueBal}`,
+      detail: data.multiCurrency
+        ? currencyTotals.map(entry => `${entry.currency} ${money(entry.overdue)}`).join(" · ")
+        : "",
+      background: COLORS.cardRed
+    }
+  ]);
+  drawAging(doc, data.aging, baseCurrency);
+
+  const totalRows = currencyTotals.map(entry => ({
+    cells: ["Totals", "", "", "", entry.currency, money(entry.total), money(entry.balance)],
+    bold: true,
+    background: COLORS.footer
+  }));
+  if (data.multiCurrency) {
+    totalRows.push({
+      cells: [`Total (${baseCurrency} equivalent at invoice rates)`, "", "", "", baseCurrency, data.totalAmount, data.totalBalance],
+      bold: true,
+      background: COLORS.footer
+    });
+  }
+
+  drawTable(
+    doc,
+    [
+      { header: "Date", width: 0.13 },
+      { header: "Type", width: 0.15 },
+      { header: "Number", width: 0.18 },
+      { header: "Due Date", width: 0.13 },
+      { header: "Currency", width: 0.11 },
+      { header: "Total", width: 0.15, align: "right" },
+      { header: "Balance", width: 0.15, align: "right" }
+    ],
+    [
+      ...(data.rows || []).map(row => ({
+        cells: [
+          row.date,
+          row.type,
+          row.number,
+          row.due,
+          row.currency || baseCurrency,
+          money(row.total),
+          money(row.balance)
+        ]
+      })),
+      ...totalRows
+    ]
+  );
+
+  doc.end();
+  return output;
+}
+
+export function renderActivityStatementPdf({ clientName, asAt, tenantName, statement }) {
+  const title = `${clientName} — Activity Statement`;
+  const doc = createDocument(title);
+  const output = collectPdf(doc);
+
+  drawTitle(
+    doc,
+    title,
+    `Period ${statement.from} to ${statement.to} — As at ${asAt} — Tenant: ${tenantName || "Xero"}`
+  );
+
+  if (!statement.currencies.length) {
+    doc.font("Helvetica").fontSize(10).fillColor(COLORS.muted)
+      .text("No activity up to the end of this period.");
+  }
+
+  statement.currencies.forEach(section => {
+    ensureSpace(doc, 120);
+
+    if (statement.currencies.length > 1) {
+      doc.font("Helvetica-Bold").fontSize(11).fillColor(COLORS.text).text(section.currency, PAGE_MARGIN, doc.y);
+      doc.moveDown(0.4);
+    }
+
+    drawCards(doc, [
+      { label: `Opening Balance (${statement.from})`, value: `${section.currency} ${money(section.openingBalance)}` },
+      { label: "Invoiced / Refunded", value: `${section.currency} ${money(section.totalDebits)}` },
+      { label: "Paid / Credited", value: `${section.currency} ${money(section.totalCredits)}` },
+      {
+        label: `Closing Balance (${statement.to})`,
+        value: `${section.currency} ${money(section.closingBalance)}`,
+        background: COLORS.cardRed
+      }
+    ]);
+
+    drawTable(
+      doc,
+      [
+        { header: "Date", width: 0.12 },
+        { header: "Type", width: 0.14 },
+        { header: "Number", width: 0.14 },
+        { header: "Reference", width: 0.2 },
+        { header: "Debit", width: 0.13, align: "right" },
+        { header: "Credit", width: 0.13, align: "right" },
+        { header: "Balance", width: 0.14, align: "right" }
+      ],
+      [
+        {
+          cells: [statement.from, "Opening balance brought forward", "", "", "", "", money(section.openingBalance)],
+          bold: true,
+          background: COLORS.footer
+        },
+        ...section.lines.map(line => ({
+          cells: [
+            line.date,
+            line.type,
+            line.number,
+            line.reference,
+            line.debit ? money(line.debit) : "",
+            line.credit ? money(line.credit) : "",
+            money(line.balance)
+          ]
+        })),
+        {
+          cells: [
+            statement.to,
+            "Closing balance",
+            "",
+            "",
+            money(section.totalDebits),
+            money(section.totalCredits),
+            money(section.closingBalance)
+          ],
+          bold: true,
+          background: COLORS.footer
+        }
+      ]
+    );
+  });
+
+  doc.end();
+  return output;
+}
@@ -1,12 +1,322 @@
 // lib/resolver.js
 // -------------------------------------------------
-// Resolve Xero Contact GUID from Halo Client Name
-// - Normalises Halo input
-// - Requires EXACT match after normalisation
-// - FAILS on ambiguity (never guesses)
+// Resolve Xero Contact GUID for a Halo client
+// - By Halo client ID ($CLIENTID): stored link, then the
+//   Halo client's xeroid field (which also replaces a stored
+//   name match)
+// - By Halo client name as a fallback:
+//   - Normalises Halo input
+//   - Requires EXACT match after normalisation
+//   - FAILS on ambiguity (never guesses)
+// - Then the contact's Xero organisation, and the same
+//   client's contacts in any other organisation
 // -------------------------------------------------
 
+import NodeCache from "node-cache";
+
 import { pgPool } from "./db.js";
+import { getHaloConfigStatus, haloGet } from "./halo.js";
+import { ensureXeroTenantContactTable } from "./halo-client-store.js";
+import { pickOtherOrganisationContacts } from "./xero-connection-utils.js";
+
+const XERO_GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Halo client records are cached for a few minutes, so a xeroid set in Halo
+// is picked up shortly after; failed lookups are retried sooner.
+const HALO_CLIENT_CACHE_SECONDS = 300;
+const FAILED_LOOKUP_CACHE_SECONDS = 60;
+
+const haloClientCache = new NodeCache({ useClones: false, checkperiod: 120 });
+const inFlightClientLookups = new Map();
+
+let ensurePromise = null;
+
+export function parseHaloClientId(value) {
+  const text = String(value ?? "").trim();
+  if (!/^\d{1,10}$/.test(text)) return null;
+
+  const id = Number(text);
+  return id > 0 && id <= 2_147_483_647 ? id : null;
+}
+
+function normaliseGuid(value) {
+  const guid = String(value || "").trim().toLowerCase();
+  return XERO_GUID_PATTERN.test(guid) ? guid : null;
+}
+
+export function ensureHaloClientLinkTable() {
+  if (!ensurePromise) {
+    ensurePromise = (async () => {
+      await pgPool.query("CREATE SCHEMA IF NOT EXISTS halo");
+      await pgPool.query(`
+        CREATE TABLE IF NOT EXISTS halo.halo_client_xero_link (
+          halo_client_id integer PRIMARY KEY,
+          xero_contact_guid text NOT NULL,
+          halo_client_name text,
+          source text NOT NULL,
+          created_at timestamptz NOT NULL DEFAULT now(),
+          updated_at timestamptz NOT NULL DEFAULT now()
+        )
+      `);
+      await pgPool.query(`
+        CREATE INDEX IF NOT EXISTS halo_client_xero_link_guid_idx
+        ON halo.halo_client_xero_link (xero_contact_guid)
+      `);
+    })().catch(err => {
+      ensurePromise = null;
+      throw err;
+    });
+  }
+
+  return ensurePromise;
+}
+
+async function getStoredHaloClientLink(haloClientId) {
+  await ensureHaloClientLinkTable();
+
+  const { rows } = await pgPool.query(
+    `
+    SELECT xero_contact_guid, halo_client_name, source
+    FROM halo.halo_client_xero_link
+    WHERE halo_client_id = $1
+    `,
+    [haloClientId]
+  );
+  return rows[0] || null;
+}
+
+// source: "halo_xeroid" (Halo's own Xero link) or "name_match".
+export async function saveHaloClientLink(haloClientId, xeroContactGuid, haloClientName, source) {
+  await ensureHaloClientLinkTable();
+
+  await pgPool.query(
+    `
+    INSERT INTO halo.halo_client_xero_link
+      (halo_client_id, xero_contact_guid, halo_client_name, source)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (halo_client_id)
+    DO UPDATE SET
+      xero_contact_guid = EXCLUDED.xero_contact_guid,
+      halo_client_name = COALESCE(EXCLUDED.halo_client_name, halo.halo_client_xero_link.halo_client_name),
+      source = EXCLUDED.source,
+      updated_at = now()
+    `,
+    [haloClientId, xeroContactGuid, haloClientName || null, source]
+  );
+}
+
+// For /admin/client-links, newest first.
+export async function listHaloClientLinks({ search = "", limit = 500 } = {}) {
+  await ensureHaloClientLinkTable();
+
+  const term = String(search || "").trim();
+  const { rows } = await pgPool.query(
+    `
+    SELECT halo_client_id, xero_contact_guid, halo_client_name, source, created_at, updated_at
+    FROM halo.halo_client_xero_link
+    WHERE $1 = ''
+       OR halo_client_id::text = $1
+       OR xero_contact_guid = lower($1)
+       OR halo_client_name ILIKE '%' || $1 || '%'
+    ORDER BY updated_at DESC
+    LIMIT $2
+    `,
+    [term, limit]
+  );
+  return rows;
+}
+
+export async function deleteHaloClientLink(haloClientId) {
+  const id = parseHaloClientId(haloClientId);
+  if (!id) throw new Error("Enter a valid Halo client ID.");
+
+  await ensureHaloClientLinkTable();
+  const { rowCount } = await pgPool.query("DELETE FROM halo.halo_client_xero_link WHERE halo_client_id = $1", [id]);
+  return rowCount === 1;
+}
+
+async function lookupHaloClient(haloClientId) {
+  try {
+    const client = await haloGet(`/Client/${haloClientId}`);
+    haloClientCache.set(haloClientId, { client }, HALO_CLIENT_CACHE_SECONDS);
+    return client;
+  } catch (err) {
+    console.warn("⚠️ Halo client lookup failed:", haloClientId, err.response?.status || err.message);
+    haloClientCache.set(haloClientId, { client: null }, FAILED_LOOKUP_CACHE_SECONDS);
+    return null;
+  }
+}
+
+// Cached briefly: the tab and each of its lazy sub-requests resolve the same
+// client, and only the xeroid check needs Halo.
+async function getHaloClientById(haloClientId) {
+  if (!getHaloConfigStatus().configured) return null;
+
+  const cached = haloClientCache.get(haloClientId);
+  if (cached) return cached.client;
+
+  if (!inFlightClientLookups.has(haloClientId)) {
+    inFlightClientLookups.set(
+      haloClientId,
+      lookupHaloClient(haloClientId).finally(() => inFlightClientLookups.delete(haloClientId))
+    );
+  }
+  return inFlightClientLookups.get(haloClientId);
+}
+
+function normaliseContactName(value) {
+  return String(value || "")
+    .replace(/\u00A0/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .normalize("NFKC")
+    .toLowerCase();
+}
+
+// A name match is only stored when the name can be trusted: it was covered by
+// a signed link, or it is the name Halo itself holds for the client. An
+// unsigned area param alone never creates a permanent link.
+export function canStoreNameMatch({ name, haloRecordName = null, nameSigned = false }) {
+  if (!normaliseContactName(name)) return false;
+  if (nameSigned) return true;
+  return normaliseContactName(haloRecordName) === normaliseContactName(name);
+}
+
+// The contact's own organisation comes from the per-organisation contact
+// table, falling back to halo.halo_client for rows synced before it existed.
+// Returns { tenantId, contactName }; tenantId is null when unknown.
+async function lookupXeroContactTenant(contactId) {
+  await ensureXeroTenantContactTable(pgPool);
+
+  const { rows } = await pgPool.query(
+    `
+    SELECT xero_tenant_id, contact_name
+    FROM halo.xero_tenant_contact
+    WHERE xero_contact_guid = $1
+    `,
+    [contactId]
+  );
+  if (rows[0]) return { tenantId: rows[0].xero_tenant_id, contactName: rows[0].contact_name };
+
+  const { rows: clientRows } = await pgPool.query(
+    `
+    SELECT xero_tenant_id
+    FROM halo.halo_client
+    WHERE lower(xero_contact_guid) = $1 AND xero_tenant_id IS NOT NULL
+    LIMIT 1
+    `,
+    [contactId]
+  );
+  return { tenantId: clientRows[0]?.xero_tenant_id?.toLowerCase() || null, contactName: null };
+}
+
+// For routes that only have the contact (signed download links).
+export async function getXeroTenantIdForContact(contactId) {
+  try {
+    return (await lookupXeroContactTenant(String(contactId).toLowerCase())).tenantId;
+  } catch (err) {
+    console.warn("⚠️ Xero organisation lookup failed:", contactId, err.message);
+    return null;
+  }
+}
+
+// Other organisations are matched on the client's name or the contact's Xero
+// name, exactly (after normalisation), one contact per organisation.
+async function findXeroOrganisations(contactId, haloClientName) {
+  try {
+    const { tenantId, contactName } = await lookupXeroContactTenant(contactId);
+
+    const names = [...new Set([normaliseContactName(haloClientName), normaliseContactName(contactName)])]
+      .filter(Boolean);
+    if (!names.length) return { tenantId, otherOrganisations: [] };
+
+    const { rows } = await pgPool.query(
+      `
+      SELECT xero_tenant_id, xero_contact_guid, contact_name
+      FROM halo.xero_tenant_contact
+      WHERE lower(regexp_replace(trim(contact_name), '\\s+', ' ', 'g')) = ANY($1::text[])
+      `,
+      [names]
+    );
+
+    return {
+      tenantId,
+      otherOrganisations: pickOtherOrganisationContacts(rows, { contactId, tenantId })
+    };
+  } catch (err) {
+    console.warn("⚠️ Xero organisation lookup failed:", contactId, err.message);
+    return { tenantId: null, otherOrganisations: [] };
+  }
+}
+
+async function withXeroOrganisations(result) {
+  const contactId = result.contactId.toLowerCase();
+  const organisations = await findXeroOrganisations(contactId, result.haloClientName);
+  return { ...result, ...organisations };
+}
+
+// Returns { contactId, haloClientName, source, tenantId, otherOrganisations }
+// where source is "link", "halo_xeroid" or "name", or null when nothing
+// matched. haloClientName is the tab's area when given, otherwise the best
+// name known for the client; nameSigned says whether the area was covered by
+// the link's signature. tenantId is the contact's Xero organisation (null for
+// the default); otherOrganisations lists { tenantId, contactId, contactName }
+// for a client billed by more than one organisation.
+export async function resolveXeroContactForHaloClient({
+  haloClientId = null,
+  haloClientName = null,
+  nameSigned = false
+} = {}) {
+  let displayName = haloClientName || null;
+  let haloClient = null;
+
+  if (haloClientId) {
+    const link = await getStoredHaloClientLink(haloClientId);
+    const fromLink = () =>
+      withXeroOrganisations({
+        contactId: link.xero_contact_guid,
+        haloClientName: displayName || link.halo_client_name,
+        source: "link"
+      });
+
+    if (link?.source === "halo_xeroid") {
+      console.log("✅ Xero GUID resolved from Halo client link:", haloClientId, link.xero_contact_guid);
+      return fromLink();
+    }
+
+    // Halo's own xeroid wins over a remembered name match, so a wrong match
+    // is corrected as soon as the client is linked in Halo.
+    haloClient = await getHaloClientById(haloClientId);
+    displayName = displayName || haloClient?.name?.trim() || null;
+
+    const xeroid = normaliseGuid(haloClient?.xeroid);
+    if (xeroid) {
+      await saveHaloClientLink(haloClientId, xeroid, displayName, "halo_xeroid");
+      if (link && link.xero_contact_guid !== xeroid) {
+        console.warn("⚠️ Halo xeroid replaced a name-matched link:", haloClientId, link.xero_contact_guid, xeroid);
+      }
+      console.log("✅ Xero GUID resolved from Halo xeroid:", haloClientId, xeroid);
+      return withXeroOrganisations({ contactId: xeroid, haloClientName: displayName, source: "halo_xeroid" });
+    }
+
+    if (link) {
+      console.log("✅ Xero GUID resolved from Halo client link:", haloClientId, link.xero_contact_guid);
+      return fromLink();
+    }
+  }
+
+  if (!displayName) return null;
+
+  const contactId = await resolveXeroContactGuid(displayName);
+  if (!contactId) return null;
+
+  // Remember the match so later renames in Halo keep resolving.
+  if (haloClientId && canStoreNameMatch({ name: displayName, haloRecordName: haloClient?.name, nameSigned })) {
+    await saveHaloClientLink(haloClientId, contactId.toLowerCase(), displayName, "name_match");
+  }
+
+  return withXeroOrganisations({ contactId, haloClientName: displayName, source: "name" });
+}
 
 export async function resolveXeroContactGuid(rawHaloName) {
   if (!rawHaloName) {
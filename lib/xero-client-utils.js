@@ -0,0 +1,192 @@
+// lib/xero-client-utils.js
+// -------------------------------------------------
+// Rate-limit budgeting for the shared Xero client: header parsing and the
+// decision whether a queued request may start. Kept free of timers and
+// network access so it can be unit tested.
+//
+// Xero allows each organisation 60 calls a minute, 5,000 a day and five at
+// once, and reports what is left after every call. Several processes (widget,
+// admin, scripts) share those limits, so the reported remaining counts are
+// trusted over this process's own tally whenever they are recent.
+// -------------------------------------------------
+
+export const XERO_PRIORITIES = ["interactive", "background"];
+
+export const XERO_LIMITS = {
+  perMinute: 60,
+  perDay: 5000,
+  concurrent: 5
+};
+
+// Background work (sync, drift, auto-map, webhooks) leaves this much of each
+// budget to widget traffic and never takes more than two concurrent slots.
+export const XERO_BACKGROUND_RESERVE = {
+  perMinute: 20,
+  perDay: 1000,
+  concurrent: 2
+};
+
+// Longest a request waits for budget before giving up: a widget request
+// would rather fail over to a snapshot than hang.
+export const XERO_MAX_WAIT_MS = {
+  interactive: 30_000,
+  background: 5 * 60_000
+};
+
+const MINUTE_MS = 60_000;
+const MIN_WAIT_MS = 250;
+
+// The daily limit is a rolling 24 hours, so a low day count is only trusted
+// this long; afterwards one request goes through to read it again.
+const DAY_RECHECK_MS = 15 * MINUTE_MS;
+
+function headerNumber(headers, name) {
+  const value = headers?.[name] ?? headers?.[name.toLowerCase()];
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Retry-After is seconds or an HTTP date. Returns milliseconds or null.
+export function parseRetryAfterMs(value, now = Date.now()) {
+  if (value === undefined || value === null || value === "") return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds >= 0 ? seconds * 1000 : null;
+
+  const date = Date.parse(String(value));
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Accepts axios response headers (lowercase keys) or a plain object.
+export function parseXeroRateLimitHeaders(headers, now = Date.now()) {
+  return {
+    minuteRemaining: headerNumber(headers, "x-minlimit-remaining"),
+    dayRemaining: headerNumber(headers, "x-daylimit-remaining"),
+    appMinuteRemaining: headerNumber(headers, "x-appminlimit-remaining"),
+    retryAfterMs: parseRetryAfterMs(headers?.["retry-after"] ?? headers?.["Retry-After"], now),
+    problem: String(headers?.["x-rate-limit-problem"] || "").toLowerCase() || null
+  };
+}
+
+export function createXeroBudget() {
+  return {
+    minuteRemaining: null,
+    dayRemaining: null,
+    appMinuteRemaining: null,
+    observedAt: 0,
+    startsSinceObserved: 0,
+    recentStarts: [],
+    blockedUntil: 0,
+    inFlight: 0
+  };
+}
+
+// Folds a response's headers into the budget. A 429 blocks the organisation
+// until Retry-After has passed.
+export function applyXeroRateLimitHeaders(budget, headers, { status = 200, now = Date.now() } = {}) {
+  const limits = parseXeroRateLimitHeaders(headers, now);
+
+  if (limits.minuteRemaining !== null || limits.dayRemaining !== null || limits.appMinuteRemaining !== null) {
+    if (limits.minuteRemaining !== null) budget.minuteRemaining = limits.minuteRemaining;
+    if (limits.dayRemaining !== null) budget.dayRemaining = limits.dayRemaining;
+    if (limits.appMinuteRemaining !== null) budget.appMinuteRemaining = limits.appMinuteRemaining;
+    budget.observedAt = now;
+    budget.startsSinceObserved = 0;
+  }
+
+  if (status === 429) {
+    const waitMs = limits.retryAfterMs ?? MINUTE_MS;
+    budget.blockedUntil = Math.max(budget.blockedUntil, now + waitMs);
+    if (limits.problem === "day") budget.dayRemaining = 0;
+    if (limits.problem === "minute") budget.minuteRemaining = 0;
+    budget.observedAt = now;
+    budget.startsSinceObserved = 0;
+  }
+
+  return limits;
+}
+
+function pruneRecentStarts(budget, now) {
+  budget.recentStarts = budget.recentStarts.filter(startedAt => now - startedAt < MINUTE_MS);
+}
+
+// Calls left this minute: the lower of Xero's last report (less calls
+// started since) and this process's own count.
+export function estimateMinuteRemaining(budget, now = Date.now()) {
+  pruneRecentStarts(budget, now);
+  const local = XERO_LIMITS.perMinute - budget.recentStarts.length;
+  const reportedFresh = budget.observedAt && now - budget.observedAt < MINUTE_MS;
+
+  const candidates = [local];
+  if (reportedFresh && budget.minuteRemaining !== null) {
+    candidates.push(budget.minuteRemaining - budget.startsSinceObserved);
+  }
+  if (reportedFresh && budget.appMinuteRemaining !== null) {
+    candidates.push(budget.appMinuteRemaining - budget.startsSinceObserved);
+  }
+  return Math.min(...candidates);
+}
+
+function minuteWaitMs(budget, now) {
+  const oldestStart = budget.recentStarts[0];
+  const reset = oldestStart ? oldestStart + MINUTE_MS : budget.observedAt + MINUTE_MS;
+  return Math.max(MIN_WAIT_MS, reset - now);
+}
+
+// Returns { action: "start" }, { action: "wait", waitMs } (waitMs null means
+// wait for a request in flight to finish) or { action: "reject", reason,
+// retryAfterMs }. A background request also waits while interactive
+// requests are queued for the same organisation.
+export function planXeroRequest(budget, priority, { now = Date.now(), interactiveWaiting = false } = {}) {
+  const background = priority === "background";
+
+  if (budget.blockedUntil > now) {
+    return { action: "wait", waitMs: budget.blockedUntil - now };
+  }
+
+  const dayReserve = background ? XERO_BACKGROUND_RESERVE.perDay : 0;
+  const dayFresh = budget.observedAt && now - budget.observedAt < DAY_RECHECK_MS;
+  if (dayFresh && budget.dayRemaining !== null && budget.dayRemaining <= dayReserve) {
+    return {
+      action: "reject",
+      reason: background ? "daily budget reserved for widget traffic" : "daily limit reached",
+      retryAfterMs: null
+    };
+  }
+
+  if (background && interactiveWaiting) return { action: "wait", waitMs: null };
+
+  const concurrent = background ? XERO_BACKGROUND_RESERVE.concurrent : XERO_LIMITS.concurrent;
+  if (budget.inFlight >= concurrent) return { action: "wait", waitMs: null };
+
+  const minuteReserve = background ? XERO_BACKGROUND_RESERVE.perMinute : 0;
+  if (estimateMinuteRemaining(budget, now) <= minuteReserve) {
+    return { action: "wait", waitMs: minuteWaitMs(budget, now) };
+  }
+
+  return { action: "start" };
+}
+
+export function recordXeroRequestStart(budget, now = Date.now()) {
+  budget.inFlight += 1;
+  budget.recentStarts.push(now);
+  budget.startsSinceObserved += 1;
+}
+
+// Whether a failed request should be retried, and after how long. Only 429s
+// are retried, and only when the wait fits the caller's priority.
+export function getXeroRetryDelayMs(err, priority, attempt, now = Date.now()) {
+  if (err?.response?.status !== 429) return null;
+
+  const maxAttempts = priority === "background" ? 3 : 1;
+  if (attempt >= maxAttempts) return null;
+
+  const retryAfterMs = parseRetryAfterMs(err.response.headers?.["retry-after"], now) ?? 2000;
+  return retryAfterMs <= (XERO_MAX_WAIT_MS[priority] ?? XERO_MAX_WAIT_MS.interactive) ? retryAfterMs : null;
+}
+
+// UTC day the usage counters are recorded against.
+export function getXeroUsageDate(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
@@ -0,0 +1,353 @@
+// lib/xero-client.js
+// -------------------------------------------------
+// Shared Xero accounting API client. Every call goes through one queue per
+// organisation, paced against the limits Xero reports back (see
+// xero-client-utils.js), with widget traffic ahead of background jobs.
+// Calls are counted per UTC day in halo.xero_api_usage for the quota chart
+// on /admin/metrics.
+// -------------------------------------------------
+import axios from "axios";
+
+import {
+  assertCircuitClosed,
+  getUpstreamTimeoutMs,
+  isCircuitOpenError,
+  withCircuitBreaker
+} from "./circuit-breaker.js";
+import { getUpstreamBaseUrls } from "./config.js";
+import { pgPool } from "./db.js";
+import { getXeroConnectionForTenant, getXeroConnections, getXeroHeadersForConnection } from "./xero.js";
+import {
+  applyXeroRateLimitHeaders,
+  createXeroBudget,
+  getXeroRetryDelayMs,
+  getXeroUsageDate,
+  planXeroRequest,
+  recordXeroRequestStart,
+  XERO_MAX_WAIT_MS,
+  XERO_PRIORITIES
+} from "./xero-client-utils.js";
+
+const XERO_ACCOUNTING_PATH = "/api.xro/2.0";
+
+const USAGE_FLUSH_MS = 30_000;
+
+// Shaped like an axios 429 so existing handlers (snapshot fallback, "rate
+// limit hit" responses) treat a request held back here like one Xero refused.
+export class XeroRateLimitError extends Error {
+  constructor(message, retryAfterMs = null) {
+    super(message);
+    this.name = "XeroRateLimitError";
+    this.statusCode = 429;
+    this.response = {
+      status: 429,
+      headers: retryAfterMs ? { "retry-after": String(Math.ceil(retryAfterMs / 1000)) } : {},
+      data: null
+    };
+  }
+}
+
+// -------------------------------------------------
+// QUEUE (one per connection)
+// -------------------------------------------------
+const schedulers = new Map();
+
+function getScheduler(connectionId) {
+  if (!schedulers.has(connectionId)) {
+    schedulers.set(connectionId, { budget: createXeroBudget(), queue: [], timer: null });
+  }
+  return schedulers.get(connectionId);
+}
+
+// Starts whatever the budget allows, oldest interactive request first, and
+// sets a timer for the next request that has to wait.
+function pump(connectionId) {
+  const scheduler = getScheduler(connectionId);
+  clearTimeout(scheduler.timer);
+  scheduler.timer = null;
+
+  const now = Date.now();
+  let nextWakeMs = null;
+  const ordered = XERO_PRIORITIES.flatMap(priority => scheduler.queue.filter(entry => entry.priority === priority));
+
+  for (const entry of ordered) {
+    const interactiveWaiting = scheduler.queue.some(other => other.priority === "interactive");
+    const plan = planXeroRequest(scheduler.budget, entry.priority, { now, interactiveWaiting });
+    const waitedMs = now - entry.enqueuedAt;
+    const remainingMs = XERO_MAX_WAIT_MS[entry.priority] - waitedMs;
+
+    if (plan.action === "start") {
+      scheduler.queue.splice(scheduler.queue.indexOf(entry), 1);
+      recordXeroRequestStart(scheduler.budget, now);
+      entry.resolve(waitedMs);
+      continue;
+    }
+
+    if (plan.action === "reject" || (plan.waitMs ?? 0) > remainingMs || remainingMs <= 0) {
+      scheduler.queue.splice(scheduler.queue.indexOf(entry), 1);
+      recordXeroUsage(connectionId, { priority: entry.priority, rejected: true });
+      entry.reject(
+        new XeroRateLimitError(
+          plan.action === "reject"
+            ? `Xero ${plan.reason} for connection "${connectionId}".`
+            : `Xero rate limit budget for connection "${connectionId}" is used up — try again shortly.`,
+          plan.waitMs
+        )
+      );
+      continue;
+    }
+
+    const wakeMs = plan.waitMs ?? remainingMs;
+    nextWakeMs = nextWakeMs === null ? wakeMs : Math.min(nextWakeMs, wakeMs);
+  }
+
+  // Not unref'd: a script awaiting a queued request has nothing else keeping
+  // it alive.
+  if (scheduler.queue.length && nextWakeMs !== null) {
+    scheduler.timer = setTimeout(() => pump(connectionId), Math.max(50, nextWakeMs));
+  }
+}
+
+function acquireSlot(connectionId, priority) {
+  return new Promise((resolve, reject) => {
+    getScheduler(connectionId).queue.push({ priority, enqueuedAt: Date.now(), resolve, reject });
+    pump(connectionId);
+  });
+}
+
+function releaseSlot(connectionId) {
+  const scheduler = getScheduler(connectionId);
+  scheduler.budget.inFlight = Math.max(0, scheduler.budget.inFlight - 1);
+  pump(connectionId);
+}
+
+// -------------------------------------------------
+// REQUESTS
+// -------------------------------------------------
+
+// path is relative to the accounting API (e.g. "/Invoices"). tenantId picks
+// the organisation as getXeroHeaders does; connectionId may be given
+// instead. priority is "interactive" (widget and admin pages) or
+// "background" (sync, drift, webhooks, auto-map). timeout defaults to
+// XERO_TIMEOUT_MS. Returns the axios response; throws CircuitOpenError without
+// queueing while the Xero circuit is open.
+export async function xeroRequest(
+  path,
+  { tenantId = null, connectionId = null, priority = "interactive", params, accept, responseType, timeout } = {}
+) {
+  if (!XERO_PRIORITIES.includes(priority)) throw new TypeError(`Unknown Xero request priority: ${priority}`);
+  const id = connectionId || (await getXeroConnectionForTenant(tenantId)).id;
+  const { budget } = getScheduler(id);
+
+  for (let attempt = 0; ; attempt += 1) {
+    assertCircuitClosed("xero");
+    await acquireSlot(id, priority);
+
+    let sent = false;
+    try {
+      const headers = await getXeroHeadersForConnection(id);
+      sent = true;
+      const response = await withCircuitBreaker("xero", () =>
+        axios.get(`${getUpstreamBaseUrls().xeroApi}${XERO_ACCOUNTING_PATH}${path}`, {
+          headers: accept ? { ...headers, Accept: accept } : headers,
+          params,
+          responseType,
+          timeout: timeout ?? getUpstreamTimeoutMs("xero")
+        })
+      );
+
+      const limits = applyXeroRateLimitHeaders(budget, response.headers);
+      recordXeroUsage(id, { priority, dayRemaining: limits.dayRemaining });
+      return response;
+    } catch (err) {
+      // A circuit that opened while this request was queued refuses it
+      // before anything reaches Xero.
+      if (!sent || isCircuitOpenError(err)) throw err;
+
+      const limits = err.response
+        ? applyXeroRateLimitHeaders(budget, err.response.headers, { status: err.response.status })
+        : {};
+      recordXeroUsage(id, {
+        priority,
+        dayRemaining: limits.dayRemaining ?? null,
+        rateLimited: err.response?.status === 429
+      });
+
+      const retryMs = getXeroRetryDelayMs(err, priority, attempt);
+      if (retryMs === null) throw err;
+      console.warn(`⏳ Xero rate limit hit (${id}, ${limits.problem || "minute"}) — retrying in ${Math.ceil(retryMs / 1000)}s`);
+    } finally {
+      releaseSlot(id);
+    }
+  }
+}
+
+export async function xeroGet(path, options = {}) {
+  const response = await xeroRequest(path, options);
+  return response.data;
+}
+
+// -------------------------------------------------
+// USAGE TELEMETRY
+// Counted in memory and added to the day's row every USAGE_FLUSH_MS; scripts
+// call flushXeroApiUsage() before exiting.
+// -------------------------------------------------
+let ensurePromise = null;
+let flushTimer = null;
+const pendingUsage = new Map();
+
+export function ensureXeroApiUsageTable() {
+  if (!ensurePromise) {
+    ensurePromise = (async () => {
+      await pgPool.query("CREATE SCHEMA IF NOT EXISTS halo");
+      await pgPool.query(`
+        CREATE TABLE IF NOT EXISTS halo.xero_api_usage (
+          usage_date date NOT NULL,
+          connection_id text NOT NULL,
+          xero_tenant_id text,
+          interactive_calls integer NOT NULL DEFAULT 0,
+          background_calls integer NOT NULL DEFAULT 0,
+          rate_limited integer NOT NULL DEFAULT 0,
+          rejected integer NOT NULL DEFAULT 0,
+          min_day_remaining integer,
+          updated_at timestamptz NOT NULL DEFAULT now(),
+          PRIMARY KEY (usage_date, connection_id)
+        )
+      `);
+    })().catch(err => {
+      ensurePromise = null;
+      throw err;
+    });
+  }
+
+  return ensurePromise;
+}
+
+function recordXeroUsage(connectionId, { priority, dayRemaining = null, rateLimited = false, rejected = false }) {
+  const usageDate = getXeroUsageDate();
+  const key = `${usageDate}|${connectionId}`;
+  const usage = pendingUsage.get(key) || {
+    usageDate,
+    connectionId,
+    interactiveCalls: 0,
+    backgroundCalls: 0,
+    rateLimited: 0,
+    rejected: 0,
+    minDayRemaining: null
+  };
+
+  if (rejected) {
+    usage.rejected += 1;
+  } else if (priority === "background") {
+    usage.backgroundCalls += 1;
+  } else {
+    usage.interactiveCalls += 1;
+  }
+  if (rateLimited) usage.rateLimited += 1;
+  if (dayRemaining !== null) {
+    usage.minDayRemaining = usage.minDayRemaining === null ? dayRemaining : Math.min(usage.minDayRemaining, dayRemaining);
+  }
+  pendingUsage.set(key, usage);
+
+  if (!flushTimer) {
+    flushTimer = setInterval(() => {
+      flushXeroApiUsage().catch(err => console.warn("⚠️ Xero usage flush failed:", err.message));
+    }, USAGE_FLUSH_MS);
+    flushTimer.unref();
+  }
+}
+
+export async function flushXeroApiUsage() {
+  if (!pendingUsage.size) return;
+
+  const entries = [...pendingUsage.values()];
+  pendingUsage.clear();
+  const tenants = new Map(getXeroConnections().map(connection => [connection.id, connection.tenantId || null]));
+
+  await ensureXeroApiUsageTable();
+  for (const usage of entries) {
+    await pgPool.query(
+      `
+      INSERT INTO halo.xero_api_usage AS usage (
+        usage_date, connection_id, xero_tenant_id, interactive_calls, background_calls,
+        rate_limited, rejected, min_day_remaining, updated_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, now())
+      ON CONFLICT (usage_date, connection_id)
+      DO UPDATE SET
+        xero_tenant_id = COALESCE(EXCLUDED.xero_tenant_id, usage.xero_tenant_id),
+        interactive_calls = usage.interactive_calls + EXCLUDED.interactive_calls,
+        background_calls = usage.background_calls + EXCLUDED.background_calls,
+        rate_limited = usage.rate_limited + EXCLUDED.rate_limited,
+        rejected = usage.rejected + EXCLUDED.rejected,
+        min_day_remaining = LEAST(usage.min_day_remaining, EXCLUDED.min_day_remaining),
+        updated_at = now()
+      `,
+      [
+        usage.usageDate,
+        usage.connectionId,
+        tenants.get(usage.connectionId) || null,
+        usage.interactiveCalls,
+        usage.backgroundCalls,
+        usage.rateLimited,
+        usage.rejected,
+        usage.minDayRemaining
+      ]
+    );
+  }
+}
+
+// Daily totals for the admin metrics page, using the same optional from / to
+// date filter as the sync metrics chart. Returns { days: [{ usage_date, interactive_calls, background_calls,
+// rate_limited, rejected, min_day_remaining }], connections: [...] }.
+export async function getXeroApiUsageSummary({ from = null, to = null } = {}) {
+  await ensureXeroApiUsageTable();
+
+  const params = [];
+  const where = [];
+  if (from) {
+    params.push(from);
+    where.push(`usage_date >= $${params.length}::date`);
+  }
+  if (to) {
+    params.push(to);
+    where.push(`usage_date <= $${params.length}::date`);
+  }
+  const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  const { rows: days } = await pgPool.query(
+    `
+    SELECT
+      to_char(usage_date, 'YYYY-MM-DD') AS usage_date,
+      SUM(interactive_calls)::int AS interactive_calls,
+      SUM(background_calls)::int AS background_calls,
+      SUM(rate_limited)::int AS rate_limited,
+      SUM(rejected)::int AS rejected,
+      MIN(min_day_remaining)::int AS min_day_remaining
+    FROM halo.xero_api_usage
+    ${whereSql}
+    GROUP BY usage_date
+    ORDER BY usage_date ASC
+    `,
+    params
+  );
+
+  const { rows: connections } = await pgPool.query(
+    `
+    SELECT
+      connection_id,
+      SUM(interactive_calls + background_calls)::int AS calls,
+      MAX(interactive_calls + background_calls)::int AS busiest_day_calls,
+      SUM(rate_limited)::int AS rate_limited,
+      SUM(rejected)::int AS rejected,
+      MIN(min_day_remaining)::int AS min_day_remaining
+    FROM halo.xero_api_usage
+    ${whereSql}
+    GROUP BY connection_id
+    ORDER BY connection_id
+    `,
+    params
+  );
+
+  return { days, connections };
+}
@@ -0,0 +1,147 @@
+// lib/xero-connection-utils.js
+// -------------------------------------------------
+// Pure helpers for Xero connections (one per organisation). Kept apart from
+// lib/xero.js so they can be tested without credentials or network access.
+// -------------------------------------------------
+
+export const DEFAULT_XERO_CONNECTION_ID = "default";
+export const DEFAULT_XERO_SCOPES = "accounting.contacts.read accounting.invoices.read";
+
+// custom: Custom Connection (client_credentials). oauth: standard
+// authorisation-code app connected from the admin portal.
+export const XERO_AUTH_MODES = ["custom", "oauth"];
+
+const CONNECTION_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+function envValue(env, key) {
+  return String(env[key] ?? "").trim();
+}
+
+// Refresh tokens are only issued with offline_access.
+export function withOfflineAccess(scopes) {
+  const list = String(scopes || "").split(/\s+/).filter(Boolean);
+  return list.includes("offline_access") ? list.join(" ") : ["offline_access", ...list].join(" ");
+}
+
+function parseAuthMode(value, label, errors) {
+  const mode = String(value || "").trim().toLowerCase();
+  if (!mode) return "custom";
+  if (XERO_AUTH_MODES.includes(mode)) return mode;
+
+  errors.push(`${label} must be one of: ${XERO_AUTH_MODES.join(", ")}. Using custom.`);
+  return "custom";
+}
+
+function finishConnection(connection) {
+  return connection.authMode === "oauth" ? { ...connection, scopes: withOfflineAccess(connection.scopes) } : connection;
+}
+
+// "billing" → XERO_BILLING_, "nz-north" → XERO_NZ_NORTH_
+export function getXeroConnectionEnvPrefix(connectionId) {
+  return `XERO_${connectionId.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_`;
+}
+
+// The default connection uses the original XERO_* variables. XERO_CONNECTIONS
+// lists further organisations by ID, each configured with its own prefixed
+// variables (XERO_<ID>_CLIENT_ID, _CLIENT_SECRET, _SCOPES, _TENANT_ID,
+// _TENANT_NAME, _WEBHOOK_KEY, _AUTH_MODE). Returns { connections, errors };
+// a connection with an invalid or repeated ID is left out and reported in
+// errors.
+export function parseXeroConnectionConfigs(env = process.env) {
+  const errors = [];
+  const connections = [
+    {
+      id: DEFAULT_XERO_CONNECTION_ID,
+      isDefault: true,
+      authMode: parseAuthMode(env.XERO_AUTH_MODE, "XERO_AUTH_MODE", errors),
+      clientId: envValue(env, "XERO_CLIENT_ID"),
+      clientSecret: envValue(env, "XERO_CLIENT_SECRET"),
+      scopes: envValue(env, "XERO_SCOPES") || DEFAULT_XERO_SCOPES,
+      tenantId: envValue(env, "XERO_TENANT_ID").toLowerCase(),
+      tenantName: envValue(env, "XERO_TENANT_NAME"),
+      webhookKey: envValue(env, "XERO_WEBHOOK_KEY")
+    }
+  ];
+  const seen = new Set([DEFAULT_XERO_CONNECTION_ID]);
+
+  const ids = envValue(env, "XERO_CONNECTIONS")
+    .split(/[,\s]+/)
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean);
+
+  for (const id of ids) {
+    if (!CONNECTION_ID_PATTERN.test(id)) {
+      errors.push(`Xero connection ID "${id}" must be letters, numbers, - or _ (up to 32 characters).`);
+      continue;
+    }
+    if (seen.has(id)) {
+      errors.push(`Xero connection "${id}" is listed more than once.`);
+      continue;
+    }
+    seen.add(id);
+
+    const prefix = getXeroConnectionEnvPrefix(id);
+    connections.push({
+      id,
+      isDefault: false,
+      authMode: parseAuthMode(env[`${prefix}AUTH_MODE`], `${prefix}AUTH_MODE`, errors),
+      clientId: envValue(env, `${prefix}CLIENT_ID`),
+      clientSecret: envValue(env, `${prefix}CLIENT_SECRET`),
+      scopes: envValue(env, `${prefix}SCOPES`) || envValue(env, "XERO_SCOPES") || DEFAULT_XERO_SCOPES,
+      tenantId: envValue(env, `${prefix}TENANT_ID`).toLowerCase(),
+      tenantName: envValue(env, `${prefix}TENANT_NAME`),
+      webhookKey: envValue(env, `${prefix}WEBHOOK_KEY`)
+    });
+  }
+
+  return { connections: connections.map(finishConnection), errors };
+}
+
+// tenantId is the organisation a contact or event belongs to. No tenant means
+// the default connection. An unknown tenant falls back to the default only
+// when it is the sole connection, so single-organisation deployments keep
+// working if XERO_TENANT_ID changes; otherwise it resolves to null.
+export function findXeroConnectionForTenant(connections, tenantId) {
+  const defaultConnection = connections.find(connection => connection.isDefault) || connections[0] || null;
+  const wanted = String(tenantId || "").trim().toLowerCase();
+  if (!wanted) return defaultConnection;
+
+  const match = connections.find(connection => connection.tenantId && connection.tenantId === wanted);
+  if (match) return match;
+
+  return connections.length === 1 ? defaultConnection : null;
+}
+
+// rows: contacts from other organisations whose name matches the client
+// ({ xero_tenant_id, xero_contact_guid, contact_name }). Returns at most one
+// contact per organisation, never the primary contact or organisation, and
+// skips an organisation holding more than one match (never guesses).
+export function pickOtherOrganisationContacts(rows, { contactId, tenantId = null }) {
+  const primaryContact = String(contactId || "").toLowerCase();
+  const primaryTenant = String(tenantId || "").toLowerCase();
+  const byTenant = new Map();
+
+  for (const row of rows || []) {
+    const rowTenant = String(row.xero_tenant_id || "").toLowerCase();
+    const rowContact = String(row.xero_contact_guid || "").toLowerCase();
+    if (!rowTenant || !rowContact) continue;
+    if (rowContact === primaryContact || rowTenant === primaryTenant) continue;
+
+    const entries = byTenant.get(rowTenant) || [];
+    if (!entries.some(entry => entry.contactId === rowContact)) {
+      entries.push({ tenantId: rowTenant, contactId: rowContact, contactName: row.contact_name || "" });
+    }
+    byTenant.set(rowTenant, entries);
+  }
+
+  const picked = [];
+  for (const [otherTenant, entries] of byTenant) {
+    if (entries.length > 1) {
+      console.warn("⚠️ Ambiguous contact name in Xero organisation, skipped:", otherTenant, entries[0].contactName);
+      continue;
+    }
+    picked.push(entries[0]);
+  }
+
+  return picked.sort((a, b) => a.tenantId.localeCompare(b.tenantId));
+}
@@ -0,0 +1,260 @@
+// lib/xero-ledger-utils.js
+// -------------------------------------------------
+// Turns Xero documents into the finance ledger rows built in server.js. Kept
+// free of Xero and Postgres access so it can be unit tested.
+// -------------------------------------------------
+import { parseXeroDate, toBaseAmount } from "./finance-summary.js";
+
+// Unallocated receivable credits that net against the invoice balance.
+export const XERO_CREDIT_SOURCES = [
+  {
+    path: "/CreditNotes",
+    collection: "CreditNotes",
+    rowType: "Credit Note",
+    xeroType: "ACCRECCREDIT",
+    idField: "CreditNoteID",
+    numberField: "CreditNoteNumber"
+  },
+  {
+    path: "/Overpayments",
+    collection: "Overpayments",
+    rowType: "Overpayment",
+    xeroType: "RECEIVE-OVERPAYMENT",
+    idField: "OverpaymentID",
+    numberField: "Reference"
+  },
+  {
+    path: "/Prepayments",
+    collection: "Prepayments",
+    rowType: "Prepayment",
+    xeroType: "RECEIVE-PREPAYMENT",
+    idField: "PrepaymentID",
+    numberField: "Reference"
+  }
+];
+
+// Only authorised/paid documents carry real remaining credit in Xero; drafts,
+// voided credits and payable-side (supplier) credits are left out.
+const XERO_CREDIT_STATUSES = new Set(["AUTHORISED", "PAID"]);
+
+export function isLedgerCredit(source, item) {
+  return item?.Type === source.xeroType && XERO_CREDIT_STATUSES.has(item.Status);
+}
+
+// Cash payments (or refunds, on credits) Xero lists against a document,
+// kept on the cached row so activity statements need no extra API calls.
+export function buildCashMovements(payments) {
+  return (payments || []).map(payment => ({
+    date: parseXeroDate(payment.Date, payment.DateString),
+    amount: Number(payment.Amount ?? 0),
+    reference: payment.Reference || ""
+  }));
+}
+
+// Credits are stored negative so they net against invoices in every total.
+export function buildCreditRow(source, d, baseCurrency) {
+  const total = -Number(d.Total ?? 0);
+  const balance = -Number(d.RemainingCredit ?? 0);
+  const currencyRate = Number(d.CurrencyRate ?? 1) || 1;
+
+  return {
+    name: d.Contact?.Name,
+    date: d.DateString?.slice(0, 10),
+    type: source.rowType,
+    number: d[source.numberField] || "",
+    creditId: d[source.idField],
+    xeroUrl: null,
+    due: "",
+    ageBucket: "",
+    isOverdue: false,
+    status: d.Status || "",
+    xeroType: d.Type || "",
+    reference: d.Reference || "",
+    payments: buildCashMovements(d.Payments),
+    currency: d.CurrencyCode || baseCurrency,
+    currencyRate,
+    total,
+    balance,
+    baseTotal: toBaseAmount(total, currencyRate),
+    baseBalance: toBaseAmount(balance, currencyRate)
+  };
+}
+
+// -------------------------------------------------
+// QUERIES AND PAGING
+// -------------------------------------------------
+export const XERO_PAGE_SIZE = 100;
+
+function toXeroDateTime(date) {
+  return `DateTime(${date.getUTCFullYear()},${date.getUTCMonth() + 1},${date.getUTCDate()})`;
+}
+
+export function getContactWhere(contactId) {
+  return `Contact.ContactID==Guid("${contactId}")`;
+}
+
+// A history horizon keeps long-standing clients fast to load while still
+// including every document that carries a balance, however old it is.
+// Invoices and credits share it so a credit is never listed without the
+// invoice it was allocated to.
+function getHorizonWhere(contactId, historyMonths, openFilter, now) {
+  if (!historyMonths) return getContactWhere(contactId);
+
+  const cutoff = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  cutoff.setUTCMonth(cutoff.getUTCMonth() - historyMonths);
+  return `${getContactWhere(contactId)} AND (Date>=${toXeroDateTime(cutoff)} OR ${openFilter})`;
+}
+
+export function getInvoiceWhere(contactId, historyMonths, now = new Date()) {
+  return getHorizonWhere(contactId, historyMonths, "AmountDue>0", now);
+}
+
+export function getCreditWhere(contactId, historyMonths, now = new Date()) {
+  return getHorizonWhere(contactId, historyMonths, "RemainingCredit>0", now);
+}
+
+export async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const workerCount = Math.min(limit, items.length);
+
+  const workers = Array.from({ length: workerCount }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await mapper(items[index], index);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+}
+
+// Xero caps every list call at one page. Newer responses report pageCount, so
+// the remaining pages are fetched with bounded concurrency; otherwise pages are
+// walked in order until a short page comes back. fetchPage(page) resolves to
+// the response body. truncated is set when maxPages stopped the walk before
+// the last page, so totals built from items are incomplete.
+export async function collectXeroPages(fetchPage, collection, { maxPages, concurrency = 1 }) {
+  const first = (await fetchPage(1)) || {};
+  const items = [...(first[collection] || [])];
+  const pageCount = Number(first.pagination?.pageCount);
+  const itemCount = Number(first.pagination?.itemCount);
+
+  if (Number.isFinite(pageCount)) {
+    const lastPage = Math.min(pageCount, maxPages);
+    const pages = Array.from({ length: Math.max(0, lastPage - 1) }, (_, index) => index + 2);
+    const results = await mapWithConcurrency(pages, concurrency, page => fetchPage(page));
+    results.forEach(data => items.push(...(data?.[collection] || [])));
+
+    return {
+      items,
+      itemCount: Number.isFinite(itemCount) ? itemCount : items.length,
+      truncated: pageCount > maxPages
+    };
+  }
+
+  let page = 1;
+  let lastPageItems = first[collection] || [];
+  while (lastPageItems.length >= XERO_PAGE_SIZE && page < maxPages) {
+    page += 1;
+    const data = (await fetchPage(page)) || {};
+    lastPageItems = data[collection] || [];
+    items.push(...lastPageItems);
+  }
+
+  const truncated = lastPageItems.length >= XERO_PAGE_SIZE;
+  return { items, itemCount: truncated ? null : items.length, truncated };
+}
+
+// -------------------------------------------------
+// INVOICE HISTORY
+// -------------------------------------------------
+
+// Invoices are cached by ID alone, so every read is checked against the
+// contact the widget resolved; a cached invoice is never proof of access.
+export function isInvoiceForContact(invoice, contactId) {
+  const owner = String(invoice?.Contact?.ContactID || "").toLowerCase();
+  return Boolean(owner) && owner === String(contactId || "").toLowerCase();
+}
+
+export function buildInvoiceHistoryEntries(invoice) {
+  const entries = [
+    ...(invoice.Payments || []).map(payment => ({
+      kind: "Payment",
+      date: parseXeroDate(payment.Date, payment.DateString),
+      amount: Number(payment.Amount ?? 0),
+      reference: payment.Reference || ""
+    })),
+    ...(invoice.CreditNotes || []).map(creditNote => ({
+      kind: "Credit Note",
+      date: parseXeroDate(creditNote.Date, creditNote.DateString),
+      amount: Number(creditNote.AppliedAmount ?? creditNote.Total ?? 0),
+      reference: creditNote.CreditNoteNumber || creditNote.Reference || ""
+    })),
+    ...(invoice.Overpayments || []).map(overpayment => ({
+      kind: "Overpayment",
+      date: parseXeroDate(overpayment.Date, overpayment.DateString),
+      amount: Number(overpayment.AppliedAmount ?? overpayment.Total ?? 0),
+      reference: overpayment.Reference || ""
+    })),
+    ...(invoice.Prepayments || []).map(prepayment => ({
+      kind: "Prepayment",
+      date: parseXeroDate(prepayment.Date, prepayment.DateString),
+      amount: Number(prepayment.AppliedAmount ?? prepayment.Total ?? 0),
+      reference: prepayment.Reference || ""
+    }))
+  ];
+
+  return entries.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+}
+
+export function buildInvoiceHistory(invoice, baseCurrency) {
+  return {
+    invoiceId: invoice.InvoiceID,
+    number: invoice.InvoiceNumber || "",
+    currency: invoice.CurrencyCode || baseCurrency,
+    total: Number(invoice.Total ?? 0),
+    amountPaid: Number(invoice.AmountPaid ?? 0),
+    amountCredited: Number(invoice.AmountCredited ?? 0),
+    amountDue: Number(invoice.AmountDue ?? 0),
+    entries: buildInvoiceHistoryEntries(invoice)
+  };
+}
+
+// -------------------------------------------------
+// INVOICE DETAIL
+// -------------------------------------------------
+export function buildInvoiceDetail(invoice, baseCurrency) {
+  return {
+    invoiceId: invoice.InvoiceID,
+    number: invoice.InvoiceNumber || "",
+    type: invoice.Type || "",
+    status: invoice.Status || "",
+    reference: invoice.Reference || "",
+    date: parseXeroDate(invoice.Date, invoice.DateString),
+    due: parseXeroDate(invoice.DueDate, invoice.DueDateString),
+    lineAmountTypes: invoice.LineAmountTypes || "",
+    currency: invoice.CurrencyCode || baseCurrency,
+    currencyRate: Number(invoice.CurrencyRate ?? 1) || 1,
+    subTotal: Number(invoice.SubTotal ?? 0),
+    totalTax: Number(invoice.TotalTax ?? 0),
+    total: Number(invoice.Total ?? 0),
+    amountDue: Number(invoice.AmountDue ?? 0),
+    lineItems: (invoice.LineItems || []).map(line => ({
+      description: line.Description || "",
+      itemCode: line.ItemCode || "",
+      quantity: Number(line.Quantity ?? 0),
+      unitAmount: Number(line.UnitAmount ?? 0),
+      discountRate: line.DiscountRate ?? null,
+      accountCode: line.AccountCode || "",
+      taxType: line.TaxType || "",
+      taxAmount: Number(line.TaxAmount ?? 0),
+      lineAmount: Number(line.LineAmount ?? 0),
+      tracking: (line.Tracking || []).map(tracking => ({
+        name: tracking.Name || "",
+        option: tracking.Option || ""
+      }))
+    }))
+  };
+}
@@ -0,0 +1,96 @@
+// lib/xero-oauth-utils.js
+// -------------------------------------------------
+// Pure helpers for the Xero OAuth2 authorisation-code flow: consent URL,
+// state checks, /connections parsing and token encryption at rest.
+// -------------------------------------------------
+import crypto from "crypto";
+
+export const XERO_AUTHORISE_URL = "https://login.xero.com/identity/connect/authorize";
+
+// Consent has to be completed within this long of starting it.
+export const XERO_OAUTH_STATE_MAX_AGE_MS = 10 * 60_000;
+
+const ENCRYPTION_VERSION = "v1";
+
+// authoriseUrl is only passed when XERO_LOGIN_BASE_URL points somewhere else.
+export function buildXeroAuthoriseUrl({ clientId, redirectUri, scopes, state, authoriseUrl = XERO_AUTHORISE_URL }) {
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope: scopes,
+    state
+  });
+  return `${authoriseUrl}?${params.toString()}`;
+}
+
+export function createXeroOAuthState() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+// pending is { state, connectionId, createdAt } saved in the admin session
+// when consent started.
+export function checkXeroOAuthState(pending, receivedState, now = Date.now()) {
+  if (!pending?.state || !pending.connectionId) return { ok: false, reason: "not_started" };
+
+  const expected = Buffer.from(String(pending.state));
+  const received = Buffer.from(String(receivedState || ""));
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { ok: false, reason: "state_mismatch" };
+  }
+
+  if (now - Number(pending.createdAt || 0) > XERO_OAUTH_STATE_MAX_AGE_MS) {
+    return { ok: false, reason: "expired" };
+  }
+
+  return { ok: true, connectionId: pending.connectionId };
+}
+
+// Only organisations can be read through the accounting API; practice
+// manager and other tenant types are left out.
+export function parseXeroTenants(connections) {
+  return (Array.isArray(connections) ? connections : [])
+    .filter(entry => entry?.tenantId && (!entry.tenantType || entry.tenantType === "ORGANISATION"))
+    .map(entry => ({
+      connectionId: String(entry.id || ""),
+      tenantId: String(entry.tenantId).toLowerCase(),
+      tenantName: String(entry.tenantName || entry.tenantId)
+    }));
+}
+
+// Keeps the organisation chosen before a reconnect when it is still
+// authorised; otherwise picks the only organisation, or none.
+export function chooseXeroTenant(tenants, previousTenantId = null) {
+  const previous = String(previousTenantId || "").toLowerCase();
+  if (previous) {
+    const match = tenants.find(tenant => tenant.tenantId === previous);
+    if (match) return match;
+  }
+  return tenants.length === 1 ? tenants[0] : null;
+}
+
+function deriveKey(secret) {
+  return crypto.createHash("sha256").update(String(secret)).digest();
+}
+
+// AES-256-GCM; stored as "v1:<iv>:<tag>:<ciphertext>", base64url parts.
+export function encryptXeroToken(value, secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", deriveKey(secret), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), "utf8"), cipher.final()]);
+  return [ENCRYPTION_VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString("base64url") : part))
+    .join(":");
+}
+
+// Throws when the value was encrypted with another key or was altered.
+export function decryptXeroToken(value, secret) {
+  const [version, iv, tag, ciphertext] = String(value || "").split(":");
+  if (version !== ENCRYPTION_VERSION || !iv || !tag || ciphertext === undefined) {
+    throw new Error("Unrecognised encrypted Xero token.");
+  }
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", deriveKey(secret), Buffer.from(iv, "base64url"));
+  decipher.setAuthTag(Buffer.from(tag, "base64url"));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, "base64url")), decipher.final()]).toString("utf8");
+}
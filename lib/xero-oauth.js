@@ -0,0 +1,370 @@
+// lib/xero-oauth.js
+// -------------------------------------------------
+// Xero OAuth2 authorisation-code connections. Tokens are stored encrypted
+// in halo.xero_oauth_connection so the widget, admin portal and scripts
+// share one refresh token; refreshes take an advisory lock, because Xero
+// rotates the refresh token on every use.
+// -------------------------------------------------
+import axios from "axios";
+
+import { getUpstreamTimeoutMs, withCircuitBreaker } from "./circuit-breaker.js";
+import { getUpstreamBaseUrls } from "./config.js";
+import { pgPool } from "./db.js";
+import {
+  buildXeroAuthoriseUrl,
+  chooseXeroTenant,
+  decryptXeroToken,
+  encryptXeroToken,
+  parseXeroTenants
+} from "./xero-oauth-utils.js";
+
+// Access tokens this close to expiry are refreshed rather than used.
+const ACCESS_TOKEN_MARGIN_MS = 60_000;
+
+let ensurePromise = null;
+
+export class XeroOAuthError extends Error {
+  constructor(message, statusCode = 503) {
+    super(message);
+    this.name = "XeroOAuthError";
+    this.statusCode = statusCode;
+  }
+}
+
+function getEncryptionSecret() {
+  const secret = String(process.env.XERO_TOKEN_ENCRYPTION_KEY || "").trim();
+  if (!secret) {
+    throw new XeroOAuthError("XERO_TOKEN_ENCRYPTION_KEY is required for Xero OAuth connections.", 500);
+  }
+  return secret;
+}
+
+export function getXeroRedirectUri() {
+  return String(process.env.XERO_REDIRECT_URI || "").trim();
+}
+
+// What the admin portal needs before it can start consent.
+export function getXeroOAuthSetupErrors(connection) {
+  const errors = [];
+  if (!connection.clientId || !connection.clientSecret) errors.push("Client ID and secret are not configured.");
+  if (!getXeroRedirectUri()) errors.push("XERO_REDIRECT_URI is not configured.");
+  if (!String(process.env.XERO_TOKEN_ENCRYPTION_KEY || "").trim()) {
+    errors.push("XERO_TOKEN_ENCRYPTION_KEY is not configured.");
+  }
+  return errors;
+}
+
+export function ensureXeroOAuthTable() {
+  if (!ensurePromise) {
+    ensurePromise = (async () => {
+      await pgPool.query("CREATE SCHEMA IF NOT EXISTS halo");
+      await pgPool.query(`
+        CREATE TABLE IF NOT EXISTS halo.xero_oauth_connection (
+          connection_id text PRIMARY KEY,
+          refresh_token text NOT NULL,
+          access_token text,
+          access_expires_at timestamptz,
+          scope text,
+          tenant_id text,
+          tenant_name text,
+          xero_connection_id text,
+          available_tenants jsonb NOT NULL DEFAULT '[]'::jsonb,
+          connected_by text,
+          connected_at timestamptz NOT NULL DEFAULT now(),
+          refreshed_at timestamptz,
+          last_error text,
+          updated_at timestamptz NOT NULL DEFAULT now()
+        )
+      `);
+    })().catch(err => {
+      ensurePromise = null;
+      throw err;
+    });
+  }
+
+  return ensurePromise;
+}
+
+async function getRecord(connectionId, db = pgPool) {
+  await ensureXeroOAuthTable();
+  const { rows } = await db.query("SELECT * FROM halo.xero_oauth_connection WHERE connection_id = $1", [connectionId]);
+  return rows[0] || null;
+}
+
+function hasUsableAccessToken(record) {
+  return Boolean(
+    record?.access_token &&
+    record.access_expires_at &&
+    new Date(record.access_expires_at).getTime() > Date.now() + ACCESS_TOKEN_MARGIN_MS
+  );
+}
+
+function toAccessToken(record, secret) {
+  return {
+    accessToken: decryptXeroToken(record.access_token, secret),
+    expiresAt: new Date(record.access_expires_at).getTime(),
+    scope: record.scope || "",
+    tenantId: record.tenant_id || "",
+    tenantName: record.tenant_name || ""
+  };
+}
+
+async function requestToken(connection, params) {
+  const response = await withCircuitBreaker("xero", () =>
+    axios.post(`${getUpstreamBaseUrls().xeroIdentity}/connect/token`, new URLSearchParams(params), {
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      auth: { username: connection.clientId, password: connection.clientSecret },
+      timeout: 15000
+    })
+  );
+  return response.data;
+}
+
+async function fetchXeroTenants(accessToken) {
+  const response = await withCircuitBreaker("xero", () =>
+    axios.get(`${getUpstreamBaseUrls().xeroApi}/connections`, {
+      headers: { Authorization: `Bearer ${accessToken}`, Accept: "application/json" },
+      timeout: getUpstreamTimeoutMs("xero")
+    })
+  );
+  return parseXeroTenants(response.data);
+}
+
+// Admin-facing view of a connection; tokens never leave this module.
+export async function getXeroOAuthStatus(connectionId) {
+  const record = await getRecord(connectionId);
+  if (!record) return { connected: false };
+
+  return {
+    connected: true,
+    tenantId: record.tenant_id || "",
+    tenantName: record.tenant_name || "",
+    availableTenants: record.available_tenants || [],
+    scope: record.scope || "",
+    connectedBy: record.connected_by || null,
+    connectedAt: record.connected_at,
+    refreshedAt: record.refreshed_at,
+    accessExpiresAt: record.access_expires_at,
+    lastError: record.last_error || null
+  };
+}
+
+export function getXeroAuthoriseUrl(connection, state) {
+  return buildXeroAuthoriseUrl({
+    clientId: connection.clientId,
+    redirectUri: getXeroRedirectUri(),
+    scopes: connection.scopes,
+    state,
+    authoriseUrl: `${getUpstreamBaseUrls().xeroLogin}/identity/connect/authorize`
+  });
+}
+
+// Exchanges the callback code, lists the authorised organisations and stores
+// the encrypted tokens. Returns the status, including whether an
+// organisation still has to be chosen.
+export async function completeXeroOAuthConsent(connection, code, connectedBy) {
+  const secret = getEncryptionSecret();
+  const token = await requestToken(connection, {
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: getXeroRedirectUri()
+  });
+  if (!token.refresh_token) {
+    throw new XeroOAuthError("Xero did not return a refresh token — check the offline_access scope.", 400);
+  }
+
+  const tenants = await fetchXeroTenants(token.access_token);
+  const previous = await getRecord(connection.id);
+  const tenant = chooseXeroTenant(tenants, previous?.tenant_id);
+
+  await pgPool.query(
+    `
+    INSERT INTO halo.xero_oauth_connection (
+      connection_id, refresh_token, access_token, access_expires_at, scope,
+      tenant_id, tenant_name, xero_connection_id, available_tenants, connected_by,
+      connected_at, refreshed_at, last_error, updated_at
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9::jsonb, $10, now(), now(), NULL, now())
+    ON CONFLICT (connection_id)
+    DO UPDATE SET
+      refresh_token = EXCLUDED.refresh_token,
+      access_token = EXCLUDED.access_token,
+      access_expires_at = EXCLUDED.access_expires_at,
+      scope = EXCLUDED.scope,
+      tenant_id = EXCLUDED.tenant_id,
+      tenant_name = EXCLUDED.tenant_name,
+      xero_connection_id = EXCLUDED.xero_connection_id,
+      available_tenants = EXCLUDED.available_tenants,
+      connected_by = EXCLUDED.connected_by,
+      connected_at = now(),
+      refreshed_at = now(),
+      last_error = NULL,
+      updated_at = now()
+    `,
+    [
+      connection.id,
+      encryptXeroToken(token.refresh_token, secret),
+      encryptXeroToken(token.access_token, secret),
+      new Date(Date.now() + Number(token.expires_in || 1800) * 1000),
+      token.scope || connection.scopes,
+      tenant?.tenantId || null,
+      tenant?.tenantName || null,
+      tenant?.connectionId || null,
+      JSON.stringify(tenants),
+      connectedBy || null
+    ]
+  );
+
+  console.log("🔑 Xero OAuth connection authorised:", connection.id, tenant?.tenantName || "organisation not chosen yet");
+  return getXeroOAuthStatus(connection.id);
+}
+
+export async function selectXeroOAuthTenant(connectionId, tenantId) {
+  const record = await getRecord(connectionId);
+  if (!record) throw new XeroOAuthError("Xero is not connected.", 400);
+
+  const tenant = (record.available_tenants || []).find(entry => entry.tenantId === String(tenantId).toLowerCase());
+  if (!tenant) throw new XeroOAuthError("That organisation was not authorised for this connection.", 400);
+
+  await pgPool.query(
+    `
+    UPDATE halo.xero_oauth_connection
+    SET tenant_id = $2, tenant_name = $3, xero_connection_id = $4, updated_at = now()
+    WHERE connection_id = $1
+    `,
+    [connectionId, tenant.tenantId, tenant.tenantName, tenant.connectionId || null]
+  );
+  return tenant;
+}
+
+// Refreshes under a session advisory lock held on its own client, so no
+// transaction stays open across the call to Xero. A process that waited for
+// the lock re-reads the row and uses the token the holder stored instead of
+// spending the rotated refresh token.
+async function refreshXeroOAuthToken(connection, secret) {
+  await ensureXeroOAuthTable();
+  const lockKey = `xero_oauth:${connection.id}`;
+  const client = await pgPool.connect();
+  let locked = false;
+  try {
+    await client.query("SELECT pg_advisory_lock(hashtext($1))", [lockKey]);
+    locked = true;
+
+    const record = await getRecord(connection.id, client);
+    if (!record) {
+      throw new XeroOAuthError("Xero is not connected — connect it from the admin portal.");
+    }
+    if (hasUsableAccessToken(record)) return toAccessToken(record, secret);
+
+    let token;
+    try {
+      token = await requestToken(connection, {
+        grant_type: "refresh_token",
+        refresh_token: decryptXeroToken(record.refresh_token, secret)
+      });
+    } catch (err) {
+      const reason = err.response?.data?.error || err.response?.status || err.message;
+      await client.query(
+        `UPDATE halo.xero_oauth_connection SET last_error = $2, updated_at = now() WHERE connection_id = $1`,
+        [connection.id, String(reason).slice(0, 500)]
+      );
+
+      if (reason === "invalid_grant") {
+        throw new XeroOAuthError("Xero authorisation has expired or was revoked — reconnect from the admin portal.");
+      }
+      throw err;
+    }
+
+    const expiresAt = new Date(Date.now() + Number(token.expires_in || 1800) * 1000);
+    await client.query(
+      `
+      UPDATE halo.xero_oauth_connection
+      SET refresh_token = $2,
+          access_token = $3,
+          access_expires_at = $4,
+          scope = COALESCE($5, scope),
+          refreshed_at = now(),
+          last_error = NULL,
+          updated_at = now()
+      WHERE connection_id = $1
+      `,
+      [
+        connection.id,
+        encryptXeroToken(token.refresh_token || decryptXeroToken(record.refresh_token, secret), secret),
+        encryptXeroToken(token.access_token, secret),
+        expiresAt,
+        token.scope || null
+      ]
+    );
+
+    console.log("🔑 Xero OAuth access token refreshed:", connection.id);
+    return {
+      accessToken: token.access_token,
+      expiresAt: expiresAt.getTime(),
+      scope: token.scope || record.scope || "",
+      tenantId: record.tenant_id || "",
+      tenantName: record.tenant_name || ""
+    };
+  } finally {
+    if (locked) {
+      await client.query("SELECT pg_advisory_unlock(hashtext($1))", [lockKey]).catch(err => {
+        console.warn("⚠️ Xero OAuth refresh lock release failed:", connection.id, err.message);
+      });
+    }
+    client.release();
+  }
+}
+
+// Returns { accessToken, expiresAt, scope, tenantId, tenantName }.
+export async function getXeroOAuthAccessToken(connection) {
+  const secret = getEncryptionSecret();
+  const record = await getRecord(connection.id);
+  if (!record) {
+    throw new XeroOAuthError("Xero is not connected — connect it from the admin portal.");
+  }
+  if (!record.tenant_id) {
+    throw new XeroOAuthError("Choose a Xero organisation for this connection in the admin portal.");
+  }
+
+  return hasUsableAccessToken(record) ? toAccessToken(record, secret) : refreshXeroOAuthToken(connection, secret);
+}
+
+// Removes the organisation's connection in Xero and revokes the refresh
+// token; the local record is deleted even if Xero cannot be reached.
+export async function disconnectXeroOAuth(connection) {
+  const record = await getRecord(connection.id);
+  if (!record) return false;
+
+  if (record.xero_connection_id) {
+    try {
+      const { accessToken } = await getXeroOAuthAccessToken(connection);
+      const connectionUrl = `${getUpstreamBaseUrls().xeroApi}/connections/${encodeURIComponent(record.xero_connection_id)}`;
+      await axios.delete(connectionUrl, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+        timeout: 10000
+      });
+    } catch (err) {
+      console.warn("⚠️ Xero connection removal failed:", connection.id, err.response?.status || err.message);
+    }
+  }
+
+  // Read again: removing the connection may have refreshed (rotated) it.
+  try {
+    const latest = (await getRecord(connection.id)) || record;
+    await axios.post(
+      `${getUpstreamBaseUrls().xeroIdentity}/connect/revocation`,
+      new URLSearchParams({ token: decryptXeroToken(latest.refresh_token, getEncryptionSecret()) }),
+      {
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        auth: { username: connection.clientId, password: connection.clientSecret },
+        timeout: 10000
+      }
+    );
+  } catch (err) {
+    console.warn("⚠️ Xero token revocation failed:", connection.id, err.response?.status || err.message);
+  }
+
+  await pgPool.query(`DELETE FROM halo.xero_oauth_connection WHERE connection_id = $1`, [connection.id]);
+  console.log("🛑 Xero OAuth connection removed:", connection.id);
+  return true;
+}
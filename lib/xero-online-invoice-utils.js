@@ -0,0 +1,52 @@
+// lib/xero-online-invoice-utils.js
+// -------------------------------------------------
+// Which finance ledger rows can carry a customer-facing Xero online invoice
+// link, and which of them a lazy link request may look up. Kept free of
+// Postgres and Xero access so it can be unit tested.
+// -------------------------------------------------
+
+// Most invoice IDs one widget request may ask for; the page asks in batches.
+export const ONLINE_INVOICE_BATCH_SIZE = 25;
+
+const XERO_GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Xero only issues online invoices for sales invoices that have left draft.
+export function canHaveOnlineInvoiceUrl(row) {
+  return Boolean(
+    row?.type === "Invoice" &&
+      row.invoiceId &&
+      row.xeroType === "ACCREC" &&
+      row.status !== "DRAFT"
+  );
+}
+
+// Parses the comma-separated ids query param: GUIDs only, lowercased,
+// de-duplicated and capped at ONLINE_INVOICE_BATCH_SIZE.
+export function parseOnlineInvoiceIds(value) {
+  const ids = String(value || "")
+    .split(",")
+    .map(id => id.trim().toLowerCase())
+    .filter(id => XERO_GUID_PATTERN.test(id));
+  return [...new Set(ids)].slice(0, ONLINE_INVOICE_BATCH_SIZE);
+}
+
+// Keeps the requested ids that belong to this client's ledger and can have a
+// link, so the endpoint never looks up another client's invoice.
+export function selectOnlineInvoiceCandidates(rows, requestedIds) {
+  const eligible = new Set(
+    (Array.isArray(rows) ? rows : [])
+      .filter(canHaveOnlineInvoiceUrl)
+      .map(row => String(row.invoiceId).toLowerCase())
+  );
+  return requestedIds.filter(id => eligible.has(id));
+}
+
+// Fills in row.xeroUrl from stored links (a Map keyed by lowercase invoice
+// ID) without touching rows that already have one.
+export function applyStoredOnlineInvoiceUrls(rows, storedUrls) {
+  return rows.map(row => {
+    if (row.xeroUrl || !canHaveOnlineInvoiceUrl(row)) return row;
+    const url = storedUrls.get(String(row.invoiceId).toLowerCase());
+    return url ? { ...row, xeroUrl: url } : row;
+  });
+}
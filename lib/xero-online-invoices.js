@@ -0,0 +1,66 @@
+// lib/xero-online-invoices.js
+// -------------------------------------------------
+// Customer-facing Xero online invoice links, stored in Postgres by InvoiceID.
+// A link never changes once the invoice is issued, so each invoice costs one
+// /OnlineInvoice call ever instead of one per finance cache miss.
+// -------------------------------------------------
+import { pgPool } from "./db.js";
+
+let ensurePromise = null;
+
+export function ensureXeroOnlineInvoiceTable() {
+  if (!ensurePromise) {
+    ensurePromise = (async () => {
+      await pgPool.query("CREATE SCHEMA IF NOT EXISTS halo");
+      await pgPool.query(`
+        CREATE TABLE IF NOT EXISTS halo.xero_online_invoice (
+          invoice_id text PRIMARY KEY,
+          xero_tenant_id text,
+          online_invoice_url text NOT NULL,
+          fetched_at timestamptz NOT NULL DEFAULT now()
+        )
+      `);
+    })().catch(err => {
+      ensurePromise = null;
+      throw err;
+    });
+  }
+
+  return ensurePromise;
+}
+
+// Returns a Map of lowercase invoice ID -> URL for the ids that have one.
+export async function getStoredOnlineInvoiceUrls(invoiceIds) {
+  const ids = [...new Set((invoiceIds || []).filter(Boolean).map(id => String(id).toLowerCase()))];
+  if (!ids.length) return new Map();
+
+  await ensureXeroOnlineInvoiceTable();
+  const { rows } = await pgPool.query(
+    `
+      SELECT invoice_id, online_invoice_url
+      FROM halo.xero_online_invoice
+      WHERE invoice_id = ANY($1::text[])
+    `,
+    [ids]
+  );
+
+  return new Map(rows.map(row => [row.invoice_id, row.online_invoice_url]));
+}
+
+export async function storeOnlineInvoiceUrl(invoiceId, url, tenantId = null) {
+  if (!invoiceId || !url) return;
+
+  await ensureXeroOnlineInvoiceTable();
+  await pgPool.query(
+    `
+      INSERT INTO halo.xero_online_invoice (invoice_id, xero_tenant_id, online_invoice_url, fetched_at)
+      VALUES ($1, $2, $3, now())
+      ON CONFLICT (invoice_id)
+      DO UPDATE SET
+        xero_tenant_id = COALESCE(EXCLUDED.xero_tenant_id, halo.xero_online_invoice.xero_tenant_id),
+        online_invoice_url = EXCLUDED.online_invoice_url,
+        fetched_at = now()
+    `,
+    [String(invoiceId).toLowerCase(), tenantId || null, url]
+  );
+}
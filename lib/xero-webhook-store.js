@@ -0,0 +1,161 @@
+import { pgPool } from "./db.js";
+
+// A claimed event that is neither finished nor failed after this long is
+// assumed lost with its worker and claimed again.
+const RETRY_CLAIM_LEASE_MINUTES = 10;
+
+let ensurePromise = null;
+
+export function ensureXeroWebhookTables() {
+  if (!ensurePromise) {
+    ensurePromise = (async () => {
+      await pgPool.query("CREATE SCHEMA IF NOT EXISTS halo");
+      await pgPool.query(`
+        CREATE TABLE IF NOT EXISTS halo.xero_webhook_event (
+          event_key text PRIMARY KEY,
+          tenant_id text,
+          tenant_type text,
+          event_category text NOT NULL,
+          event_type text,
+          resource_id text NOT NULL,
+          resource_url text,
+          event_date_utc timestamptz,
+          contact_id text,
+          received_at timestamptz NOT NULL DEFAULT now(),
+          processed_at timestamptz,
+          processing_status text NOT NULL DEFAULT 'received',
+          processing_error text,
+          raw_event jsonb NOT NULL
+        )
+      `);
+      await pgPool.query(`
+        CREATE INDEX IF NOT EXISTS xero_webhook_event_received_idx
+        ON halo.xero_webhook_event (received_at DESC)
+      `);
+      await pgPool.query(`
+        CREATE INDEX IF NOT EXISTS xero_webhook_event_contact_idx
+        ON halo.xero_webhook_event (contact_id)
+      `);
+      await pgPool.query(`
+        ALTER TABLE halo.xero_webhook_event
+        ADD COLUMN IF NOT EXISTS attempts integer NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS next_attempt_at timestamptz
+      `);
+      await pgPool.query(`
+        CREATE INDEX IF NOT EXISTS xero_webhook_event_retry_idx
+        ON halo.xero_webhook_event (next_attempt_at)
+        WHERE processing_status IN ('received', 'failed', 'retrying')
+      `);
+    })().catch(err => {
+      ensurePromise = null;
+      throw err;
+    });
+  }
+
+  return ensurePromise;
+}
+
+export async function insertXeroWebhookEvent(input) {
+  await ensureXeroWebhookTables();
+
+  const { rowCount } = await pgPool.query(
+    `
+      INSERT INTO halo.xero_webhook_event (
+        event_key,
+        tenant_id,
+        tenant_type,
+        event_category,
+        event_type,
+        resource_id,
+        resource_url,
+        event_date_utc,
+        raw_event
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (event_key) DO UPDATE SET
+        processing_status = 'received',
+        processing_error = NULL,
+        next_attempt_at = NULL,
+        raw_event = EXCLUDED.raw_event
+      WHERE halo.xero_webhook_event.processing_status = 'failed'
+    `,
+    [
+      input.eventKey,
+      input.tenantId || null,
+      input.tenantType || null,
+      input.eventCategory,
+      input.eventType || null,
+      input.resourceId,
+      input.resourceUrl || null,
+      input.eventDateUtc || null,
+      input.rawEvent
+    ]
+  );
+
+  return rowCount === 1;
+}
+
+// Returns the number of processing runs recorded for the event, including
+// this one.
+export async function updateXeroWebhookEventStatus(eventKey, status, { contactId = null, error = null } = {}) {
+  await ensureXeroWebhookTables();
+
+  const { rows } = await pgPool.query(
+    `
+      UPDATE halo.xero_webhook_event
+      SET processing_status = $2,
+          contact_id = COALESCE($3, contact_id),
+          processing_error = $4,
+          processed_at = now(),
+          attempts = attempts + 1,
+          next_attempt_at = NULL
+      WHERE event_key = $1
+      RETURNING attempts
+    `,
+    [eventKey, status, contactId, error ? String(error).slice(0, 1000) : null]
+  );
+
+  return rows[0]?.attempts ?? 0;
+}
+
+// Puts a failed event in line for the retry sweep.
+export async function scheduleXeroWebhookRetry(eventKey, retryInMs) {
+  await ensureXeroWebhookTables();
+
+  await pgPool.query(
+    `
+      UPDATE halo.xero_webhook_event
+      SET next_attempt_at = now() + ($2::int * INTERVAL '1 millisecond')
+      WHERE event_key = $1 AND processing_status = 'failed'
+    `,
+    [eventKey, retryInMs]
+  );
+}
+
+// Claims failed events whose retry is due, plus events a worker stored or
+// claimed but never finished. SKIP LOCKED and the claim lease keep two
+// workers from retrying the same event at once.
+export async function claimDueXeroWebhookEvents(limit = 25) {
+  await ensureXeroWebhookTables();
+
+  const { rows } = await pgPool.query(
+    `
+      UPDATE halo.xero_webhook_event
+      SET processing_status = 'retrying',
+          next_attempt_at = now() + ($2::int * INTERVAL '1 minute')
+      WHERE event_key IN (
+        SELECT event_key
+        FROM halo.xero_webhook_event
+        WHERE (processing_status IN ('failed', 'retrying') AND next_attempt_at <= now())
+           OR (processing_status = 'received' AND received_at < now() - ($2::int * INTERVAL '1 minute'))
+        ORDER BY received_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING raw_event
+    `,
+    [limit, RETRY_CLAIM_LEASE_MINUTES]
+  );
+
+  return rows;
+}
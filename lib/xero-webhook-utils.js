@@ -0,0 +1,97 @@
+import crypto from "crypto";
+
+// Xero signs the raw request body with HMAC-SHA256 and sends it base64
+// encoded in x-xero-signature.
+export function verifyXeroWebhookSignature(rawBody, signature, webhookKey) {
+  if (!webhookKey) return false;
+  if (!signature) return false;
+
+  const expectedSignature = crypto
+    .createHmac("sha256", webhookKey)
+    .update(rawBody)
+    .digest();
+
+  try {
+    const signatureBuffer = Buffer.from(String(signature), "base64");
+    return (
+      signatureBuffer.length === expectedSignature.length &&
+      crypto.timingSafeEqual(expectedSignature, signatureBuffer)
+    );
+  } catch {
+    return false;
+  }
+}
+
+// Xero events carry no id of their own, so the stored key is a hash of the
+// fields that identify a delivery; retried deliveries map to the same key.
+export function normaliseXeroWebhookEvent(event) {
+  const eventInfo = {
+    tenantId: String(event?.tenantId || "").trim(),
+    tenantType: String(event?.tenantType || "").trim(),
+    eventCategory: String(event?.eventCategory || "").trim().toUpperCase(),
+    eventType: String(event?.eventType || "").trim().toUpperCase(),
+    resourceId: String(event?.resourceId || "").trim().toLowerCase(),
+    resourceUrl: String(event?.resourceUrl || "").trim() || null,
+    eventDateUtc: event?.eventDateUtc || null,
+    rawEvent: event
+  };
+
+  eventInfo.eventKey = crypto
+    .createHash("sha256")
+    .update(
+      [
+        eventInfo.tenantId,
+        eventInfo.eventCategory,
+        eventInfo.eventType,
+        eventInfo.resourceId,
+        eventInfo.eventDateUtc || ""
+      ].join("|")
+    )
+    .digest("hex");
+
+  return eventInfo;
+}
+
+// Webhook deliveries for any connected organisation share one endpoint, each
+// signed with that app's key; a delivery is genuine if any key matches.
+export function verifyXeroWebhookSignatureWithKeys(rawBody, signature, webhookKeys) {
+  let valid = false;
+  for (const webhookKey of webhookKeys || []) {
+    if (verifyXeroWebhookSignature(rawBody, signature, webhookKey)) valid = true;
+  }
+  return valid;
+}
+
+// Decides what an event means for the widget without touching Xero or
+// Postgres. expectedTenantId / expectedTenantIds are the connected
+// organisations, when known.
+export function planXeroWebhookAction(eventInfo, { expectedTenantId = "", expectedTenantIds = [] } = {}) {
+  if (!eventInfo.resourceId || !eventInfo.eventCategory) {
+    return { action: "ignore", reason: "missing_required_event_fields" };
+  }
+
+  const tenantIds = [expectedTenantId, ...expectedTenantIds].filter(Boolean).map(id => id.toLowerCase());
+  if (tenantIds.length && !tenantIds.includes(eventInfo.tenantId.toLowerCase())) {
+    return { action: "ignore", reason: "other_tenant" };
+  }
+
+  switch (eventInfo.eventCategory) {
+    case "INVOICE":
+      return { action: "evict_invoice_contact", invoiceId: eventInfo.resourceId };
+    case "CONTACT":
+      return { action: "sync_contact", contactId: eventInfo.resourceId };
+    default:
+      return { action: "ignore", reason: "unsupported_event_category" };
+  }
+}
+
+// A failed event is retried 1, 2, 4, 8 and 16 minutes after each failure,
+// then left failed. attempts counts processing runs so far, including the one
+// that just failed; null means no more retries.
+export const XERO_WEBHOOK_MAX_ATTEMPTS = 6;
+
+export function getXeroWebhookRetryDelayMs(attempts) {
+  const count = Number(attempts) || 0;
+  if (count >= XERO_WEBHOOK_MAX_ATTEMPTS) return null;
+  return 60_000 * 2 ** Math.max(0, count - 1);
+}
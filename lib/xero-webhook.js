@@ -0,0 +1,188 @@
+import { pgPool } from "./db.js";
+import { deleteFinanceCacheEntry } from "./finance-cache.js";
+import { invalidateFinanceSnapshot } from "./finance-snapshots.js";
+import { upsertHaloClientFromXeroContact } from "./halo-client-store.js";
+import { getXeroConnectionForTenant, getXeroConnections, getXeroWebhookKeys } from "./xero.js";
+import { xeroGet } from "./xero-client.js";
+import {
+  getXeroWebhookRetryDelayMs,
+  normaliseXeroWebhookEvent,
+  planXeroWebhookAction,
+  verifyXeroWebhookSignatureWithKeys
+} from "./xero-webhook-utils.js";
+import {
+  claimDueXeroWebhookEvents,
+  insertXeroWebhookEvent,
+  scheduleXeroWebhookRetry,
+  updateXeroWebhookEventStatus
+} from "./xero-webhook-store.js";
+
+export class XeroWebhookError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "XeroWebhookError";
+    this.statusCode = statusCode;
+  }
+}
+
+function parseWebhookBody(rawBody) {
+  try {
+    return JSON.parse(Buffer.isBuffer(rawBody) ? rawBody.toString("utf8") : String(rawBody || ""));
+  } catch {
+    throw new XeroWebhookError("Invalid Xero webhook JSON.", 400);
+  }
+}
+
+// The snapshot stays available as an outage fallback but is no longer served
+// while revalidating, so the next load waits for the changed figures.
+async function evictFinanceData(contactId) {
+  const cacheKey = `finance:${contactId}`;
+  await deleteFinanceCacheEntry(cacheKey);
+  await invalidateFinanceSnapshot(cacheKey);
+}
+
+async function processInvoiceEvent(eventInfo, plan, { onInvoiceChanged }) {
+  onInvoiceChanged?.(plan.invoiceId);
+
+  let invoice;
+  try {
+    invoice = (await xeroGet(`/Invoices/${encodeURIComponent(plan.invoiceId)}`, {
+      tenantId: eventInfo.tenantId,
+      priority: "background"
+    }))?.Invoices?.[0];
+  } catch (err) {
+    if (err.response?.status !== 404) throw err;
+  }
+
+  const contactId = invoice?.Contact?.ContactID?.toLowerCase() || null;
+  if (!contactId) {
+    await updateXeroWebhookEventStatus(eventInfo.eventKey, "ignored", { error: "Invoice not found in Xero." });
+    return { status: "ignored", reason: "invoice_not_found" };
+  }
+
+  await evictFinanceData(contactId);
+  await updateXeroWebhookEventStatus(eventInfo.eventKey, "processed", { contactId });
+  return { status: "processed", contactId, evicted: true };
+}
+
+async function processContactEvent(eventInfo, plan) {
+  const data = await xeroGet(`/Contacts/${encodeURIComponent(plan.contactId)}`, {
+    tenantId: eventInfo.tenantId,
+    priority: "background"
+  });
+  const contact = data?.Contacts?.[0];
+  const upserted = await upsertHaloClientFromXeroContact(pgPool, contact, eventInfo.tenantId.toLowerCase() || null);
+
+  // The cached payload carries the contact name and GoCardless lookups keyed
+  // off the contact, so drop it as well.
+  await evictFinanceData(plan.contactId);
+  await updateXeroWebhookEventStatus(eventInfo.eventKey, upserted ? "processed" : "ignored", {
+    contactId: plan.contactId,
+    error: upserted ? null : "Contact has no name."
+  });
+
+  return { status: upserted ? "processed" : "ignored", contactId: plan.contactId, upserted };
+}
+
+async function processWebhookEvent(eventInfo, options) {
+  // Looking the tenant up first discovers connections whose tenant is not
+  // yet known. Events are only filtered by tenant once every connection's
+  // tenant is known.
+  await getXeroConnectionForTenant(eventInfo.tenantId).catch(() => null);
+  const tenantIds = getXeroConnections().map(entry => entry.tenantId);
+  const plan = planXeroWebhookAction(eventInfo, {
+    expectedTenantIds: tenantIds.every(Boolean) ? tenantIds : []
+  });
+
+  try {
+    switch (plan.action) {
+      case "evict_invoice_contact":
+        return { eventKey: eventInfo.eventKey, ...(await processInvoiceEvent(eventInfo, plan, options)) };
+      case "sync_contact":
+        return { eventKey: eventInfo.eventKey, ...(await processContactEvent(eventInfo, plan)) };
+      default:
+        await updateXeroWebhookEventStatus(eventInfo.eventKey, "ignored", { error: plan.reason });
+        return { status: "ignored", eventKey: eventInfo.eventKey, reason: plan.reason };
+    }
+  } catch (err) {
+    const attempts = await updateXeroWebhookEventStatus(eventInfo.eventKey, "failed", {
+      error: err.response?.status || err.message
+    });
+    const retryInMs = getXeroWebhookRetryDelayMs(attempts);
+    if (retryInMs !== null) await scheduleXeroWebhookRetry(eventInfo.eventKey, retryInMs);
+
+    return {
+      status: "failed",
+      eventKey: eventInfo.eventKey,
+      error: err.response?.status || err.message,
+      attempts,
+      retryInMs
+    };
+  }
+}
+
+// Verifies and stores a delivery. Xero expects a reply within five seconds,
+// so the route responds once this resolves and processes the returned
+// events afterwards. An intent-to-receive request is a signed delivery with
+// no events, so it passes through here unchanged.
+export async function receiveXeroWebhookRequest(rawBody, signature) {
+  const webhookKeys = getXeroWebhookKeys();
+  if (!webhookKeys.length) {
+    throw new XeroWebhookError("Xero webhook key is not configured.", 503);
+  }
+
+  if (!verifyXeroWebhookSignatureWithKeys(rawBody, signature, webhookKeys)) {
+    throw new XeroWebhookError("Invalid Xero webhook signature.", 401);
+  }
+
+  const body = parseWebhookBody(rawBody);
+  const events = Array.isArray(body?.events) ? body.events : [];
+
+  const stored = [];
+  let duplicates = 0;
+  let ignored = 0;
+
+  for (const event of events) {
+    const eventInfo = normaliseXeroWebhookEvent(event);
+    if (!eventInfo.resourceId || !eventInfo.eventCategory) {
+      ignored += 1;
+      continue;
+    }
+
+    if (await insertXeroWebhookEvent(eventInfo)) {
+      stored.push(eventInfo);
+    } else {
+      duplicates += 1;
+    }
+  }
+
+  return { eventCount: events.length, stored, duplicates, ignored };
+}
+
+// options.onInvoiceChanged(invoiceId) lets the caller drop its own
+// per-invoice caches.
+export async function processXeroWebhookEvents(events, options = {}) {
+  const results = [];
+  for (const eventInfo of events) {
+    results.push(await processWebhookEvent(eventInfo, options));
+  }
+
+  return {
+    eventCount: events.length,
+    processed: results.filter(result => result.status === "processed").length,
+    ignored: results.filter(result => result.status === "ignored").length,
+    failed: results.filter(result => result.status === "failed").length,
+    results
+  };
+}
+
+// Xero does not redeliver an event once it has had its 200, so failed events
+// are retried here on a timer (see getXeroWebhookRetryDelayMs), together with
+// any a crashed worker stored but never finished.
+export async function retryDueXeroWebhookEvents(options = {}) {
+  const rows = await claimDueXeroWebhookEvents();
+  return processXeroWebhookEvents(
+    rows.map(row => normaliseXeroWebhookEvent(row.raw_event)),
+    options
+  );
+}
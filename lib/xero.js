@@ -2,62 +2,274 @@
 import axios from "axios";
 import dotenv from "dotenv";
 
+import { getUpstreamTimeoutMs, withCircuitBreaker } from "./circuit-breaker.js";
+import { getUpstreamBaseUrls } from "./config.js";
+import {
+  DEFAULT_XERO_CONNECTION_ID,
+  findXeroConnectionForTenant,
+  parseXeroConnectionConfigs
+} from "./xero-connection-utils.js";
+import {
+  completeXeroOAuthConsent,
+  disconnectXeroOAuth,
+  getXeroAuthoriseUrl,
+  getXeroOAuthAccessToken,
+  getXeroOAuthSetupErrors,
+  selectXeroOAuthTenant,
+  XeroOAuthError
+} from "./xero-oauth.js";
+
 dotenv.config();
 
-const DEFAULT_SCOPES = "accounting.contacts.read accounting.invoices.read";
+// Failed tenant discovery is retried at most this often per connection.
+const TENANT_DISCOVERY_RETRY_MS = 10 * 60_000;
+
+// OAuth tokens live in Postgres and can be replaced from the admin process
+// (reconnect, new organisation, disconnect), so the in-memory copy is
+// re-checked this often.
+const OAUTH_RECHECK_MS = 60_000;
+
+export class XeroConnectionError extends Error {
+  constructor(message, statusCode = 500) {
+    super(message);
+    this.name = "XeroConnectionError";
+    this.statusCode = statusCode;
+  }
+}
+
+const { connections: connectionConfigs, errors: connectionConfigErrors } = parseXeroConnectionConfigs();
+for (const error of connectionConfigErrors) {
+  console.warn("⚠️", error);
+}
+
+function initialState(connection) {
+  return {
+    access_token: "",
+    expires_at: 0,
+    scope: "",
+    tenantId: connection.tenantId,
+    tenantName: connection.tenantName || (connection.isDefault ? "Xero Custom Connection" : connection.id),
+    tenantDiscoveredAt: null,
+    tenantDiscoveryFailedAt: 0,
+    checkedAt: 0
+  };
+}
+
+// The default connection's state is exported as `tokens` for existing
+// callers; the other connections are held here by connection ID.
+export let tokens = initialState(connectionConfigs[0]);
+const extraConnectionState = new Map(
+  connectionConfigs.filter(connection => !connection.isDefault).map(connection => [connection.id, initialState(connection)])
+);
+
+function getConnectionState(connection) {
+  return connection.isDefault ? tokens : extraConnectionState.get(connection.id);
+}
+
+function setConnectionState(connection, state) {
+  if (connection.isDefault) {
+    tokens = state;
+  } else {
+    extraConnectionState.set(connection.id, state);
+  }
+}
+
+function resetConnectionState(connection) {
+  setConnectionState(connection, initialState(connection));
+}
+
+function getConnectionConfig(connectionId) {
+  const connection = connectionConfigs.find(entry => entry.id === connectionId);
+  if (!connection) {
+    throw new XeroConnectionError(`Unknown Xero connection "${connectionId}".`);
+  }
+  return connection;
+}
+
+// Tenant-aware view of the configured connections, including tenant IDs
+// discovered since start-up. Secrets are never included.
+function describeConnection(connection) {
+  const state = getConnectionState(connection);
+  return {
+    id: connection.id,
+    isDefault: connection.isDefault,
+    authMode: connection.authMode,
+    configured: Boolean(connection.clientId && connection.clientSecret),
+    tenantId: state.tenantId || "",
+    tenantName: state.tenantName,
+    tenantDiscovered: Boolean(state.tenantDiscoveredAt),
+    hasWebhookKey: Boolean(connection.webhookKey),
+    tokenExpiresAt: state.expires_at || null
+  };
+}
+
+export function getXeroConnections() {
+  return connectionConfigs.map(describeConnection);
+}
+
+export function getXeroConnectionErrors() {
+  return [...connectionConfigErrors];
+}
 
-export let tokens = {
-  access_token: "",
-  expires_at: 0,
-  scope: "",
-  tenantId: process.env.XERO_TENANT_ID || "",
-  tenantName: process.env.XERO_TENANT_NAME || "Xero Custom Connection"
-};
+export function getXeroWebhookKeys() {
+  return connectionConfigs.map(connection => connection.webhookKey).filter(Boolean);
+}
 
 export function saveTokens() {
   console.log("ℹ️ Custom Connection tokens are cached in memory only.");
 }
 
-export async function ensureToken() {
-  if (!process.env.XERO_CLIENT_ID || !process.env.XERO_CLIENT_SECRET) {
-    throw new Error("Missing Xero client credentials");
+// A Custom Connection belongs to exactly one organisation, so the first entry
+// from /connections is its tenant. Configured tenant IDs are never replaced.
+async function discoverTenant(connection, accessToken) {
+  const state = getConnectionState(connection);
+  if (state.tenantId) return;
+  if (Date.now() - state.tenantDiscoveryFailedAt < TENANT_DISCOVERY_RETRY_MS) return;
+
+  try {
+    const response = await withCircuitBreaker("xero", () =>
+      axios.get(`${getUpstreamBaseUrls().xeroApi}/connections`, {
+        headers: { Authorization: `Bearer ${accessToken}`, Accept: "application/json" },
+        timeout: getUpstreamTimeoutMs("xero")
+      })
+    );
+    const tenant = (response.data || []).find(entry => entry.tenantType === "ORGANISATION") || response.data?.[0];
+    if (!tenant?.tenantId) return;
+
+    setConnectionState(connection, {
+      ...getConnectionState(connection),
+      tenantId: String(tenant.tenantId).toLowerCase(),
+      tenantName: connection.tenantName || tenant.tenantName || state.tenantName,
+      tenantDiscoveredAt: new Date().toISOString()
+    });
+    console.log("🟢 Xero tenant discovered:", connection.id, tenant.tenantId, tenant.tenantName || "");
+  } catch (err) {
+    setConnectionState(connection, { ...getConnectionState(connection), tenantDiscoveryFailedAt: Date.now() });
+    console.warn("⚠️ Xero tenant discovery failed:", connection.id, err.response?.status || err.message);
+  }
+}
+
+// The organisation is the one chosen in the admin portal, unless a tenant ID
+// is configured for the connection.
+async function ensureOAuthToken(connection) {
+  const state = getConnectionState(connection);
+  if (
+    state.access_token &&
+    state.expires_at > Date.now() + 60_000 &&
+    Date.now() - state.checkedAt < OAUTH_RECHECK_MS
+  ) {
+    return state.access_token;
+  }
+
+  const token = await getXeroOAuthAccessToken(connection);
+  setConnectionState(connection, {
+    ...getConnectionState(connection),
+    access_token: token.accessToken,
+    expires_at: token.expiresAt,
+    scope: token.scope,
+    token_type: "Bearer",
+    tenantId: connection.tenantId || token.tenantId,
+    tenantName: connection.tenantName || token.tenantName || state.tenantName,
+    checkedAt: Date.now()
+  });
+  return token.accessToken;
+}
+
+export async function ensureToken(connectionId = DEFAULT_XERO_CONNECTION_ID) {
+  const connection = getConnectionConfig(connectionId);
+  if (!connection.clientId || !connection.clientSecret) {
+    throw new Error(
+      connection.isDefault
+        ? "Missing Xero client credentials"
+        : `Missing Xero client credentials for connection "${connection.id}"`
+    );
   }
 
-  if (tokens.access_token && tokens.expires_at > Date.now() + 60_000) {
-    return tokens.access_token;
+  if (connection.authMode === "oauth") return ensureOAuthToken(connection);
+
+  const state = getConnectionState(connection);
+  if (state.access_token && state.expires_at > Date.now() + 60_000) {
+    return state.access_token;
   }
 
-  const scope = process.env.XERO_SCOPES || DEFAULT_SCOPES;
-
-  const r = await axios.post(
-    "https://identity.xero.com/connect/token",
-    new URLSearchParams({
-      grant_type: "client_credentials",
-      scope
-    }),
-    {
-      headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      auth: {
-        username: process.env.XERO_CLIENT_ID,
-        password: process.env.XERO_CLIENT_SECRET
+  const r = await withCircuitBreaker("xero", () =>
+    axios.post(
+      `${getUpstreamBaseUrls().xeroIdentity}/connect/token`,
+      new URLSearchParams({
+        grant_type: "client_credentials",
+        scope: connection.scopes
+      }),
+      {
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        auth: {
+          username: connection.clientId,
+          password: connection.clientSecret
+        },
+        timeout: getUpstreamTimeoutMs("xero")
       }
-    }
+    )
   );
 
-  tokens = {
-    ...tokens,
+  setConnectionState(connection, {
+    ...getConnectionState(connection),
     access_token: r.data.access_token,
     expires_at: Date.now() + Number(r.data.expires_in || 1800) * 1000,
-    scope: r.data.scope || scope,
+    scope: r.data.scope || connection.scopes,
     token_type: r.data.token_type || "Bearer"
-  };
+  });
+
+  console.log(
+    connection.isDefault
+      ? "🔑 Xero Custom Connection access token refreshed."
+      : `🔑 Xero Custom Connection access token refreshed (${connection.id}).`
+  );
+
+  await discoverTenant(connection, r.data.access_token);
+  return r.data.access_token;
+}
+
+// Fetches a token for every configured connection whose tenant is not yet
+// known, so tenant IDs stored against contacts can be matched.
+async function discoverUnknownTenants() {
+  for (const connection of connectionConfigs) {
+    const state = getConnectionState(connection);
+    if (state.tenantId || !connection.clientId || !connection.clientSecret) continue;
+
+    try {
+      await ensureToken(connection.id);
+    } catch (err) {
+      console.warn("⚠️ Xero token request failed:", connection.id, err.response?.status || err.message);
+    }
+  }
+}
+
+// Returns the connection for an organisation's tenant ID (no tenant → the
+// default connection). Throws XeroConnectionError when no configured
+// connection serves the tenant.
+export async function getXeroConnectionForTenant(tenantId = null) {
+  let connection = findXeroConnectionForTenant(getXeroConnections(), tenantId);
+  if (!connection) {
+    await discoverUnknownTenants();
+    connection = findXeroConnectionForTenant(getXeroConnections(), tenantId);
+  }
+
+  if (!connection) {
+    throw new XeroConnectionError(`No Xero connection is configured for tenant ${tenantId}.`, 503);
+  }
+  return connection;
+}
 
-  console.log("🔑 Xero Custom Connection access token refreshed.");
-  return tokens.access_token;
+export async function getXeroTenantName(tenantId = null) {
+  try {
+    return (await getXeroConnectionForTenant(tenantId)).tenantName;
+  } catch {
+    return "";
+  }
 }
 
-export async function getXeroHeaders() {
-  const token = await ensureToken();
+export async function getXeroHeadersForConnection(connectionId = DEFAULT_XERO_CONNECTION_ID) {
+  const token = await ensureToken(connectionId);
+  const state = getConnectionState(getConnectionConfig(connectionId));
   const headers = {
     Authorization: `Bearer ${token}`,
     Accept: "application/json"
@@ -65,9 +277,63 @@ export async function getXeroHeaders() {
 
   // Custom Connections do not require xero-tenant-id, but keep this
   // optional so the same code can still work if a tenant id is configured.
-  if (tokens.tenantId) {
-    headers["Xero-tenant-id"] = tokens.tenantId;
+  if (state.tenantId) {
+    headers["Xero-tenant-id"] = state.tenantId;
   }
 
   return headers;
 }
+
+// tenantId picks the organisation; without one the default connection is
+// used, exactly as before multiple organisations were supported.
+export async function getXeroHeaders(tenantId = null) {
+  const connection = await getXeroConnectionForTenant(tenantId);
+  return getXeroHeadersForConnection(connection.id);
+}
+
+// -------------------------------------------------
+// OAUTH CONNECTIONS (ADMIN PORTAL)
+// Each action drops this process's cached token so the next request reads
+// the new state from Postgres.
+// -------------------------------------------------
+function getOAuthConnectionConfig(connectionId) {
+  const connection = getConnectionConfig(connectionId);
+  if (connection.authMode !== "oauth") {
+    throw new XeroOAuthError(`Xero connection "${connectionId}" uses a Custom Connection, not OAuth.`, 400);
+  }
+  return connection;
+}
+
+export function getXeroConnectionSetupErrors(connectionId) {
+  const connection = getConnectionConfig(connectionId);
+  return connection.authMode === "oauth" ? getXeroOAuthSetupErrors(connection) : [];
+}
+
+export function beginXeroOAuthConsent(connectionId, state) {
+  const connection = getOAuthConnectionConfig(connectionId);
+  const errors = getXeroOAuthSetupErrors(connection);
+  if (errors.length) throw new XeroOAuthError(errors.join(" "), 400);
+
+  return getXeroAuthoriseUrl(connection, state);
+}
+
+export async function finishXeroOAuthConsent(connectionId, code, connectedBy) {
+  const connection = getOAuthConnectionConfig(connectionId);
+  const status = await completeXeroOAuthConsent(connection, code, connectedBy);
+  resetConnectionState(connection);
+  return status;
+}
+
+export async function chooseXeroOAuthTenant(connectionId, tenantId) {
+  const connection = getOAuthConnectionConfig(connectionId);
+  const tenant = await selectXeroOAuthTenant(connection.id, tenantId);
+  resetConnectionState(connection);
+  return tenant;
+}
+
+export async function disconnectXeroConnection(connectionId) {
+  const connection = getOAuthConnectionConfig(connectionId);
+  const removed = await disconnectXeroOAuth(connection);
+  resetConnectionState(connection);
+  return removed;
+}
@@ -0,0 +1,442 @@
+// scripts/fake-upstream-seed.js
+// -------------------------------------------------
+// Seeded data for the local stand-in server (scripts/fake-upstreams.js): two
+// Xero organisations with contacts, invoices, credit notes, overpayments and
+// prepayments; GoCardless customers, mandates and payments; Halo clients,
+// agents and tickets. IDs are fixed so links and tests can rely on them;
+// dates are relative to `now` so aging buckets stay meaningful. Fields
+// starting with "_" (e.g. _tenantId) are the fake's own bookkeeping and are
+// stripped before a record is sent.
+// -------------------------------------------------
+import { toXeroDateString, toXeroJsonDate } from "./fake-upstream-utils.js";
+
+const DAY_MS = 86_400_000;
+const GST_RATE = 0.15;
+
+const GUID_KINDS = {
+  tenant: 1,
+  contact: 2,
+  invoice: 3,
+  creditNote: 4,
+  overpayment: 5,
+  prepayment: 6,
+  payment: 7,
+  connection: 8
+};
+
+// e.g. fakeGuid("contact", 1) = 00000002-0000-4000-8000-000000000001
+export function fakeGuid(kind, number) {
+  return `${String(GUID_KINDS[kind]).padStart(8, "0")}-0000-4000-8000-${number.toString(16).padStart(12, "0")}`;
+}
+
+export const FAKE_XERO_TENANTS = [
+  {
+    tenantId: fakeGuid("tenant", 1),
+    tenantName: "Demo Company (NZ)",
+    baseCurrency: "NZD",
+    // Custom Connection client ID that is tied to this organisation.
+    clientId: "fake-xero-nz",
+    connectionId: fakeGuid("connection", 1)
+  },
+  {
+    tenantId: fakeGuid("tenant", 2),
+    tenantName: "Demo Company (AU)",
+    baseCurrency: "AUD",
+    clientId: "fake-xero-au",
+    connectionId: fakeGuid("connection", 2)
+  }
+];
+
+const CONTACTS = [
+  { number: 1, tenant: 0, name: "Acme Ltd", email: "ap@acme.example", contactNumber: "ACME" },
+  { number: 2, tenant: 0, name: "Bright Sparks Electrical", email: "accounts@brightsparks.example" },
+  { number: 3, tenant: 0, name: "Coastal Dental", email: "admin@coastaldental.example" },
+  { number: 4, tenant: 0, name: "Kiwi Freight & Co", email: "finance@kiwifreight.example" },
+  { number: 5, tenant: 0, name: "Harbour Cafe", email: "owner@harbourcafe.example" },
+  { number: 6, tenant: 0, name: "Northwind Traders", email: "payables@northwind.example", contactNumber: "NW001" },
+  { number: 7, tenant: 0, name: "Orphan Holdings", email: "hello@orphan.example" },
+  { number: 8, tenant: 1, name: "Acme Ltd", email: "ap-au@acme.example" },
+  { number: 9, tenant: 1, name: "Southern Cross Labs", email: "accounts@southerncross.example" }
+];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function buildContact(contact, now) {
+  return {
+    ContactID: fakeGuid("contact", contact.number),
+    ContactNumber: contact.contactNumber || "",
+    ContactStatus: "ACTIVE",
+    Name: contact.name,
+    EmailAddress: contact.email,
+    IsCustomer: true,
+    IsSupplier: false,
+    DefaultCurrency: FAKE_XERO_TENANTS[contact.tenant].baseCurrency,
+    UpdatedDateUTC: toXeroJsonDate(now - (30 + contact.number) * DAY_MS),
+    _tenantId: FAKE_XERO_TENANTS[contact.tenant].tenantId
+  };
+}
+
+function xeroDates(ms) {
+  return { json: toXeroJsonDate(ms), text: toXeroDateString(ms) };
+}
+
+function startOfUtcDay(ms) {
+  const date = new Date(ms);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+// -------------------------------------------------
+// XERO DOCUMENTS
+// -------------------------------------------------
+function createXeroBuilder(now, contacts) {
+  const today = startOfUtcDay(now);
+  const invoices = [];
+  const creditNotes = [];
+  const overpayments = [];
+  const prepayments = [];
+  let invoiceNumber = 0;
+  let paymentNumber = 0;
+
+  const contactRef = number => {
+    const contact = contacts.find(entry => entry.ContactID === fakeGuid("contact", number));
+    return { contact, ref: { ContactID: contact.ContactID, Name: contact.Name } };
+  };
+
+  const payment = (amount, ms, reference) => {
+    paymentNumber += 1;
+    return {
+      PaymentID: fakeGuid("payment", paymentNumber),
+      Date: toXeroJsonDate(ms),
+      Amount: round2(amount),
+      Reference: reference || ""
+    };
+  };
+
+  function addInvoice(
+    contactNumber,
+    { daysAgo, dueInDays = 20, subTotal, paid = 0, status = "AUTHORISED", currency = null, rate = 1, type = "ACCREC", description }
+  ) {
+    invoiceNumber += 1;
+    const { contact, ref } = contactRef(contactNumber);
+    const tenant = FAKE_XERO_TENANTS.find(entry => entry.tenantId === contact._tenantId);
+    const issued = today - daysAgo * DAY_MS;
+    const due = issued + dueInDays * DAY_MS;
+    const totalTax = round2(subTotal * GST_RATE);
+    const total = round2(subTotal + totalTax);
+    const amountPaid = round2(Math.min(paid, total));
+    const isDraft = status === "DRAFT";
+    const settled = !isDraft && amountPaid >= total;
+    const date = xeroDates(issued);
+    const dueDate = xeroDates(due);
+    const number = type === "ACCPAY" ? `BILL-${String(invoiceNumber).padStart(4, "0")}` : `INV-${String(invoiceNumber).padStart(4, "0")}`;
+
+    invoices.push({
+      InvoiceID: fakeGuid("invoice", invoiceNumber),
+      InvoiceNumber: number,
+      Type: type,
+      Status: settled ? "PAID" : status,
+      Reference: `Services ${date.text.slice(0, 7)}`,
+      Contact: ref,
+      Date: date.json,
+      DateString: date.text,
+      DueDate: dueDate.json,
+      DueDateString: dueDate.text,
+      LineAmountTypes: "Exclusive",
+      LineItems: [
+        {
+          Description: description || "Managed IT services",
+          ItemCode: "MSP",
+          Quantity: 1,
+          UnitAmount: subTotal,
+          AccountCode: "200",
+          TaxType: "OUTPUT2",
+          TaxAmount: totalTax,
+          LineAmount: subTotal,
+          Tracking: [{ Name: "Region", Option: tenant.baseCurrency === "AUD" ? "Australia" : "New Zealand" }]
+        }
+      ],
+      SubTotal: subTotal,
+      TotalTax: totalTax,
+      Total: total,
+      AmountDue: isDraft ? total : round2(total - amountPaid),
+      AmountPaid: amountPaid,
+      AmountCredited: 0,
+      CurrencyCode: currency || tenant.baseCurrency,
+      CurrencyRate: rate,
+      Payments: amountPaid > 0 ? [payment(amountPaid, Math.min(now, due), number)] : [],
+      CreditNotes: [],
+      Overpayments: [],
+      Prepayments: [],
+      HasAttachments: false,
+      UpdatedDateUTC: toXeroJsonDate(issued + DAY_MS),
+      _tenantId: contact._tenantId
+    });
+  }
+
+  function addCreditNote(contactNumber, { daysAgo, total, remaining = total }) {
+    const { contact, ref } = contactRef(contactNumber);
+    const tenant = FAKE_XERO_TENANTS.find(entry => entry.tenantId === contact._tenantId);
+    const number = creditNotes.length + 1;
+    const date = xeroDates(today - daysAgo * DAY_MS);
+    creditNotes.push({
+      CreditNoteID: fakeGuid("creditNote", number),
+      CreditNoteNumber: `CN-${String(number).padStart(4, "0")}`,
+      Type: "ACCRECCREDIT",
+      Status: remaining > 0 ? "AUTHORISED" : "PAID",
+      Reference: "Service credit",
+      Contact: ref,
+      Date: date.json,
+      DateString: date.text,
+      Total: total,
+      RemainingCredit: remaining,
+      CurrencyCode: tenant.baseCurrency,
+      CurrencyRate: 1,
+      Payments: [],
+      Allocations: [],
+      UpdatedDateUTC: date.json,
+      _tenantId: contact._tenantId
+    });
+  }
+
+  function addCashCredit(list, kind, contactNumber, { daysAgo, total, remaining = total }) {
+    const { contact, ref } = contactRef(contactNumber);
+    const tenant = FAKE_XERO_TENANTS.find(entry => entry.tenantId === contact._tenantId);
+    const number = list.length + 1;
+    const date = xeroDates(today - daysAgo * DAY_MS);
+    const isOverpayment = kind === "overpayment";
+    list.push({
+      [isOverpayment ? "OverpaymentID" : "PrepaymentID"]: fakeGuid(kind, number),
+      Type: isOverpayment ? "RECEIVE-OVERPAYMENT" : "RECEIVE-PREPAYMENT",
+      Status: remaining > 0 ? "AUTHORISED" : "PAID",
+      Reference: isOverpayment ? `Overpayment ${number}` : `Prepayment ${number}`,
+      Contact: ref,
+      Date: date.json,
+      DateString: date.text,
+      Total: total,
+      RemainingCredit: remaining,
+      CurrencyCode: tenant.baseCurrency,
+      CurrencyRate: 1,
+      Payments: [payment(total, today - daysAgo * DAY_MS, isOverpayment ? "Bank deposit" : "Deposit in advance")],
+      Allocations: [],
+      UpdatedDateUTC: date.json,
+      _tenantId: contact._tenantId
+    });
+  }
+
+  return {
+    addInvoice,
+    addCreditNote,
+    addOverpayment: (contactNumber, options) => addCashCredit(overpayments, "overpayment", contactNumber, options),
+    addPrepayment: (contactNumber, options) => addCashCredit(prepayments, "prepayment", contactNumber, options),
+    result: () => ({ invoices, creditNotes, overpayments, prepayments })
+  };
+}
+
+function seedXeroDocuments(now, contacts) {
+  const xero = createXeroBuilder(now, contacts);
+
+  // Acme Ltd: a bit of everything.
+  xero.addInvoice(1, { daysAgo: 400, subTotal: 1200, paid: 1380 });
+  xero.addInvoice(1, { daysAgo: 130, subTotal: 950, description: "Firewall renewal" });
+  xero.addInvoice(1, { daysAgo: 70, subTotal: 1500, paid: 500 });
+  xero.addInvoice(1, { daysAgo: 45, subTotal: 1500 });
+  xero.addInvoice(1, { daysAgo: 5, subTotal: 1500 });
+  xero.addInvoice(1, { daysAgo: 2, subTotal: 320, status: "DRAFT" });
+  xero.addInvoice(1, { daysAgo: 60, subTotal: 210, type: "ACCPAY", description: "Referral fee" });
+  xero.addCreditNote(1, { daysAgo: 20, total: 115 });
+
+  // Bright Sparks Electrical: one current invoice.
+  xero.addInvoice(2, { daysAgo: 40, subTotal: 780, paid: 897 });
+  xero.addInvoice(2, { daysAgo: 10, subTotal: 780 });
+
+  // Coastal Dental: billed in AUD from the NZ organisation.
+  xero.addInvoice(3, { daysAgo: 95, subTotal: 2000, currency: "AUD", rate: 0.92, paid: 2300 });
+  xero.addInvoice(3, { daysAgo: 50, subTotal: 2000, currency: "AUD", rate: 0.92 });
+  xero.addInvoice(3, { daysAgo: 15, subTotal: 650 });
+
+  // Kiwi Freight & Co: long overdue.
+  xero.addInvoice(4, { daysAgo: 200, subTotal: 3400 });
+  xero.addInvoice(4, { daysAgo: 160, subTotal: 3400, paid: 1000 });
+
+  // Harbour Cafe: paid up, with unallocated credit.
+  xero.addInvoice(5, { daysAgo: 90, subTotal: 400, paid: 460 });
+  xero.addInvoice(5, { daysAgo: 30, subTotal: 400, paid: 460 });
+  xero.addOverpayment(5, { daysAgo: 25, total: 40 });
+  xero.addPrepayment(5, { daysAgo: 3, total: 460 });
+
+  // Northwind Traders: enough history to need several pages and to cross
+  // the default 24 month horizon.
+  for (let index = 0; index < 240; index += 1) {
+    const daysAgo = 4 + index * 4;
+    xero.addInvoice(6, {
+      daysAgo,
+      subTotal: 250 + (index % 7) * 35,
+      paid: daysAgo > 60 && index % 23 !== 0 ? Number.MAX_SAFE_INTEGER : 0,
+      dueInDays: 14
+    });
+  }
+
+  // Orphan Holdings: in Xero only.
+  xero.addInvoice(7, { daysAgo: 12, subTotal: 99 });
+
+  // AU organisation.
+  xero.addInvoice(8, { daysAgo: 35, subTotal: 1800 });
+  xero.addInvoice(8, { daysAgo: 8, subTotal: 600, paid: 200 });
+  xero.addInvoice(9, { daysAgo: 75, subTotal: 5200, paid: 2000 });
+
+  return xero.result();
+}
+
+// -------------------------------------------------
+// GOCARDLESS
+// -------------------------------------------------
+function isoDaysAgo(now, days) {
+  return new Date(now - days * DAY_MS).toISOString().replace(/\.\d{3}Z$/, ".000Z");
+}
+
+function seedGoCardless(now) {
+  const customer = (id, companyName, email, daysAgo, metadata = {}) => ({
+    id,
+    created_at: isoDaysAgo(now, daysAgo),
+    email,
+    given_name: "Accounts",
+    family_name: "Payable",
+    company_name: companyName,
+    country_code: "NZ",
+    language: "en",
+    metadata
+  });
+  const mandate = (id, customerId, status, daysAgo) => ({
+    id,
+    created_at: isoDaysAgo(now, daysAgo),
+    reference: `REF-${id.slice(-4)}`,
+    status,
+    scheme: "becs_nz",
+    next_possible_charge_date: status === "active" ? isoDaysAgo(now, -3).slice(0, 10) : null,
+    payments_require_approval: false,
+    metadata: {},
+    links: { customer: customerId, customer_bank_account: `BA${customerId.slice(2)}`, creditor: "CR000FAKE" }
+  });
+  const payment = (id, mandateId, status, amount, daysAgo, description) => ({
+    id,
+    created_at: isoDaysAgo(now, daysAgo),
+    charge_date: isoDaysAgo(now, daysAgo - 2).slice(0, 10),
+    amount,
+    currency: "NZD",
+    description,
+    status,
+    reference: `PAY-${id.slice(-4)}`,
+    metadata: {},
+    links: { mandate: mandateId, creditor: "CR000FAKE" }
+  });
+
+  return {
+    customers: [
+      customer("CU0000FAKE0001", "Acme Ltd", "ap@acme.example", 300),
+      customer("CU0000FAKE0002", "Bright Sparks Electrical", "accounts@brightsparks.example", 40),
+      customer("CU0000FAKE0003", "Coastal Dental", "admin@coastaldental.example", 500),
+      customer("CU0000FAKE0005", "Harbour Cafe", "owner@harbourcafe.example", 200),
+      customer("CU0000FAKE0006", "Northwind Traders", "payables@northwind.example", 900, {
+        xero_contact_id: fakeGuid("contact", 6)
+      }),
+      customer("CU0000FAKE0007", "Unknown Plumbing", "office@unknownplumbing.example", 15)
+    ],
+    mandates: [
+      mandate("MD0000FAKE0007", "CU0000FAKE0001", "cancelled", 290),
+      mandate("MD0000FAKE0001", "CU0000FAKE0001", "active", 120),
+      mandate("MD0000FAKE0002", "CU0000FAKE0002", "pending_submission", 2),
+      mandate("MD0000FAKE0003", "CU0000FAKE0003", "cancelled", 60),
+      mandate("MD0000FAKE0004", "CU0000FAKE0005", "failed", 190),
+      mandate("MD0000FAKE0005", "CU0000FAKE0006", "active", 880),
+      mandate("MD0000FAKE0006", "CU0000FAKE0007", "active", 14)
+    ],
+    payments: [
+      payment("PM0000FAKE0001", "MD0000FAKE0001", "paid_out", 172500, 40, "Invoice INV-0003"),
+      payment("PM0000FAKE0002", "MD0000FAKE0004", "failed", 46000, 30, "Invoice INV-0017"),
+      payment("PM0000FAKE0003", "MD0000FAKE0005", "charged_back", 35650, 25, "Invoice INV-0030"),
+      payment("PM0000FAKE0004", "MD0000FAKE0005", "confirmed", 28750, 5, "Invoice INV-0021")
+    ]
+  };
+}
+
+// -------------------------------------------------
+// HALO
+// -------------------------------------------------
+function seedHalo() {
+  const client = (id, name, xeroContactNumber, siteId) => ({
+    id,
+    name,
+    inactive: false,
+    xeroid: xeroContactNumber ? fakeGuid("contact", xeroContactNumber) : "",
+    main_site_id: siteId,
+    main_site_name: "Main",
+    customfields: [{ id: 278, name: "CFDirectDebitActive", value: "", display: "" }]
+  });
+
+  return {
+    clients: [
+      client(101, "Acme Ltd", 1, 201),
+      client(102, "Bright Sparks Electrical", null, 202),
+      client(103, "Coastal Dental", 3, 203),
+      client(104, "Kiwi Freight & Co", 4, 204),
+      client(105, "Harbour Cafe", null, 205),
+      client(106, "Northwind Traders", 6, 206),
+      client(107, "Southern Cross Labs", 9, 207),
+      client(108, "Unlinked Startup", null, 208)
+    ],
+    agents: [
+      {
+        id: 1,
+        name: "Alex Accounts",
+        email: "alex@msp.example",
+        isdisabled: false,
+        team_id: 2,
+        team: "Accounts",
+        department_id: 1,
+        department_name: "Finance",
+        roles: [{ id: 5, name: "Finance" }],
+        teams: [{ team_id: 2, team_name: "Accounts" }]
+      },
+      {
+        id: 2,
+        name: "Sam Service",
+        email: "sam@msp.example",
+        isdisabled: false,
+        team_id: 1,
+        team: "Service Desk",
+        department_id: 2,
+        department_name: "Support",
+        roles: [{ id: 3, name: "Technician" }],
+        teams: [{ team_id: 1, team_name: "Service Desk" }]
+      },
+      {
+        id: 3,
+        name: "Former Agent",
+        email: "former@msp.example",
+        isdisabled: true,
+        team_id: 2,
+        team: "Accounts",
+        roles: [],
+        teams: []
+      }
+    ],
+    tickets: []
+  };
+}
+
+export function createFakeUpstreamSeed({ now = Date.now() } = {}) {
+  const contacts = CONTACTS.map(contact => buildContact(contact, now));
+
+  return {
+    seededAt: new Date(now).toISOString(),
+    xero: {
+      tenants: FAKE_XERO_TENANTS.map(tenant => ({ ...tenant })),
+      contacts,
+      ...seedXeroDocuments(now, contacts)
+    },
+    goCardless: seedGoCardless(now),
+    halo: seedHalo()
+  };
+}
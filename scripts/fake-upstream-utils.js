@@ -0,0 +1,480 @@
+// scripts/fake-upstream-utils.js
+// -------------------------------------------------
+// Pure helpers for the local Xero / GoCardless / Halo stand-in server
+// (scripts/fake-upstreams.js): Xero where/order/paging, GoCardless cursor
+// paging, Halo paging, the aged receivables report, rate limits, injected
+// faults and webhook signatures. Kept free of Express and timers so they can
+// be unit tested.
+// -------------------------------------------------
+import crypto from "crypto";
+
+export const FAKE_UPSTREAMS = ["xero", "gocardless", "halo"];
+
+// Xero's published limits per organisation.
+export const XERO_MINUTE_LIMIT = 60;
+export const XERO_DAY_LIMIT = 5000;
+
+const XERO_MAX_PAGE_SIZE = 1000;
+const GOCARDLESS_DEFAULT_LIMIT = 50;
+const GOCARDLESS_MAX_LIMIT = 500;
+const HALO_DEFAULT_PAGE_SIZE = 50;
+
+export class FakeXeroQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "FakeXeroQueryError";
+    this.statusCode = 400;
+  }
+}
+
+// -------------------------------------------------
+// XERO DATES
+// -------------------------------------------------
+export function toXeroJsonDate(ms) {
+  return `/Date(${ms}+0000)/`;
+}
+
+// Xero "DateString" form, e.g. 2024-03-01T00:00:00.
+export function toXeroDateString(ms) {
+  return new Date(ms).toISOString().slice(0, 19);
+}
+
+function toComparableTime(value) {
+  const jsonDate = /\/Date\((-?\d+)/.exec(String(value ?? ""));
+  if (jsonDate) return Number(jsonDate[1]);
+
+  const text = String(value ?? "");
+  if (!/^\d{4}-\d{2}-\d{2}/.test(text)) return null;
+  return Date.parse(/[zZ]|[+-]\d{2}:?\d{2}$/.test(text) ? text : `${text.length === 10 ? `${text}T00:00:00` : text}Z`);
+}
+
+// -------------------------------------------------
+// XERO WHERE
+// The subset of Xero's filter syntax this project sends: comparisons of a
+// (dotted) field against Guid("..."), "text", DateTime(y,m,d[,h,m,s]),
+// numbers, true/false or null, joined with AND / OR and parentheses.
+// Anything else is rejected so a new query shape is noticed here first.
+// -------------------------------------------------
+const TOKEN_PATTERN =
+  /\s*(?:(\()|(\))|(==|!=|>=|<=|>|<)|(&&|\|\|)|("(?:[^"\\]|\\.)*")|([A-Za-z_][\w.]*\([^)]*\))|(-?\d+(?:\.\d+)?)|([A-Za-z_][\w.]*))/y;
+
+function tokeniseWhere(where) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  const text = String(where);
+
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    if (/^\s*$/.test(text.slice(TOKEN_PATTERN.lastIndex))) break;
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) throw new FakeXeroQueryError(`Unsupported where clause near "${text.slice(start).trim()}".`);
+
+    const [, open, close, operator, logical, string, call, number, word] = match;
+    if (open) tokens.push({ type: "(" });
+    else if (close) tokens.push({ type: ")" });
+    else if (operator) tokens.push({ type: "operator", value: operator });
+    else if (logical) tokens.push({ type: "logical", value: logical === "&&" ? "AND" : "OR" });
+    else if (string) tokens.push({ type: "value", value: { kind: "string", value: JSON.parse(string) } });
+    else if (call) tokens.push({ type: "value", value: parseWhereCall(call) });
+    else if (number) tokens.push({ type: "value", value: { kind: "number", value: Number(number) } });
+    else if (/^(and|or)$/i.test(word)) tokens.push({ type: "logical", value: word.toUpperCase() });
+    else if (/^(true|false)$/i.test(word)) tokens.push({ type: "value", value: { kind: "boolean", value: word.toLowerCase() === "true" } });
+    else if (/^null$/i.test(word)) tokens.push({ type: "value", value: { kind: "null", value: null } });
+    else tokens.push({ type: "field", value: word });
+  }
+
+  return tokens;
+}
+
+function parseWhereCall(call) {
+  const guid = /^Guid\(\s*"([^"]*)"\s*\)$/i.exec(call);
+  if (guid) return { kind: "guid", value: guid[1].toLowerCase() };
+
+  const dateTime = /^DateTime\(([\d\s,]+)\)$/i.exec(call);
+  if (dateTime) {
+    const parts = dateTime[1].split(",").map(part => Number(part.trim()));
+    if (parts.length < 3 || parts.some(part => !Number.isFinite(part))) {
+      throw new FakeXeroQueryError(`Invalid DateTime in where clause: ${call}`);
+    }
+    const [year, month, day, hour = 0, minute = 0, second = 0] = parts;
+    return { kind: "date", value: Date.UTC(year, month - 1, day, hour, minute, second) };
+  }
+
+  throw new FakeXeroQueryError(`Unsupported function in where clause: ${call}`);
+}
+
+// Returns a predicate for one item; an empty where matches everything.
+export function compileXeroWhere(where) {
+  if (!String(where || "").trim()) return () => true;
+
+  const tokens = tokeniseWhere(where);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const expect = type => {
+    const token = tokens[position];
+    if (token?.type !== type) throw new FakeXeroQueryError(`Malformed where clause: ${where}`);
+    position += 1;
+    return token;
+  };
+
+  const parseComparison = () => {
+    if (peek()?.type === "(") {
+      position += 1;
+      const inner = parseOr();
+      expect(")");
+      return inner;
+    }
+    const field = expect("field").value;
+    const operator = expect("operator").value;
+    const operand = expect("value").value;
+    return item => compareXeroValue(getFieldValue(item, field), operator, operand);
+  };
+
+  const parseAnd = () => {
+    let left = parseComparison();
+    while (peek()?.type === "logical" && peek().value === "AND") {
+      position += 1;
+      const right = parseComparison();
+      const previous = left;
+      left = item => previous(item) && right(item);
+    }
+    return left;
+  };
+
+  function parseOr() {
+    let left = parseAnd();
+    while (peek()?.type === "logical" && peek().value === "OR") {
+      position += 1;
+      const right = parseAnd();
+      const previous = left;
+      left = item => previous(item) || right(item);
+    }
+    return left;
+  }
+
+  const predicate = parseOr();
+  if (position !== tokens.length) throw new FakeXeroQueryError(`Malformed where clause: ${where}`);
+  return predicate;
+}
+
+function getFieldValue(item, field) {
+  return field.split(".").reduce((value, key) => (value == null ? undefined : value[key]), item);
+}
+
+function compareXeroValue(actual, operator, operand) {
+  let left;
+  let right;
+
+  if (operand.kind === "date") {
+    left = toComparableTime(actual);
+    right = operand.value;
+    if (left === null) return false;
+  } else if (operand.kind === "number") {
+    left = Number(actual);
+    right = operand.value;
+  } else if (operand.kind === "guid" || operand.kind === "string") {
+    // Xero compares text case-insensitively.
+    left = actual == null ? null : String(actual).toLowerCase();
+    right = operand.value.toLowerCase();
+  } else {
+    left = actual ?? null;
+    right = operand.value;
+  }
+
+  switch (operator) {
+    case "==":
+      return left === right;
+    case "!=":
+      return left !== right;
+    case ">=":
+      return left >= right;
+    case "<=":
+      return left <= right;
+    case ">":
+      return left > right;
+    default:
+      return left < right;
+  }
+}
+
+// order is Xero's "Field [ASC|DESC][, Field ...]". Sorting is stable.
+export function sortXeroItems(items, order) {
+  const keys = String(order || "")
+    .split(",")
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const [field, direction = "ASC"] = part.split(/\s+/);
+      return { field, descending: direction.toUpperCase() === "DESC" };
+    });
+  if (!keys.length) return [...items];
+
+  const comparable = value => toComparableTime(value) ?? (typeof value === "string" ? value.toLowerCase() : value ?? "");
+
+  return [...items].sort((a, b) => {
+    for (const { field, descending } of keys) {
+      const left = comparable(getFieldValue(a, field));
+      const right = comparable(getFieldValue(b, field));
+      if (left < right) return descending ? 1 : -1;
+      if (left > right) return descending ? -1 : 1;
+    }
+    return 0;
+  });
+}
+
+// Without page Xero returns the whole list. With page it returns one page
+// and, like newer API versions, a pagination block. maxPageSize lets the
+// fake page smaller than asked so paging is exercised with little data.
+export function pageXeroItems(items, { page, pageSize, maxPageSize = XERO_MAX_PAGE_SIZE } = {}) {
+  const pageNumber = Number.parseInt(page, 10);
+  if (!Number.isFinite(pageNumber) || pageNumber < 1) return { items, pagination: null };
+
+  const requested = Number.parseInt(pageSize, 10);
+  const size = Math.min(Number.isFinite(requested) && requested > 0 ? requested : 100, XERO_MAX_PAGE_SIZE, maxPageSize);
+  return {
+    items: items.slice((pageNumber - 1) * size, pageNumber * size),
+    pagination: {
+      page: pageNumber,
+      pageSize: size,
+      pageCount: Math.ceil(items.length / size),
+      itemCount: items.length
+    }
+  };
+}
+
+// -------------------------------------------------
+// XERO AGED RECEIVABLES
+// Day-range columns, one row per outstanding document in base currency and a
+// closing SummaryRow, as parseAgedReceivablesReport expects.
+// -------------------------------------------------
+const AGED_COLUMNS = ["Current", "1 - 30 days", "31 - 60 days", "61 - 90 days", "Older"];
+
+function getAgedColumn(dueMs, reportMs) {
+  const daysOverdue = Math.floor((reportMs - dueMs) / 86_400_000);
+  if (daysOverdue <= 0) return 0;
+  if (daysOverdue <= 30) return 1;
+  if (daysOverdue <= 60) return 2;
+  if (daysOverdue <= 90) return 3;
+  return 4;
+}
+
+function formatReportAmount(value) {
+  return (Math.round(value * 100) / 100).toFixed(2);
+}
+
+export function buildAgedReceivablesReport({ contact, invoices = [], creditNotes = [], date }) {
+  const reportMs = Date.parse(`${date}T00:00:00Z`);
+  const documents = [
+    ...invoices
+      .filter(invoice => invoice.Type === "ACCREC" && invoice.Status === "AUTHORISED" && Number(invoice.AmountDue) > 0)
+      .map(invoice => ({
+        date: invoice.DateString,
+        reference: invoice.InvoiceNumber,
+        due: invoice.DueDateString,
+        amount: Number(invoice.AmountDue) / (Number(invoice.CurrencyRate) || 1)
+      })),
+    ...creditNotes
+      .filter(note => note.Type === "ACCRECCREDIT" && note.Status === "AUTHORISED" && Number(note.RemainingCredit) > 0)
+      .map(note => ({
+        date: note.DateString,
+        reference: note.CreditNoteNumber,
+        due: note.DateString,
+        amount: -Number(note.RemainingCredit) / (Number(note.CurrencyRate) || 1)
+      }))
+  ];
+
+  const totals = new Array(AGED_COLUMNS.length).fill(0);
+  const rows = documents.map(document => {
+    const amounts = new Array(AGED_COLUMNS.length).fill(0);
+    const column = getAgedColumn(toComparableTime(document.due), reportMs);
+    amounts[column] = document.amount;
+    totals[column] += document.amount;
+    return {
+      RowType: "Row",
+      Cells: [
+        { Value: String(document.date || "").slice(0, 10) },
+        { Value: document.reference || "" },
+        { Value: String(document.due || "").slice(0, 10) },
+        ...amounts.map(amount => ({ Value: formatReportAmount(amount) })),
+        { Value: formatReportAmount(document.amount) }
+      ]
+    };
+  });
+
+  return {
+    ReportID: "AgedReceivablesByContact",
+    ReportName: "Aged Receivables By Contact",
+    ReportType: "AgedReceivablesByContact",
+    ReportTitles: ["Invoices", contact?.Name || "", `As at ${date}`],
+    ReportDate: date,
+    Rows: [
+      {
+        RowType: "Header",
+        Cells: [{ Value: "Date" }, { Value: "Reference" }, { Value: "Due Date" }, ...AGED_COLUMNS.map(Value => ({ Value })), { Value: "Total" }]
+      },
+      {
+        RowType: "Section",
+        Title: "",
+        Rows: [
+          ...rows,
+          {
+            RowType: "SummaryRow",
+            Cells: [
+              { Value: "Total" },
+              { Value: "" },
+              { Value: "" },
+              ...totals.map(amount => ({ Value: formatReportAmount(amount) })),
+              { Value: formatReportAmount(totals.reduce((sum, amount) => sum + amount, 0)) }
+            ]
+          }
+        ]
+      }
+    ]
+  };
+}
+
+// -------------------------------------------------
+// GOCARDLESS AND HALO PAGING
+// -------------------------------------------------
+
+// GoCardless cursor paging: items must already be in list order. The cursors
+// are item IDs, as in the real API.
+export function pageGoCardlessItems(items, { limit, after, before } = {}) {
+  const requested = Number.parseInt(limit, 10);
+  const size = Math.min(Number.isFinite(requested) && requested > 0 ? requested : GOCARDLESS_DEFAULT_LIMIT, GOCARDLESS_MAX_LIMIT);
+
+  let start = 0;
+  let end = items.length;
+  if (after) {
+    const index = items.findIndex(item => item.id === after);
+    start = index === -1 ? items.length : index + 1;
+  } else if (before) {
+    const index = items.findIndex(item => item.id === before);
+    end = index === -1 ? 0 : index;
+    start = Math.max(0, end - size);
+  }
+
+  const page = items.slice(start, Math.min(end, start + size));
+  const hasMore = start + page.length < items.length;
+  return {
+    items: page,
+    meta: {
+      cursors: {
+        before: start > 0 && page.length ? page[0].id : null,
+        after: hasMore && page.length ? page[page.length - 1].id : null
+      },
+      limit: size
+    }
+  };
+}
+
+// Halo pages only when pageinate=true (page_size, page_no from 1); count
+// caps an unpaged list.
+export function pageHaloItems(items, { pageinate, page_size: pageSize, page_no: pageNo, count } = {}) {
+  if (String(pageinate).toLowerCase() === "true") {
+    const size = Number.parseInt(pageSize, 10) > 0 ? Number.parseInt(pageSize, 10) : HALO_DEFAULT_PAGE_SIZE;
+    const pageNumber = Number.parseInt(pageNo, 10) > 0 ? Number.parseInt(pageNo, 10) : 1;
+    return { items: items.slice((pageNumber - 1) * size, pageNumber * size), recordCount: items.length };
+  }
+
+  const limit = Number.parseInt(count, 10);
+  return { items: limit > 0 ? items.slice(0, limit) : items, recordCount: items.length };
+}
+
+// -------------------------------------------------
+// XERO RATE LIMITS
+// -------------------------------------------------
+export function createXeroRateWindow() {
+  return { minuteStartedAt: 0, minuteCalls: 0, day: null, dayCalls: 0 };
+}
+
+// Counts one call for an organisation. Returns the headers Xero would send
+// and, once a limit is used up, the 429 details.
+export function takeXeroCall(window, now = Date.now()) {
+  if (now - window.minuteStartedAt >= 60_000) {
+    window.minuteStartedAt = now;
+    window.minuteCalls = 0;
+  }
+  const day = new Date(now).toISOString().slice(0, 10);
+  if (window.day !== day) {
+    window.day = day;
+    window.dayCalls = 0;
+  }
+
+  if (window.dayCalls >= XERO_DAY_LIMIT) {
+    const midnight = Date.parse(`${day}T00:00:00Z`) + 86_400_000;
+    return { allowed: false, problem: "day", retryAfterSeconds: Math.ceil((midnight - now) / 1000), ...remaining(window) };
+  }
+  if (window.minuteCalls >= XERO_MINUTE_LIMIT) {
+    const retryAfterSeconds = Math.max(1, Math.ceil((window.minuteStartedAt + 60_000 - now) / 1000));
+    return { allowed: false, problem: "minute", retryAfterSeconds, ...remaining(window) };
+  }
+
+  window.minuteCalls += 1;
+  window.dayCalls += 1;
+  return { allowed: true, ...remaining(window) };
+}
+
+function remaining(window) {
+  return {
+    minuteRemaining: Math.max(0, XERO_MINUTE_LIMIT - window.minuteCalls),
+    dayRemaining: Math.max(0, XERO_DAY_LIMIT - window.dayCalls)
+  };
+}
+
+// -------------------------------------------------
+// INJECTED FAULTS
+// A fault answers the next `count` requests to an upstream, or every
+// `every`th request until cleared, with `status` (429 by default) after an
+// optional delay. A delay longer than the caller's timeout simulates an
+// upstream that hangs.
+// -------------------------------------------------
+export function normaliseFault(input = {}) {
+  const upstream = String(input.upstream || "").trim().toLowerCase();
+  if (!FAKE_UPSTREAMS.includes(upstream)) {
+    throw new RangeError(`upstream must be one of: ${FAKE_UPSTREAMS.join(", ")}.`);
+  }
+
+  const integer = (value, fallback) => {
+    const number = Number.parseInt(value, 10);
+    return Number.isFinite(number) && number >= 0 ? number : fallback;
+  };
+  const fault = {
+    upstream,
+    status: integer(input.status, 429) || 429,
+    count: integer(input.count, 0),
+    every: integer(input.every, 0),
+    retryAfterSeconds: integer(input.retryAfterSeconds, 1),
+    delayMs: integer(input.delayMs, 0),
+    problem: ["minute", "day", "appminute"].includes(input.problem) ? input.problem : "minute",
+    seen: 0
+  };
+  if (!fault.count && !fault.every) fault.count = 1;
+  return fault;
+}
+
+// Returns the fault to apply to this request, or null. Mutates the fault's
+// counters; a count fault is removed once used up.
+export function takeFault(faults, upstream) {
+  const fault = faults.get(upstream);
+  if (!fault) return null;
+
+  fault.seen += 1;
+  if (fault.every) return fault.seen % fault.every === 0 ? fault : null;
+
+  fault.count -= 1;
+  if (fault.count <= 0) faults.delete(upstream);
+  return fault;
+}
+
+// -------------------------------------------------
+// WEBHOOK SIGNATURES
+// -------------------------------------------------
+export function signXeroWebhookBody(rawBody, webhookKey) {
+  return crypto.createHmac("sha256", webhookKey).update(rawBody).digest("base64");
+}
+
+export function signGoCardlessWebhookBody(rawBody, secret) {
+  return crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+}
@@ -0,0 +1,951 @@
+#!/usr/bin/env node
+// scripts/fake-upstreams.js
+// -------------------------------------------------
+// Local stand-ins for the Xero, GoCardless and Halo APIs, so the widget,
+// admin portal and scripts can run end-to-end without real credentials.
+// Serves the endpoints this project calls, with seeded data
+// (fake-upstream-seed.js), Xero-style paging and rate limits, injected
+// faults (429s, 5xx, slow responses) and signed webhook deliveries.
+//
+//   npm run fake-upstreams            (FAKE_UPSTREAM_PORT, default 4010)
+//
+// Point the widget at it with the base URLs printed on start (also shown at
+// GET /_fake). Control endpoints live under /_fake; see the README.
+// -------------------------------------------------
+import axios from "axios";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import express from "express";
+import path from "path";
+import PDFDocument from "pdfkit";
+import { fileURLToPath } from "url";
+
+import { buildHaloHmacPayload, signHaloHmac } from "../lib/hmac.js";
+import { createFakeUpstreamSeed } from "./fake-upstream-seed.js";
+import {
+  buildAgedReceivablesReport,
+  compileXeroWhere,
+  createXeroRateWindow,
+  FakeXeroQueryError,
+  normaliseFault,
+  pageGoCardlessItems,
+  pageHaloItems,
+  pageXeroItems,
+  signGoCardlessWebhookBody,
+  signXeroWebhookBody,
+  sortXeroItems,
+  takeFault,
+  takeXeroCall,
+  toXeroJsonDate
+} from "./fake-upstream-utils.js";
+
+dotenv.config();
+
+const isDirectRun = process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+const DEFAULT_PORT = 4010;
+const XERO_TOKEN_SECONDS = 1800;
+const HALO_TOKEN_SECONDS = 3600;
+const REQUEST_LOG_LIMIT = 500;
+
+const GOCARDLESS_WEBHOOK_STATUSES = {
+  created: "pending_customer_approval",
+  submitted: "submitted",
+  active: "active",
+  reinstated: "active",
+  failed: "failed",
+  cancelled: "cancelled",
+  expired: "expired",
+  consumed: "consumed",
+  blocked: "blocked"
+};
+
+function randomToken(prefix) {
+  return `${prefix}_${crypto.randomBytes(18).toString("base64url")}`;
+}
+
+// Fields starting with "_" are the fake's own bookkeeping (e.g. which
+// organisation a document belongs to) and never leave it.
+function toXeroResource(item, { summaryOnly = false } = {}) {
+  const resource = Object.fromEntries(Object.entries(item).filter(([key]) => !key.startsWith("_")));
+  if (summaryOnly) {
+    delete resource.LineItems;
+    delete resource.Payments;
+  }
+  return resource;
+}
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function getPublicUrl(req, configured) {
+  return configured || `${req.protocol}://${req.get("host")}`;
+}
+
+// -------------------------------------------------
+// STATE
+// -------------------------------------------------
+function createState(seed) {
+  return {
+    data: structuredClone(seed),
+    xeroTokens: new Map(),
+    xeroCodes: new Map(),
+    xeroRefreshTokens: new Map(),
+    xeroWindows: new Map(),
+    haloTokens: new Set(),
+    faults: new Map(),
+    requests: [],
+    nextTicketId: 1000,
+    nextEventId: 1
+  };
+}
+
+function issueXeroTokens(state, { clientId, tenantIds, scope, withRefreshToken }) {
+  const accessToken = randomToken("xero");
+  state.xeroTokens.set(accessToken, {
+    clientId,
+    tenantIds,
+    scope,
+    expiresAt: Date.now() + XERO_TOKEN_SECONDS * 1000
+  });
+
+  const body = { access_token: accessToken, expires_in: XERO_TOKEN_SECONDS, token_type: "Bearer", scope };
+  if (withRefreshToken) {
+    body.refresh_token = randomToken("xero_refresh");
+    state.xeroRefreshTokens.set(body.refresh_token, { clientId, tenantIds, scope });
+  }
+  return body;
+}
+
+// -------------------------------------------------
+// SHARED MIDDLEWARE
+// -------------------------------------------------
+
+// Records the request and applies any injected fault for the upstream.
+function fakeUpstream(state, upstream) {
+  return (req, res, next) => {
+    const entry = { at: new Date().toISOString(), upstream, method: req.method, path: req.originalUrl.split("?")[0], query: req.query };
+    state.requests.push(entry);
+    if (state.requests.length > REQUEST_LOG_LIMIT) state.requests.shift();
+    res.on("finish", () => {
+      entry.status = res.statusCode;
+    });
+
+    const fault = takeFault(state.faults, upstream);
+    if (!fault) return next();
+
+    entry.fault = fault.status;
+    setTimeout(() => {
+      if (fault.status < 400) return next();
+      sendFault(res, upstream, fault);
+    }, fault.delayMs);
+  };
+}
+
+function sendFault(res, upstream, fault) {
+  if (fault.status === 429) res.set("Retry-After", String(fault.retryAfterSeconds));
+
+  if (upstream === "xero") {
+    if (fault.status === 429) {
+      res.set("X-Rate-Limit-Problem", fault.problem);
+      if (fault.problem === "minute") res.set("X-MinLimit-Remaining", "0");
+      if (fault.problem === "day") res.set("X-DayLimit-Remaining", "0");
+      return res.status(429).type("text/plain").send("Rate limit exceeded (injected by the fake Xero API).");
+    }
+    return res.status(fault.status).json({ Title: "Injected fault", Status: fault.status, Detail: "Injected by the fake Xero API." });
+  }
+
+  if (upstream === "gocardless") {
+    return res.status(fault.status).json({
+      error: {
+        message: fault.status === 429 ? "Rate limit exceeded" : "Injected fault",
+        type: fault.status === 429 ? "invalid_api_usage" : "gocardless",
+        code: fault.status,
+        errors: [{ reason: fault.status === 429 ? "rate_limit_exceeded" : "internal_server_error" }]
+      }
+    });
+  }
+
+  res.status(fault.status).json({ error: fault.status === 429 ? "Too many requests" : "Injected fault" });
+}
+
+function getBearerToken(req) {
+  return /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "")?.[1]?.trim() || "";
+}
+
+function getBasicCredentials(req) {
+  const encoded = /^Basic\s+(.+)$/i.exec(req.get("authorization") || "")?.[1];
+  if (!encoded) return { clientId: req.body?.client_id || "", clientSecret: req.body?.client_secret || "" };
+  const [clientId, ...secret] = Buffer.from(encoded, "base64").toString("utf8").split(":");
+  return { clientId, clientSecret: secret.join(":") };
+}
+
+// -------------------------------------------------
+// XERO
+// -------------------------------------------------
+function createXeroIdentityRouter(state) {
+  const router = express.Router();
+  router.use(express.urlencoded({ extended: false }));
+
+  router.post("/connect/token", (req, res) => {
+    const { clientId, clientSecret } = getBasicCredentials(req);
+    if (!clientId || !clientSecret) return res.status(400).json({ error: "invalid_client" });
+
+    const { tenants } = state.data.xero;
+    const grantType = req.body.grant_type;
+
+    if (grantType === "client_credentials") {
+      // A Custom Connection belongs to one organisation; unknown client IDs
+      // get the first one.
+      const tenant = tenants.find(entry => entry.clientId === clientId) || tenants[0];
+      return res.json(
+        issueXeroTokens(state, { clientId, tenantIds: [tenant.tenantId], scope: req.body.scope || "", withRefreshToken: false })
+      );
+    }
+
+    if (grantType === "authorization_code") {
+      const grant = state.xeroCodes.get(req.body.code);
+      state.xeroCodes.delete(req.body.code);
+      if (!grant || grant.clientId !== clientId || grant.redirectUri !== req.body.redirect_uri) {
+        return res.status(400).json({ error: "invalid_grant" });
+      }
+      return res.json(issueXeroTokens(state, { ...grant, withRefreshToken: true }));
+    }
+
+    if (grantType === "refresh_token") {
+      const grant = state.xeroRefreshTokens.get(req.body.refresh_token);
+      if (!grant || grant.clientId !== clientId) return res.status(400).json({ error: "invalid_grant" });
+      // Xero rotates the refresh token on every use.
+      state.xeroRefreshTokens.delete(req.body.refresh_token);
+      return res.json(issueXeroTokens(state, { ...grant, withRefreshToken: true }));
+    }
+
+    res.status(400).json({ error: "unsupported_grant_type" });
+  });
+
+  router.post("/connect/revocation", (req, res) => {
+    state.xeroRefreshTokens.delete(req.body.token);
+    res.status(200).end();
+  });
+
+  return router;
+}
+
+// There is no consent screen: every organisation is authorised straight away.
+function createXeroLoginRouter(state) {
+  const router = express.Router();
+
+  router.get("/identity/connect/authorize", (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType, scope = "", state: oauthState } = req.query;
+    if (responseType !== "code" || !clientId || !redirectUri) {
+      return res.status(400).type("text/plain").send("response_type=code, client_id and redirect_uri are required.");
+    }
+
+    const code = randomToken("xero_code");
+    state.xeroCodes.set(code, {
+      clientId,
+      redirectUri,
+      scope,
+      tenantIds: state.data.xero.tenants.map(tenant => tenant.tenantId)
+    });
+
+    const target = new URL(redirectUri);
+    target.searchParams.set("code", code);
+    target.searchParams.set("scope", scope);
+    if (oauthState) target.searchParams.set("state", oauthState);
+    res.redirect(target.toString());
+  });
+
+  return router;
+}
+
+function createXeroApiRouter(state, options) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    const token = state.xeroTokens.get(getBearerToken(req));
+    if (!token || token.expiresAt < Date.now()) {
+      res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+      return res.status(401).json({ Title: "Unauthorized", Status: 401, Detail: token ? "TokenExpired" : "TokenInvalid" });
+    }
+    req.xeroToken = token;
+    next();
+  });
+
+  router.get("/connections", (req, res) => {
+    res.json(
+      state.data.xero.tenants
+        .filter(tenant => req.xeroToken.tenantIds.includes(tenant.tenantId))
+        .map(tenant => ({
+          id: tenant.connectionId,
+          authEventId: tenant.connectionId,
+          tenantId: tenant.tenantId,
+          tenantType: "ORGANISATION",
+          tenantName: tenant.tenantName,
+          createdDateUtc: state.data.seededAt,
+          updatedDateUtc: state.data.seededAt
+        }))
+    );
+  });
+
+  router.delete("/connections/:connectionId", (req, res) => {
+    const tenant = state.data.xero.tenants.find(entry => entry.connectionId === req.params.connectionId);
+    if (!tenant) return res.status(404).end();
+    req.xeroToken.tenantIds = req.xeroToken.tenantIds.filter(tenantId => tenantId !== tenant.tenantId);
+    res.status(204).end();
+  });
+
+  const accounting = express.Router();
+  router.use("/api.xro/2.0", accounting);
+
+  // Organisation from the Xero-tenant-id header; a Custom Connection token
+  // may leave it out.
+  accounting.use((req, res, next) => {
+    const requested = String(req.get("xero-tenant-id") || "").toLowerCase();
+    const tenantId = requested || (req.xeroToken.tenantIds.length === 1 ? req.xeroToken.tenantIds[0] : "");
+    if (!tenantId || !req.xeroToken.tenantIds.includes(tenantId)) {
+      return res.status(403).json({ Title: "Forbidden", Status: 403, Detail: "AuthorizationUnsuccessful" });
+    }
+    req.xeroTenantId = tenantId;
+
+    if (!state.xeroWindows.has(tenantId)) state.xeroWindows.set(tenantId, createXeroRateWindow());
+    const call = takeXeroCall(state.xeroWindows.get(tenantId));
+    res.set("X-MinLimit-Remaining", String(call.minuteRemaining));
+    res.set("X-DayLimit-Remaining", String(call.dayRemaining));
+    if (!call.allowed) {
+      res.set("Retry-After", String(call.retryAfterSeconds));
+      res.set("X-Rate-Limit-Problem", call.problem);
+      return res.status(429).type("text/plain").send("Rate limit exceeded.");
+    }
+    next();
+  });
+
+  const inTenant = (req, items) => items.filter(item => item._tenantId === req.xeroTenantId);
+
+  const sendList = (req, res, collection, items) => {
+    let matched;
+    try {
+      matched = inTenant(req, items).filter(compileXeroWhere(req.query.where));
+    } catch (err) {
+      if (!(err instanceof FakeXeroQueryError)) throw err;
+      return res.status(400).json({ ErrorNumber: 16, Type: "QueryParseException", Message: err.message });
+    }
+
+    const { items: page, pagination } = pageXeroItems(sortXeroItems(matched, req.query.order), {
+      page: req.query.page,
+      pageSize: req.query.pageSize,
+      maxPageSize: options.maxPageSize
+    });
+    const summaryOnly = String(req.query.summaryOnly).toLowerCase() === "true";
+    res.json({
+      Id: crypto.randomUUID(),
+      Status: "OK",
+      ProviderName: "Fake Xero",
+      DateTimeUTC: toXeroJsonDate(Date.now()),
+      ...(pagination ? { pagination } : {}),
+      [collection]: page.map(item => toXeroResource(item, { summaryOnly }))
+    });
+  };
+
+  const findOne = (req, items, idField) => {
+    const id = String(req.params.id || "").toLowerCase();
+    return inTenant(req, items).find(item => String(item[idField]).toLowerCase() === id) || null;
+  };
+
+  const notFound = res => res.status(404).type("text/plain").send("The resource you're looking for cannot be found");
+
+  accounting.get("/Contacts", (req, res) => sendList(req, res, "Contacts", state.data.xero.contacts));
+  accounting.get("/Contacts/:id", (req, res) => {
+    const contact = findOne(req, state.data.xero.contacts, "ContactID");
+    if (!contact) return notFound(res);
+    res.json({ Status: "OK", Contacts: [toXeroResource(contact)] });
+  });
+
+  accounting.get("/Invoices", (req, res) => sendList(req, res, "Invoices", state.data.xero.invoices));
+  accounting.get("/Invoices/:id", (req, res) => {
+    const invoice = findOne(req, state.data.xero.invoices, "InvoiceID");
+    if (!invoice) return notFound(res);
+
+    if (String(req.get("accept") || "").includes("application/pdf")) {
+      return sendInvoicePdf(res, invoice, state.data.xero.tenants.find(tenant => tenant.tenantId === invoice._tenantId));
+    }
+    res.json({ Status: "OK", Invoices: [toXeroResource(invoice)] });
+  });
+  accounting.get("/Invoices/:id/OnlineInvoice", (req, res) => {
+    const invoice = findOne(req, state.data.xero.invoices, "InvoiceID");
+    if (!invoice) return notFound(res);
+    if (invoice.Type !== "ACCREC" || invoice.Status === "DRAFT") {
+      return res.status(400).json({ ErrorNumber: 10, Type: "ValidationException", Message: "Online invoices are only available for approved sales invoices." });
+    }
+    res.json({
+      OnlineInvoices: [
+        { OnlineInvoiceUrl: `${getPublicUrl(req, options.publicUrl)}/xero/online-invoices/${invoice.InvoiceID}` }
+      ]
+    });
+  });
+
+  accounting.get("/CreditNotes", (req, res) => sendList(req, res, "CreditNotes", state.data.xero.creditNotes));
+  accounting.get("/Overpayments", (req, res) => sendList(req, res, "Overpayments", state.data.xero.overpayments));
+  accounting.get("/Prepayments", (req, res) => sendList(req, res, "Prepayments", state.data.xero.prepayments));
+
+  accounting.get("/Reports/AgedReceivablesByContact", (req, res) => {
+    const contactId = String(req.query.contactId || "").toLowerCase();
+    const contact = inTenant(req, state.data.xero.contacts).find(entry => entry.ContactID === contactId);
+    if (!contact) return res.status(400).json({ ErrorNumber: 10, Type: "ValidationException", Message: "contactId is not a valid contact." });
+
+    const forContact = item => item.Contact?.ContactID === contactId;
+    res.json({
+      Status: "OK",
+      Reports: [
+        buildAgedReceivablesReport({
+          contact,
+          invoices: inTenant(req, state.data.xero.invoices).filter(forContact),
+          creditNotes: inTenant(req, state.data.xero.creditNotes).filter(forContact),
+          date: /^\d{4}-\d{2}-\d{2}$/.test(req.query.date || "") ? req.query.date : new Date().toISOString().slice(0, 10)
+        })
+      ]
+    });
+  });
+
+  accounting.use((req, res) => {
+    res.status(404).json({ Title: "Not implemented", Status: 404, Detail: `The fake Xero API does not serve ${req.method} ${req.path}.` });
+  });
+
+  return router;
+}
+
+function sendInvoicePdf(res, invoice, tenant) {
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  res.type("application/pdf");
+  doc.pipe(res);
+  doc.fontSize(20).text(tenant?.tenantName || "Fake Xero");
+  doc.moveDown().fontSize(14).text(`Tax Invoice ${invoice.InvoiceNumber}`);
+  doc.fontSize(11).text(`To: ${invoice.Contact?.Name || ""}`);
+  doc.text(`Date: ${invoice.DateString.slice(0, 10)}    Due: ${invoice.DueDateString.slice(0, 10)}`);
+  doc.moveDown();
+  for (const line of invoice.LineItems || []) {
+    doc.text(`${line.Description}  ${line.Quantity} x ${line.UnitAmount.toFixed(2)} = ${line.LineAmount.toFixed(2)}`);
+  }
+  doc.moveDown().text(`Total ${invoice.CurrencyCode} ${invoice.Total.toFixed(2)}    Amount due ${invoice.AmountDue.toFixed(2)}`);
+  doc.end();
+}
+
+// -------------------------------------------------
+// GOCARDLESS
+// -------------------------------------------------
+function createGoCardlessRouter(state, options) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (!getBearerToken(req)) {
+      return res.status(401).json({ error: { message: "Authentication failed", type: "invalid_api_usage", code: 401, errors: [{ reason: "authentication_failed" }] } });
+    }
+    if (!req.get("gocardless-version")) {
+      return res.status(400).json({ error: { message: "GoCardless-Version header is required", type: "invalid_api_usage", code: 400, errors: [{ reason: "missing_version_header" }] } });
+    }
+    next();
+  });
+
+  const listOrder = (items, { sortField = "created_at", sortDirection = "desc" } = {}) =>
+    [...items].sort((a, b) => {
+      const left = String(a[sortField] ?? "").toLowerCase();
+      const right = String(b[sortField] ?? "").toLowerCase();
+      const result = left < right ? -1 : left > right ? 1 : 0;
+      return sortDirection === "asc" ? result : -result;
+    });
+
+  const inList = (value, wanted) => !wanted || String(wanted).split(",").includes(value);
+
+  const sendList = (req, res, key, items) => {
+    const limit = Math.min(Number.parseInt(req.query.limit, 10) || 50, options.maxPageSize || Infinity);
+    const { items: page, meta } = pageGoCardlessItems(items, { limit, after: req.query.after, before: req.query.before });
+    res.json({ [key]: page, meta });
+  };
+
+  const notFound = (res, id) =>
+    res.status(404).json({ error: { message: `Resource not found: ${id}`, type: "invalid_api_usage", code: 404, errors: [{ reason: "resource_not_found" }] } });
+
+  router.get("/customers", (req, res) => {
+    sendList(
+      req,
+      res,
+      "customers",
+      listOrder(state.data.goCardless.customers, {
+        sortField: ["company_name", "created_at"].includes(req.query.sort_field) ? req.query.sort_field : "created_at",
+        sortDirection: req.query.sort_direction === "asc" ? "asc" : "desc"
+      })
+    );
+  });
+  router.get("/customers/:id", (req, res) => {
+    const customer = state.data.goCardless.customers.find(entry => entry.id === req.params.id);
+    if (!customer) return notFound(res, req.params.id);
+    res.json({ customers: customer });
+  });
+
+  router.get("/mandates", (req, res) => {
+    const mandates = state.data.goCardless.mandates.filter(
+      mandate =>
+        inList(mandate.links.customer, req.query.customer) &&
+        inList(mandate.status, req.query.status) &&
+        (!req.query.reference || mandate.reference === req.query.reference)
+    );
+    sendList(req, res, "mandates", listOrder(mandates));
+  });
+  router.get("/mandates/:id", (req, res) => {
+    const mandate = state.data.goCardless.mandates.find(entry => entry.id === req.params.id);
+    if (!mandate) return notFound(res, req.params.id);
+    res.json({ mandates: mandate });
+  });
+
+  router.get("/payments", (req, res) => {
+    const mandateCustomers = new Map(state.data.goCardless.mandates.map(mandate => [mandate.id, mandate.links.customer]));
+    const payments = state.data.goCardless.payments.filter(
+      payment =>
+        inList(payment.links.mandate, req.query.mandate) &&
+        inList(mandateCustomers.get(payment.links.mandate), req.query.customer) &&
+        inList(payment.status, req.query.status)
+    );
+    sendList(req, res, "payments", listOrder(payments));
+  });
+
+  router.use((req, res) => {
+    res.status(404).json({ error: { message: `The fake GoCardless API does not serve ${req.method} ${req.path}.`, code: 404 } });
+  });
+
+  return router;
+}
+
+// -------------------------------------------------
+// HALO
+// -------------------------------------------------
+function createHaloAuthRouter(state) {
+  const router = express.Router();
+  router.use(express.urlencoded({ extended: false }));
+
+  router.post("/token", (req, res) => {
+    if (req.body.grant_type !== "client_credentials") return res.status(400).json({ error: "unsupported_grant_type" });
+    if (!req.body.client_id || !req.body.client_secret) return res.status(400).json({ error: "invalid_client" });
+
+    const accessToken = randomToken("halo");
+    state.haloTokens.add(accessToken);
+    res.json({ access_token: accessToken, token_type: "Bearer", expires_in: HALO_TOKEN_SECONDS, scope: req.body.scope || "all" });
+  });
+
+  return router;
+}
+
+function createHaloApiRouter(state) {
+  const router = express.Router();
+  router.use(express.json({ limit: "1mb" }));
+
+  router.use((req, res, next) => {
+    if (!state.haloTokens.has(getBearerToken(req))) return res.status(401).json({ error: "Unauthorized" });
+    next();
+  });
+
+  const findById = (items, id) => items.find(item => String(item.id) === String(id)) || null;
+
+  router.get("/Client", (req, res) => {
+    const search = String(req.query.search || "").trim().toLowerCase();
+    const clients = state.data.halo.clients.filter(
+      client => !search || client.name.toLowerCase().includes(search) || String(client.xeroid).toLowerCase() === search
+    );
+    const { items, recordCount } = pageHaloItems(clients, req.query);
+    res.json({ record_count: recordCount, clients: items });
+  });
+  router.get("/Client/:id", (req, res) => {
+    const client = findById(state.data.halo.clients, req.params.id);
+    if (!client) return res.status(404).json({ error: "Client not found" });
+    res.json(client);
+  });
+
+  // Halo accepts an array of partial records; custom fields are merged by ID.
+  router.post("/Client", (req, res) => {
+    const updates = Array.isArray(req.body) ? req.body : [req.body];
+    const saved = [];
+    for (const update of updates) {
+      const client = findById(state.data.halo.clients, update?.id);
+      if (!client) return res.status(400).json({ error: `Client ${update?.id} not found` });
+
+      const { customfields, ...fields } = update;
+      Object.assign(client, fields);
+      for (const field of customfields || []) {
+        const existing = client.customfields.find(entry => Number(entry.id) === Number(field.id) || entry.name === field.name);
+        if (existing) Object.assign(existing, field);
+        else client.customfields.push(field);
+      }
+      saved.push(client);
+    }
+    res.status(201).json(saved.length === 1 ? saved[0] : saved);
+  });
+
+  router.get("/Agent", (req, res) => res.json(state.data.halo.agents));
+  router.get("/Agent/:id", (req, res) => {
+    const agent = findById(state.data.halo.agents, req.params.id);
+    if (!agent) return res.status(404).json({ error: "Agent not found" });
+    res.json(agent);
+  });
+
+  router.get("/Tickets", (req, res) => {
+    const tickets = state.data.halo.tickets.filter(ticket => !req.query.client_id || String(ticket.client_id) === String(req.query.client_id));
+    const { items, recordCount } = pageHaloItems(tickets, req.query);
+    res.json({ record_count: recordCount, tickets: items });
+  });
+  router.get("/Tickets/:id", (req, res) => {
+    const ticket = findById(state.data.halo.tickets, req.params.id);
+    if (!ticket) return res.status(404).json({ error: "Ticket not found" });
+    res.json(ticket);
+  });
+  router.post("/Tickets", (req, res) => {
+    const payloads = Array.isArray(req.body) ? req.body : [req.body];
+    const created = payloads.map(payload => {
+      const ticket = { ...payload, id: state.nextTicketId++, dateoccurred: new Date().toISOString() };
+      state.data.halo.tickets.push(ticket);
+      return ticket;
+    });
+    res.status(201).json(created.length === 1 ? created[0] : created);
+  });
+
+  router.use((req, res) => {
+    res.status(404).json({ error: `The fake Halo API does not serve ${req.method} ${req.path}.` });
+  });
+
+  return router;
+}
+
+// -------------------------------------------------
+// BROWSER PAGES (online invoices, GoCardless dashboard links)
+// -------------------------------------------------
+function sendPage(res, title, body) {
+  res.type("html").send(
+    `<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><title>${escapeHtml(title)}</title></head>` +
+      `<body style="font-family: sans-serif; max-width: 720px; margin: 2rem auto;"><h1>${escapeHtml(title)}</h1>${body}</body></html>`
+  );
+}
+
+function createPagesRouter(state) {
+  const router = express.Router();
+
+  router.get("/xero/online-invoices/:id", (req, res) => {
+    const invoice = state.data.xero.invoices.find(entry => entry.InvoiceID === String(req.params.id).toLowerCase());
+    if (!invoice) return res.status(404).type("text/plain").send("Invoice not found");
+    sendPage(
+      res,
+      `Invoice ${invoice.InvoiceNumber}`,
+      `<p>${escapeHtml(invoice.Contact.Name)}</p><p>Total ${escapeHtml(invoice.CurrencyCode)} ${invoice.Total.toFixed(2)}, ` +
+        `amount due ${invoice.AmountDue.toFixed(2)} (due ${escapeHtml(invoice.DueDateString.slice(0, 10))}).</p>`
+    );
+  });
+
+  router.get("/gocardless/dashboard/:resource/:id", (req, res) => {
+    const collection = { customers: "customers", mandates: "mandates", payments: "payments" }[req.params.resource];
+    const record = collection && state.data.goCardless[collection].find(entry => entry.id === req.params.id);
+    if (!record) return res.status(404).type("text/plain").send("Not found");
+    sendPage(res, `GoCardless ${req.params.resource} ${record.id}`, `<pre>${escapeHtml(JSON.stringify(record, null, 2))}</pre>`);
+  });
+
+  return router;
+}
+
+// -------------------------------------------------
+// CONTROL (/_fake)
+// -------------------------------------------------
+function getFakeBaseUrls(publicUrl) {
+  return {
+    XERO_API_BASE_URL: `${publicUrl}/xero/api`,
+    XERO_IDENTITY_BASE_URL: `${publicUrl}/xero/identity`,
+    XERO_LOGIN_BASE_URL: `${publicUrl}/xero/login`,
+    GOCARDLESS_API_BASE_URL: `${publicUrl}/gocardless`,
+    GOCARDLESS_DASHBOARD_BASE_URL: `${publicUrl}/gocardless/dashboard`,
+    HALO_RESOURCE_SERVER_URL: `${publicUrl}/halo/api`,
+    HALO_AUTH_SERVER_URL: `${publicUrl}/halo/auth`
+  };
+}
+
+async function deliverWebhook(url, rawBody, headers) {
+  try {
+    const response = await axios.post(url, rawBody, {
+      headers: { "Content-Type": "application/json", ...headers },
+      timeout: 10000,
+      validateStatus: () => true
+    });
+    return { url, delivered: response.status < 300, status: response.status };
+  } catch (err) {
+    return { url, delivered: false, status: null, error: err.code || err.message };
+  }
+}
+
+function buildXeroWebhookBody(events) {
+  return JSON.stringify({
+    events,
+    firstEventSequence: events.length ? 1 : 0,
+    lastEventSequence: events.length,
+    entropy: crypto.randomBytes(10).toString("hex").toUpperCase()
+  });
+}
+
+function createControlRouter(state, options, reset) {
+  const router = express.Router();
+  router.use(express.json({ limit: "1mb" }));
+
+  const requireWebhookSecret = (res, value, envName) => {
+    if (value) return true;
+    res.status(400).json({ error: `${envName} is not set, so the webhook cannot be signed.` });
+    return false;
+  };
+
+  const emitXeroEvent = async ({ tenantId, eventCategory, eventType = "UPDATE", resourceId, webhookKey }, publicUrl) => {
+    const category = String(eventCategory || "").toUpperCase();
+    const path = category === "CONTACT" ? "Contacts" : "Invoices";
+    const event = {
+      resourceUrl: `${publicUrl}/xero/api/api.xro/2.0/${path}/${resourceId}`,
+      resourceId,
+      eventDateUtc: new Date().toISOString(),
+      eventType: String(eventType).toUpperCase(),
+      eventCategory: category,
+      tenantId,
+      tenantType: "ORGANISATION"
+    };
+    const rawBody = buildXeroWebhookBody([event]);
+    const result = await deliverWebhook(`${options.widgetUrl}/webhooks/xero`, rawBody, {
+      "x-xero-signature": signXeroWebhookBody(rawBody, webhookKey)
+    });
+    return { ...result, event };
+  };
+
+  const findXeroResource = (category, resourceId) => {
+    const id = String(resourceId || "").toLowerCase();
+    return String(category).toUpperCase() === "CONTACT"
+      ? state.data.xero.contacts.find(contact => contact.ContactID === id)
+      : state.data.xero.invoices.find(invoice => invoice.InvoiceID === id);
+  };
+
+  router.get("/", (req, res) => {
+    const publicUrl = getPublicUrl(req, options.publicUrl);
+    res.json({
+      seededAt: state.data.seededAt,
+      env: getFakeBaseUrls(publicUrl),
+      widgetUrl: options.widgetUrl,
+      xeroClientIds: Object.fromEntries(state.data.xero.tenants.map(tenant => [tenant.tenantName, tenant.clientId])),
+      counts: {
+        xeroContacts: state.data.xero.contacts.length,
+        xeroInvoices: state.data.xero.invoices.length,
+        goCardlessCustomers: state.data.goCardless.customers.length,
+        goCardlessMandates: state.data.goCardless.mandates.length,
+        haloClients: state.data.halo.clients.length,
+        haloTickets: state.data.halo.tickets.length
+      },
+      faults: [...state.faults.values()],
+      maxPageSize: options.maxPageSize || null
+    });
+  });
+
+  router.post("/reset", (req, res) => {
+    reset();
+    res.json({ reset: true });
+  });
+
+  router.get("/requests", (req, res) => {
+    const upstream = String(req.query.upstream || "");
+    res.json(state.requests.filter(entry => !upstream || entry.upstream === upstream));
+  });
+  router.delete("/requests", (req, res) => {
+    state.requests.length = 0;
+    res.status(204).end();
+  });
+
+  router.post("/faults", (req, res) => {
+    let fault;
+    try {
+      fault = normaliseFault(req.body);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    state.faults.set(fault.upstream, fault);
+    console.log(`⚠️ Fault injected for ${fault.upstream}: ${JSON.stringify(fault)}`);
+    res.status(201).json(fault);
+  });
+  router.delete("/faults", (req, res) => {
+    state.faults.clear();
+    res.status(204).end();
+  });
+  router.delete("/faults/:upstream", (req, res) => {
+    state.faults.delete(req.params.upstream);
+    res.status(204).end();
+  });
+
+  router.post("/webhooks/xero", async (req, res) => {
+    const { eventCategory = "INVOICE", eventType = "UPDATE", resourceId } = req.body || {};
+    const resource = findXeroResource(eventCategory, resourceId);
+    if (!resource) return res.status(404).json({ error: "resourceId must be a seeded Xero invoice or contact ID." });
+
+    const webhookKey = req.body.webhookKey || options.xeroWebhookKey;
+    if (!requireWebhookSecret(res, webhookKey, "XERO_WEBHOOK_KEY")) return;
+
+    const result = await emitXeroEvent(
+      { tenantId: resource._tenantId, eventCategory, eventType, resourceId: String(resourceId).toLowerCase(), webhookKey },
+      getPublicUrl(req, options.publicUrl)
+    );
+    res.status(result.delivered ? 200 : 502).json(result);
+  });
+
+  // Xero's intent-to-receive check: one delivery signed correctly (must get
+  // 200) and one signed wrongly (must get 401).
+  router.post("/webhooks/xero/intent", async (req, res) => {
+    const webhookKey = req.body?.webhookKey || options.xeroWebhookKey;
+    if (!requireWebhookSecret(res, webhookKey, "XERO_WEBHOOK_KEY")) return;
+
+    const rawBody = buildXeroWebhookBody([]);
+    const url = `${options.widgetUrl}/webhooks/xero`;
+    const valid = await deliverWebhook(url, rawBody, { "x-xero-signature": signXeroWebhookBody(rawBody, webhookKey) });
+    const invalid = await deliverWebhook(url, rawBody, { "x-xero-signature": signXeroWebhookBody(rawBody, `${webhookKey}-wrong`) });
+    const passed = valid.status === 200 && invalid.status === 401;
+    res.status(passed ? 200 : 502).json({ passed, valid, invalid });
+  });
+
+  router.post("/webhooks/gocardless", async (req, res) => {
+    const { mandateId, action = "cancelled" } = req.body || {};
+    const mandate = state.data.goCardless.mandates.find(entry => entry.id === mandateId);
+    if (!mandate) return res.status(404).json({ error: "mandateId must be a seeded GoCardless mandate ID." });
+    if (!GOCARDLESS_WEBHOOK_STATUSES[action]) {
+      return res.status(400).json({ error: `action must be one of: ${Object.keys(GOCARDLESS_WEBHOOK_STATUSES).join(", ")}.` });
+    }
+    if (!requireWebhookSecret(res, options.goCardlessWebhookSecret, "GOCARDLESS_WEBHOOK_SECRET")) return;
+
+    // The mandate changes first, as it would in GoCardless, so follow-up API
+    // reads see the new status.
+    mandate.status = GOCARDLESS_WEBHOOK_STATUSES[action];
+    const event = {
+      id: `EV${String(state.nextEventId++).padStart(10, "0")}FAKE`,
+      created_at: new Date().toISOString(),
+      resource_type: "mandates",
+      action,
+      details: { origin: "gocardless", cause: `mandate_${action}`, description: "Sent by the fake GoCardless API." },
+      metadata: {},
+      links: { mandate: mandate.id, customer: mandate.links.customer }
+    };
+    const rawBody = JSON.stringify({ events: [event] });
+    const result = await deliverWebhook(`${options.widgetUrl}/webhooks/gocardless`, rawBody, {
+      "Webhook-Signature": signGoCardlessWebhookBody(rawBody, options.goCardlessWebhookSecret)
+    });
+    res.status(result.delivered ? 200 : 502).json({ ...result, event });
+  });
+
+  // Records a payment against an invoice and, unless webhook is false, sends
+  // the INVOICE UPDATE event Xero would.
+  router.post("/xero/invoices/:invoiceId/payments", async (req, res) => {
+    const invoice = state.data.xero.invoices.find(entry => entry.InvoiceID === String(req.params.invoiceId).toLowerCase());
+    if (!invoice) return res.status(404).json({ error: "Invoice not found" });
+    if (invoice.Status !== "AUTHORISED") return res.status(400).json({ error: `Invoice is ${invoice.Status}.` });
+
+    const amount = Math.min(Number(req.body?.amount ?? invoice.AmountDue), invoice.AmountDue);
+    if (!(amount > 0)) return res.status(400).json({ error: "amount must be positive." });
+
+    invoice.AmountPaid = Math.round((invoice.AmountPaid + amount) * 100) / 100;
+    invoice.AmountDue = Math.round((invoice.AmountDue - amount) * 100) / 100;
+    if (invoice.AmountDue <= 0) invoice.Status = "PAID";
+    invoice.Payments.push({ PaymentID: crypto.randomUUID(), Date: toXeroJsonDate(Date.now()), Amount: amount, Reference: "Fake payment" });
+    invoice.UpdatedDateUTC = toXeroJsonDate(Date.now());
+
+    const response = { invoice: toXeroResource(invoice) };
+    if (req.body?.webhook !== false && options.xeroWebhookKey) {
+      response.webhook = await emitXeroEvent(
+        { tenantId: invoice._tenantId, eventCategory: "INVOICE", resourceId: invoice.InvoiceID, webhookKey: options.xeroWebhookKey },
+        getPublicUrl(req, options.publicUrl)
+      );
+    }
+    res.json(response);
+  });
+
+  // Signed finance tab links for every seeded Halo client, as Halo would
+  // open them.
+  router.get("/widget-links", (req, res) => {
+    if (!requireWebhookSecret(res, options.hmacSecret, "HMAC_SECRET")) return;
+
+    const agentId = String(req.query.agentId || state.data.halo.agents[0].id);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    res.json(
+      state.data.halo.clients.map(client => {
+        const clientId = String(client.id);
+        const hmac = signHaloHmac(buildHaloHmacPayload({ agentId, clientId, area: client.name, timestamp }), options.hmacSecret);
+        const params = new URLSearchParams({ clientId, area: client.name, agentId, ts: timestamp, hmac });
+        return { client: client.name, url: `${options.widgetUrl}/finance?${params.toString()}` };
+      })
+    );
+  });
+
+  return router;
+}
+
+// -------------------------------------------------
+// APP
+// -------------------------------------------------
+
+// options: seed (defaults to a fresh createFakeUpstreamSeed()), widgetUrl
+// (webhook and link target), publicUrl (this server's URL as the widget sees
+// it; defaults to the request host), xeroWebhookKey,
+// goCardlessWebhookSecret, hmacSecret and maxPageSize (pages smaller than
+// asked so paging is exercised).
+export function createFakeUpstreamApp(options = {}) {
+  const seed = options.seed || createFakeUpstreamSeed();
+  const settings = {
+    widgetUrl: String(options.widgetUrl || "http://localhost:3000").replace(/\/+$/, ""),
+    publicUrl: options.publicUrl ? String(options.publicUrl).replace(/\/+$/, "") : "",
+    xeroWebhookKey: options.xeroWebhookKey || "",
+    goCardlessWebhookSecret: options.goCardlessWebhookSecret || "",
+    hmacSecret: options.hmacSecret || "",
+    maxPageSize: Number(options.maxPageSize) > 0 ? Number(options.maxPageSize) : null
+  };
+
+  // Reset in place: the routers below hold on to this object.
+  const state = createState(seed);
+  const reset = () => Object.assign(state, createState(seed));
+
+  const app = express();
+  app.disable("x-powered-by");
+  app.set("json spaces", 2);
+
+  app.use(createPagesRouter(state));
+  app.use("/xero/identity", fakeUpstream(state, "xero"), createXeroIdentityRouter(state));
+  app.use("/xero/login", createXeroLoginRouter(state));
+  app.use("/xero/api", fakeUpstream(state, "xero"), createXeroApiRouter(state, settings));
+  app.use("/gocardless", fakeUpstream(state, "gocardless"), createGoCardlessRouter(state, settings));
+  app.use("/halo/auth", fakeUpstream(state, "halo"), createHaloAuthRouter(state));
+  app.use("/halo/api", fakeUpstream(state, "halo"), createHaloApiRouter(state));
+  app.use("/_fake", createControlRouter(state, settings, reset));
+
+  app.get("/", (req, res) => res.redirect("/_fake"));
+
+  app.use((err, req, res, _next) => {
+    console.error("❌ Fake upstream error:", req.method, req.originalUrl, err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  });
+
+  app.locals.fakeState = state;
+  return app;
+}
+
+// -------------------------------------------------
+// CLI
+// -------------------------------------------------
+if (isDirectRun) {
+  const port = Number(process.env.FAKE_UPSTREAM_PORT || DEFAULT_PORT);
+  const publicUrl = process.env.FAKE_UPSTREAM_PUBLIC_URL || `http://localhost:${port}`;
+  const app = createFakeUpstreamApp({
+    widgetUrl: process.env.FAKE_UPSTREAM_WIDGET_URL || `http://localhost:${process.env.PORT || 3000}`,
+    publicUrl,
+    xeroWebhookKey: process.env.XERO_WEBHOOK_KEY,
+    goCardlessWebhookSecret: process.env.GOCARDLESS_WEBHOOK_SECRET,
+    hmacSecret: process.env.HMAC_SECRET,
+    maxPageSize: process.env.FAKE_UPSTREAM_MAX_PAGE_SIZE
+  });
+
+  app.listen(port, () => {
+    console.log(`🚀 Fake Xero / GoCardless / Halo APIs running on port ${port}`);
+    console.log("   Add to .env for the widget and admin portal:");
+    for (const [name, value] of Object.entries(getFakeBaseUrls(publicUrl))) {
+      console.log(`   ${name}=${value}`);
+    }
+  });
+}
@@ -1,10 +1,10 @@
 // scripts/run-xero-drift.js
-import axios from "axios";
 import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
 import { pgPool } from "../lib/db.js";
-import { getXeroHeaders } from "../lib/xero.js";
+import { XeroConnectionError } from "../lib/xero.js";
+import { flushXeroApiUsage, xeroGet } from "../lib/xero-client.js";
 import { installTimestampedConsole } from "../lib/timestamp-console.js";
 
 const isDirectRun = process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
@@ -12,15 +12,12 @@ if (isDirectRun) installTimestampedConsole();
 
 dotenv.config();
 
-const sleep = ms => new Promise(r => setTimeout(r, ms));
-
 console.log("🔍 Starting Xero drift scan", new Date().toISOString());
 
 async function run() {
-  const headers = await getXeroHeaders();
-
+  // Each contact is checked in its own Xero organisation.
   const { rows: clients } = await pgPool.query(`
-    SELECT halo_client_name, xero_contact_guid
+    SELECT halo_client_name, xero_contact_guid, xero_tenant_id
     FROM halo.halo_client
     WHERE xero_contact_guid IS NOT NULL
     ORDER BY halo_client_name
@@ -28,14 +25,21 @@ async function run() {
 
   console.log(`📦 Checking ${clients.length} contacts`);
 
+  // The shared Xero client paces the scan as background work; an
+  // organisation that is still rate limited after its retries is skipped
+  // for the rest of the run so the others are still checked.
+  const skippedTenants = new Set();
+
   for (const c of clients) {
+    if (skippedTenants.has(c.xero_tenant_id)) continue;
+
     try {
-      const resp = await axios.get(
-        `https://api.xero.com/api.xro/2.0/Contacts/${c.xero_contact_guid}`,
-        { headers }
-      );
+      const data = await xeroGet(`/Contacts/${c.xero_contact_guid}`, {
+        tenantId: c.xero_tenant_id,
+        priority: "background"
+      });
 
-      const xeroName = resp.data?.Contacts?.[0]?.Name;
+      const xeroName = data?.Contacts?.[0]?.Name;
       if (!xeroName) continue;
 
       const haloNorm = c.halo_client_name.trim().toLowerCase();
@@ -53,10 +57,13 @@ async function run() {
           [c.halo_client_name, xeroName, c.xero_contact_guid]
         );
       }
-
-      // Gentle rate limiting
-      await sleep(200);
     } catch (err) {
+      if (err instanceof XeroConnectionError) {
+        console.warn(`⚠️ ${err.message} Skipping its contacts.`);
+        skippedTenants.add(c.xero_tenant_id);
+        continue;
+      }
+
       const status = err.response?.status;
 
       if (status === 404) {
@@ -67,8 +74,9 @@ async function run() {
       }
 
       if (status === 429) {
-        console.error("🚦 Xero rate limit hit — stopping scan");
-        break;
+        console.error(`🚦 Xero rate limit hit — skipping the rest of this organisation: ${err.message}`);
+        skippedTenants.add(c.xero_tenant_id);
+        continue;
       }
 
       console.warn(
@@ -78,6 +86,7 @@ async function run() {
     }
   }
 
+  await flushXeroApiUsage().catch(err => console.warn("⚠️ Xero usage flush failed:", err.message));
   console.log("✅ Drift scan complete");
   process.exit(0);
 }
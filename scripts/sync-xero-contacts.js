@@ -3,16 +3,18 @@
  * Xero → Halo Contact Delta Sync
  * ----------------------------------------
  * - Uses UpdatedDateUTC delta sync
+ * - Runs once per Xero connection (organisation)
  * - Upserts into halo.halo_client
- * - Advances sync_state ONLY on success
+ * - Advances each connection's sync_state ONLY on its success
  */
 
-import axios from "axios";
 import dotenv from "dotenv";
 import { Pool } from "pg";
 import path from "path";
 import { fileURLToPath } from "url";
-import { getXeroHeaders, tokens } from "../lib/xero.js";
+import { getXeroConnections, getXeroHeadersForConnection } from "../lib/xero.js";
+import { flushXeroApiUsage, xeroGet } from "../lib/xero-client.js";
+import { ensureXeroTenantContactTable, upsertHaloClientFromXeroContact } from "../lib/halo-client-store.js";
 import { installTimestampedConsole } from "../lib/timestamp-console.js";
 
 const isDirectRun = process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
@@ -62,22 +64,67 @@ function toXeroDateTime(date) {
   ].join(",")})`;
 }
 
-async function getLastSync() {
+// The default connection keeps the original key.
+function getSyncStateKey(connection) {
+  return connection.isDefault ? "xero_contact_sync" : `xero_contact_sync:${connection.id}`;
+}
+
+async function getLastSync(key) {
   const r = await pg.query(
-    `SELECT value FROM halo.sync_state WHERE key = 'xero_contact_sync'`
+    `SELECT value FROM halo.sync_state WHERE key = $1`,
+    [key]
   );
   return r.rows[0]?.value;
 }
 
-async function setLastSync(iso) {
-  await pg.query(
+async function setLastSync(key, iso) {
+  const r = await pg.query(
     `
     UPDATE halo.sync_state
-    SET value = $1, updated_at = now()
-    WHERE key = 'xero_contact_sync'
+    SET value = $2, updated_at = now()
+    WHERE key = $1
+    `,
+    [key, iso]
+  );
+
+  if (r.rowCount === 0) {
+    await pg.query(
+      `INSERT INTO halo.sync_state (key, value, updated_at) VALUES ($1, $2, now())`,
+      [key, iso]
+    );
+  }
+}
+
+// Rows synced before organisations were recorded all came from the default
+// connection.
+async function claimLegacyRowsForDefault(tenantId) {
+  const r = await pg.query(
+    `
+    UPDATE halo.halo_client
+    SET xero_tenant_id = $1
+    WHERE xero_tenant_id IS NULL AND xero_contact_guid IS NOT NULL
     `,
-    [iso]
+    [tenantId]
+  );
+  if (r.rowCount) console.log(`🏷 ${r.rowCount} existing clients assigned to tenant ${tenantId}`);
+}
+
+async function countLegacyRows() {
+  const r = await pg.query(`
+    SELECT COUNT(*)::int AS count
+    FROM halo.halo_client
+    WHERE xero_tenant_id IS NULL AND xero_contact_guid IS NOT NULL
+  `);
+  return r.rows[0].count;
+}
+
+async function hasTenantContacts(tenantId) {
+  await ensureXeroTenantContactTable(pg);
+  const r = await pg.query(
+    `SELECT 1 FROM halo.xero_tenant_contact WHERE xero_tenant_id = $1 LIMIT 1`,
+    [tenantId]
   );
+  return r.rowCount > 0;
 }
 
 async function recordSyncMetrics() {
@@ -109,65 +156,97 @@ async function recordSyncMetrics() {
 // -----------------------------------------------------
 // MAIN LOGIC
 // -----------------------------------------------------
-async function main() {
-  console.log("🔄 Starting Xero → Halo client sync");
+async function syncConnection(connection) {
+  const stateKey = getSyncStateKey(connection);
+  const headers = await getXeroHeadersForConnection(connection.id);
+  const tenantId = headers["Xero-tenant-id"] || null;
 
-  const headers = await getXeroHeaders();
+  // A newly added organisation has no sync_state yet and starts with a full
+  // contact sync; the default connection's row is created at install time.
+  const lastSyncIso = await getLastSync(stateKey);
+  if (!lastSyncIso && connection.isDefault) {
+    throw new Error("sync_state.xero_contact_sync missing");
+  }
 
-  await pg.query("SELECT 1");
-  console.log("🟣 Postgres connected");
+  if (connection.isDefault && tenantId) {
+    await claimLegacyRowsForDefault(tenantId);
+  }
 
-  const lastSyncIso = await getLastSync();
-  if (!lastSyncIso) {
-    throw new Error("sync_state.xero_contact_sync missing");
+  // The per-organisation contact table is filled by one full sync the first
+  // time an organisation is seen.
+  const fullSync = !lastSyncIso || (tenantId && !(await hasTenantContacts(tenantId)));
+
+  const params = {};
+  if (!fullSync) {
+    const since = new Date(new Date(lastSyncIso).getTime() - 60_000);
+    params.where = `UpdatedDateUTC>=${toXeroDateTime(since)}`;
+    console.log(`⏱ [${connection.id}] Delta where:`, params.where);
+  } else {
+    console.log(`⏱ [${connection.id}] Full contact sync (first run for this organisation)`);
   }
 
-  const since = new Date(new Date(lastSyncIso).getTime() - 60_000);
-  const where = `UpdatedDateUTC>=${toXeroDateTime(since)}`;
+  const data = await xeroGet("/Contacts", {
+    connectionId: connection.id,
+    priority: "background",
+    params,
+    timeout: 120_000
+  });
+
+  const contacts = data?.Contacts || [];
 
-  console.log("⏱ Delta where:", where);
+  let processed = 0;
 
-  const resp = await axios.get(
-    "https://api.xero.com/api.xro/2.0/Contacts",
-    {
-      headers,
-      params: { where }
+  for (const c of contacts) {
+    if (await upsertHaloClientFromXeroContact(pg, c, tenantId)) {
+      processed++;
     }
-  );
+  }
+
+  await setLastSync(stateKey, new Date().toISOString());
+  console.log(`✅ [${connection.id}] ${processed} contacts processed (${connection.tenantName})`);
+  return processed;
+}
+
+async function main() {
+  console.log("🔄 Starting Xero → Halo client sync");
 
-  const contacts = resp.data?.Contacts || [];
+  await pg.query("SELECT 1");
+  console.log("🟣 Postgres connected");
 
+  // The default organisation runs first so it keeps halo_client names shared
+  // with other organisations. One organisation failing does not stop the
+  // rest, but the run as a whole is reported as failed.
+  const failures = [];
   let processed = 0;
 
-  for (const c of contacts) {
-    if (!c.ContactID || !c.Name) continue;
+  for (const connection of getXeroConnections()) {
+    if (!connection.configured) {
+      console.warn(`⚠️ [${connection.id}] Xero connection has no credentials — skipped`);
+      continue;
+    }
 
-    await pg.query(
-      `
-      INSERT INTO halo.halo_client
-        (halo_client_name, xero_contact_guid, xero_contact_number, xero_tenant_id)
-      VALUES ($1, $2, $3, $4)
-      ON CONFLICT (halo_client_name)
-      DO UPDATE SET
-        xero_contact_guid = EXCLUDED.xero_contact_guid,
-        xero_contact_number = EXCLUDED.xero_contact_number,
-        xero_tenant_id = EXCLUDED.xero_tenant_id,
-        updated_at = now()
-      `,
-      [
-        c.Name.trim(),
-        c.ContactID,
-        c.ContactNumber || null,
-        tokens.tenantId || null
-      ]
-    );
+    // Until the default organisation has claimed the clients synced before
+    // tenants were recorded, another organisation could take them over.
+    if (!connection.isDefault && failures.includes("default") && (await countLegacyRows()) > 0) {
+      console.warn(`⚠️ [${connection.id}] Skipped until the default organisation syncs`);
+      failures.push(connection.id);
+      continue;
+    }
 
-    processed++;
+    try {
+      processed += await syncConnection(connection);
+    } catch (err) {
+      console.error(`❌ [${connection.id}] Sync failed:`, err.response?.data || err.message);
+      failures.push(connection.id);
+    }
   }
 
-  const nowIso = new Date().toISOString();
-  await setLastSync(nowIso);
   await recordSyncMetrics();
+  await flushXeroApiUsage().catch(err => console.warn("⚠️ Xero usage flush failed:", err.message));
+
+  if (failures.length) {
+    throw new Error(`Xero contact sync failed for: ${failures.join(", ")}`);
+  }
 
   console.log(`✅ Sync complete — ${processed} contacts processed`);
 }
@@ -0,0 +1,78 @@
+import assert from "node:assert/strict";
+
+import {
+  evaluateFinanceAccess,
+  financeAccessAllows,
+  normaliseHaloAgent
+} from "../lib/agent-access-utils.js";
+
+assert.equal(financeAccessAllows("full", "balances"), true);
+assert.equal(financeAccessAllows("balances", "balances"), true);
+assert.equal(financeAccessAllows("balances", "full"), false);
+assert.equal(financeAccessAllows("restricted", "balances"), false);
+assert.equal(financeAccessAllows("unknown", "restricted"), false);
+
+const agent = normaliseHaloAgent({
+  id: 12,
+  name: "Sam Agent",
+  email: "sam@example.com",
+  team: "Service Desk",
+  team_id: 3,
+  teams: [
+    { team_id: 3, team_name: "Service Desk" },
+    { id: 7, name: "Accounts" }
+  ],
+  roles: [{ id: 2, name: "Technician" }],
+  department_id: 4,
+  department_name: "Support"
+});
+
+assert.deepEqual(agent, {
+  id: "12",
+  name: "Sam Agent",
+  email: "sam@example.com",
+  isDisabled: false,
+  teams: [
+    { id: "3", name: "Service Desk" },
+    { id: "7", name: "Accounts" }
+  ],
+  roles: [{ id: "2", name: "Technician" }],
+  departments: [{ id: "4", name: "Support" }]
+});
+assert.equal(normaliseHaloAgent(null), null);
+assert.equal(normaliseHaloAgent({}), null);
+
+const emptyRules = { teams: [], roles: [], departments: [] };
+const policy = {
+  enabled: true,
+  full: { ...emptyRules, teams: ["accounts"] },
+  balances: { ...emptyRules, departments: ["Support"] },
+  fallbackAccess: "restricted"
+};
+
+assert.deepEqual(evaluateFinanceAccess(agent, { ...policy, enabled: false }), {
+  level: "full",
+  reason: "policy_disabled",
+  matchedOn: null
+});
+assert.deepEqual(evaluateFinanceAccess(agent, policy), {
+  level: "full",
+  reason: "matched",
+  matchedOn: "team: Accounts"
+});
+assert.equal(evaluateFinanceAccess(agent, { ...policy, full: emptyRules }).level, "balances");
+assert.equal(evaluateFinanceAccess(agent, { ...policy, full: { ...emptyRules, roles: ["2"] } }).matchedOn, "role: Technician");
+assert.equal(evaluateFinanceAccess(agent, { ...policy, full: { ...emptyRules, roles: ["12"] } }).level, "balances");
+assert.deepEqual(evaluateFinanceAccess(agent, { ...policy, full: emptyRules, balances: emptyRules }), {
+  level: "restricted",
+  reason: "no_match",
+  matchedOn: null
+});
+assert.equal(
+  evaluateFinanceAccess(agent, { ...policy, full: emptyRules, balances: emptyRules, fallbackAccess: "balances" }).level,
+  "balances"
+);
+assert.equal(evaluateFinanceAccess(null, { ...policy, fallbackAccess: "balances" }).reason, "agent_not_found");
+assert.equal(evaluateFinanceAccess({ ...agent, isDisabled: true }, policy).level, "restricted");
+
+console.log("Agent access unit checks passed.");
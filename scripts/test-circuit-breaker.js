@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+
+import {
+  createCircuit,
+  describeCircuitFailure,
+  describeCircuitStatus,
+  describeUnavailableSections,
+  isCircuitFailure,
+  isCircuitRejecting,
+  planCircuitRequest,
+  recordCircuitFailure,
+  recordCircuitSuccess,
+  worstCircuitState
+} from "../lib/circuit-breaker-utils.js";
+
+const timedOut = Object.assign(new Error("timeout of 10000ms exceeded"), { code: "ECONNABORTED" });
+const serverError = { response: { status: 502 } };
+const rateLimited = { response: { status: 429 } };
+const options = { failureThreshold: 3, openMs: 30_000 };
+
+// Only signs that the upstream is down count as failures.
+assert.equal(isCircuitFailure(timedOut), true);
+assert.equal(isCircuitFailure(serverError), true);
+assert.equal(isCircuitFailure({ isAxiosError: true, request: {} }), true);
+assert.equal(isCircuitFailure(Object.assign(new Error("getaddrinfo ENOTFOUND"), { code: "ENOTFOUND" })), true);
+assert.equal(isCircuitFailure(rateLimited), true);
+assert.equal(isCircuitFailure({ response: { status: 404 } }), false);
+assert.equal(isCircuitFailure(new TypeError("bad code")), false);
+// Our own errors carry codes too, but say nothing about the upstream.
+assert.equal(isCircuitFailure(Object.assign(new Error("duplicate key"), { code: "23505" })), false);
+assert.equal(isCircuitFailure(Object.assign(new TypeError("bad header"), { code: "ERR_INVALID_ARG_TYPE" })), false);
+assert.equal(describeCircuitFailure(serverError), "HTTP 502");
+assert.equal(describeCircuitFailure(timedOut), "ECONNABORTED");
+
+// Closed: failures below the threshold keep it closed; a success resets the count.
+const circuit = createCircuit();
+assert.equal(planCircuitRequest(circuit, 0), "allow");
+recordCircuitFailure(circuit, timedOut, { ...options, now: 1 });
+recordCircuitFailure(circuit, timedOut, { ...options, now: 2 });
+assert.equal(circuit.state, "closed");
+assert.equal(recordCircuitSuccess(circuit, 3), "closed");
+assert.equal(circuit.consecutiveFailures, 0);
+
+// Threshold reached: opens and rejects until the open period has passed.
+recordCircuitFailure(circuit, timedOut, { ...options, now: 10 });
+recordCircuitFailure(circuit, timedOut, { ...options, now: 11 });
+assert.equal(recordCircuitFailure(circuit, serverError, { ...options, now: 12 }), "closed");
+assert.equal(circuit.state, "open");
+assert.equal(circuit.openedAt, 12);
+assert.equal(circuit.openUntil, 30_012);
+assert.equal(circuit.openedCount, 1);
+assert.equal(circuit.lastError, "HTTP 502");
+assert.equal(isCircuitRejecting(circuit, 20_000), true);
+assert.equal(planCircuitRequest(circuit, 20_000), "reject");
+
+// Half-open: exactly one probe goes through.
+assert.equal(isCircuitRejecting(circuit, 30_012), false);
+assert.equal(planCircuitRequest(circuit, 30_012), "probe");
+assert.equal(circuit.state, "half_open");
+assert.equal(planCircuitRequest(circuit, 30_013), "reject");
+assert.equal(isCircuitRejecting(circuit, 30_013), true);
+
+// A failed probe opens it again for another period.
+assert.equal(recordCircuitFailure(circuit, timedOut, { ...options, now: 30_100 }), "half_open");
+assert.equal(circuit.state, "open");
+assert.equal(circuit.openedAt, 12);
+assert.equal(circuit.openUntil, 60_100);
+assert.equal(circuit.openedCount, 2);
+
+// A successful probe closes it.
+assert.equal(planCircuitRequest(circuit, 60_100), "probe");
+assert.equal(recordCircuitSuccess(circuit, 60_200), "half_open");
+assert.equal(circuit.state, "closed");
+assert.equal(circuit.openUntil, null);
+assert.equal(circuit.lastSuccessAt, 60_200);
+assert.equal(planCircuitRequest(circuit, 60_300), "allow");
+
+// Reporting.
+assert.equal(worstCircuitState([]), "closed");
+assert.equal(worstCircuitState(["closed", "half_open"]), "half_open");
+assert.equal(worstCircuitState(["half_open", "open", "closed"]), "open");
+assert.deepEqual(describeCircuitStatus("open"), { state: "error", label: "Circuit Open" });
+assert.equal(describeCircuitStatus("half_open").state, "warn");
+assert.equal(describeCircuitStatus("closed").state, "ok");
+
+// Unavailable sections follow the finance tab order and skip unknown upstreams.
+assert.deepEqual(
+  describeUnavailableSections(["halo", "gocardless", "other"]).map(section => section.upstream),
+  ["gocardless", "halo"]
+);
+assert.deepEqual(describeUnavailableSections([]), []);
+
+console.log("Circuit breaker unit checks passed.");
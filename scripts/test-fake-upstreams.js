@@ -0,0 +1,199 @@
+import assert from "node:assert/strict";
+
+import axios from "axios";
+
+import { parseAgedReceivablesReport } from "../lib/finance-summary.js";
+import { verifyGoCardlessWebhookSignature } from "../lib/gocardless-webhook-utils.js";
+import { verifyXeroWebhookSignature } from "../lib/xero-webhook-utils.js";
+import { createFakeUpstreamSeed, fakeGuid } from "./fake-upstream-seed.js";
+import {
+  buildAgedReceivablesReport,
+  compileXeroWhere,
+  createXeroRateWindow,
+  FakeXeroQueryError,
+  normaliseFault,
+  pageGoCardlessItems,
+  pageHaloItems,
+  pageXeroItems,
+  signGoCardlessWebhookBody,
+  signXeroWebhookBody,
+  sortXeroItems,
+  takeFault,
+  takeXeroCall,
+  toXeroJsonDate,
+  XERO_MINUTE_LIMIT
+} from "./fake-upstream-utils.js";
+import { createFakeUpstreamApp } from "./fake-upstreams.js";
+
+const now = Date.UTC(2026, 9, 19, 10, 0, 0);
+const contactId = fakeGuid("contact", 1);
+
+// Where clauses: the invoice query the finance tab sends, plus the contact
+// lookups used by the sync script.
+const invoiceWhere = compileXeroWhere(
+  `Contact.ContactID==Guid("${contactId.toUpperCase()}") AND (Date>=DateTime(2026,01,01) OR AmountDue>0)`
+);
+const invoice = (overrides = {}) => ({
+  Contact: { ContactID: contactId },
+  Date: toXeroJsonDate(Date.UTC(2025, 5, 1)),
+  AmountDue: 0,
+  ...overrides
+});
+assert.equal(invoiceWhere(invoice({ AmountDue: 10 })), true);
+assert.equal(invoiceWhere(invoice({ Date: toXeroJsonDate(Date.UTC(2026, 0, 1)) })), true);
+assert.equal(invoiceWhere(invoice()), false);
+assert.equal(invoiceWhere(invoice({ Contact: { ContactID: fakeGuid("contact", 2) }, AmountDue: 10 })), false);
+assert.equal(compileXeroWhere('EmailAddress=="AP@ACME.EXAMPLE"')({ EmailAddress: "ap@acme.example" }), true);
+assert.equal(compileXeroWhere('Name!="Acme Ltd" && IsCustomer==true')({ Name: "Acme Ltd", IsCustomer: true }), false);
+assert.equal(compileXeroWhere("")({}), true);
+assert.throws(() => compileXeroWhere('Name.StartsWith("A")'), FakeXeroQueryError);
+assert.throws(() => compileXeroWhere("Name== AND"), FakeXeroQueryError);
+
+// Sorting and paging.
+const dated = [3, 1, 2].map(day => ({ id: day, Date: toXeroJsonDate(Date.UTC(2026, 0, day)) }));
+assert.deepEqual(sortXeroItems(dated, "Date DESC").map(item => item.id), [3, 2, 1]);
+assert.deepEqual(sortXeroItems(dated, "Date").map(item => item.id), [1, 2, 3]);
+
+const numbers = Array.from({ length: 25 }, (_, index) => ({ id: `ID${String(index + 1).padStart(2, "0")}` }));
+assert.equal(pageXeroItems(numbers, {}).pagination, null);
+assert.deepEqual(pageXeroItems(numbers, { page: "3", pageSize: "10" }).pagination, {
+  page: 3,
+  pageSize: 10,
+  pageCount: 3,
+  itemCount: 25
+});
+assert.equal(pageXeroItems(numbers, { page: 3, pageSize: 10 }).items.length, 5);
+assert.equal(pageXeroItems(numbers, { page: 1, pageSize: 100, maxPageSize: 7 }).items.length, 7);
+
+const firstPage = pageGoCardlessItems(numbers, { limit: 10 });
+assert.deepEqual(firstPage.meta.cursors, { before: null, after: "ID10" });
+const lastPage = pageGoCardlessItems(numbers, { limit: 10, after: "ID20" });
+assert.deepEqual(lastPage.items.map(item => item.id), ["ID21", "ID22", "ID23", "ID24", "ID25"]);
+assert.deepEqual(lastPage.meta.cursors, { before: "ID21", after: null });
+
+assert.equal(pageHaloItems(numbers, { count: "1" }).items.length, 1);
+assert.deepEqual(pageHaloItems(numbers, { pageinate: "true", page_size: "10", page_no: "3" }).items.map(item => item.id), [
+  "ID21",
+  "ID22",
+  "ID23",
+  "ID24",
+  "ID25"
+]);
+assert.equal(pageHaloItems(numbers, {}).recordCount, 25);
+
+// The aged receivables report reads back through the real parser.
+const report = buildAgedReceivablesReport({
+  contact: { Name: "Acme Ltd" },
+  date: "2026-10-19",
+  invoices: [
+    { Type: "ACCREC", Status: "AUTHORISED", AmountDue: 100, InvoiceNumber: "INV-1", DateString: "2026-10-01T00:00:00", DueDateString: "2026-10-30T00:00:00" },
+    { Type: "ACCREC", Status: "AUTHORISED", AmountDue: 50, InvoiceNumber: "INV-2", DateString: "2026-08-01T00:00:00", DueDateString: "2026-08-31T00:00:00" },
+    { Type: "ACCREC", Status: "PAID", AmountDue: 0, InvoiceNumber: "INV-3", DateString: "2026-01-01T00:00:00", DueDateString: "2026-01-31T00:00:00" }
+  ],
+  creditNotes: [
+    { Type: "ACCRECCREDIT", Status: "AUTHORISED", RemainingCredit: 20, CreditNoteNumber: "CN-1", DateString: "2026-10-10T00:00:00" }
+  ]
+});
+const aging = parseAgedReceivablesReport(report);
+assert.equal(aging.total, 130);
+assert.equal(aging.buckets.find(bucket => bucket.label === "Current").amount, 100);
+assert.equal(aging.buckets.find(bucket => bucket.label === "1-30").amount, -20);
+assert.equal(aging.buckets.find(bucket => bucket.label === "31-60").amount, 50);
+
+// Rate limits: the minute limit answers with a Retry-After for the rest of
+// the minute.
+const window = createXeroRateWindow();
+for (let call = 0; call < XERO_MINUTE_LIMIT; call += 1) takeXeroCall(window, now);
+const limited = takeXeroCall(window, now + 15_000);
+assert.equal(limited.allowed, false);
+assert.equal(limited.problem, "minute");
+assert.equal(limited.retryAfterSeconds, 45);
+assert.equal(takeXeroCall(window, now + 60_000).allowed, true);
+
+// Faults: count faults are used up, every-n faults repeat until cleared.
+assert.throws(() => normaliseFault({ upstream: "stripe" }), RangeError);
+const faults = new Map();
+faults.set("xero", normaliseFault({ upstream: "xero", count: 2 }));
+assert.equal(takeFault(faults, "xero").status, 429);
+assert.equal(takeFault(faults, "xero").status, 429);
+assert.equal(takeFault(faults, "xero"), null);
+faults.set("halo", normaliseFault({ upstream: "halo", status: 503, every: 2 }));
+assert.equal(takeFault(faults, "halo"), null);
+assert.equal(takeFault(faults, "halo").status, 503);
+assert.equal(takeFault(faults, "halo"), null);
+
+// Webhook signatures match what the widget verifies.
+const rawBody = Buffer.from(JSON.stringify({ events: [] }));
+assert.equal(verifyXeroWebhookSignature(rawBody, signXeroWebhookBody(rawBody, "xero-key"), "xero-key"), true);
+assert.equal(verifyGoCardlessWebhookSignature(rawBody, signGoCardlessWebhookBody(rawBody, "gc-secret"), "gc-secret"), true);
+
+const seed = createFakeUpstreamSeed({ now });
+
+// HTTP: the fake server end-to-end on a random local port.
+const app = createFakeUpstreamApp({ seed, maxPageSize: 50 });
+const server = await new Promise(resolve => {
+  const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+});
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+const http = axios.create({ baseURL: baseUrl, validateStatus: () => true, timeout: 5000 });
+
+try {
+  const token = await http.post(
+    "/xero/identity/connect/token",
+    new URLSearchParams({ grant_type: "client_credentials", scope: "accounting.transactions.read" }),
+    { auth: { username: "fake-xero-nz", password: "secret" } }
+  );
+  assert.equal(token.status, 200);
+  const xeroHeaders = { Authorization: `Bearer ${token.data.access_token}` };
+
+  const northwindId = seed.xero.contacts.find(contact => contact.Name === "Northwind Traders").ContactID;
+  const invoices = await http.get("/xero/api/api.xro/2.0/Invoices", {
+    headers: xeroHeaders,
+    params: { where: `Contact.ContactID==Guid("${northwindId}")`, order: "Date DESC", page: 2, pageSize: 100 }
+  });
+  assert.equal(invoices.status, 200);
+  assert.equal(invoices.data.Invoices.length, 50);
+  assert.equal(invoices.data.pagination.page, 2);
+  assert.equal(invoices.headers["x-minlimit-remaining"], String(XERO_MINUTE_LIMIT - 1));
+  assert.ok(invoices.data.Invoices.every(item => !("_tenantId" in item)));
+
+  // The AU organisation is not part of a Custom Connection for the NZ one.
+  const otherTenant = await http.get("/xero/api/api.xro/2.0/Contacts", {
+    headers: { ...xeroHeaders, "Xero-tenant-id": seed.xero.tenants[1].tenantId }
+  });
+  assert.equal(otherTenant.status, 403);
+
+  const faulted = await http.post("/_fake/faults", { upstream: "xero", problem: "day", retryAfterSeconds: 30 });
+  assert.equal(faulted.status, 201);
+  const rateLimited = await http.get(`/xero/api/api.xro/2.0/Contacts/${contactId}`, { headers: xeroHeaders });
+  assert.equal(rateLimited.status, 429);
+  assert.equal(rateLimited.headers["retry-after"], "30");
+  assert.equal(rateLimited.headers["x-rate-limit-problem"], "day");
+  const contact = await http.get(`/xero/api/api.xro/2.0/Contacts/${contactId}`, { headers: xeroHeaders });
+  assert.equal(contact.data.Contacts[0].Name, "Acme Ltd");
+
+  const goCardlessHeaders = { Authorization: "Bearer sandbox_token", "GoCardless-Version": "2015-07-06" };
+  const mandates = await http.get("/gocardless/mandates", { headers: goCardlessHeaders, params: { customer: "CU0000FAKE0001" } });
+  assert.deepEqual(mandates.data.mandates.map(mandate => mandate.status), ["active", "cancelled"]);
+  assert.equal((await http.get("/gocardless/mandates", { headers: { Authorization: "Bearer sandbox_token" } })).status, 400);
+
+  const haloToken = await http.post(
+    "/halo/auth/token",
+    new URLSearchParams({ grant_type: "client_credentials", client_id: "halo", client_secret: "secret" })
+  );
+  const haloHeaders = { Authorization: `Bearer ${haloToken.data.access_token}` };
+  const clients = await http.get("/halo/api/Client", { headers: haloHeaders, params: { search: contactId } });
+  assert.equal(clients.data.clients[0].name, "Acme Ltd");
+  const ticket = await http.post("/halo/api/Tickets", [{ summary: "Direct Debit cancelled", client_id: 101 }], { headers: haloHeaders });
+  assert.equal(ticket.status, 201);
+  assert.equal(ticket.data.id, 1000);
+
+  // Reset restores the seed and clears tickets and faults.
+  await http.post("/_fake/reset");
+  assert.equal((await http.get("/_fake")).data.counts.haloTickets, 0);
+  assert.equal((await http.get("/xero/api/connections", { headers: xeroHeaders })).status, 401);
+} finally {
+  await new Promise(resolve => server.close(resolve));
+}
+
+console.log("Fake upstream unit checks passed.");
@@ -0,0 +1,120 @@
+import assert from "node:assert/strict";
+
+import { buildFinanceApiPayload, FINANCE_API_VERSION } from "../lib/finance-api.js";
+
+const data = {
+  clientName: "Acme Ltd",
+  baseCurrency: "NZD",
+  accountBal: "125.50",
+  overdueBal: "40.00",
+  multiCurrency: false,
+  currencyBalances: [
+    { currency: "NZD", accountBal: "125.50", overdueBal: "40.00", baseAccountBal: "125.50", baseOverdueBal: "40.00" }
+  ],
+  aging: {
+    source: "xero",
+    buckets: [{ label: "Current", amount: 85.5 }, { label: "1-30", amount: 40 }],
+    total: 125.5
+  },
+  invoiceHistory: { shown: 1, total: 3, historyMonths: 24, historyHuman: "2 years", truncated: false },
+  rows: [
+    {
+      type: "Invoice",
+      number: "INV-1",
+      date: "2026-06-01",
+      due: "2026-06-20",
+      status: "AUTHORISED",
+      currency: "NZD",
+      currencyRate: 1,
+      total: 125.5,
+      balance: 125.5,
+      ageBucket: "1-30",
+      isOverdue: true,
+      invoiceId: "11111111-1111-1111-1111-111111111111",
+      xeroUrl: "https://in.xero.com/example",
+      payments: []
+    }
+  ],
+  goCardless: {
+    configured: true,
+    mapped: true,
+    state: "ok",
+    mapping: { gocardless_customer_id: "CU123" },
+    hasActiveMandate: true,
+    customer: { id: "CU123", name: "Acme Ltd", email: "ap@example.com", dashboardUrl: "https://manage.gocardless.com/customers/CU123" },
+    primaryMandate: { id: "MD123", reference: "ACME", status: "active", statusLabel: "Active" },
+    mandates: [{ id: "MD123", reference: "ACME", status: "active", statusLabel: "Active" }]
+  },
+  fetchedAt: "2026-07-01T00:00:00.000Z"
+};
+const options = { contactId: "22222222-2222-2222-2222-222222222222", cacheStatus: "hit", cacheTtlSeconds: 300 };
+const payload = buildFinanceApiPayload(data, options);
+
+assert.equal(payload.apiVersion, FINANCE_API_VERSION);
+assert.equal(payload.access, "full");
+assert.deepEqual(payload.client, {
+  name: "Acme Ltd",
+  xeroContactId: "22222222-2222-2222-2222-222222222222",
+  xeroTenantId: null,
+  tenantName: null
+});
+assert.deepEqual(payload.otherOrganisations, []);
+assert.equal(payload.balances.account, 125.5);
+assert.equal(payload.balances.currencies[0].baseOverdue, 40);
+assert.equal(payload.rows[0].dueDate, "2026-06-20");
+assert.equal(payload.rows[0].onlineInvoiceUrl, "https://in.xero.com/example");
+assert.equal(payload.rows[0].creditId, null);
+assert.equal(payload.goCardless.primaryMandate.id, "MD123");
+assert.equal("mapping" in payload.goCardless, false);
+assert.deepEqual(payload.cache, {
+  status: "hit",
+  ttlSeconds: 300,
+  fetchedAt: "2026-07-01T00:00:00.000Z",
+  xeroUnavailable: null
+});
+
+const balancesPayload = buildFinanceApiPayload(data, { ...options, access: "balances" });
+assert.equal(balancesPayload.access, "balances");
+assert.deepEqual(balancesPayload.rows, []);
+assert.equal(balancesPayload.balances.account, 125.5);
+
+const multiOrgPayload = buildFinanceApiPayload(data, {
+  ...options,
+  otherOrganisations: [
+    {
+      tenantId: "33333333-3333-3333-3333-333333333333",
+      tenantName: "Acme Billing",
+      contactId: "44444444-4444-4444-4444-444444444444",
+      contactName: "Acme Ltd",
+      baseCurrency: "AUD",
+      accountBal: "10.00",
+      overdueBal: "0.00",
+      currencyBalances: [],
+      multiCurrency: false,
+      fetchedAt: "2026-07-01T00:00:00.000Z",
+      error: null
+    },
+    {
+      tenantId: "55555555-5555-5555-5555-555555555555",
+      tenantName: "Acme Services",
+      contactId: "66666666-6666-6666-6666-666666666666",
+      contactName: "Acme Ltd",
+      error: "Xero rate limit hit"
+    }
+  ]
+});
+assert.equal(multiOrgPayload.otherOrganisations[0].balances.account, 10);
+assert.equal(multiOrgPayload.otherOrganisations[0].balances.baseCurrency, "AUD");
+assert.equal(multiOrgPayload.otherOrganisations[1].balances, null);
+assert.equal(multiOrgPayload.otherOrganisations[1].error, "Xero rate limit hit");
+
+// A ledger cut short by the invoice page limit flags its balances.
+assert.equal(payload.balances.truncated, false);
+const truncatedPayload = buildFinanceApiPayload(
+  { ...data, invoiceHistory: { ...data.invoiceHistory, truncated: true } },
+  options
+);
+assert.equal(truncatedPayload.balances.truncated, true);
+assert.equal(truncatedPayload.invoiceHistory.truncated, true);
+
+console.log("Finance API unit checks passed.");
@@ -0,0 +1,70 @@
+import assert from "node:assert/strict";
+
+import {
+  buildFinanceAuditWhere,
+  parseFinanceAuditContactId,
+  parseFinanceAuditFilters
+} from "../lib/finance-audit-utils.js";
+
+assert.deepEqual(parseFinanceAuditFilters({}), {
+  q: "",
+  action: "all",
+  agentId: "",
+  from: "",
+  to: "",
+  page: 1,
+  errors: []
+});
+
+const filters = parseFinanceAuditFilters({
+  q: "  Acme 50%_off ",
+  action: "export_pdf",
+  agentId: "12",
+  from: "2026-01-01",
+  to: "2026-01-31",
+  page: "3"
+});
+assert.equal(filters.q, "Acme 50%_off");
+assert.equal(filters.action, "export_pdf");
+assert.equal(filters.page, 3);
+assert.deepEqual(filters.errors, []);
+
+assert.equal(parseFinanceAuditFilters({ action: "delete" }).action, "all");
+assert.equal(parseFinanceAuditFilters({ agentId: "12; DROP" }).agentId, "");
+assert.equal(parseFinanceAuditFilters({ page: "-2" }).page, 1);
+assert.equal(parseFinanceAuditFilters({ q: ["a", "b"] }).q, "");
+assert.deepEqual(parseFinanceAuditFilters({ from: "2026-02-30" }).errors, ["From date must be YYYY-MM-DD."]);
+assert.deepEqual(parseFinanceAuditFilters({ from: "2026-02-02", to: "2026-02-01" }), {
+  q: "",
+  action: "all",
+  agentId: "",
+  from: "",
+  to: "",
+  page: 1,
+  errors: ["From date must be on or before the To date."]
+});
+
+assert.deepEqual(buildFinanceAuditWhere(parseFinanceAuditFilters({})), { where: "", params: [] });
+
+const contactId = "AAAAAAAA-1111-2222-3333-444444444444";
+const built = buildFinanceAuditWhere(filters, { contactId });
+assert.equal(
+  built.where,
+  "WHERE xero_contact_guid = $1 AND action = $2 AND agent_id = $3 AND occurred_at >= $4::date" +
+    " AND occurred_at < $5::date + 1 AND (agent_name ILIKE $6 OR agent_id ILIKE $6 OR halo_client_name ILIKE $6" +
+    " OR xero_contact_guid ILIKE $6 OR halo_client_id::text ILIKE $6)"
+);
+assert.deepEqual(built.params, [
+  contactId.toLowerCase(),
+  "export_pdf",
+  "12",
+  "2026-01-01",
+  "2026-01-31",
+  "%Acme 50\\%\\_off%"
+]);
+
+assert.equal(parseFinanceAuditContactId(contactId), contactId.toLowerCase());
+assert.equal(parseFinanceAuditContactId("not-a-guid"), null);
+assert.throws(() => buildFinanceAuditWhere(filters, { contactId: "x" }), /Invalid Xero contact GUID/);
+
+console.log("Finance audit unit checks passed.");
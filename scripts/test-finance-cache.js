@@ -0,0 +1,117 @@
+import assert from "node:assert/strict";
+
+import { AxiosError } from "axios";
+
+import {
+  deleteFinanceCacheEntry,
+  getFinanceCacheBackend,
+  getContactIdFromCacheKey,
+  getFinanceCacheEntry,
+  getFinanceCacheKey,
+  getGoCardlessCacheKey,
+  isFinanceCacheEntryFresh,
+  setFinanceCacheEntry,
+  withFinanceRefreshLock
+} from "../lib/finance-cache.js";
+import { pgPool } from "../lib/db.js";
+import { describeXeroUnavailable, isXeroUnavailableError } from "../lib/finance-snapshots.js";
+import { XeroRateLimitError } from "../lib/xero-client.js";
+
+const now = Date.now();
+
+assert.equal(isFinanceCacheEntryFresh(null, 300), false);
+assert.equal(isFinanceCacheEntryFresh({ fetchedAt: "not a date" }, 300), false);
+assert.equal(isFinanceCacheEntryFresh({ fetchedAt: new Date(now - 60_000).toISOString() }, 300), true);
+assert.equal(isFinanceCacheEntryFresh({ fetchedAt: new Date(now - 301_000).toISOString() }, 300), false);
+
+delete process.env.FINANCE_CACHE_BACKEND;
+assert.equal(getFinanceCacheBackend().name, "memory");
+
+process.env.FINANCE_CACHE_BACKEND = "postgres";
+assert.equal(getFinanceCacheBackend().name, "postgres");
+
+process.env.FINANCE_CACHE_BACKEND = "redis";
+assert.equal(getFinanceCacheBackend().name, "memory");
+delete process.env.FINANCE_CACHE_BACKEND;
+
+const entry = { clientName: "Acme", fetchedAt: new Date(now).toISOString() };
+assert.equal(await getFinanceCacheEntry("finance:test"), null);
+await setFinanceCacheEntry("finance:test", entry, 300);
+assert.equal(await getFinanceCacheEntry("finance:test"), entry);
+await deleteFinanceCacheEntry("finance:test");
+assert.equal(await getFinanceCacheEntry("finance:test"), null);
+
+// Finance keys round-trip to the contact; other keys in the store do not.
+const cacheContactId = "aaaaaaaa-1111-2222-3333-444444444444";
+assert.equal(getFinanceCacheKey(cacheContactId), `finance:${cacheContactId}`);
+assert.equal(getContactIdFromCacheKey(getFinanceCacheKey(cacheContactId)), cacheContactId);
+assert.equal(getContactIdFromCacheKey(getGoCardlessCacheKey(cacheContactId)), null);
+assert.equal(getContactIdFromCacheKey("finance:test"), null);
+assert.equal(getContactIdFromCacheKey(undefined), null);
+
+// The GoCardless panel shares the store under its own key, whatever the
+// contact GUID's case.
+assert.equal(
+  getGoCardlessCacheKey("AAAAAAAA-1111-2222-3333-444444444444"),
+  "gocardless:aaaaaaaa-1111-2222-3333-444444444444"
+);
+await setFinanceCacheEntry(getGoCardlessCacheKey("test"), { summary: { state: "ok" }, fetchedAt: entry.fetchedAt }, 300);
+assert.equal(await getFinanceCacheEntry("finance:test"), null);
+assert.equal((await getFinanceCacheEntry("gocardless:test")).summary.state, "ok");
+await deleteFinanceCacheEntry(getGoCardlessCacheKey("test"));
+
+const lockResult = await withFinanceRefreshLock("finance:test", async ({ waited }) => {
+  assert.equal(waited, false);
+  return "fetched";
+});
+assert.equal(lockResult, "fetched");
+
+// With the postgres backend, an unreachable database falls back to memory.
+const pgQuery = pgPool.query;
+pgPool.query = async () => {
+  throw Object.assign(new Error("connect ECONNREFUSED 127.0.0.1:5432"), { code: "ECONNREFUSED" });
+};
+process.env.FINANCE_CACHE_BACKEND = "postgres";
+assert.equal(await getFinanceCacheEntry("finance:outage"), null);
+await setFinanceCacheEntry("finance:outage", entry, 300);
+assert.equal(await getFinanceCacheEntry("finance:outage"), entry);
+assert.equal(await withFinanceRefreshLock("finance:outage", async () => "fetched"), "fetched");
+await assert.rejects(
+  withFinanceRefreshLock("finance:outage", async () => {
+    throw new Error("Xero failed");
+  }),
+  /Xero failed/
+);
+await deleteFinanceCacheEntry("finance:outage");
+assert.equal(await getFinanceCacheEntry("finance:outage"), null);
+delete process.env.FINANCE_CACHE_BACKEND;
+pgPool.query = pgQuery;
+
+const xeroConfig = { url: "/Invoices" };
+const rateLimited = new AxiosError("Too Many Requests", "ERR_BAD_REQUEST", xeroConfig, {}, { status: 429, headers: {} });
+const serverError = new AxiosError("Service Unavailable", "ERR_BAD_RESPONSE", xeroConfig, {}, { status: 503, headers: {} });
+const timedOut = new AxiosError("timeout of 20000ms exceeded", "ECONNABORTED", xeroConfig, {});
+const notFound = new AxiosError("Not Found", "ERR_BAD_REQUEST", xeroConfig, {}, { status: 404, headers: {} });
+assert.equal(isXeroUnavailableError(rateLimited), true);
+assert.equal(isXeroUnavailableError(serverError), true);
+assert.equal(isXeroUnavailableError(timedOut), true);
+assert.equal(isXeroUnavailableError(new XeroRateLimitError("Xero minute limit reached", 30_000)), true);
+assert.equal(isXeroUnavailableError(notFound), false);
+assert.equal(isXeroUnavailableError(new TypeError("bad code")), false);
+
+// Postgres errors carry a code too, but are not a Xero outage.
+const pgError = Object.assign(new Error("relation \"halo.finance_cache\" does not exist"), { code: "42P01", severity: "ERROR" });
+const pgRefused = Object.assign(new Error("connect ECONNREFUSED 127.0.0.1:5432"), { code: "ECONNREFUSED" });
+assert.equal(isXeroUnavailableError(pgError), false);
+assert.equal(isXeroUnavailableError(pgRefused), false);
+assert.equal(isXeroUnavailableError(new Error("timeout exceeded when trying to connect")), false);
+assert.equal(describeXeroUnavailable(rateLimited), "Xero rate limit hit");
+assert.equal(describeXeroUnavailable(serverError), "Xero returned 503");
+assert.equal(describeXeroUnavailable(timedOut), "Xero timed out");
+assert.equal(describeXeroUnavailable({ code: "ECONNREFUSED" }), "Xero unreachable");
+assert.equal(isXeroUnavailableError({ code: "ECIRCUITOPEN", upstream: "xero" }), true);
+assert.equal(describeXeroUnavailable({ code: "ECIRCUITOPEN", upstream: "xero" }), "Xero temporarily unavailable");
+// A GoCardless or Halo outage is not a reason to serve the Xero snapshot.
+assert.equal(isXeroUnavailableError({ code: "ECIRCUITOPEN", upstream: "halo" }), false);
+
+console.log("Finance cache unit checks passed.");
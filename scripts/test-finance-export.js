@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+
+import { buildTransactionsCsv, describeGoCardlessState } from "../lib/finance-export.js";
+
+const csv = buildTransactionsCsv([
+  {
+    date: "2026-01-05",
+    type: "Invoice",
+    number: "INV-1",
+    reference: "=HYPERLINK(\"https://example.com\")",
+    status: "AUTHORISED",
+    due: "2026-02-01",
+    ageBucket: "1-30",
+    isOverdue: true,
+    currency: "NZD",
+    currencyRate: 1,
+    total: 100,
+    balance: 40,
+    baseTotal: 100,
+    baseBalance: 40,
+    invoiceId: "11111111-1111-1111-1111-111111111111"
+  },
+  {
+    date: "2026-01-06",
+    type: "Credit Note",
+    number: "CN, 1",
+    currency: "AUD",
+    currencyRate: 0.9,
+    total: -9,
+    balance: -9,
+    baseTotal: -10,
+    baseBalance: -10,
+    creditId: "22222222-2222-2222-2222-222222222222"
+  }
+]);
+const lines = csv.trimEnd().split("\r\n");
+
+assert.equal(lines.length, 3);
+assert.match(lines[0], /^Date,Type,Number,Reference,Status,Due Date,Age Bucket,Overdue,/);
+assert.match(lines[0], /,Invoice ID,Credit ID$/);
+assert.match(lines[1], /,"'=HYPERLINK\(""https:\/\/example.com""\)",/);
+assert.match(lines[1], /,1-30,true,NZD,1,100,40,100,40,11111111-1111-1111-1111-111111111111,$/);
+assert.match(lines[2], /,"CN, 1",/);
+assert.match(lines[2], /,AUD,0.9,-9,-9,-10,-10,,22222222-2222-2222-2222-222222222222$/);
+
+assert.equal(describeGoCardlessState({ configured: false }), "GoCardless not configured");
+assert.equal(describeGoCardlessState({ configured: true, mapped: true, state: "ok", hasActiveMandate: true }), "Mandate active");
+assert.equal(
+  describeGoCardlessState({
+    configured: true,
+    mapped: true,
+    state: "ok",
+    hasActiveMandate: false,
+    primaryMandate: { status: "pending_submission", statusLabel: "Pending submission" }
+  }),
+  "Mandate Pending submission"
+);
+assert.equal(
+  describeGoCardlessState({ configured: true, mapped: false, state: "unavailable" }),
+  "GoCardless temporarily unavailable"
+);
+
+console.log("Finance export unit checks passed.");
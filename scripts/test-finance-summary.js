@@ -0,0 +1,180 @@
+import assert from "node:assert/strict";
+
+import {
+  buildActivityStatement,
+  parseAgedReceivablesReport,
+  parseStatementPeriod,
+  summariseAgingFromRows,
+  summariseByCurrency,
+  toBaseAmount
+} from "../lib/finance-summary.js";
+
+const rows = [
+  {
+    date: "2026-01-05",
+    type: "Invoice",
+    xeroType: "ACCREC",
+    status: "AUTHORISED",
+    number: "INV-1",
+    reference: "Support",
+    currency: "NZD",
+    currencyRate: 1,
+    total: 100,
+    balance: 40,
+    isOverdue: true,
+    payments: [{ date: "2026-02-10", amount: 60, reference: "DD" }]
+  },
+  {
+    date: "2026-02-01",
+    type: "Credit Note",
+    xeroType: "ACCRECCREDIT",
+    status: "AUTHORISED",
+    number: "CN-1",
+    reference: "",
+    currency: "NZD",
+    currencyRate: 1,
+    total: -15,
+    balance: -15,
+    isOverdue: false,
+    payments: []
+  },
+  {
+    date: "2026-03-01",
+    type: "Invoice",
+    xeroType: "ACCREC",
+    status: "AUTHORISED",
+    number: "INV-2",
+    reference: "",
+    currency: "AUD",
+    currencyRate: 0.9,
+    total: 90,
+    balance: 90,
+    baseTotal: 100,
+    baseBalance: 100,
+    isOverdue: false,
+    payments: []
+  },
+  {
+    date: "2026-03-02",
+    type: "Invoice",
+    xeroType: "ACCREC",
+    status: "VOIDED",
+    number: "INV-3",
+    reference: "",
+    currency: "NZD",
+    currencyRate: 1,
+    total: 500,
+    balance: 0,
+    isOverdue: false,
+    payments: []
+  }
+];
+
+const summary = summariseByCurrency(rows, "NZD");
+assert.equal(summary.multiCurrency, true);
+assert.deepEqual(summary.currencies.map(entry => entry.currency), ["NZD", "AUD"]);
+assert.equal(summary.currencies[0].balance, 25);
+assert.equal(summary.currencies[0].overdue, 25);
+assert.equal(summary.currencies[1].baseBalance, 100);
+assert.equal(summary.total, 685);
+assert.equal(summary.balance, 125);
+assert.equal(summary.overdue, 25);
+
+// CurrencyRate is document currency per unit of base currency; a missing or
+// nonsensical rate leaves the amount as it is.
+assert.equal(toBaseAmount(90, 0.9), 100);
+assert.equal(toBaseAmount("45", "0.9"), 50);
+assert.equal(toBaseAmount(-30, 1.5), -20);
+assert.equal(toBaseAmount(25, 0), 25);
+assert.equal(toBaseAmount(25, undefined), 25);
+assert.equal(toBaseAmount(25, -2), 25);
+assert.equal(toBaseAmount(undefined, 0.9), 0);
+
+// Multi-currency rollup: credit only nets against overdue in its own
+// currency, currencies never add together except through base amounts, and
+// the base currency is listed first with the rest alphabetical.
+const mixed = summariseByCurrency(
+  [
+    { currency: "USD", total: 60, balance: 60, baseTotal: 100, baseBalance: 100, isOverdue: true },
+    { currency: "AUD", total: 45, balance: 45, baseTotal: 50, baseBalance: 50, isOverdue: true },
+    { currency: "AUD", total: -90, balance: -90, baseTotal: -100, baseBalance: -100, isOverdue: false },
+    { currency: "NZD", total: 10.005, balance: 10.005, isOverdue: true },
+    { total: 20, balance: 20, isOverdue: false },
+    { currency: "NZD", total: 5, balance: 0, isOverdue: true }
+  ],
+  "NZD"
+);
+assert.deepEqual(mixed.currencies, [
+  { currency: "NZD", total: 35.01, balance: 30.01, overdue: 10.01, baseTotal: 35.01, baseBalance: 30.01, baseOverdue: 10.01 },
+  { currency: "AUD", total: -45, balance: -45, overdue: 0, baseTotal: -50, baseBalance: -50, baseOverdue: 0 },
+  { currency: "USD", total: 60, balance: 60, overdue: 60, baseTotal: 100, baseBalance: 100, baseOverdue: 100 }
+]);
+assert.equal(mixed.multiCurrency, true);
+assert.equal(mixed.baseCurrency, "NZD");
+assert.equal(mixed.total, 85.01);
+assert.equal(mixed.balance, 80.01);
+assert.equal(mixed.overdue, 110.01);
+
+// A ledger entirely in base currency is not multi-currency, and an empty one
+// sums to zero.
+assert.equal(summariseByCurrency([{ currency: "NZD", total: 10, balance: 10 }], "NZD").multiCurrency, false);
+assert.deepEqual(summariseByCurrency(null, "NZD"), {
+  baseCurrency: "NZD",
+  currencies: [],
+  multiCurrency: false,
+  total: 0,
+  balance: 0,
+  overdue: 0
+});
+
+assert.equal(parseStatementPeriod("2026-01-01", "2026-03-31").valid, true);
+assert.equal(parseStatementPeriod("2026-03-31", "2026-01-01").valid, false);
+assert.equal(parseStatementPeriod("2026-02-30", "2026-03-31").valid, false);
+assert.equal(parseStatementPeriod("", "2026-03-31").valid, false);
+
+const statement = buildActivityStatement(rows, { from: "2026-02-01", to: "2026-02-28", baseCurrency: "NZD" });
+assert.equal(statement.currencies.length, 1);
+const nzd = statement.currencies[0];
+assert.equal(nzd.currency, "NZD");
+assert.equal(nzd.openingBalance, 100);
+assert.deepEqual(nzd.lines.map(line => line.type), ["Credit Note", "Payment"]);
+assert.equal(nzd.totalDebits, 0);
+assert.equal(nzd.totalCredits, 75);
+assert.equal(nzd.closingBalance, 25);
+assert.equal(nzd.lines[nzd.lines.length - 1].balance, nzd.closingBalance);
+
+const agedReport = {
+  Rows: [
+    {
+      RowType: "Header",
+      Cells: ["Date", "Reference", "Due Date", "", "Current", "< 1 Month", "1 Month", "2 Months", "Older", "Total"]
+        .map(Value => ({ Value }))
+    },
+    {
+      RowType: "Section",
+      Rows: [
+        {
+          RowType: "SummaryRow",
+          Cells: ["Total", "", "", "", "10.00", "0.00", "5.00", "0.00", "1,000.50", "1,015.50"]
+            .map(Value => ({ Value }))
+        }
+      ]
+    }
+  ]
+};
+const xeroAging = parseAgedReceivablesReport(agedReport);
+assert.equal(xeroAging.source, "xero");
+assert.deepEqual(xeroAging.buckets.map(bucket => bucket.amount), [10, 0, 5, 0, 1000.5]);
+assert.equal(xeroAging.total, 1015.5);
+assert.equal(parseAgedReceivablesReport({ Rows: [] }), null);
+
+const localAging = summariseAgingFromRows([
+  { ageBucket: "1-30", balance: 40, baseBalance: 40 },
+  { ageBucket: "90+", balance: 90, baseBalance: 100 },
+  { ageBucket: "", balance: -15, baseBalance: -15 }
+]);
+assert.equal(localAging.source, "local");
+assert.deepEqual(localAging.buckets.map(bucket => bucket.amount), [0, 40, 0, 0, 100]);
+assert.equal(localAging.total, 140);
+
+console.log("Finance summary unit checks passed.");
@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+
+import { buildHaloHmacPayload, signHaloHmac, verifyHaloHmac } from "../lib/hmac.js";
+
+const now = Date.UTC(2025, 0, 15, 12, 0, 0);
+const ts = String(Math.floor(now / 1000));
+const secrets = [
+  { id: "new", secret: "new-secret-value-0001" },
+  { id: "env", secret: "old-secret-value-0001" }
+];
+const options = { secrets, mode: "legacy", maxAgeSeconds: 900, now };
+
+function signedLink({ agentId = "7", clientId = "42", area = "Acme Ltd", timestamp = ts, secret = secrets[0].secret } = {}) {
+  return {
+    agentId,
+    clientId,
+    area,
+    timestamp,
+    hmac: signHaloHmac(buildHaloHmacPayload({ agentId, clientId, area, timestamp }), secret)
+  };
+}
+
+assert.equal(buildHaloHmacPayload({ agentId: "7", clientId: "42", area: "Acme Ltd", timestamp: ts }), `v1\n7\n42\nAcme Ltd\n${ts}`);
+assert.equal(buildHaloHmacPayload({ agentId: "7", area: "Acme Ltd", timestamp: ts }), `v1\n7\n\nAcme Ltd\n${ts}`);
+
+// Legacy agent-only signature, accepted under either secret.
+assert.deepEqual(verifyHaloHmac({ agentId: "7", hmac: signHaloHmac("7", secrets[1].secret) }, options), {
+  valid: true,
+  agent: "7",
+  mode: "agent",
+  secretId: "env"
+});
+assert.equal(verifyHaloHmac({ agentId: "7", hmac: signHaloHmac("8", secrets[0].secret) }, options).reason, "mismatch");
+assert.equal(verifyHaloHmac({ agentId: "7", hmac: signHaloHmac("7", secrets[0].secret) }, { ...options, mode: "signed" }).reason, "signature_required");
+assert.equal(verifyHaloHmac({ agentId: "7", hmac: "" }, options).reason, "missing");
+assert.equal(verifyHaloHmac({ agentId: "7", hmac: "abc" }, { ...options, secrets: [] }).reason, "missing");
+
+// Signed payload.
+assert.deepEqual(verifyHaloHmac(signedLink(), { ...options, mode: "signed" }), {
+  valid: true,
+  agent: "7",
+  mode: "signed",
+  secretId: "new"
+});
+assert.equal(verifyHaloHmac(signedLink({ secret: secrets[1].secret }), options).secretId, "env");
+assert.equal(verifyHaloHmac(signedLink({ secret: "retired-secret-value" }), options).reason, "mismatch");
+assert.equal(verifyHaloHmac({ ...signedLink(), clientId: "43" }, options).reason, "mismatch");
+assert.equal(verifyHaloHmac({ ...signedLink(), area: "Other Ltd" }, options).reason, "mismatch");
+assert.equal(verifyHaloHmac({ ...signedLink(), agentId: "8" }, options).reason, "mismatch");
+
+// Freshness window and clock skew.
+assert.equal(verifyHaloHmac(signedLink({ timestamp: String(Number(ts) - 900) }), options).valid, true);
+assert.equal(verifyHaloHmac(signedLink({ timestamp: String(Number(ts) - 901) }), options).reason, "expired");
+assert.equal(verifyHaloHmac(signedLink({ timestamp: String(Number(ts) + 60) }), options).valid, true);
+assert.equal(verifyHaloHmac(signedLink({ timestamp: String(Number(ts) + 61) }), options).reason, "expired");
+assert.equal(verifyHaloHmac(signedLink({ timestamp: "soon" }), options).reason, "bad_timestamp");
+assert.equal(verifyHaloHmac(signedLink({ timestamp: "1.5" }), options).reason, "bad_timestamp");
+
+console.log("HMAC unit checks passed.");
@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+
+import {
+  closePdfBrowserPool,
+  getPdfPoolStatus,
+  PdfExportQueueError,
+  renderPdf
+} from "../lib/pdf-browser-pool.js";
+import { createLaunchCooldown, createRenderSlots } from "../lib/pdf-browser-pool-utils.js";
+
+const limits = { concurrency: 2, queueLimit: 1 };
+const settled = promise => {
+  const state = { done: false, error: null };
+  promise.then(
+    () => {
+      state.done = true;
+    },
+    err => {
+      state.error = err;
+    }
+  );
+  return state;
+};
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// Slots: renders run up to the concurrency cap, then queue up to the limit,
+// then are turned away.
+const slots = createRenderSlots();
+await slots.acquire(limits);
+await slots.acquire(limits);
+const third = settled(slots.acquire(limits));
+assert.equal(slots.active, 2);
+assert.equal(slots.queued, 1);
+assert.equal(slots.acquire(limits), null);
+
+// A finishing render hands its slot to the oldest waiter.
+slots.release();
+await flush();
+assert.equal(third.done, true);
+assert.equal(slots.active, 2);
+assert.equal(slots.queued, 0);
+
+slots.release();
+slots.release();
+assert.equal(slots.active, 0);
+slots.release();
+assert.equal(slots.active, 0);
+
+// Waiters are served first in, first out.
+const order = [];
+const fifo = createRenderSlots();
+await fifo.acquire({ concurrency: 1, queueLimit: 5 });
+const waiters = ["a", "b", "c"].map(name => fifo.acquire({ concurrency: 1, queueLimit: 5 }).then(() => order.push(name)));
+fifo.release();
+fifo.release();
+fifo.release();
+await Promise.all(waiters);
+assert.deepEqual(order, ["a", "b", "c"]);
+
+// Shutdown fails everything still queued.
+const draining = createRenderSlots();
+await draining.acquire({ concurrency: 1, queueLimit: 2 });
+const queued = [settled(draining.acquire({ concurrency: 1, queueLimit: 2 })), settled(draining.acquire({ concurrency: 1, queueLimit: 2 }))];
+draining.rejectQueued(new Error("shutting down"));
+await flush();
+assert.deepEqual(queued.map(state => state.error?.message), ["shutting down", "shutting down"]);
+assert.equal(draining.queued, 0);
+assert.equal(draining.active, 1);
+
+// A failed launch is remembered for the cool-down, then forgotten.
+const cooldown = createLaunchCooldown(60_000);
+const launchError = new Error("Could not find Chrome");
+assert.equal(cooldown.current(1_000), null);
+cooldown.record(launchError, 1_000);
+assert.equal(cooldown.current(30_000), launchError);
+assert.equal(cooldown.until, 61_000);
+assert.equal(cooldown.current(61_000), null);
+assert.equal(cooldown.until, null);
+
+// The pool reports live counts and its limits, and refuses work once closing
+// without starting Chromium.
+const idle = getPdfPoolStatus();
+assert.equal(idle.active, 0);
+assert.equal(idle.queued, 0);
+assert.equal(idle.browserRunning, false);
+assert.equal(idle.launchFailedUntil, null);
+assert.equal(typeof idle.concurrency, "number");
+assert.equal(typeof idle.queueLimit, "number");
+
+await closePdfBrowserPool();
+const samples = [];
+await assert.rejects(renderPdf("<p>x</p>", { onSample: sample => samples.push(sample) }), PdfExportQueueError);
+assert.equal(samples.length, 1);
+assert.equal(samples[0].outcome, "rejected");
+assert.equal(getPdfPoolStatus().closing, true);
+assert.equal(getPdfPoolStatus().launches, 0);
+
+console.log("PDF browser pool unit checks passed.");
@@ -0,0 +1,95 @@
+import assert from "node:assert/strict";
+
+import { buildActivityStatement, summariseByCurrency } from "../lib/finance-summary.js";
+import { renderActivityStatementPdf, renderStatementPdf } from "../lib/pdf-statement.js";
+
+function assertPdf(buffer) {
+  assert.ok(Buffer.isBuffer(buffer));
+  assert.equal(buffer.subarray(0, 5).toString("latin1"), "%PDF-");
+  assert.match(buffer.subarray(-32).toString("latin1"), /%%EOF\s*$/);
+}
+
+function countPages(buffer) {
+  return (buffer.toString("latin1").match(/\/Type \/Page\b/g) || []).length;
+}
+
+// Enough rows, in two currencies, to break across pages.
+const rows = Array.from({ length: 90 }, (_, index) => {
+  const aud = index % 3 === 0;
+  const day = String((index % 28) + 1).padStart(2, "0");
+  return {
+    date: `2026-0${(index % 9) + 1}-${day}`,
+    due: `2026-0${(index % 9) + 1}-${day}`,
+    type: index % 10 === 9 ? "Credit Note" : "Invoice",
+    xeroType: index % 10 === 9 ? "ACCRECCREDIT" : "ACCREC",
+    status: "AUTHORISED",
+    number: `INV-${1000 + index}`,
+    reference: index % 4 === 0 ? "A long reference that has to wrap inside its column on the statement" : "",
+    currency: aud ? "AUD" : "NZD",
+    currencyRate: aud ? 0.9 : 1,
+    total: index % 10 === 9 ? -45 : 90,
+    balance: index % 10 === 9 ? -45 : index % 2 ? 90 : 0,
+    isOverdue: index % 5 === 0,
+    payments: index % 2 ? [] : [{ date: `2026-0${(index % 9) + 1}-28`, amount: 90, reference: "DD" }]
+  };
+});
+
+const summary = summariseByCurrency(rows, "NZD");
+const statementPdf = await renderStatementPdf({
+  clientName: "Acme Ltd",
+  asAt: "19/10/2026, 9:00:00 am",
+  tenantName: "Acme Group NZ",
+  baseCurrency: "NZD",
+  accountBal: summary.balance.toFixed(2),
+  overdueBal: summary.overdue.toFixed(2),
+  currencyTotals: summary.currencies,
+  multiCurrency: summary.multiCurrency,
+  totalAmount: summary.total.toFixed(2),
+  totalBalance: summary.balance.toFixed(2),
+  aging: {
+    source: "local",
+    total: 120,
+    buckets: [
+      { label: "Current", amount: 30 },
+      { label: "1-30", amount: 90 }
+    ]
+  },
+  rows
+});
+assertPdf(statementPdf);
+assert.ok(countPages(statementPdf) > 1);
+
+// A client with no ledger rows still gets a one-page statement.
+const emptyStatementPdf = await renderStatementPdf({
+  clientName: "New Client",
+  asAt: "19/10/2026",
+  baseCurrency: "NZD",
+  accountBal: "0.00",
+  overdueBal: "0.00",
+  rows: []
+});
+assertPdf(emptyStatementPdf);
+assert.equal(countPages(emptyStatementPdf), 1);
+
+// Activity statements: one section per currency, and a note when there is
+// nothing to show.
+const statement = buildActivityStatement(rows, { from: "2026-03-01", to: "2026-08-31", baseCurrency: "NZD" });
+assert.equal(statement.currencies.length, 2);
+const activityPdf = await renderActivityStatementPdf({
+  clientName: "Acme Ltd",
+  asAt: "19/10/2026",
+  tenantName: "Acme Group NZ",
+  statement
+});
+assertPdf(activityPdf);
+assert.ok(countPages(activityPdf) >= 1);
+
+const emptyActivityPdf = await renderActivityStatementPdf({
+  clientName: "New Client",
+  asAt: "19/10/2026",
+  statement: buildActivityStatement([], { from: "2026-01-01", to: "2026-01-31", baseCurrency: "NZD" })
+});
+assertPdf(emptyActivityPdf);
+assert.equal(countPages(emptyActivityPdf), 1);
+
+console.log("PDF statement unit checks passed.");
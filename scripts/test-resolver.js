@@ -0,0 +1,26 @@
+import assert from "node:assert/strict";
+
+import { canStoreNameMatch, parseHaloClientId } from "../lib/resolver.js";
+
+assert.equal(parseHaloClientId("42"), 42);
+assert.equal(parseHaloClientId(" 42 "), 42);
+assert.equal(parseHaloClientId(17), 17);
+assert.equal(parseHaloClientId(""), null);
+assert.equal(parseHaloClientId(undefined), null);
+assert.equal(parseHaloClientId("0"), null);
+assert.equal(parseHaloClientId("-3"), null);
+assert.equal(parseHaloClientId("12abc"), null);
+assert.equal(parseHaloClientId("$CLIENTID"), null);
+assert.equal(parseHaloClientId("99999999999"), null);
+assert.equal(parseHaloClientId(["1", "2"]), null);
+
+// Name matches are only stored when the name is signed or is Halo's own name
+// for the client; an unsigned area alone never creates a link.
+assert.equal(canStoreNameMatch({ name: "Acme Ltd", nameSigned: true }), true);
+assert.equal(canStoreNameMatch({ name: "Acme Ltd" }), false);
+assert.equal(canStoreNameMatch({ name: "Acme Ltd", haloRecordName: "Other Co" }), false);
+assert.equal(canStoreNameMatch({ name: "acme  ltd", haloRecordName: " Acme\u00A0Ltd " }), true);
+assert.equal(canStoreNameMatch({ name: "", haloRecordName: "", nameSigned: true }), false);
+assert.equal(canStoreNameMatch({ name: "   ", haloRecordName: null }), false);
+
+console.log("Resolver unit checks passed.");
@@ -0,0 +1,104 @@
+import assert from "node:assert/strict";
+
+import {
+  applyXeroRateLimitHeaders,
+  createXeroBudget,
+  estimateMinuteRemaining,
+  getXeroRetryDelayMs,
+  getXeroUsageDate,
+  parseRetryAfterMs,
+  parseXeroRateLimitHeaders,
+  planXeroRequest,
+  recordXeroRequestStart,
+  XERO_BACKGROUND_RESERVE,
+  XERO_LIMITS
+} from "../lib/xero-client-utils.js";
+
+const now = Date.UTC(2026, 9, 19, 10, 0, 0);
+
+// Headers: axios lowercases names; Retry-After is seconds or an HTTP date.
+assert.deepEqual(
+  parseXeroRateLimitHeaders(
+    { "x-minlimit-remaining": "57", "x-daylimit-remaining": "4890", "x-appminlimit-remaining": "9990" },
+    now
+  ),
+  { minuteRemaining: 57, dayRemaining: 4890, appMinuteRemaining: 9990, retryAfterMs: null, problem: null }
+);
+assert.equal(parseXeroRateLimitHeaders({ "retry-after": "12", "x-rate-limit-problem": "Minute" }, now).retryAfterMs, 12_000);
+assert.equal(parseXeroRateLimitHeaders({ "retry-after": "12", "x-rate-limit-problem": "Minute" }, now).problem, "minute");
+assert.equal(parseRetryAfterMs(new Date(now + 5000).toUTCString(), now), 5000);
+assert.equal(parseRetryAfterMs("soon", now), null);
+assert.equal(parseRetryAfterMs(undefined, now), null);
+
+// A fresh budget lets both priorities start.
+const fresh = createXeroBudget();
+assert.deepEqual(planXeroRequest(fresh, "interactive", { now }), { action: "start" });
+assert.deepEqual(planXeroRequest(fresh, "background", { now }), { action: "start" });
+
+// Background requests give way to queued interactive ones and take at most
+// two concurrent slots; interactive can use all five.
+assert.deepEqual(planXeroRequest(fresh, "background", { now, interactiveWaiting: true }), { action: "wait", waitMs: null });
+const busy = createXeroBudget();
+for (let i = 0; i < XERO_BACKGROUND_RESERVE.concurrent; i += 1) recordXeroRequestStart(busy, now);
+assert.deepEqual(planXeroRequest(busy, "background", { now }), { action: "wait", waitMs: null });
+assert.deepEqual(planXeroRequest(busy, "interactive", { now }), { action: "start" });
+for (let i = busy.inFlight; i < XERO_LIMITS.concurrent; i += 1) recordXeroRequestStart(busy, now);
+assert.deepEqual(planXeroRequest(busy, "interactive", { now }), { action: "wait", waitMs: null });
+
+// Minute budget: Xero's report wins when lower than the local count, less
+// calls started since; background keeps a reserve for the widget.
+const minute = createXeroBudget();
+applyXeroRateLimitHeaders(minute, { "x-minlimit-remaining": "21", "x-daylimit-remaining": "4000" }, { now });
+assert.equal(estimateMinuteRemaining(minute, now), 21);
+assert.deepEqual(planXeroRequest(minute, "background", { now }), { action: "start" });
+recordXeroRequestStart(minute, now);
+minute.inFlight = 0;
+assert.equal(estimateMinuteRemaining(minute, now), 20);
+const backgroundWait = planXeroRequest(minute, "background", { now: now + 1000 });
+assert.equal(backgroundWait.action, "wait");
+assert.equal(backgroundWait.waitMs, 59_000);
+assert.deepEqual(planXeroRequest(minute, "interactive", { now: now + 1000 }), { action: "start" });
+// The report expires after a minute and the local count takes over.
+assert.equal(estimateMinuteRemaining(minute, now + 61_000), XERO_LIMITS.perMinute);
+
+// A local burst is paced even without headers.
+const burst = createXeroBudget();
+for (let i = 0; i < XERO_LIMITS.perMinute; i += 1) recordXeroRequestStart(burst, now + i);
+burst.inFlight = 0;
+const burstWait = planXeroRequest(burst, "interactive", { now: now + 100 });
+assert.equal(burstWait.action, "wait");
+assert.equal(burstWait.waitMs, 59_900);
+
+// A 429 blocks the organisation until Retry-After has passed.
+const limited = createXeroBudget();
+applyXeroRateLimitHeaders(limited, { "retry-after": "7", "x-rate-limit-problem": "minute" }, { status: 429, now });
+assert.deepEqual(planXeroRequest(limited, "interactive", { now }), { action: "wait", waitMs: 7000 });
+assert.deepEqual(planXeroRequest(limited, "interactive", { now: now + 7000 }).action, "wait");
+assert.equal(limited.minuteRemaining, 0);
+
+// Daily budget: background stops at its reserve, interactive at zero; a low
+// count is re-read after a while rather than trusted all day.
+const daily = createXeroBudget();
+applyXeroRateLimitHeaders(daily, { "x-daylimit-remaining": String(XERO_BACKGROUND_RESERVE.perDay) }, { now });
+assert.equal(planXeroRequest(daily, "background", { now }).action, "reject");
+assert.match(planXeroRequest(daily, "background", { now }).reason, /reserved/);
+assert.deepEqual(planXeroRequest(daily, "interactive", { now }), { action: "start" });
+applyXeroRateLimitHeaders(daily, { "x-daylimit-remaining": "0" }, { now });
+assert.equal(planXeroRequest(daily, "interactive", { now }).action, "reject");
+assert.equal(planXeroRequest(daily, "interactive", { now: now + 16 * 60_000 }).action, "start");
+
+// Retries: only 429s, once for interactive and three times for background,
+// and only when Retry-After fits the priority's wait limit.
+const tooMany = seconds => ({ response: { status: 429, headers: { "retry-after": String(seconds) } } });
+assert.equal(getXeroRetryDelayMs(tooMany(3), "interactive", 0, now), 3000);
+assert.equal(getXeroRetryDelayMs(tooMany(3), "interactive", 1, now), null);
+assert.equal(getXeroRetryDelayMs(tooMany(3), "background", 2, now), 3000);
+assert.equal(getXeroRetryDelayMs(tooMany(3), "background", 3, now), null);
+assert.equal(getXeroRetryDelayMs(tooMany(120), "interactive", 0, now), null);
+assert.equal(getXeroRetryDelayMs(tooMany(120), "background", 0, now), 120_000);
+assert.equal(getXeroRetryDelayMs({ response: { status: 500, headers: {} } }, "background", 0, now), null);
+assert.equal(getXeroRetryDelayMs(new Error("timeout"), "background", 0, now), null);
+
+assert.equal(getXeroUsageDate(Date.UTC(2026, 9, 19, 23, 59)), "2026-10-19");
+
+console.log("Xero client unit checks passed.");
@@ -0,0 +1,100 @@
+import assert from "node:assert/strict";
+
+import {
+  DEFAULT_XERO_SCOPES,
+  findXeroConnectionForTenant,
+  getXeroConnectionEnvPrefix,
+  parseXeroConnectionConfigs,
+  pickOtherOrganisationContacts,
+  withOfflineAccess
+} from "../lib/xero-connection-utils.js";
+
+const defaultTenant = "11111111-1111-1111-1111-111111111111";
+const billingTenant = "22222222-2222-2222-2222-222222222222";
+const servicesTenant = "33333333-3333-3333-3333-333333333333";
+
+// Single organisation: only the original variables.
+const single = parseXeroConnectionConfigs({ XERO_CLIENT_ID: "id", XERO_CLIENT_SECRET: "secret" });
+assert.equal(single.connections.length, 1);
+assert.equal(single.connections[0].id, "default");
+assert.equal(single.connections[0].isDefault, true);
+assert.equal(single.connections[0].scopes, DEFAULT_XERO_SCOPES);
+assert.equal(single.connections[0].tenantId, "");
+assert.equal(single.connections[0].authMode, "custom");
+assert.deepEqual(single.errors, []);
+
+// Extra organisations use prefixed variables; bad and repeated IDs are reported.
+assert.equal(getXeroConnectionEnvPrefix("nz-north"), "XERO_NZ_NORTH_");
+const multi = parseXeroConnectionConfigs({
+  XERO_CLIENT_ID: "id",
+  XERO_CLIENT_SECRET: "secret",
+  XERO_TENANT_ID: defaultTenant.toUpperCase(),
+  XERO_SCOPES: "accounting.contacts.read",
+  XERO_WEBHOOK_KEY: "default-key",
+  XERO_CONNECTIONS: "Billing, services billing, bad!id",
+  XERO_BILLING_CLIENT_ID: "billing-id",
+  XERO_BILLING_CLIENT_SECRET: "billing-secret",
+  XERO_BILLING_TENANT_NAME: "Acme Billing",
+  XERO_BILLING_WEBHOOK_KEY: "billing-key",
+  XERO_SERVICES_CLIENT_ID: "services-id",
+  XERO_SERVICES_SCOPES: "accounting.invoices.read"
+});
+assert.deepEqual(multi.connections.map(connection => connection.id), ["default", "billing", "services"]);
+assert.equal(multi.connections[0].tenantId, defaultTenant);
+assert.equal(multi.connections[1].clientSecret, "billing-secret");
+assert.equal(multi.connections[1].tenantName, "Acme Billing");
+assert.equal(multi.connections[1].webhookKey, "billing-key");
+assert.equal(multi.connections[1].scopes, "accounting.contacts.read");
+assert.equal(multi.connections[2].scopes, "accounting.invoices.read");
+assert.equal(multi.connections[2].clientSecret, "");
+assert.equal(multi.errors.length, 2);
+assert.match(multi.errors[0], /listed more than once/);
+assert.match(multi.errors[1], /bad!id/);
+
+// Auth mode: OAuth connections always ask for offline_access; an unknown
+// mode falls back to custom and is reported.
+assert.equal(withOfflineAccess("accounting.contacts.read"), "offline_access accounting.contacts.read");
+assert.equal(withOfflineAccess("offline_access accounting.contacts.read"), "offline_access accounting.contacts.read");
+const modes = parseXeroConnectionConfigs({
+  XERO_AUTH_MODE: "OAuth",
+  XERO_CONNECTIONS: "billing services",
+  XERO_BILLING_AUTH_MODE: "custom",
+  XERO_SERVICES_AUTH_MODE: "implicit"
+});
+assert.deepEqual(modes.connections.map(connection => connection.authMode), ["oauth", "custom", "custom"]);
+assert.equal(modes.connections[0].scopes, `offline_access ${DEFAULT_XERO_SCOPES}`);
+assert.equal(modes.connections[1].scopes, DEFAULT_XERO_SCOPES);
+assert.equal(modes.errors.length, 1);
+assert.match(modes.errors[0], /XERO_SERVICES_AUTH_MODE/);
+
+// Tenant lookup: no tenant is the default; unknown tenants only fall back
+// when there is a single connection.
+const connections = [
+  { id: "default", isDefault: true, tenantId: defaultTenant },
+  { id: "billing", isDefault: false, tenantId: billingTenant },
+  { id: "services", isDefault: false, tenantId: "" }
+];
+assert.equal(findXeroConnectionForTenant(connections, null).id, "default");
+assert.equal(findXeroConnectionForTenant(connections, billingTenant.toUpperCase()).id, "billing");
+assert.equal(findXeroConnectionForTenant(connections, servicesTenant), null);
+assert.equal(findXeroConnectionForTenant([connections[0]], servicesTenant).id, "default");
+
+// Other organisations: one contact each, never the primary contact or
+// organisation, and an organisation with two matches is skipped.
+const rows = [
+  { xero_tenant_id: defaultTenant, xero_contact_guid: "aaaaaaaa-0000-0000-0000-000000000001", contact_name: "Acme Ltd" },
+  { xero_tenant_id: defaultTenant, xero_contact_guid: "aaaaaaaa-0000-0000-0000-000000000009", contact_name: "Acme Ltd" },
+  { xero_tenant_id: billingTenant, xero_contact_guid: "BBBBBBBB-0000-0000-0000-000000000002", contact_name: "Acme Ltd" },
+  { xero_tenant_id: servicesTenant, xero_contact_guid: "cccccccc-0000-0000-0000-000000000003", contact_name: "Acme Ltd" },
+  { xero_tenant_id: servicesTenant, xero_contact_guid: "cccccccc-0000-0000-0000-000000000004", contact_name: "ACME LTD" }
+];
+const others = pickOtherOrganisationContacts(rows, {
+  contactId: "aaaaaaaa-0000-0000-0000-000000000001",
+  tenantId: defaultTenant
+});
+assert.deepEqual(others, [
+  { tenantId: billingTenant, contactId: "bbbbbbbb-0000-0000-0000-000000000002", contactName: "Acme Ltd" }
+]);
+assert.deepEqual(pickOtherOrganisationContacts([], { contactId: "x", tenantId: defaultTenant }), []);
+
+console.log("Xero connection unit checks passed.");
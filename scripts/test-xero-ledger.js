@@ -0,0 +1,235 @@
+import assert from "node:assert/strict";
+
+import {
+  buildCreditRow,
+  buildInvoiceDetail,
+  buildInvoiceHistory,
+  collectXeroPages,
+  getContactWhere,
+  getCreditWhere,
+  getInvoiceWhere,
+  isInvoiceForContact,
+  isLedgerCredit,
+  XERO_CREDIT_SOURCES,
+  XERO_PAGE_SIZE
+} from "../lib/xero-ledger-utils.js";
+
+const [creditNotes, overpayments, prepayments] = XERO_CREDIT_SOURCES;
+
+// Credits: only authorised or paid receivable documents reach the ledger.
+assert.equal(isLedgerCredit(creditNotes, { Type: "ACCRECCREDIT", Status: "AUTHORISED" }), true);
+assert.equal(isLedgerCredit(creditNotes, { Type: "ACCRECCREDIT", Status: "PAID" }), true);
+assert.equal(isLedgerCredit(creditNotes, { Type: "ACCRECCREDIT", Status: "DRAFT" }), false);
+assert.equal(isLedgerCredit(creditNotes, { Type: "ACCRECCREDIT", Status: "VOIDED" }), false);
+assert.equal(isLedgerCredit(creditNotes, { Type: "ACCPAYCREDIT", Status: "AUTHORISED" }), false);
+assert.equal(isLedgerCredit(overpayments, { Type: "SPEND-OVERPAYMENT", Status: "AUTHORISED" }), false);
+assert.equal(isLedgerCredit(prepayments, { Type: "RECEIVE-PREPAYMENT", Status: "AUTHORISED" }), true);
+
+// Credit rows are negative and carry the remaining credit as their balance,
+// in document currency and base currency.
+const creditRow = buildCreditRow(
+  creditNotes,
+  {
+    CreditNoteID: "cn-1",
+    CreditNoteNumber: "CN-0007",
+    Contact: { Name: "Acme Ltd" },
+    DateString: "2026-09-01T00:00:00",
+    Type: "ACCRECCREDIT",
+    Status: "AUTHORISED",
+    Reference: "Returned goods",
+    CurrencyCode: "AUD",
+    CurrencyRate: 0.9,
+    Total: 90,
+    RemainingCredit: 45,
+    Payments: [{ Date: "/Date(1788220800000+0000)/", Amount: 10, Reference: "Refund" }]
+  },
+  "NZD"
+);
+assert.equal(creditRow.type, "Credit Note");
+assert.equal(creditRow.number, "CN-0007");
+assert.equal(creditRow.creditId, "cn-1");
+assert.equal(creditRow.date, "2026-09-01");
+assert.equal(creditRow.currency, "AUD");
+assert.equal(creditRow.total, -90);
+assert.equal(creditRow.balance, -45);
+assert.equal(creditRow.baseTotal, -100);
+assert.equal(creditRow.baseBalance, -50);
+assert.equal(creditRow.isOverdue, false);
+assert.deepEqual(creditRow.payments, [{ date: "2026-09-01", amount: 10, reference: "Refund" }]);
+
+// Overpayments and prepayments have no number of their own; the reference
+// stands in, and a missing currency means base currency.
+const overpaymentRow = buildCreditRow(
+  overpayments,
+  { OverpaymentID: "op-1", Reference: "Bank deposit", Type: "RECEIVE-OVERPAYMENT", Status: "AUTHORISED", Total: 25, RemainingCredit: 25 },
+  "NZD"
+);
+assert.equal(overpaymentRow.type, "Overpayment");
+assert.equal(overpaymentRow.number, "Bank deposit");
+assert.equal(overpaymentRow.currency, "NZD");
+assert.equal(overpaymentRow.baseBalance, -25);
+
+// History horizon: recent invoices plus anything still owing, measured from
+// the UTC date.
+const contactId = "11111111-1111-1111-1111-111111111111";
+assert.equal(getContactWhere(contactId), `Contact.ContactID==Guid("${contactId}")`);
+assert.equal(getInvoiceWhere(contactId, 0), getContactWhere(contactId));
+assert.equal(
+  getInvoiceWhere(contactId, 24, new Date(Date.UTC(2026, 9, 19, 23, 30))),
+  `Contact.ContactID==Guid("${contactId}") AND (Date>=DateTime(2024,10,19) OR AmountDue>0)`
+);
+assert.equal(
+  getInvoiceWhere(contactId, 3, new Date(Date.UTC(2026, 1, 10))),
+  `Contact.ContactID==Guid("${contactId}") AND (Date>=DateTime(2025,11,10) OR AmountDue>0)`
+);
+
+// Credits share the horizon, keeping any that still have credit to apply.
+assert.equal(getCreditWhere(contactId, 0), getContactWhere(contactId));
+assert.equal(
+  getCreditWhere(contactId, 24, new Date(Date.UTC(2026, 9, 19))),
+  `Contact.ContactID==Guid("${contactId}") AND (Date>=DateTime(2024,10,19) OR RemainingCredit>0)`
+);
+
+// Paging: a fake Xero list of `total` invoices, with or without the
+// pagination block newer API versions send.
+function fakeXeroList(total, { withPagination = true } = {}) {
+  const requested = [];
+  const fetchPage = async page => {
+    requested.push(page);
+    const start = (page - 1) * XERO_PAGE_SIZE;
+    const Invoices = Array.from({ length: Math.max(0, Math.min(XERO_PAGE_SIZE, total - start)) }, (_, index) => ({
+      InvoiceNumber: `INV-${start + index + 1}`
+    }));
+    const pagination = { page, pageSize: XERO_PAGE_SIZE, pageCount: Math.ceil(total / XERO_PAGE_SIZE), itemCount: total };
+    return withPagination ? { pagination, Invoices } : { Invoices };
+  };
+  return { fetchPage, requested };
+}
+
+const complete = fakeXeroList(250);
+const completeResult = await collectXeroPages(complete.fetchPage, "Invoices", { maxPages: 5, concurrency: 2 });
+assert.equal(completeResult.items.length, 250);
+assert.equal(completeResult.itemCount, 250);
+assert.equal(completeResult.truncated, false);
+assert.deepEqual(completeResult.items.slice(-1), [{ InvoiceNumber: "INV-250" }]);
+assert.deepEqual([...complete.requested].sort(), [1, 2, 3]);
+
+// The page limit stops the walk and says so, instead of quietly returning
+// a partial ledger.
+const limited = fakeXeroList(450);
+const limitedResult = await collectXeroPages(limited.fetchPage, "Invoices", { maxPages: 2, concurrency: 2 });
+assert.equal(limitedResult.items.length, 200);
+assert.equal(limitedResult.itemCount, 450);
+assert.equal(limitedResult.truncated, true);
+assert.deepEqual([...limited.requested].sort(), [1, 2]);
+
+// Without pageCount, pages are walked until a short page comes back.
+const legacy = fakeXeroList(230, { withPagination: false });
+const legacyResult = await collectXeroPages(legacy.fetchPage, "Invoices", { maxPages: 5 });
+assert.equal(legacyResult.items.length, 230);
+assert.equal(legacyResult.itemCount, 230);
+assert.equal(legacyResult.truncated, false);
+assert.deepEqual(legacy.requested, [1, 2, 3]);
+
+const legacyLimited = fakeXeroList(450, { withPagination: false });
+const legacyLimitedResult = await collectXeroPages(legacyLimited.fetchPage, "Invoices", { maxPages: 3 });
+assert.equal(legacyLimitedResult.items.length, 300);
+assert.equal(legacyLimitedResult.itemCount, null);
+assert.equal(legacyLimitedResult.truncated, true);
+
+const empty = await collectXeroPages(async () => ({ pagination: { pageCount: 0, itemCount: 0 }, Invoices: [] }), "Invoices", {
+  maxPages: 5
+});
+assert.deepEqual(empty, { items: [], itemCount: 0, truncated: false });
+
+// Invoice history: every allocation in date order, whatever its kind.
+const paidInvoice = {
+  InvoiceID: "inv-1",
+  InvoiceNumber: "INV-0042",
+  Contact: { ContactID: contactId.toUpperCase() },
+  Total: 230,
+  AmountPaid: 150,
+  AmountCredited: 50,
+  AmountDue: 30,
+  Payments: [
+    { Date: "/Date(1791331200000+0000)/", Amount: 100, Reference: "DD" },
+    { DateString: "2026-08-15T00:00:00", Amount: 50 }
+  ],
+  CreditNotes: [{ DateString: "2026-09-01T00:00:00", AppliedAmount: 40, Total: 90, CreditNoteNumber: "CN-7" }],
+  Overpayments: [{ DateString: "2026-07-01T00:00:00", AppliedAmount: 10, Reference: "Deposit" }]
+};
+const invoiceHistory = buildInvoiceHistory(paidInvoice, "NZD");
+assert.equal(invoiceHistory.currency, "NZD");
+assert.equal(invoiceHistory.amountDue, 30);
+assert.deepEqual(invoiceHistory.entries, [
+  { kind: "Overpayment", date: "2026-07-01", amount: 10, reference: "Deposit" },
+  { kind: "Payment", date: "2026-08-15", amount: 50, reference: "" },
+  { kind: "Credit Note", date: "2026-09-01", amount: 40, reference: "CN-7" },
+  { kind: "Payment", date: "2026-10-07", amount: 100, reference: "DD" }
+]);
+assert.deepEqual(buildInvoiceHistory({ InvoiceID: "inv-2", CurrencyCode: "AUD" }, "NZD").entries, []);
+
+// Ownership is checked on every read, cached or not, and ignores case.
+assert.equal(isInvoiceForContact(paidInvoice, contactId), true);
+assert.equal(isInvoiceForContact(paidInvoice, "22222222-2222-2222-2222-222222222222"), false);
+assert.equal(isInvoiceForContact({ Contact: {} }, ""), false);
+assert.equal(isInvoiceForContact(null, contactId), false);
+
+// Invoice detail: lines and tracking as Xero holds them, in document currency.
+const invoiceDetail = buildInvoiceDetail(
+  {
+    InvoiceID: "inv-3",
+    InvoiceNumber: "INV-0099",
+    Type: "ACCREC",
+    Status: "AUTHORISED",
+    DateString: "2026-09-30T00:00:00",
+    DueDate: "/Date(1791331200000+0000)/",
+    LineAmountTypes: "Exclusive",
+    CurrencyCode: "AUD",
+    CurrencyRate: 0.9,
+    SubTotal: 200,
+    TotalTax: 30,
+    Total: 230,
+    AmountDue: 230,
+    LineItems: [
+      {
+        Description: "Managed services",
+        ItemCode: "MS-01",
+        Quantity: 2,
+        UnitAmount: 100,
+        AccountCode: "200",
+        TaxType: "OUTPUT2",
+        TaxAmount: 30,
+        LineAmount: 200,
+        Tracking: [{ Name: "Region", Option: "North" }]
+      }
+    ]
+  },
+  "NZD"
+);
+assert.equal(invoiceDetail.date, "2026-09-30");
+assert.equal(invoiceDetail.due, "2026-10-07");
+assert.equal(invoiceDetail.currency, "AUD");
+assert.equal(invoiceDetail.currencyRate, 0.9);
+assert.deepEqual(invoiceDetail.lineItems, [
+  {
+    description: "Managed services",
+    itemCode: "MS-01",
+    quantity: 2,
+    unitAmount: 100,
+    discountRate: null,
+    accountCode: "200",
+    taxType: "OUTPUT2",
+    taxAmount: 30,
+    lineAmount: 200,
+    tracking: [{ name: "Region", option: "North" }]
+  }
+]);
+
+const bareDetail = buildInvoiceDetail({ InvoiceID: "inv-4", CurrencyRate: 0 }, "NZD");
+assert.equal(bareDetail.currency, "NZD");
+assert.equal(bareDetail.currencyRate, 1);
+assert.equal(bareDetail.total, 0);
+assert.deepEqual(bareDetail.lineItems, []);
+
+console.log("Xero ledger unit checks passed.");
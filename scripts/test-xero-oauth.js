@@ -0,0 +1,87 @@
+import assert from "node:assert/strict";
+
+import {
+  XERO_OAUTH_STATE_MAX_AGE_MS,
+  buildXeroAuthoriseUrl,
+  checkXeroOAuthState,
+  chooseXeroTenant,
+  createXeroOAuthState,
+  decryptXeroToken,
+  encryptXeroToken,
+  parseXeroTenants
+} from "../lib/xero-oauth-utils.js";
+
+// Consent URL carries the code flow parameters.
+const url = new URL(
+  buildXeroAuthoriseUrl({
+    clientId: "client-id",
+    redirectUri: "https://finance.example.com/admin/xero/callback",
+    scopes: "offline_access accounting.contacts.read",
+    state: "abc"
+  })
+);
+assert.equal(url.origin + url.pathname, "https://login.xero.com/identity/connect/authorize");
+assert.equal(url.searchParams.get("response_type"), "code");
+assert.equal(url.searchParams.get("client_id"), "client-id");
+assert.equal(url.searchParams.get("redirect_uri"), "https://finance.example.com/admin/xero/callback");
+assert.equal(url.searchParams.get("scope"), "offline_access accounting.contacts.read");
+assert.equal(url.searchParams.get("state"), "abc");
+assert.equal(
+  new URL(
+    buildXeroAuthoriseUrl({
+      clientId: "client-id",
+      redirectUri: "http://localhost:3001/admin/xero/callback",
+      scopes: "offline_access",
+      state: "abc",
+      authoriseUrl: "http://localhost:4010/xero/login/identity/connect/authorize"
+    })
+  ).origin,
+  "http://localhost:4010"
+);
+
+// State: must have been started, match, and be recent.
+const now = Date.now();
+const state = createXeroOAuthState();
+assert.notEqual(state, createXeroOAuthState());
+const pending = { state, connectionId: "billing", createdAt: now - 1000 };
+assert.deepEqual(checkXeroOAuthState(pending, state, now), { ok: true, connectionId: "billing" });
+assert.equal(checkXeroOAuthState(null, state, now).reason, "not_started");
+assert.equal(checkXeroOAuthState(pending, `${state}x`, now).reason, "state_mismatch");
+assert.equal(checkXeroOAuthState(pending, undefined, now).reason, "state_mismatch");
+assert.equal(
+  checkXeroOAuthState({ ...pending, createdAt: now - XERO_OAUTH_STATE_MAX_AGE_MS - 1 }, state, now).reason,
+  "expired"
+);
+
+// /connections: organisations only, tenant IDs lowercased.
+const tenants = parseXeroTenants([
+  { id: "conn-1", tenantId: "AAAAAAAA-0000-0000-0000-000000000001", tenantName: "Acme NZ", tenantType: "ORGANISATION" },
+  { id: "conn-2", tenantId: "bbbbbbbb-0000-0000-0000-000000000002", tenantName: "Practice", tenantType: "PRACTICEMANAGER" },
+  { id: "conn-3", tenantId: "cccccccc-0000-0000-0000-000000000003", tenantName: "Acme AU", tenantType: "ORGANISATION" }
+]);
+assert.deepEqual(tenants, [
+  { connectionId: "conn-1", tenantId: "aaaaaaaa-0000-0000-0000-000000000001", tenantName: "Acme NZ" },
+  { connectionId: "conn-3", tenantId: "cccccccc-0000-0000-0000-000000000003", tenantName: "Acme AU" }
+]);
+assert.deepEqual(parseXeroTenants(null), []);
+
+// Tenant choice: keep the previous one, pick the only one, never guess.
+assert.equal(chooseXeroTenant(tenants, "CCCCCCCC-0000-0000-0000-000000000003").tenantName, "Acme AU");
+assert.equal(chooseXeroTenant(tenants, null), null);
+assert.equal(chooseXeroTenant(tenants, "dddddddd-0000-0000-0000-000000000004"), null);
+assert.equal(chooseXeroTenant([tenants[0]], null).tenantName, "Acme NZ");
+assert.equal(chooseXeroTenant([], null), null);
+
+// Encryption: round trip, random IV, and wrong key or tampering fails.
+const encrypted = encryptXeroToken("refresh-token-value", "secret-one");
+assert.match(encrypted, /^v1:/);
+assert.doesNotMatch(encrypted, /refresh-token-value/);
+assert.notEqual(encrypted, encryptXeroToken("refresh-token-value", "secret-one"));
+assert.equal(decryptXeroToken(encrypted, "secret-one"), "refresh-token-value");
+assert.throws(() => decryptXeroToken(encrypted, "secret-two"));
+const parts = encrypted.split(":");
+parts[3] = Buffer.from("tampered").toString("base64url");
+assert.throws(() => decryptXeroToken(parts.join(":"), "secret-one"));
+assert.throws(() => decryptXeroToken("plain-token", "secret-one"), /Unrecognised/);
+
+console.log("Xero OAuth unit checks passed.");
@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+
+import {
+  ONLINE_INVOICE_BATCH_SIZE,
+  applyStoredOnlineInvoiceUrls,
+  canHaveOnlineInvoiceUrl,
+  parseOnlineInvoiceIds,
+  selectOnlineInvoiceCandidates
+} from "../lib/xero-online-invoice-utils.js";
+
+const OPEN = "11111111-1111-1111-1111-111111111111";
+const DRAFT = "22222222-2222-2222-2222-222222222222";
+const BILL = "33333333-3333-3333-3333-333333333333";
+const OTHER_CLIENT = "44444444-4444-4444-4444-444444444444";
+
+const rows = [
+  { type: "Invoice", invoiceId: OPEN, xeroType: "ACCREC", status: "AUTHORISED", xeroUrl: null },
+  { type: "Invoice", invoiceId: DRAFT, xeroType: "ACCREC", status: "DRAFT", xeroUrl: null },
+  { type: "Invoice", invoiceId: BILL, xeroType: "ACCPAY", status: "AUTHORISED", xeroUrl: null },
+  { type: "Credit Note", creditId: "55555555-5555-5555-5555-555555555555", xeroType: "ACCRECCREDIT", status: "AUTHORISED" }
+];
+
+// Only issued sales invoices can have an online invoice.
+assert.deepEqual(rows.map(canHaveOnlineInvoiceUrl), [true, false, false, false]);
+
+// ids param: GUIDs only, lowercased, de-duplicated, capped per batch.
+assert.deepEqual(parseOnlineInvoiceIds(`${OPEN.toUpperCase()}, ${OPEN},not-a-guid,,${DRAFT}`), [OPEN, DRAFT]);
+assert.deepEqual(parseOnlineInvoiceIds(undefined), []);
+const many = Array.from({ length: ONLINE_INVOICE_BATCH_SIZE + 5 }, (_, index) =>
+  `00000000-0000-0000-0000-${String(index).padStart(12, "0")}`
+);
+assert.equal(parseOnlineInvoiceIds(many.join(",")).length, ONLINE_INVOICE_BATCH_SIZE);
+
+// Requests are limited to eligible invoices in this client's ledger.
+assert.deepEqual(selectOnlineInvoiceCandidates(rows, [OPEN, DRAFT, BILL, OTHER_CLIENT]), [OPEN]);
+assert.deepEqual(selectOnlineInvoiceCandidates(undefined, [OPEN]), []);
+
+// Stored links fill in missing ones without overwriting existing links.
+const stored = new Map([
+  [OPEN, "https://in.xero.com/open"],
+  [BILL, "https://in.xero.com/bill"]
+]);
+const applied = applyStoredOnlineInvoiceUrls(rows, stored);
+assert.equal(applied[0].xeroUrl, "https://in.xero.com/open");
+assert.equal(applied[2].xeroUrl, null);
+assert.equal(rows[0].xeroUrl, null);
+const linked = [{ ...rows[0], xeroUrl: "https://in.xero.com/current" }];
+assert.equal(applyStoredOnlineInvoiceUrls(linked, stored)[0].xeroUrl, "https://in.xero.com/current");
+
+console.log("Xero online invoice link unit checks passed.");
@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+
+import {
+  getXeroWebhookRetryDelayMs,
+  normaliseXeroWebhookEvent,
+  planXeroWebhookAction,
+  verifyXeroWebhookSignature,
+  verifyXeroWebhookSignatureWithKeys,
+  XERO_WEBHOOK_MAX_ATTEMPTS
+} from "../lib/xero-webhook-utils.js";
+
+const webhookKey = "test-xero-webhook-key";
+const tenantId = "33333333-3333-3333-3333-333333333333";
+const rawBody = Buffer.from(JSON.stringify({
+  events: [
+    {
+      resourceUrl: "https://api.xero.com/api.xro/2.0/Invoices/44444444-4444-4444-4444-444444444444",
+      resourceId: "44444444-4444-4444-4444-444444444444",
+      eventDateUtc: "2026-07-07T00:00:00.000",
+      eventType: "UPDATE",
+      eventCategory: "INVOICE",
+      tenantId,
+      tenantType: "ORGANISATION"
+    },
+    {
+      resourceUrl: "https://api.xero.com/api.xro/2.0/Contacts/55555555-5555-5555-5555-555555555555",
+      resourceId: "55555555-5555-5555-5555-555555555555",
+      eventDateUtc: "2026-07-07T00:01:00.000",
+      eventType: "CREATE",
+      eventCategory: "CONTACT",
+      tenantId,
+      tenantType: "ORGANISATION"
+    }
+  ],
+  firstEventSequence: 1,
+  lastEventSequence: 2,
+  entropy: "ABCDEFGHIJ"
+}));
+const validSignature = crypto.createHmac("sha256", webhookKey).update(rawBody).digest("base64");
+
+assert.equal(verifyXeroWebhookSignature(rawBody, validSignature, webhookKey), true);
+assert.equal(verifyXeroWebhookSignature(rawBody, validSignature, "other-key"), false);
+assert.equal(verifyXeroWebhookSignature(rawBody, "AAAA", webhookKey), false);
+assert.equal(verifyXeroWebhookSignature(rawBody, "", webhookKey), false);
+assert.equal(verifyXeroWebhookSignature(rawBody, validSignature, ""), false);
+assert.equal(verifyXeroWebhookSignature(Buffer.concat([rawBody, Buffer.from(" ")]), validSignature, webhookKey), false);
+
+// Intent to receive: signed payload with no events.
+const intentBody = Buffer.from(JSON.stringify({ events: [], firstEventSequence: 0, lastEventSequence: 0, entropy: "X" }));
+const intentSignature = crypto.createHmac("sha256", webhookKey).update(intentBody).digest("base64");
+assert.equal(verifyXeroWebhookSignature(intentBody, intentSignature, webhookKey), true);
+assert.equal(verifyXeroWebhookSignature(intentBody, validSignature, webhookKey), false);
+
+const [invoiceEvent, contactEvent] = JSON.parse(rawBody.toString("utf8")).events.map(normaliseXeroWebhookEvent);
+assert.equal(invoiceEvent.eventCategory, "INVOICE");
+assert.equal(invoiceEvent.eventType, "UPDATE");
+assert.equal(invoiceEvent.resourceId, "44444444-4444-4444-4444-444444444444");
+assert.equal(invoiceEvent.tenantId, tenantId);
+assert.match(invoiceEvent.eventKey, /^[0-9a-f]{64}$/);
+assert.equal(normaliseXeroWebhookEvent(invoiceEvent.rawEvent).eventKey, invoiceEvent.eventKey);
+assert.notEqual(contactEvent.eventKey, invoiceEvent.eventKey);
+
+assert.deepEqual(planXeroWebhookAction(invoiceEvent, { expectedTenantId: tenantId }), {
+  action: "evict_invoice_contact",
+  invoiceId: "44444444-4444-4444-4444-444444444444"
+});
+assert.deepEqual(planXeroWebhookAction(contactEvent), {
+  action: "sync_contact",
+  contactId: "55555555-5555-5555-5555-555555555555"
+});
+assert.deepEqual(planXeroWebhookAction(contactEvent, { expectedTenantId: "66666666-6666-6666-6666-666666666666" }), {
+  action: "ignore",
+  reason: "other_tenant"
+});
+assert.equal(
+  planXeroWebhookAction(normaliseXeroWebhookEvent({ ...contactEvent.rawEvent, eventCategory: "PAYMENT" })).reason,
+  "unsupported_event_category"
+);
+assert.equal(
+  planXeroWebhookAction(normaliseXeroWebhookEvent({ eventCategory: "INVOICE" })).reason,
+  "missing_required_event_fields"
+);
+
+// Several organisations: any configured key verifies, any connected tenant
+// is accepted.
+const billingSignature = crypto.createHmac("sha256", "billing-webhook-key").update(rawBody).digest("base64");
+assert.equal(verifyXeroWebhookSignatureWithKeys(rawBody, billingSignature, [webhookKey, "billing-webhook-key"]), true);
+assert.equal(verifyXeroWebhookSignatureWithKeys(rawBody, billingSignature, [webhookKey]), false);
+assert.equal(verifyXeroWebhookSignatureWithKeys(rawBody, billingSignature, []), false);
+assert.equal(
+  planXeroWebhookAction(contactEvent, {
+    expectedTenantIds: ["66666666-6666-6666-6666-666666666666", tenantId.toUpperCase()]
+  }).action,
+  "sync_contact"
+);
+assert.equal(
+  planXeroWebhookAction(contactEvent, { expectedTenantIds: ["66666666-6666-6666-6666-666666666666"] }).reason,
+  "other_tenant"
+);
+
+// Failed events back off from one minute, doubling, until the attempts run out.
+assert.deepEqual(
+  [1, 2, 3, 4, 5].map(attempts => getXeroWebhookRetryDelayMs(attempts)),
+  [60_000, 120_000, 240_000, 480_000, 960_000]
+);
+assert.equal(getXeroWebhookRetryDelayMs(0), 60_000);
+assert.equal(getXeroWebhookRetryDelayMs(XERO_WEBHOOK_MAX_ATTEMPTS), null);
+assert.equal(getXeroWebhookRetryDelayMs(XERO_WEBHOOK_MAX_ATTEMPTS + 3), null);
+
+// A retry rebuilds the event from its stored raw_event under the same key.
+const deliveredEvent = JSON.parse(rawBody).events[0];
+const storedRawEvent = JSON.parse(JSON.stringify(normaliseXeroWebhookEvent(deliveredEvent).rawEvent));
+assert.equal(normaliseXeroWebhookEvent(storedRawEvent).eventKey, normaliseXeroWebhookEvent(deliveredEvent).eventKey);
+
+console.log("Xero webhook unit checks passed.");
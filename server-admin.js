@@ -7,22 +7,40 @@ import path from "path";
 import { fileURLToPath } from "url";
 import session from "express-session";
 import connectPgSimple from "connect-pg-simple";
-import axios from "axios";
 import fs from "fs";
 import QRCode from "qrcode";
 
 import { pgPool } from "./lib/db.js";
-import { getXeroHeaders, tokens } from "./lib/xero.js";
+import {
+  beginXeroOAuthConsent,
+  chooseXeroOAuthTenant,
+  disconnectXeroConnection,
+  finishXeroOAuthConsent,
+  getXeroConnectionSetupErrors,
+  getXeroConnections,
+  tokens
+} from "./lib/xero.js";
+import { getXeroApiUsageSummary, xeroRequest } from "./lib/xero-client.js";
+import { XERO_BACKGROUND_RESERVE, XERO_LIMITS } from "./lib/xero-client-utils.js";
+import { getXeroOAuthStatus, getXeroRedirectUri } from "./lib/xero-oauth.js";
+import { checkXeroOAuthState, createXeroOAuthState } from "./lib/xero-oauth-utils.js";
 import { runSync } from "./scripts/sync-xero-contacts.js";
 import {
   clearAlertConfigOverride,
   clearHaloApiConfigOverride,
   clearGoCardlessAccessTokenOverride,
   clearGoCardlessWebhookSecretOverride,
+  addHaloHmacSecret,
   getAlertSettings,
+  getFinanceAccessPolicy,
   getHaloApiSettings,
+  getHaloHmacSecretSummary,
+  getOverriddenUpstreamBaseUrls,
   getRuntimeConfig,
+  removeHaloHmacSecret,
+  setHaloHmacEnvSecretRetired,
   updateAlertConfig,
+  updateFinanceAccessPolicy,
   updateHaloApiConfig,
   updateGoCardlessAccessToken,
   updateGoCardlessWebhookSecret,
@@ -38,6 +56,14 @@ import {
 } from "./lib/gocardless.js";
 import { syncHaloDirectDebitFields, updateHaloDirectDebitFieldForMapping } from "./lib/halo-direct-debit.js";
 import { clearHaloTokenCache, getHaloConfigStatus, testHaloConnection } from "./lib/halo.js";
+import { resolveFinanceAccess } from "./lib/agent-access.js";
+import { deleteHaloClientLink, listHaloClientLinks } from "./lib/resolver.js";
+import { getFinanceAuditClientSummary, searchFinanceAuditEvents } from "./lib/finance-audit.js";
+import {
+  FINANCE_AUDIT_ACTIONS,
+  parseFinanceAuditContactId,
+  parseFinanceAuditFilters
+} from "./lib/finance-audit-utils.js";
 import {
   authenticateAdminLogin,
   beginAdminMfaEnrollment,
@@ -67,6 +93,8 @@ import {
   upsertGoCardlessMapping
 } from "./lib/gocardless-map.js";
 import { getGoCardlessWebhookAdminOverview } from "./lib/gocardless-webhook-store.js";
+import { getPdfExportMetricsSummary, getPdfPoolStatusReport } from "./lib/pdf-export-metrics.js";
+import { getUpstreamCircuitReport } from "./lib/circuit-breaker.js";
 
 dotenv.config();
 
@@ -710,16 +738,58 @@ function collectLogEntries(filters) {
   };
 }
 
+function describeXeroAuthModes(connections) {
+  const modes = new Set(connections.map(connection => connection.authMode));
+  if (modes.size > 1) return "Custom Connection + OAuth2";
+  return modes.has("oauth") ? "OAuth2" : "Custom Connection";
+}
+
 function readTokensMeta() {
+  const connections = getXeroConnections();
   return {
     exists: true,
-    mode: "Custom Connection",
+    mode: describeXeroAuthModes(connections),
     tenantName: process.env.XERO_TENANT_NAME || tokens.tenantName || "Xero Custom Connection",
     tenantId: process.env.XERO_TENANT_ID || tokens.tenantId || null,
-    obtainedAt: tokens.expires_at ? new Date(Date.now()).toISOString() : null
+    obtainedAt: tokens.expires_at ? new Date(Date.now()).toISOString() : null,
+    connections
   };
 }
 
+// Runs a no-match contact query, which needs a valid token and tenant but
+// returns almost nothing.
+async function testXeroConnection(connectionId) {
+  await xeroRequest("/Contacts", {
+    connectionId,
+    params: { where: 'Name=="__halo_xero_healthcheck__"' }
+  });
+}
+
+// One entry per Xero organisation: { id, tenantName, state, label }.
+async function getXeroConnectionStatuses() {
+  const statuses = [];
+  for (const connection of getXeroConnections()) {
+    try {
+      await testXeroConnection(connection.id);
+      statuses.push({ id: connection.id, state: "ok", label: "Custom Connection OK" });
+    } catch (err) {
+      const httpStatus = err.response?.status;
+      statuses.push({
+        id: connection.id,
+        state: httpStatus === 401 || httpStatus === 403 ? "error" : "warn",
+        label: httpStatus === 401 || httpStatus === 403 ? "Auth Broken" : "Auth Check Failed"
+      });
+    }
+  }
+
+  // Names discovered by the checks above.
+  const connections = getXeroConnections();
+  return statuses.map(status => ({
+    ...status,
+    tenantName: connections.find(connection => connection.id === status.id)?.tenantName || status.id
+  }));
+}
+
 async function getDashboardStatus() {
   const status = {
     db: { state: "ok", label: "Healthy" },
@@ -737,22 +807,17 @@ async function getDashboardStatus() {
     status.db = { state: "error", label: "Database Error" };
   }
 
-  // Auth
-  try {
-    const headers = await getXeroHeaders();
-    await axios.get("https://api.xero.com/api.xro/2.0/Contacts", {
-      headers,
-      params: { where: 'Name=="__halo_xero_healthcheck__"' },
-      timeout: 10000
-    });
-    status.auth = { state: "ok", label: "Custom Connection OK" };
-  } catch (err) {
-    const httpStatus = err.response?.status;
-    if (httpStatus === 401 || httpStatus === 403) {
-      status.auth = { state: "error", label: "Auth Broken" };
-    } else {
-      status.auth = { state: "warn", label: "Auth Check Failed" };
-    }
+  // Auth (every Xero organisation; the worst result is the overall status)
+  status.xeroConnections = await getXeroConnectionStatuses();
+  if (status.xeroConnections.length === 1) {
+    status.auth = { state: status.xeroConnections[0].state, label: status.xeroConnections[0].label };
+  } else {
+    const okCount = status.xeroConnections.filter(entry => entry.state === "ok").length;
+    const worst = status.xeroConnections.find(entry => entry.state === "error") ||
+      status.xeroConnections.find(entry => entry.state === "warn");
+    status.auth = worst
+      ? { state: worst.state, label: `${okCount} of ${status.xeroConnections.length} Organisations OK` }
+      : { state: "ok", label: `${okCount} Organisations OK` };
   }
 
   // GoCardless
@@ -1074,6 +1139,134 @@ app.post("/admin/profile/mfa/cancel", requireAdminAuth, async (req, res) => {
   res.redirect("/admin/profile");
 });
 
+// -------------------------------------------------
+// FINANCE ACCESS POLICY
+// -------------------------------------------------
+app.get("/admin/finance-access", requireAdminAuth, async (req, res) => {
+  let agentCheck = null;
+  const agentId = typeof req.query.agentId === "string" ? req.query.agentId.trim() : "";
+
+  if (agentId) {
+    try {
+      // Force a fresh lookup so the result reflects Halo as it is now.
+      const access = await resolveFinanceAccess(agentId, { forceRefresh: true });
+      agentCheck = {
+        agentId,
+        access,
+        error:
+          access.reason === "invalid_agent_id"
+            ? "Enter a numeric Halo agent ID."
+            : access.reason === "lookup_failed"
+              ? "Halo agent lookup failed — check the Halo API connection."
+              : null
+      };
+    } catch (err) {
+      agentCheck = { agentId, access: null, error: err.message || "Agent check failed." };
+    }
+  }
+
+  res.render("admin/finance-access", {
+    policy: getFinanceAccessPolicy(),
+    haloConfigured: getHaloConfigStatus().configured,
+    agentCheck,
+    flash: popAdminFlash(req)
+  });
+});
+
+app.post("/admin/finance-access", requireAdminAuth, async (req, res) => {
+  try {
+    const policy = updateFinanceAccessPolicy(req.body, req.session.adminUsername || null);
+    req.session.flash = {
+      success: policy.enabled
+        ? "Finance access policy saved and enforced on the next tab load."
+        : "Finance access policy saved. It is not enforced, so every agent has full access."
+    };
+  } catch (err) {
+    req.session.flash = {
+      error: err.message || "Finance access policy could not be saved."
+    };
+  }
+
+  res.redirect("/admin/finance-access");
+});
+
+// -------------------------------------------------
+// HALO CLIENT LINKS
+// -------------------------------------------------
+app.get("/admin/client-links", requireAdminAuth, async (req, res) => {
+  const search = typeof req.query.q === "string" ? req.query.q.trim() : "";
+
+  try {
+    res.render("admin/client-links", {
+      links: await listHaloClientLinks({ search }),
+      search,
+      flash: popAdminFlash(req)
+    });
+  } catch (err) {
+    console.error("❌ admin/client-links error", err);
+    res.status(500).send("Failed to load Halo client links");
+  }
+});
+
+app.post("/admin/client-links/delete", requireAdminAuth, async (req, res) => {
+  try {
+    const removed = await deleteHaloClientLink(req.body.haloClientId);
+    req.session.flash = removed
+      ? { success: "Client link removed. The next tab load resolves the client again." }
+      : { error: "That client link no longer exists." };
+  } catch (err) {
+    req.session.flash = {
+      error: err.message || "Client link could not be removed."
+    };
+  }
+
+  res.redirect("/admin/client-links");
+});
+
+// -------------------------------------------------
+// FINANCE AUDIT TRAIL
+// -------------------------------------------------
+app.get("/admin/audit", requireAdminAuth, async (req, res) => {
+  try {
+    const filters = parseFinanceAuditFilters(req.query);
+
+    res.render("admin/audit", {
+      audit: await searchFinanceAuditEvents(filters),
+      filters,
+      client: null,
+      actionOptions: FINANCE_AUDIT_ACTIONS
+    });
+  } catch (err) {
+    console.error("❌ admin/audit error", err);
+    res.status(500).send("Failed to load finance audit");
+  }
+});
+
+app.get("/admin/audit/client/:contactId", requireAdminAuth, async (req, res) => {
+  const contactId = parseFinanceAuditContactId(req.params.contactId);
+  if (!contactId) {
+    return res.status(400).send("Invalid Xero contact GUID");
+  }
+
+  try {
+    const filters = parseFinanceAuditFilters(req.query);
+    const [audit, client] = await Promise.all([
+      searchFinanceAuditEvents(filters, { contactId }),
+      getFinanceAuditClientSummary(contactId)
+    ]);
+
+    res.render("admin/audit", {
+      audit,
+      filters,
+      client,
+      actionOptions: FINANCE_AUDIT_ACTIONS
+    });
+  } catch (err) {
+    console.error("❌ admin/audit/client error", err);
+    res.status(500).send("Failed to load client finance audit");
+  }
+});
+
 // -------------------------------------------------
 // ADMIN ALERTS
 // -------------------------------------------------
@@ -1180,26 +1373,64 @@ async function getAdminOverview() {
 // -------------------------------------------------
 // HEALTH CHECK
 // -------------------------------------------------
+// Circuit breakers reported by every widget, admin and script process in the
+// last few minutes. null when Postgres cannot be read (the database check
+// already reports that).
+async function getCircuitReport() {
+  try {
+    return await getUpstreamCircuitReport();
+  } catch (err) {
+    console.warn("⚠️ Circuit report failed:", err.message);
+    return null;
+  }
+}
+
+function formatCircuitInstance(instance) {
+  return {
+    processName: instance.process_name,
+    instanceId: instance.instance_id,
+    state: instance.state,
+    consecutiveFailures: instance.consecutive_failures,
+    openedAt: instance.opened_at,
+    openUntil: instance.open_until,
+    lastFailureAt: instance.last_failure_at,
+    lastError: instance.last_error,
+    lastSuccessAt: instance.last_success_at,
+    openedCount: instance.opened_count,
+    updatedAt: instance.updated_at
+  };
+}
+
 app.get("/admin/health.json", requireAdminAuth, async (_req, res) => {
   try {
-    const overview = await getAdminOverview();
+    const [overview, circuits] = await Promise.all([getAdminOverview(), getCircuitReport()]);
     const health = {
-      status: Object.values({
-        db: overview.dashboardStatus.db,
-        xero: overview.dashboardStatus.auth,
-        goCardless: overview.dashboardStatus.goCardless,
-        halo: overview.dashboardStatus.halo,
-        sync: overview.syncStatus
-      }).some(item => item.state === "error")
+      status: [
+        overview.dashboardStatus.db,
+        overview.dashboardStatus.auth,
+        overview.dashboardStatus.goCardless,
+        overview.dashboardStatus.halo,
+        overview.syncStatus,
+        ...(circuits || []).map(circuit => circuit.status)
+      ].some(item => item.state === "error")
         ? "error"
         : "ok",
       checks: {
         database: overview.dashboardStatus.db,
         xero: overview.dashboardStatus.auth,
+        xeroOrganisations: overview.dashboardStatus.xeroConnections,
         goCardless: overview.dashboardStatus.goCardless,
         halo: overview.dashboardStatus.halo,
         sync: overview.syncStatus
       },
+      circuits: circuits
+        ? Object.fromEntries(
+          circuits.map(circuit => [
+            circuit.upstream,
+            { state: circuit.state, instances: circuit.instances.map(formatCircuitInstance) }
+          ])
+        )
+        : null,
       lastSync: overview.lastSync,
       mappedClients: overview.mappedCount
     };
@@ -1212,7 +1443,7 @@ app.get("/admin/health.json", requireAdminAuth, async (_req, res) => {
 
 app.get("/admin/health", requireAdminAuth, async (req, res) => {
   try {
-    const overview = await getAdminOverview();
+    const [overview, circuits] = await Promise.all([getAdminOverview(), getCircuitReport()]);
     res.render("admin/health", {
       checks: [
         {
@@ -1223,7 +1454,11 @@ app.get("/admin/health", requireAdminAuth, async (req, res) => {
         {
           name: "Xero",
           status: overview.dashboardStatus.auth,
-          detail: `Tenant: ${overview.tokenMeta.tenantName || "Not available"}`
+          detail: overview.dashboardStatus.xeroConnections.length > 1
+            ? overview.dashboardStatus.xeroConnections
+              .map(connection => `${connection.tenantName}: ${connection.label}`)
+              .join(" · ")
+            : `Tenant: ${overview.tokenMeta.tenantName || "Not available"}`
         },
         {
           name: "GoCardless",
@@ -1241,6 +1476,22 @@ app.get("/admin/health", requireAdminAuth, async (req, res) => {
           detail: `Last sync: ${overview.lastSyncHuman || "Not available"}`
         }
       ],
+      circuits: circuits?.map(circuit => ({
+        ...circuit,
+        instances: circuit.instances.map(instance => ({
+          ...formatCircuitInstance(instance),
+          openUntilHuman: formatLocalDate(instance.open_until),
+          lastFailureAtHuman: formatLocalDate(instance.last_failure_at),
+          updatedAtHuman: formatLocalDate(instance.updated_at)
+        }))
+      })) || null,
+      circuitSettings: {
+        failureThreshold: overview.runtimeConfig.circuitFailureThreshold,
+        openSeconds: overview.runtimeConfig.circuitOpenSeconds,
+        xeroTimeoutMs: overview.runtimeConfig.xeroTimeoutMs,
+        goCardlessTimeoutMs: overview.runtimeConfig.goCardlessTimeoutMs,
+        haloTimeoutMs: overview.runtimeConfig.haloTimeoutMs
+      },
       mappedCount: overview.mappedCount,
       lastSyncHuman: overview.lastSyncHuman,
       lastSyncUpdatedAtHuman: overview.lastSyncUpdatedAtHuman,
@@ -1269,13 +1520,16 @@ app.get("/admin", requireAdminAuth, async (_req, res) => {
       tenantId: overview.tokenMeta.tenantId,
       obtainedAt: overview.tokenMeta.obtainedAt,
       obtainedAtHuman: formatLocalDate(overview.tokenMeta.obtainedAt),
+      authMode: overview.tokenMeta.mode,
       dbStatus: overview.dashboardStatus.db,
       authStatus: overview.dashboardStatus.auth,
+      xeroConnections: overview.dashboardStatus.xeroConnections,
       goCardlessStatus: overview.dashboardStatus.goCardless,
       haloStatus: overview.dashboardStatus.halo,
       haloConfig: overview.haloConfig,
       syncStatus: overview.syncStatus,
       runtimeConfig: overview.runtimeConfig,
+      hmacSecrets: getHaloHmacSecretSummary(),
       flash: popAdminFlash(_req)
     });
   } catch (err) {
@@ -1292,11 +1546,16 @@ app.post("/admin/config/runtime", requireAdminAuth, async (req, res) => {
     const runtimeConfig = updateRuntimeConfig({
       financeCacheTtlSeconds: req.body.financeCacheTtlSeconds,
       exportTokenTtlSeconds: req.body.exportTokenTtlSeconds,
-      goCardlessAutoMapIntervalSeconds: req.body.goCardlessAutoMapIntervalSeconds
+      goCardlessAutoMapIntervalSeconds: req.body.goCardlessAutoMapIntervalSeconds,
+      goCardlessCacheTtlSeconds: req.body.goCardlessCacheTtlSeconds,
+      financeHistoryMonths: req.body.financeHistoryMonths,
+      pdfRenderer: req.body.pdfRenderer,
+      hmacSigningMode: req.body.hmacSigningMode,
+      hmacMaxAgeSeconds: req.body.hmacMaxAgeSeconds
     });
 
     req.session.flash = {
-      success: `Runtime configuration saved. Finance cache TTL is ${runtimeConfig.financeCacheTtlHuman}; export links expire after ${runtimeConfig.exportTokenTtlHuman}; GoCardless auto-map runs every ${runtimeConfig.goCardlessAutoMapIntervalHuman}.`
+      success: `Runtime configuration saved. Finance cache TTL is ${runtimeConfig.financeCacheTtlHuman}; export links expire after ${runtimeConfig.exportTokenTtlHuman}; GoCardless auto-map runs every ${runtimeConfig.goCardlessAutoMapIntervalHuman}; Direct Debit status is cached for ${runtimeConfig.goCardlessCacheTtlHuman}; invoice history is ${runtimeConfig.financeHistoryHuman.toLowerCase()}; PDF statements render with ${runtimeConfig.pdfRenderer}; tab signatures use ${runtimeConfig.hmacSigningMode} mode with a ${runtimeConfig.hmacMaxAgeHuman} window.`
     };
   } catch (err) {
     req.session.flash = {
@@ -1307,6 +1566,56 @@ app.post("/admin/config/runtime", requireAdminAuth, async (req, res) => {
   res.redirect("/admin#runtime-config");
 });
 
+// The new secret is shown once so it can be copied into Halo; after that
+// only its last four characters are displayed.
+app.post("/admin/config/hmac-secrets", requireAdminAuth, async (req, res) => {
+  try {
+    const entry = addHaloHmacSecret(req.body.hmacSecret);
+    req.session.flash = {
+      success: `Tab signing secret added and accepted immediately: ${entry.secret} — copy it now, it will not be shown again.`
+    };
+  } catch (err) {
+    req.session.flash = {
+      error: err.message || "Tab signing secret could not be added."
+    };
+  }
+
+  res.redirect("/admin#hmac-secrets");
+});
+
+app.post("/admin/config/hmac-secrets/env", requireAdminAuth, async (req, res) => {
+  try {
+    const retire = req.body.action === "retire";
+    setHaloHmacEnvSecretRetired(retire);
+    req.session.flash = {
+      success: retire
+        ? "HMAC_SECRET from .env is retired and no longer accepted."
+        : "HMAC_SECRET from .env is accepted again."
+    };
+  } catch (err) {
+    req.session.flash = {
+      error: err.message || "HMAC_SECRET status could not be changed."
+    };
+  }
+
+  res.redirect("/admin#hmac-secrets");
+});
+
+app.post("/admin/config/hmac-secrets/:id/remove", requireAdminAuth, async (req, res) => {
+  try {
+    removeHaloHmacSecret(req.params.id);
+    req.session.flash = {
+      success: "Tab signing secret removed. Links signed with it are no longer accepted."
+    };
+  } catch (err) {
+    req.session.flash = {
+      error: err.message || "Tab signing secret could not be removed."
+    };
+  }
+
+  res.redirect("/admin#hmac-secrets");
+});
+
 // -------------------------------------------------
 // GOCARDLESS
 // -------------------------------------------------
@@ -1806,7 +2115,7 @@ app.post("/admin/sync/full", requireAdminAuth, async (_req, res) => {
       UPDATE halo.sync_state
       SET value = '2000-01-01T00:00:00.000Z',
           updated_at = now()
-      WHERE key = 'xero_contact_sync'
+      WHERE key = 'xero_contact_sync' OR key LIKE 'xero_contact_sync:%'
     `);
 
     await runSync();
@@ -1830,30 +2139,135 @@ app.post("/admin/sync/full", requireAdminAuth, async (_req, res) => {
 // XERO CUSTOM CONNECTION CHECK
 // -------------------------------------------------
 app.get("/admin/xero/connect", requireAdminAuth, async (_req, res) => {
+  const failed = [];
+
+  for (const connection of getXeroConnections()) {
+    try {
+      console.log("🔐 Testing Xero Custom Connection", {
+        connection: connection.id,
+        clientIdSuffix: connection.isDefault && process.env.XERO_CLIENT_ID
+          ? process.env.XERO_CLIENT_ID.slice(-6)
+          : null
+      });
+
+      await testXeroConnection(connection.id);
+      console.log("✅ Xero Custom Connection test complete:", connection.id);
+    } catch (err) {
+      console.error("❌ Xero Custom Connection test failed:", connection.id, err.response?.data || err.message);
+      failed.push(connection.id);
+    }
+  }
+
+  if (failed.length) {
+    return res.status(500).send(`Xero Custom Connection test failed: ${failed.join(", ")}`);
+  }
+  return res.redirect("/admin");
+});
+
+// -------------------------------------------------
+// XERO ORGANISATIONS (CUSTOM CONNECTION / OAUTH)
+// -------------------------------------------------
+async function describeXeroOAuthStatus(connectionId) {
+  const status = await getXeroOAuthStatus(connectionId);
+  return {
+    ...status,
+    connectedAtHuman: formatLocalDate(status.connectedAt),
+    refreshedAtHuman: formatLocalDate(status.refreshedAt)
+  };
+}
+
+app.get("/admin/xero", requireAdminAuth, async (req, res) => {
   try {
-    console.log("🔐 Testing Xero Custom Connection", {
-      clientIdSuffix: process.env.XERO_CLIENT_ID
-        ? process.env.XERO_CLIENT_ID.slice(-6)
-        : null
-    });
+    const connections = await Promise.all(
+      getXeroConnections().map(async connection => ({
+        ...connection,
+        setupErrors: getXeroConnectionSetupErrors(connection.id),
+        oauth: connection.authMode === "oauth" ? await describeXeroOAuthStatus(connection.id) : null
+      }))
+    );
 
-    const headers = await getXeroHeaders();
-    await axios.get("https://api.xero.com/api.xro/2.0/Contacts", {
-      headers,
-      params: { where: 'Name=="__halo_xero_healthcheck__"' },
-      timeout: 10000
+    res.render("admin/xero", {
+      connections,
+      redirectUri: getXeroRedirectUri(),
+      flash: popAdminFlash(req)
     });
+  } catch (err) {
+    console.error("❌ admin/xero error", err);
+    res.status(500).send("Failed to load Xero connections");
+  }
+});
 
-    console.log("✅ Xero Custom Connection test complete.");
-    return res.redirect("/admin");
+app.post("/admin/xero/oauth/:connectionId/connect", requireAdminAuth, (req, res) => {
+  try {
+    const state = createXeroOAuthState();
+    const authoriseUrl = beginXeroOAuthConsent(req.params.connectionId, state);
+    req.session.xeroOAuth = { state, connectionId: req.params.connectionId, createdAt: Date.now() };
+    console.log("🔐 Xero OAuth consent started:", req.params.connectionId, req.session.adminUsername || "");
+    return res.redirect(authoriseUrl);
   } catch (err) {
-    console.error("❌ Xero Custom Connection test failed:", err.response?.data || err.message);
-    return res.status(500).send("Xero Custom Connection test failed");
+    req.session.flash = { error: err.message || "Xero consent could not be started." };
+    return res.redirect("/admin/xero");
   }
 });
 
-app.get("/admin/xero/callback", requireAdminAuth, (_req, res) => {
-  res.status(410).send("Xero Custom Connections do not use an OAuth callback.");
+app.get("/admin/xero/callback", requireAdminAuth, async (req, res) => {
+  const pending = req.session.xeroOAuth;
+  delete req.session.xeroOAuth;
+
+  try {
+    if (req.query.error) {
+      throw new Error(`Xero consent was not completed (${String(req.query.error_description || req.query.error)}).`);
+    }
+
+    const check = checkXeroOAuthState(pending, req.query.state);
+    if (!check.ok) {
+      throw new Error(
+        check.reason === "expired"
+          ? "Xero consent took too long — start it again."
+          : "Xero consent could not be verified — start it again from this page."
+      );
+    }
+    if (typeof req.query.code !== "string" || !req.query.code) {
+      throw new Error("Xero did not return an authorisation code.");
+    }
+
+    const status = await finishXeroOAuthConsent(check.connectionId, req.query.code, req.session.adminUsername || null);
+    req.session.flash = {
+      success: status.tenantId
+        ? `Xero connected to ${status.tenantName}.`
+        : "Xero connected. Choose which organisation this connection should read."
+    };
+  } catch (err) {
+    console.error("❌ Xero OAuth callback failed:", err.response?.data || err.message);
+    req.session.flash = { error: err.message || "Xero connection failed." };
+  }
+
+  res.redirect("/admin/xero");
+});
+
+app.post("/admin/xero/oauth/:connectionId/tenant", requireAdminAuth, async (req, res) => {
+  try {
+    const tenant = await chooseXeroOAuthTenant(req.params.connectionId, String(req.body.tenantId || ""));
+    console.log("🏷 Xero OAuth organisation selected:", req.params.connectionId, tenant.tenantName);
+    req.session.flash = { success: `Xero connection now reads ${tenant.tenantName}.` };
+  } catch (err) {
+    req.session.flash = { error: err.message || "Organisation could not be selected." };
+  }
+
+  res.redirect("/admin/xero");
+});
+
+app.post("/admin/xero/oauth/:connectionId/disconnect", requireAdminAuth, async (req, res) => {
+  try {
+    const removed = await disconnectXeroConnection(req.params.connectionId);
+    req.session.flash = {
+      success: removed ? "Xero connection disconnected." : "Xero connection was not connected."
+    };
+  } catch (err) {
+    req.session.flash = { error: err.message || "Xero connection could not be disconnected." };
+  }
+
+  res.redirect("/admin/xero");
 });
 
 // -------------------------------------------------
@@ -1958,6 +2372,9 @@ const ADMIN_PORT = Number(process.env.ADMIN_PORT || 3001);
 
 app.listen(ADMIN_PORT, () => {
   console.log(`🚀 Admin portal running on port ${ADMIN_PORT}`);
+  for (const { envName, url } of getOverriddenUpstreamBaseUrls()) {
+    console.warn(`⚠️ ${envName} points at ${url} instead of the real service.`);
+  }
   ensureAdminAuthTables().catch(err => {
     console.error("❌ Admin auth initialisation failed:", err.message);
   });
@@ -2032,8 +2449,31 @@ app.get("/admin/metrics", requireAdminAuth, async (req, res) => {
       FROM halo.sync_metrics
     `);
 
+    const pdfExports = await getPdfExportMetricsSummary(filter).catch(err => {
+      console.error("❌ PDF export metrics error", err.message);
+      return { error: err.message };
+    });
+    const pdfPoolStatus = await getPdfPoolStatusReport().catch(err => {
+      console.error("❌ PDF pool status error", err.message);
+      return { error: err.message };
+    });
+    const xeroUsage = await getXeroApiUsageSummary(filter).catch(err => {
+      console.error("❌ Xero API usage metrics error", err.message);
+      return { error: err.message };
+    });
+    const runtimeConfig = getRuntimeConfig();
+
     res.render("admin/metrics", {
       data: rows,
+      pdfExports,
+      xeroUsage,
+      xeroLimits: XERO_LIMITS,
+      xeroBackgroundReserve: XERO_BACKGROUND_RESERVE,
+      pdfPool: {
+        concurrency: runtimeConfig.pdfExportConcurrency,
+        queueLimit: runtimeConfig.pdfExportQueueLimit,
+        live: pdfPoolStatus
+      },
       filter,
       bucket,
       presets: METRIC_RANGE_PRESETS,
@@ -1,21 +1,116 @@
-// server.js — Halo ↔ Xero Widget (DB-backed GUID, invoices only)
+// server.js — Halo ↔ Xero Widget (DB-backed GUID, receivables ledger)
 // -------------------------------------------------------------
 
 import express from "express";
-import axios from "axios";
 import NodeCache from "node-cache";
 import dotenv from "dotenv";
 import ejs from "ejs";
 import crypto from "crypto";
-import puppeteer from "puppeteer";
+import path from "path";
+import { fileURLToPath } from "url";
 import ExcelJS from "exceljs";
 
 import { validateHaloHmac } from "./lib/hmac.js";
-import { getXeroHeaders, tokens } from "./lib/xero.js";
-import { resolveXeroContactGuid } from "./lib/resolver.js";
-import { getRuntimeConfig } from "./lib/config.js";
+import { resolveFinanceAccess } from "./lib/agent-access.js";
+import { financeAccessAllows } from "./lib/agent-access-utils.js";
+import { recordFinanceAuditEvent } from "./lib/finance-audit.js";
+import {
+  getXeroConnectionForTenant,
+  getXeroConnections,
+  getXeroTenantName,
+  getXeroWebhookKeys,
+  tokens
+} from "./lib/xero.js";
+import { xeroGet, xeroRequest } from "./lib/xero-client.js";
+import {
+  getXeroTenantIdForContact,
+  parseHaloClientId,
+  resolveXeroContactForHaloClient
+} from "./lib/resolver.js";
+import {
+  formatHistoryHorizon,
+  getHaloHmacSecrets,
+  getOverriddenUpstreamBaseUrls,
+  getRuntimeConfig
+} from "./lib/config.js";
+import { buildFinanceApiPayload } from "./lib/finance-api.js";
+import {
+  deleteFinanceCacheEntry,
+  getContactIdFromCacheKey,
+  getFinanceCacheEntry,
+  getFinanceCacheKey,
+  getGoCardlessCacheKey,
+  isFinanceCacheEntryFresh,
+  setFinanceCacheEntry,
+  withFinanceRefreshLock
+} from "./lib/finance-cache.js";
+import {
+  describeXeroUnavailable,
+  getFinanceSnapshot,
+  isXeroUnavailableError,
+  saveFinanceSnapshot
+} from "./lib/finance-snapshots.js";
+import {
+  addActivityStatementSheet,
+  addStatementWorkbookSheets,
+  buildTransactionsCsv
+} from "./lib/finance-export.js";
+import {
+  closePdfBrowserPool,
+  getPdfPoolStatus,
+  PdfBrowserLaunchError,
+  PdfExportQueueError,
+  renderPdf,
+  startPdfBrowserHealthChecks
+} from "./lib/pdf-browser-pool.js";
+import {
+  PDF_POOL_STATUS_HEARTBEAT_MS,
+  prunePdfExportMetrics,
+  recordPdfExportSample,
+  recordPdfPoolStatus
+} from "./lib/pdf-export-metrics.js";
+import { renderActivityStatementPdf, renderStatementPdf } from "./lib/pdf-statement.js";
 import { getGoCardlessSummaryForXeroGuid } from "./lib/gocardless.js";
+import { getStoredOnlineInvoiceUrls, storeOnlineInvoiceUrl } from "./lib/xero-online-invoices.js";
+import { getOpenCircuits, isCircuitOpenError } from "./lib/circuit-breaker.js";
+import { describeUnavailableSections } from "./lib/circuit-breaker-utils.js";
+import {
+  applyStoredOnlineInvoiceUrls,
+  canHaveOnlineInvoiceUrl,
+  ONLINE_INVOICE_BATCH_SIZE,
+  parseOnlineInvoiceIds,
+  selectOnlineInvoiceCandidates
+} from "./lib/xero-online-invoice-utils.js";
+import {
+  buildActivityStatement,
+  parseAgedReceivablesReport,
+  parseStatementPeriod,
+  summariseAgingFromRows,
+  summariseByCurrency,
+  toBaseAmount
+} from "./lib/finance-summary.js";
+import {
+  buildCashMovements,
+  buildCreditRow,
+  buildInvoiceDetail,
+  buildInvoiceHistory,
+  collectXeroPages,
+  getContactWhere,
+  getCreditWhere,
+  getInvoiceWhere,
+  isInvoiceForContact,
+  isLedgerCredit,
+  mapWithConcurrency,
+  XERO_CREDIT_SOURCES,
+  XERO_PAGE_SIZE
+} from "./lib/xero-ledger-utils.js";
 import { GoCardlessWebhookError, processGoCardlessWebhookRequest } from "./lib/gocardless-webhook.js";
+import {
+  processXeroWebhookEvents,
+  receiveXeroWebhookRequest,
+  retryDueXeroWebhookEvents,
+  XeroWebhookError
+} from "./lib/xero-webhook.js";
 
 dotenv.config();
 console.log("🔥 SERVER.JS LOADED — WIDGET STABLE BUILD —", new Date().toISOString());
@@ -23,8 +118,11 @@ console.log("🔥 SERVER.JS LOADED — WIDGET STABLE BUILD —", new Date().toIS
 // -------------------------------------------------
 // APP SETUP
 // -------------------------------------------------
+const VIEWS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "views");
+
 const app = express();
 app.set("view engine", "ejs");
+app.set("views", VIEWS_DIR);
 app.use(express.urlencoded({ extended: true }));
 app.post(
   "/webhooks/gocardless",
@@ -46,17 +144,60 @@ app.post(
     }
   }
 );
+// Xero wants an empty 200 within five seconds (including for the
+// intent-to-receive check) and an empty 401 for a bad signature, so events
+// are stored first and processed after the response is sent.
+app.post(
+  "/webhooks/xero",
+  express.raw({ type: "application/json", limit: "1mb" }),
+  async (req, res) => {
+    let received;
+    try {
+      received = await receiveXeroWebhookRequest(req.body, req.get("x-xero-signature"));
+      res.status(200).end();
+    } catch (err) {
+      const statusCode = err instanceof XeroWebhookError ? err.statusCode : 500;
+      console.warn("Xero webhook rejected:", statusCode, err.message);
+      return res.status(statusCode).end();
+    }
+
+    if (!received.stored.length) return;
+
+    try {
+      const result = await processXeroWebhookEvents(received.stored, {
+        onInvoiceChanged: forgetCachedInvoice
+      });
+      if (result.failed > 0) {
+        console.warn("Xero webhook processed with failures", result);
+      }
+    } catch (err) {
+      console.error("❌ Xero webhook processing error:", err.message);
+    }
+  }
+);
 app.use(express.json());
 
 // -------------------------------------------------
-// CACHE (used by finance view + PDF / Excel exports)
+// CACHE
+// Finance payloads (finance view + exports) live in lib/finance-cache.js so
+// they can be shared between workers; this one holds per-invoice lookups.
+// A webhook only clears the copy on the worker that received it, so invoices
+// are kept for at most INVOICE_CACHE_TTL_SECONDS and other workers catch up
+// within that.
 // -------------------------------------------------
 const cache = new NodeCache({
   stdTTL: 0,
   useClones: false
 });
+const INVOICE_CACHE_TTL_SECONDS = 60;
+
+function forgetCachedInvoice(invoiceId) {
+  cache.del(`invoice:${invoiceId}`);
+}
 const inFlightFinanceRequests = new Map();
 
+const XERO_GUID_PATTERN = /^[0-9a-fA-F-]{36}$/;
+
 // -------------------------------------------------
 // ROOT
 // -------------------------------------------------
@@ -64,24 +205,11 @@ app.get("/", (_req, res) => {
   res.send("✅ Halo ↔ Xero Widget Online");
 });
 
-// -------------------------------------------------
-// XERO SAFE FETCH (handles 429 rate limiting)
-// -------------------------------------------------
-async function fetchWithRetry(fn, retries = 1, delayMs = 2000) {
-  try {
-    return await fn();
-  } catch (err) {
-    if (err.response?.status === 429 && retries > 0) {
-      console.warn("⏳ Xero rate limit hit — retrying in 2s");
-      await new Promise(resolve => setTimeout(resolve, delayMs));
-      return fetchWithRetry(fn, retries - 1, delayMs);
-    }
-    throw err;
-  }
-}
-
-function getExportSecret() {
-  return process.env.EXPORT_TOKEN_SECRET || process.env.HMAC_SECRET;
+// Without a dedicated EXPORT_TOKEN_SECRET, export links follow the tab signing
+// secrets: signed with the newest and accepted under any active one.
+function getExportSecrets() {
+  const exportSecret = process.env.EXPORT_TOKEN_SECRET;
+  return exportSecret ? [exportSecret] : getHaloHmacSecrets().map(entry => entry.secret);
 }
 
 function safeEqual(a, b) {
@@ -90,8 +218,30 @@ function safeEqual(a, b) {
   return aBuffer.length === bBuffer.length && crypto.timingSafeEqual(aBuffer, bBuffer);
 }
 
+// Server-to-server callers of the JSON API authenticate with one of the
+// comma-separated FINANCE_API_TOKENS instead of a Halo HMAC.
+function getFinanceApiTokens() {
+  return String(process.env.FINANCE_API_TOKENS || "")
+    .split(",")
+    .map(token => token.trim())
+    .filter(Boolean);
+}
+
+function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get("authorization") || "");
+  return match ? match[1] : null;
+}
+
+function verifyFinanceApiToken(token) {
+  return Boolean(token) && getFinanceApiTokens().some(expected => safeEqual(token, expected));
+}
+
+function signExportPayload(payload, secret) {
+  return crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+}
+
 function signExportToken(cacheKey, agentId) {
-  const secret = getExportSecret();
+  const [secret] = getExportSecrets();
   if (!secret) return null;
 
   const runtimeConfig = getRuntimeConfig();
@@ -103,31 +253,24 @@ function signExportToken(cacheKey, agentId) {
     })
   ).toString("base64url");
 
-  const signature = crypto
-    .createHmac("sha256", secret)
-    .update(payload)
-    .digest("base64url");
-
-  return `${payload}.${signature}`;
+  return `${payload}.${signExportPayload(payload, secret)}`;
 }
 
 function verifyExportToken(req) {
-  const secret = getExportSecret();
+  const secrets = getExportSecrets();
   const token = req.query.token;
   const cacheKey = req.query.key;
   const agentId = req.query.agentId;
 
-  if (!secret || !token || !cacheKey || !agentId) return false;
+  if (!secrets.length || !token || !cacheKey || !agentId) return false;
 
   const [payload, receivedSignature] = String(token).split(".");
   if (!payload || !receivedSignature) return false;
 
-  const expectedSignature = crypto
-    .createHmac("sha256", secret)
-    .update(payload)
-    .digest("base64url");
-
-  if (!safeEqual(receivedSignature, expectedSignature)) return false;
+  // Every secret is checked, as for tab signatures, so the time taken does
+  // not reveal which one matched.
+  const matches = secrets.map(secret => safeEqual(receivedSignature, signExportPayload(payload, secret)));
+  if (!matches.includes(true)) return false;
 
   try {
     const parsed = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
@@ -141,63 +284,60 @@ function verifyExportToken(req) {
   }
 }
 
-function getFinanceCacheKey(contactId) {
-  return `finance:${contactId}`;
-}
-
-async function mapWithConcurrency(items, limit, mapper) {
-  const results = new Array(items.length);
-  let nextIndex = 0;
-  const workerCount = Math.min(limit, items.length);
-
-  const workers = Array.from({ length: workerCount }, async () => {
-    while (nextIndex < items.length) {
-      const index = nextIndex;
-      nextIndex += 1;
-      results[index] = await mapper(items[index], index);
-    }
-  });
-
-  await Promise.all(workers);
-  return results;
-}
-
-function canHaveOnlineInvoiceUrl(invoice) {
-  return invoice?.InvoiceID && invoice.Type === "ACCREC" && invoice.Status !== "DRAFT";
+// A Xero 429 is passed on so the lazy link endpoint stops asking; any other
+// failure just leaves the invoice number unlinked.
+async function getXeroOnlineInvoiceUrl(xero, invoiceId) {
+  try {
+    const data = await xeroGet(`/Invoices/${invoiceId}/OnlineInvoice`, xero);
+    return data?.OnlineInvoices?.[0]?.OnlineInvoiceUrl || null;
+  } catch (err) {
+    if (err.response?.status === 429) throw err;
+    console.warn("⚠️ Xero online invoice URL lookup failed:", invoiceId, err.response?.status || err.message);
+    return null;
+  }
 }
 
-async function getXeroOnlineInvoiceUrl(headers, invoice) {
-  if (!canHaveOnlineInvoiceUrl(invoice)) return null;
-
+// Stored links are a nicety, so a Postgres problem here must never turn into
+// a finance error of its own.
+async function loadStoredOnlineInvoiceUrls(invoiceIds) {
   try {
-    const response = await fetchWithRetry(() =>
-      axios.get(
-        `https://api.xero.com/api.xro/2.0/Invoices/${invoice.InvoiceID}/OnlineInvoice`,
-        {
-          headers,
-          timeout: 10000
-        }
-      )
-    );
-
-    return response.data?.OnlineInvoices?.[0]?.OnlineInvoiceUrl || null;
+    return await getStoredOnlineInvoiceUrls(invoiceIds);
   } catch (err) {
-    console.warn(
-      "⚠️ Xero online invoice URL lookup failed:",
-      invoice.InvoiceNumber || invoice.InvoiceID,
-      err.response?.status || err.message
-    );
-    return null;
+    console.warn("⚠️ Online invoice link read failed:", err.message);
+    return new Map();
   }
 }
 
-function isFinanceCacheEntryFresh(cached, ttlSeconds) {
-  if (!cached?.fetchedAt) return false;
+// Fills in links loaded lazily after this entry was cached.
+async function withStoredOnlineInvoiceUrls(rows) {
+  const missing = rows.filter(row => !row.xeroUrl && canHaveOnlineInvoiceUrl(row));
+  if (!missing.length) return rows;
+  return applyStoredOnlineInvoiceUrls(rows, await loadStoredOnlineInvoiceUrls(missing.map(row => row.invoiceId)));
+}
 
-  const fetchedAt = new Date(cached.fetchedAt).getTime();
-  if (!Number.isFinite(fetchedAt)) return false;
+// Detail, history and PDF routes all start from the same invoice record, so
+// it is cached once per invoice and checked against the resolved contact.
+async function getXeroInvoiceForContact(contactId, invoiceId, tenantId = null) {
+  const cacheKey = `invoice:${invoiceId}`;
+  let invoice = cache.get(cacheKey);
+
+  if (!invoice) {
+    const data = await xeroGet(`/Invoices/${encodeURIComponent(invoiceId)}`, { tenantId });
+    invoice = data?.Invoices?.[0];
+    if (!invoice) return null;
+    cache.set(cacheKey, invoice, Math.min(getRuntimeConfig().financeCacheTtlSeconds, INVOICE_CACHE_TTL_SECONDS));
+  }
 
-  return Date.now() - fetchedAt <= ttlSeconds * 1000;
+  return isInvoiceForContact(invoice, contactId) ? invoice : null;
+}
+
+async function streamXeroInvoicePdf(invoiceId, tenantId = null) {
+  return xeroRequest(`/Invoices/${encodeURIComponent(invoiceId)}`, {
+    tenantId,
+    accept: "application/pdf",
+    responseType: "stream",
+    timeout: 30000
+  });
 }
 
 function parseDateOnlyUtc(value) {
@@ -231,47 +371,166 @@ function safeDownloadName(clientName, extension) {
   return `${base || "Xero_Statement"}${extension}`;
 }
 
-function logFinanceRequest(req, haloClientName, cacheStatus) {
-  console.log("🟢 /finance", {
-    area: haloClientName || null,
-    agentId: req.query.agentId || null,
+// Export totals are per currency plus a base-currency equivalent, so mixed
+// currency ledgers never add AUD to NZD.
+function getStatementTotals(data) {
+  const baseCurrency = data.baseCurrency || getRuntimeConfig().xeroBaseCurrency;
+  const summary = summariseByCurrency(data.rows, baseCurrency);
+
+  return {
+    baseCurrency,
+    currencyTotals: summary.currencies,
+    multiCurrency: summary.multiCurrency,
+    totalAmount: summary.total.toFixed(2),
+    totalBalance: summary.balance.toFixed(2)
+  };
+}
+
+// Cache entries written before the aging strip existed fall back to the
+// per-row buckets rather than rendering an empty strip.
+function getAgingSummary(data) {
+  return data.aging || summariseAgingFromRows(data.rows);
+}
+
+// Prints the request and records it in the finance audit trail. The audit
+// write is not awaited; see recordFinanceAuditEvent.
+function logFinanceRequest(req, context, cacheStatus) {
+  const refresh = req.query.refresh === "1";
+
+  console.log(`🟢 ${req.path}`, {
+    area: context.haloClientName || null,
+    agentId: context.hmac.agent || null,
     hasHmac: Boolean(req.query.hmac),
-    refresh: req.query.refresh === "1",
+    refresh,
     cache: cacheStatus
   });
+
+  recordFinanceAuditEvent({
+    action: req.path.startsWith("/api/") ? "api_view" : refresh ? "refresh" : "view",
+    agentId: context.hmac.agent,
+    agentName: context.access?.agent?.name,
+    haloClientId: context.haloClientId,
+    haloClientName: context.haloClientName,
+    contactId: context.contactId,
+    cacheStatus,
+    accessLevel: context.access?.level,
+    requestPath: req.path
+  });
+}
+
+// Export links carry only the cache key and agent ID; the Halo client ID and
+// name come from the cached entry the export was built from.
+function auditFinanceExport(req, action, exportData, detail = null) {
+  recordFinanceAuditEvent({
+    action,
+    agentId: req.query.agentId,
+    haloClientId: exportData?.data?.haloClientId,
+    haloClientName: exportData?.data?.clientName,
+    contactId: getContactIdFromCacheKey(req.query.key),
+    cacheStatus: exportData?.cacheStatus,
+    accessLevel: "full",
+    requestPath: req.path,
+    detail
+  });
 }
 
-async function fetchFinanceData(contactId, haloClientName) {
-  const headers = await getXeroHeaders();
+async function fetchXeroPage(xero, path, params, page) {
+  const data = await xeroGet(path, {
+    ...xero,
+    params: { ...params, page, pageSize: XERO_PAGE_SIZE },
+    timeout: 20000
+  });
 
-  const inv = await fetchWithRetry(() =>
-    axios.get("https://api.xero.com/api.xro/2.0/Invoices", {
-      headers,
+  return data || {};
+}
+
+async function fetchXeroPagedCollection(xero, path, collection, params) {
+  const runtimeConfig = getRuntimeConfig();
+  return collectXeroPages(page => fetchXeroPage(xero, path, params, page), collection, {
+    maxPages: runtimeConfig.financeMaxInvoicePages,
+    concurrency: runtimeConfig.xeroPageConcurrency
+  });
+}
+
+async function fetchXeroInvoices(xero, contactId, historyMonths) {
+  return fetchXeroPagedCollection(xero, "/Invoices", "Invoices", {
+    where: getInvoiceWhere(contactId, historyMonths),
+    order: "Date DESC"
+  });
+}
+
+// One summary-only row is enough for Xero to report the contact's full invoice
+// count, which drives the "showing N of M" note when a horizon is applied.
+async function fetchXeroInvoiceCount(xero, contactId) {
+  try {
+    const data = await xeroGet("/Invoices", {
+      ...xero,
       params: {
-        where: `Contact.ContactID==Guid("${contactId}")`,
-        order: "Date DESC"
+        where: getContactWhere(contactId),
+        summaryOnly: true,
+        page: 1,
+        pageSize: 1
       }
+    });
+
+    const itemCount = Number(data?.pagination?.itemCount);
+    return Number.isFinite(itemCount) ? itemCount : null;
+  } catch (err) {
+    console.warn("⚠️ Xero invoice count lookup failed:", err.response?.status || err.message);
+    return null;
+  }
+}
+
+async function fetchXeroCredits(xero, contactId, historyMonths) {
+  const results = await Promise.all(
+    XERO_CREDIT_SOURCES.map(async source => {
+      const { items } = await fetchXeroPagedCollection(xero, source.path, source.collection, {
+        where: getCreditWhere(contactId, historyMonths),
+        order: "Date DESC"
+      });
+
+      return items
+        .filter(item => isLedgerCredit(source, item))
+        .map(item => ({ source, item }));
     })
   );
-  const invoices = inv.data.Invoices || [];
-  const [onlineInvoiceUrls, goCardless] = await Promise.all([
-    mapWithConcurrency(invoices, 3, invoice => getXeroOnlineInvoiceUrl(headers, invoice)),
-    getGoCardlessSummaryForXeroGuid(contactId, haloClientName)
-  ]);
 
+  return results.flat();
+}
+
+// The report is in base currency and already nets part payments and credit
+// allocations the way Xero's own aging does. Failures return null so the
+// widget falls back to the per-row buckets instead of failing the tab.
+async function fetchXeroAgedReceivables(xero, contactId) {
+  try {
+    const data = await xeroGet("/Reports/AgedReceivablesByContact", {
+      ...xero,
+      params: { contactId, date: getTodayUtcDateOnly().toISOString().slice(0, 10) },
+      timeout: 20000
+    });
+
+    return parseAgedReceivablesReport(data?.Reports?.[0]);
+  } catch (err) {
+    console.warn(
+      "⚠️ Xero aged receivables report failed:",
+      contactId,
+      err.response?.status || err.message
+    );
+    return null;
+  }
+}
+
+// Invoice rows and credit rows in Xero's order; callers sort by date.
+function buildLedgerRows(invoices, credits, { baseCurrency, onlineInvoiceUrls = new Map() }) {
   const rows = [];
-  let accountBal = 0;
-  let overdueBal = 0;
   const today = getTodayUtcDateOnly();
 
-  for (const [index, d] of invoices.entries()) {
+  for (const d of invoices) {
     const balance = Number(d.AmountDue ?? 0);
     const total = Number(d.Total ?? 0);
     const dueDateStr = d.DueDateString?.slice(0, 10);
     const dueDate = parseDateOnlyUtc(dueDateStr);
-
-    accountBal += balance;
-    if (dueDate && balance > 0 && dueDate < today) overdueBal += balance;
+    const currencyRate = Number(d.CurrencyRate ?? 1) || 1;
 
     rows.push({
       name: d.Contact?.Name,
@@ -279,57 +538,317 @@ async function fetchFinanceData(contactId, haloClientName) {
       type: "Invoice",
       number: d.InvoiceNumber,
       invoiceId: d.InvoiceID,
-      xeroUrl: onlineInvoiceUrls[index],
+      xeroUrl: onlineInvoiceUrls.get(String(d.InvoiceID || "").toLowerCase()) || null,
       due: dueDateStr,
       ageBucket: getAgeBucket(dueDate, balance, today),
+      isOverdue: Boolean(dueDate && balance > 0 && dueDate < today),
+      status: d.Status || "",
+      xeroType: d.Type || "",
+      reference: d.Reference || "",
+      payments: buildCashMovements(d.Payments),
+      currency: d.CurrencyCode || baseCurrency,
+      currencyRate,
       total,
-      balance
+      balance,
+      baseTotal: toBaseAmount(total, currencyRate),
+      baseBalance: toBaseAmount(balance, currencyRate)
     });
   }
 
+  for (const { source, item } of credits) {
+    rows.push(buildCreditRow(source, item, baseCurrency));
+  }
+
+  return rows;
+}
+
+async function fetchFinanceData(contactId, client, tenantId = null) {
+  // Resolved once so every call for this client goes to the same
+  // organisation's queue.
+  const connection = await getXeroConnectionForTenant(tenantId);
+  const xero = { connectionId: connection.id };
+  const runtimeConfig = getRuntimeConfig();
+  const historyMonths = runtimeConfig.financeHistoryMonths;
+  const baseCurrency = runtimeConfig.xeroBaseCurrency;
+
+  const [invoiceResult, credits, contactInvoiceCount, agedReceivables] = await Promise.all([
+    fetchXeroInvoices(xero, contactId, historyMonths),
+    fetchXeroCredits(xero, contactId, historyMonths),
+    historyMonths ? fetchXeroInvoiceCount(xero, contactId) : Promise.resolve(null),
+    fetchXeroAgedReceivables(xero, contactId)
+  ]);
+  const invoices = invoiceResult.items;
+  // Only links already stored are used here; the widget loads the rest after
+  // the first render (see /finance/invoices/online-links). The GoCardless
+  // panel is cached and loaded separately (see /finance/gocardless).
+  const onlineInvoiceUrls = await loadStoredOnlineInvoiceUrls(invoices.map(invoice => invoice.InvoiceID));
+
+  const rows = buildLedgerRows(invoices, credits, { baseCurrency, onlineInvoiceUrls });
+  const summary = summariseByCurrency(rows, baseCurrency);
+
+  // Stable sort keeps Xero's invoice ordering for rows on the same date.
+  rows.sort((a, b) => String(b.date || "").localeCompare(String(a.date || "")));
+
+  // The tenant may only have been discovered by the calls above.
+  const organisation = getXeroConnections().find(entry => entry.id === connection.id) || connection;
+
   return {
-    clientName: haloClientName,
+    clientName: client.haloClientName,
+    haloClientId: client.haloClientId ?? null,
+    xeroTenantId: organisation.tenantId || null,
+    xeroTenantName: organisation.tenantName,
     rows,
-    accountBal: accountBal.toFixed(2),
-    overdueBal: overdueBal.toFixed(2),
-    goCardless,
+    baseCurrency,
+    accountBal: summary.balance.toFixed(2),
+    overdueBal: summary.overdue.toFixed(2),
+    multiCurrency: summary.multiCurrency,
+    currencyBalances: summary.currencies.map(entry => ({
+      currency: entry.currency,
+      accountBal: entry.balance.toFixed(2),
+      overdueBal: entry.overdue.toFixed(2),
+      baseAccountBal: entry.baseBalance.toFixed(2),
+      baseOverdueBal: entry.baseOverdue.toFixed(2)
+    })),
+    aging: agedReceivables || summariseAgingFromRows(rows),
+    invoiceHistory: {
+      shown: invoices.length,
+      total: historyMonths ? contactInvoiceCount : invoiceResult.itemCount,
+      historyMonths,
+      historyHuman: formatHistoryHorizon(historyMonths),
+      truncated: invoiceResult.truncated
+    },
     asAt: new Date().toLocaleString("en-NZ"),
     fetchedAt: new Date().toISOString()
   };
 }
 
-async function getCachedFinanceData(contactId, haloClientName, forceRefresh = false) {
+// Snapshots are a fallback, so a Postgres problem here must never turn into a
+// finance error of its own.
+async function loadFinanceSnapshot(cacheKey, options) {
+  try {
+    return await getFinanceSnapshot(cacheKey, getRuntimeConfig().financeSnapshotMaxAgeSeconds, options);
+  } catch (err) {
+    console.warn("⚠️ Finance snapshot read failed:", err.message);
+    return null;
+  }
+}
+
+// Fetches from Xero once per cache key: callers in this process share the
+// in-flight promise, and the refresh lock makes other workers wait for this
+// fetch instead of hitting Xero for the same contact. A worker that had to
+// wait re-reads the cache first and only fetches if the holder did not store
+// a usable entry (for a forced refresh, one fetched after requestedAt).
+function refreshFinanceData(
+  cacheKey,
+  contactId,
+  client,
+  { forceRefresh = false, requestedAt = Date.now(), tenantId = null } = {}
+) {
+  if (!forceRefresh && inFlightFinanceRequests.has(cacheKey)) {
+    return inFlightFinanceRequests.get(cacheKey).then(({ data }) => ({ data, shared: true }));
+  }
+
+  const runtimeConfig = getRuntimeConfig();
+  const request = withFinanceRefreshLock(cacheKey, async ({ waited }) => {
+    if (waited) {
+      const cached = await getFinanceCacheEntry(cacheKey);
+      const fetchedAt = new Date(cached?.fetchedAt || 0).getTime();
+      if (
+        isFinanceCacheEntryFresh(cached, runtimeConfig.financeCacheTtlSeconds) &&
+        (!forceRefresh || fetchedAt >= requestedAt)
+      ) {
+        return { data: cached, shared: true };
+      }
+    }
+
+    const data = await fetchFinanceData(contactId, client, tenantId);
+    await setFinanceCacheEntry(cacheKey, data, runtimeConfig.financeCacheTtlSeconds);
+    saveFinanceSnapshot(cacheKey, data, runtimeConfig.financeSnapshotMaxAgeSeconds).catch(err => {
+      console.warn("⚠️ Finance snapshot write failed:", err.message);
+    });
+    return { data, shared: false };
+  }).finally(() => {
+    if (inFlightFinanceRequests.get(cacheKey) === request) {
+      inFlightFinanceRequests.delete(cacheKey);
+    }
+  });
+
+  inFlightFinanceRequests.set(cacheKey, request);
+  return request;
+}
+
+// cacheStatus:
+//   hit / shared    - fresh cache entry, or another request's fetch
+//   miss / refresh  - fetched from Xero for this request
+//   stale           - snapshot within the stale-while-revalidate window,
+//                     served while a background refresh runs
+//   fallback        - Xero unavailable; last known-good snapshot served,
+//                     with the reason in xeroUnavailable
+async function getCachedFinanceData(contactId, client, forceRefresh = false, tenantId = null) {
   const cacheKey = getFinanceCacheKey(contactId);
   const runtimeConfig = getRuntimeConfig();
+  const requestedAt = Date.now();
 
   if (!forceRefresh) {
-    const cached = cache.get(cacheKey);
+    const cached = await getFinanceCacheEntry(cacheKey);
     if (isFinanceCacheEntryFresh(cached, runtimeConfig.financeCacheTtlSeconds)) {
-      return { data: cached, cacheKey, cacheStatus: "hit" };
+      return { data: cached, cacheKey, cacheStatus: "hit", xeroUnavailable: null };
     } else if (cached) {
-      cache.del(cacheKey);
+      await deleteFinanceCacheEntry(cacheKey);
     }
 
     if (inFlightFinanceRequests.has(cacheKey)) {
-      const data = await inFlightFinanceRequests.get(cacheKey);
-      return { data, cacheKey, cacheStatus: "shared" };
+      const { data } = await inFlightFinanceRequests.get(cacheKey);
+      return { data, cacheKey, cacheStatus: "shared", xeroUnavailable: null };
+    }
+
+    if (runtimeConfig.financeStaleWhileRevalidateSeconds > 0) {
+      const snapshot = await loadFinanceSnapshot(cacheKey, { includeInvalidated: false });
+      const staleWindowSeconds =
+        runtimeConfig.financeCacheTtlSeconds + runtimeConfig.financeStaleWhileRevalidateSeconds;
+
+      if (isFinanceCacheEntryFresh(snapshot, staleWindowSeconds)) {
+        refreshFinanceData(cacheKey, contactId, client, { tenantId }).catch(err => {
+          console.warn("⚠️ Background finance refresh failed:", cacheKey, err.response?.status || err.message);
+        });
+        return { data: snapshot, cacheKey, cacheStatus: "stale", xeroUnavailable: null };
+      }
     }
   }
 
-  const request = fetchFinanceData(contactId, haloClientName)
-    .then(data => {
-      cache.set(cacheKey, data, runtimeConfig.financeCacheTtlSeconds);
-      return data;
+  try {
+    const { data, shared } = await refreshFinanceData(cacheKey, contactId, client, {
+      forceRefresh,
+      requestedAt,
+      tenantId
+    });
+    return {
+      data,
+      cacheKey,
+      cacheStatus: shared ? "shared" : forceRefresh ? "refresh" : "miss",
+      xeroUnavailable: null
+    };
+  } catch (err) {
+    if (!isXeroUnavailableError(err)) throw err;
+
+    const snapshot = await loadFinanceSnapshot(cacheKey);
+    if (!snapshot) throw err;
+
+    const xeroUnavailable = describeXeroUnavailable(err);
+    console.warn("⚠️ Serving finance snapshot:", cacheKey, xeroUnavailable, "— as at", snapshot.fetchedAt);
+    return { data: snapshot, cacheKey, cacheStatus: "fallback", xeroUnavailable };
+  }
+}
+
+// Exports follow the page the agent saw, which may have been a snapshot.
+// Returns { data, cacheStatus } where cacheStatus is "hit" or "snapshot".
+async function getExportFinanceData(cacheKey) {
+  const cached = await getFinanceCacheEntry(cacheKey);
+  if (cached) return { data: cached, cacheStatus: "hit" };
+
+  const snapshot = await loadFinanceSnapshot(cacheKey);
+  return snapshot ? { data: snapshot, cacheStatus: "snapshot" } : null;
+}
+
+// -------------------------------------------------
+// GOCARDLESS SUMMARY CACHE
+// Cached apart from the Xero data, with its own TTL, so a slow GoCardless API
+// or an auto-map search never holds up the finance tab. Error and unavailable
+// (circuit open) states are not cached, so the next request tries again.
+// -------------------------------------------------
+const inFlightGoCardlessRequests = new Map();
+
+async function getCachedGoCardlessSummary(contactId, haloClientName, forceRefresh = false) {
+  const cacheKey = getGoCardlessCacheKey(contactId);
+  const ttlSeconds = getRuntimeConfig().goCardlessCacheTtlSeconds;
+
+  if (!forceRefresh) {
+    const cached = await getFinanceCacheEntry(cacheKey);
+    if (isFinanceCacheEntryFresh(cached, ttlSeconds)) return cached.summary;
+
+    if (inFlightGoCardlessRequests.has(cacheKey)) return inFlightGoCardlessRequests.get(cacheKey);
+  }
+
+  const request = getGoCardlessSummaryForXeroGuid(contactId, haloClientName)
+    .then(async summary => {
+      if (summary.state !== "error" && summary.state !== "unavailable") {
+        await setFinanceCacheEntry(cacheKey, { summary, fetchedAt: new Date().toISOString() }, ttlSeconds);
+      }
+      return summary;
     })
     .finally(() => {
-      if (inFlightFinanceRequests.get(cacheKey) === request) {
-        inFlightFinanceRequests.delete(cacheKey);
+      if (inFlightGoCardlessRequests.get(cacheKey) === request) {
+        inFlightGoCardlessRequests.delete(cacheKey);
       }
     });
 
-  inFlightFinanceRequests.set(cacheKey, request);
-  const data = await request;
-  return { data, cacheKey, cacheStatus: forceRefresh ? "refresh" : "miss" };
+  inFlightGoCardlessRequests.set(cacheKey, request);
+  return request;
+}
+
+// For the JSON API and Excel export, where a GoCardless failure only marks
+// the Direct Debit section as unavailable.
+async function loadGoCardlessSummary(contactId, haloClientName) {
+  try {
+    return await getCachedGoCardlessSummary(contactId, haloClientName);
+  } catch (err) {
+    console.warn("⚠️ GoCardless summary failed:", contactId, err.message);
+    return { configured: true, mapped: true, state: "error", error: err.message };
+  }
+}
+
+// Balances for the same client in the other Xero organisations. Each is
+// cached like the main contact; one organisation failing only marks that
+// entry unavailable.
+async function getOtherOrganisationBalances(context, forceRefresh = false) {
+  const connectedTenants = new Set(getXeroConnections().map(connection => connection.tenantId).filter(Boolean));
+  const primaryTenantId = context.tenantId || tokens.tenantId || "";
+  const organisations = context.otherOrganisations.filter(
+    organisation => organisation.tenantId !== primaryTenantId && connectedTenants.has(organisation.tenantId)
+  );
+
+  return Promise.all(
+    organisations.map(async organisation => {
+      const tenantName = (await getXeroTenantName(organisation.tenantId)) || organisation.tenantId;
+      try {
+        const { data, cacheStatus } = await getCachedFinanceData(
+          organisation.contactId,
+          { haloClientId: context.haloClientId, haloClientName: context.haloClientName },
+          forceRefresh,
+          organisation.tenantId
+        );
+        return {
+          tenantId: organisation.tenantId,
+          tenantName,
+          contactId: organisation.contactId,
+          contactName: organisation.contactName,
+          baseCurrency: data.baseCurrency,
+          accountBal: data.accountBal,
+          overdueBal: data.overdueBal,
+          currencyBalances: data.currencyBalances,
+          multiCurrency: data.multiCurrency,
+          truncated: Boolean(data.invoiceHistory?.truncated),
+          cacheStatus,
+          fetchedAt: data.fetchedAt,
+          error: null
+        };
+      } catch (err) {
+        console.warn(
+          "⚠️ Other organisation balances unavailable:",
+          organisation.tenantId,
+          organisation.contactId,
+          err.response?.status || err.message
+        );
+        return {
+          tenantId: organisation.tenantId,
+          tenantName,
+          contactId: organisation.contactId,
+          contactName: organisation.contactName,
+          error: isXeroUnavailableError(err) ? describeXeroUnavailable(err) : "Balances could not be loaded"
+        };
+      }
+    })
+  );
 }
 
 // -------------------------------------------------
@@ -347,7 +866,7 @@ function getHaloArea(req) {
 
   // If Halo failed to URL-encode '&', Express splits the query into extra keys.
   // We detect "unknown" keys with empty values and treat them as a continuation of area.
-  const ignoreKeys = new Set(["area", "agentId", "hmac", "haloClientId", "clientId"]);
+  const ignoreKeys = new Set(["area", "agentId", "hmac", "ts", "haloClientId", "clientId"]);
   const extraParts = [];
 
   for (const [k, v] of Object.entries(q)) {
@@ -375,116 +894,571 @@ function getHaloArea(req) {
   return area;
 }
 
+// Halo tab URLs pass $CLIENTID as clientId; haloClientId is accepted too.
+function getRawHaloClientIdParam(req) {
+  return req.query?.clientId ?? req.query?.haloClientId;
+}
+
 // -------------------------------------------------
-// FINANCE ROUTE (INVOICES ONLY)
+// WIDGET REQUEST CONTEXT
+// Shared by /finance and its lazy-loaded sub-endpoints: HMAC check, agent
+// access policy, Halo client ID / area, then DB-backed Xero GUID resolution.
+// requiredAccess is the lowest policy level the endpoint may serve.
 // -------------------------------------------------
-app.get("/finance", async (req, res) => {
-  try {
-    // ---- HMAC VALIDATION ----
-    const hmac = validateHaloHmac(req);
+async function resolveWidgetContext(req, { allowBearer = false, requiredAccess = "balances" } = {}) {
+  // ---- HALO CLIENT ID / NAME (AREA) ----
+  const rawHaloClientId = getRawHaloClientIdParam(req);
+  const haloClientId = parseHaloClientId(rawHaloClientId);
+  const area = getHaloArea(req);
+
+  // ---- HMAC VALIDATION (OR API BEARER TOKEN) ----
+  const bearerToken = allowBearer ? getBearerToken(req) : null;
+  let hmac;
+  let access;
+
+  if (bearerToken) {
+    if (!verifyFinanceApiToken(bearerToken)) {
+      return { error: { status: 401, body: "Invalid API token" } };
+    }
+    hmac = { valid: true, agent: "api" };
+    access = { level: "full", reason: "api_token", matchedOn: null, agent: null };
+  } else {
+    hmac = validateHaloHmac(req, { area: area || "", clientId: rawHaloClientId });
     if (!hmac.valid) {
-      return res.status(401).send("Invalid HMAC");
+      if (hmac.reason === "expired") {
+        return { error: { status: 401, body: "Link expired — reopen the tab in Halo" } };
+      }
+      return { error: { status: 401, body: "Invalid HMAC" } };
     }
+  }
 
-    // ---- HALO CLIENT NAME (AREA) ----
-    const haloClientName = getHaloArea(req);
-    if (!haloClientName) {
-      return res.status(400).send("Missing Halo client name (area)");
-    }
+  // ---- AGENT ACCESS POLICY ----
+  if (!access) access = await resolveFinanceAccess(hmac.agent);
+  if (!financeAccessAllows(access.level, requiredAccess)) {
+    console.log("🔒 Finance access restricted:", {
+      agentId: hmac.agent,
+      level: access.level,
+      reason: access.reason,
+      path: req.path
+    });
+    return { error: { status: 403, body: "Finance access restricted", restricted: true }, hmac, access, area };
+  }
+
+  if (!haloClientId && !area) {
+    return { error: { status: 400, body: "Missing Halo client ID (clientId) or name (area)" } };
+  }
+
+  // ---- RESOLVE GUID (CLIENT ID LINK / HALO xeroid / NAME) ----
+  // Only a signed link (or an API token) vouches for area; see canStoreNameMatch.
+  const resolved = await resolveXeroContactForHaloClient({
+    haloClientId,
+    haloClientName: area,
+    nameSigned: Boolean(bearerToken) || hmac.mode === "signed"
+  });
+  const contactId = resolved?.contactId || null;
+  const haloClientName = resolved?.haloClientName || area;
+  const tenantId = resolved?.tenantId || null;
+  console.log("🧩 contactId RESOLVED:", contactId, {
+    haloClientId,
+    source: resolved?.source || null,
+    tenantId
+  });
 
-    // ---- RESOLVE GUID FROM DB ----
-    const contactId = await resolveXeroContactGuid(haloClientName);
-    console.log("🧩 contactId RESOLVED:", contactId);
+  if (!contactId || !XERO_GUID_PATTERN.test(contactId)) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: "Invalid or missing Xero contact GUID",
+          haloClientId,
+          haloClientName,
+          contactId
+        }
+      }
+    };
+  }
 
-    if (!contactId || !/^[0-9a-fA-F-]{36}$/.test(contactId)) {
-      return res.status(400).json({
-        error: "Invalid or missing Xero contact GUID",
-        haloClientName,
-        contactId
+  return {
+    hmac,
+    access,
+    haloClientId,
+    haloClientName,
+    area,
+    contactId,
+    tenantId,
+    otherOrganisations: resolved.otherOrganisations || []
+  };
+}
+
+// -------------------------------------------------
+// FINANCE ROUTE (INVOICES + UNALLOCATED CREDITS)
+// -------------------------------------------------
+app.get("/finance", async (req, res) => {
+  try {
+    const context = await resolveWidgetContext(req, { requiredAccess: "balances" });
+    if (context.error?.restricted) {
+      recordFinanceAuditEvent({
+        action: "restricted",
+        agentId: context.hmac.agent,
+        agentName: context.access.agent?.name,
+        haloClientId: parseHaloClientId(getRawHaloClientIdParam(req)),
+        haloClientName: context.area,
+        accessLevel: context.access.level,
+        requestPath: req.path,
+        detail: { reason: context.access.reason }
+      });
+      return res.status(403).render("finance_restricted", {
+        clientName: context.area || "this client",
+        agentName: context.access.agent?.name || ""
       });
     }
+    if (context.error) {
+      return res.status(context.error.status).send(context.error.body);
+    }
+    const { hmac, access, haloClientId, haloClientName, area, contactId, tenantId } = context;
+    const fullAccess = access.level === "full";
 
     const forceRefresh = req.query.refresh === "1";
     const runtimeConfig = getRuntimeConfig();
-    const { data, cacheKey, cacheStatus } = await getCachedFinanceData(
-      contactId,
-      haloClientName,
-      forceRefresh
-    );
-    const exportToken = signExportToken(cacheKey, hmac.agent);
+    const [{ data, cacheKey, cacheStatus, xeroUnavailable }, otherOrganisations] = await Promise.all([
+      getCachedFinanceData(contactId, { haloClientId, haloClientName }, forceRefresh, tenantId),
+      getOtherOrganisationBalances(context, forceRefresh)
+    ]);
+    // Export tokens also gate the statement and invoice PDF downloads, so
+    // balances-only agents never receive one.
+    const exportToken = fullAccess ? signExportToken(cacheKey, hmac.agent) : null;
 
-    logFinanceRequest(req, haloClientName, cacheStatus);
+    logFinanceRequest(req, context, cacheStatus);
 
     // ---- RENDER ----
     res.render("finance", {
       ...data,
-      tenantName: tokens.tenantName || "Xero",
+      rows: fullAccess ? await withStoredOnlineInvoiceUrls(data.rows) : [],
+      financeAccess: access.level,
+      otherOrganisations,
+      aging: getAgingSummary(data),
+      tenantName: data.xeroTenantName || tokens.tenantName || "Xero",
       agentId: hmac.agent,
       hmac: req.query.hmac,
-      area: haloClientName,
+      hmacTimestamp: typeof req.query.ts === "string" ? req.query.ts : "",
+      // The tab's own area / clientId, echoed back so follow-up requests
+      // match what a signed link covered.
+      area: area || "",
+      haloClientId: typeof req.query.clientId === "string" ? req.query.clientId : haloClientId,
       cacheStatus,
+      xeroUnavailable,
       cacheTtlSeconds: runtimeConfig.financeCacheTtlSeconds,
       cacheTtlHuman: runtimeConfig.financeCacheTtlHuman,
       cacheKey,
-      exportToken
+      exportToken,
+      canHaveOnlineInvoiceUrl,
+      onlineInvoiceBatchSize: ONLINE_INVOICE_BATCH_SIZE,
+      unavailableSections: describeUnavailableSections(getOpenCircuits().map(circuit => circuit.upstream))
     });
   } catch (err) {
     const status = err.response?.status;
     console.error("❌ Finance error:", status || "", err.response?.data || err.message);
 
+    if (isCircuitOpenError(err)) return res.status(503).send(`${err.message} Try again shortly.`);
     if (status === 429) return res.status(429).send("Xero rate limit hit — try again shortly.");
     res.status(500).send("Finance error");
   }
 });
 
 // -------------------------------------------------
-// EXPORT PDF
+// FINANCE JSON API (VERSIONED)
+// Same data, cache and client resolution as /finance. Accepts the Halo
+// HMAC query params or "Authorization: Bearer <FINANCE_API_TOKENS entry>".
 // -------------------------------------------------
-app.get("/finance/export-pdf", async (req, res) => {
-  let browser;
+app.get("/api/v1/finance", async (req, res) => {
+  try {
+    const context = await resolveWidgetContext(req, { allowBearer: true });
+    if (context.error) {
+      const body = context.error.body;
+      return res.status(context.error.status).json(typeof body === "string" ? { error: body } : body);
+    }
+    const { access, haloClientId, haloClientName, contactId, tenantId } = context;
+    const forceRefresh = req.query.refresh === "1";
+
+    const runtimeConfig = getRuntimeConfig();
+    const [{ data, cacheStatus, xeroUnavailable }, otherOrganisations, goCardless] = await Promise.all([
+      getCachedFinanceData(contactId, { haloClientId, haloClientName }, forceRefresh, tenantId),
+      getOtherOrganisationBalances(context, forceRefresh),
+      loadGoCardlessSummary(contactId, haloClientName)
+    ]);
+
+    logFinanceRequest(req, context, cacheStatus);
 
+    res.json(
+      buildFinanceApiPayload(
+        {
+          ...data,
+          rows: await withStoredOnlineInvoiceUrls(data.rows),
+          aging: getAgingSummary(data),
+          goCardless
+        },
+        {
+          contactId,
+          cacheStatus,
+          cacheTtlSeconds: runtimeConfig.financeCacheTtlSeconds,
+          xeroUnavailable,
+          access: access.level,
+          otherOrganisations
+        }
+      )
+    );
+  } catch (err) {
+    const status = err.response?.status;
+    console.error("❌ Finance API error:", status || "", err.response?.data || err.message);
+
+    if (isCircuitOpenError(err)) return res.status(503).json({ error: `${err.message} Try again shortly.` });
+    if (status === 429) return res.status(429).json({ error: "Xero rate limit hit — try again shortly." });
+    res.status(500).json({ error: "Finance error" });
+  }
+});
+
+// -------------------------------------------------
+// GOCARDLESS DIRECT DEBIT PANEL (LAZY, HTML FRAGMENT)
+// Rendered into the finance tab's placeholder once the Xero view is up.
+// -------------------------------------------------
+app.get("/finance/gocardless", async (req, res) => {
   try {
-    if (!verifyExportToken(req)) {
-      return res.status(401).send("Invalid or expired export token");
+    const context = await resolveWidgetContext(req, { requiredAccess: "balances" });
+    if (context.error) {
+      return res.status(context.error.status).send(context.error.body);
     }
 
-    const cached = cache.get(req.query.key);
-    if (!cached) return res.status(400).send("No cached finance data. Open widget first.");
+    const goCardless = await getCachedGoCardlessSummary(
+      context.contactId,
+      context.haloClientName,
+      req.query.refresh === "1"
+    );
+    res.render("finance_gocardless", { goCardless });
+  } catch (err) {
+    console.error("❌ GoCardless panel error:", err.response?.status || "", err.message);
+    res.status(500).send("GoCardless status could not be loaded");
+  }
+});
 
-    const html = await ejs.renderFile(
-      "/opt/halo-xero-widget/views/statement.ejs",
-      {
-        ...cached,
-        tenantName: tokens.tenantName || "Xero",
-        totalAmount: cached.rows.reduce((a, r) => a + Number(r.total || 0), 0).toFixed(2),
-        totalBalance: cached.rows.reduce((a, r) => a + Number(r.balance || 0), 0).toFixed(2)
+// -------------------------------------------------
+// ONLINE INVOICE LINKS (LAZY, JSON)
+// ids is a comma-separated batch of invoice IDs from the rendered ledger.
+// Only invoices in this client's cached ledger are looked up; links missing
+// from Postgres are fetched from Xero and stored. Returns { urls: { id: url } }.
+// -------------------------------------------------
+app.get("/finance/invoices/online-links", async (req, res) => {
+  try {
+    const context = await resolveWidgetContext(req, { requiredAccess: "full" });
+    if (context.error) {
+      return res.status(context.error.status).send(context.error.body);
+    }
+
+    const finance = await getExportFinanceData(getFinanceCacheKey(context.contactId));
+    const invoiceIds = selectOnlineInvoiceCandidates(finance?.data.rows, parseOnlineInvoiceIds(req.query.ids));
+    const urls = await loadStoredOnlineInvoiceUrls(invoiceIds);
+    const tenantId = context.tenantId || tokens.tenantId || null;
+
+    await mapWithConcurrency(
+      invoiceIds.filter(invoiceId => !urls.has(invoiceId)),
+      3,
+      async invoiceId => {
+        const url = await getXeroOnlineInvoiceUrl({ tenantId: context.tenantId }, invoiceId);
+        if (!url) return;
+        urls.set(invoiceId, url);
+        await storeOnlineInvoiceUrl(invoiceId, url, tenantId).catch(err => {
+          console.warn("⚠️ Online invoice link write failed:", invoiceId, err.message);
+        });
       }
     );
 
-    browser = await puppeteer.launch({
-      headless: "new",
-      args: ["--no-sandbox", "--disable-setuid-sandbox"]
+    res.json({ urls: Object.fromEntries(urls) });
+  } catch (err) {
+    const status = err.response?.status;
+    console.error("❌ Online invoice links error:", status || "", err.response?.data || err.message);
+
+    if (isCircuitOpenError(err)) return res.status(503).json({ error: `${err.message} Try again shortly.` });
+    if (status === 429) return res.status(429).json({ error: "Xero rate limit hit — try again shortly." });
+    res.status(500).json({ error: "Online invoice links could not be loaded" });
+  }
+});
+
+// -------------------------------------------------
+// INVOICE PAYMENT / ALLOCATION HISTORY (LAZY, JSON)
+// -------------------------------------------------
+app.get("/finance/invoices/:invoiceId/history", async (req, res) => {
+  try {
+    const context = await resolveWidgetContext(req, { requiredAccess: "full" });
+    if (context.error) {
+      return res.status(context.error.status).send(context.error.body);
+    }
+
+    const invoiceId = req.params.invoiceId;
+    if (!XERO_GUID_PATTERN.test(invoiceId)) {
+      return res.status(400).json({ error: "Invalid Xero invoice ID" });
+    }
+
+    const invoice = await getXeroInvoiceForContact(context.contactId, invoiceId, context.tenantId);
+    if (!invoice) {
+      return res.status(404).json({ error: "Invoice not found for this client" });
+    }
+
+    res.json(buildInvoiceHistory(invoice, getRuntimeConfig().xeroBaseCurrency));
+  } catch (err) {
+    const status = err.response?.status;
+    console.error("❌ Invoice history error:", status || "", err.response?.data || err.message);
+
+    if (status === 404) return res.status(404).json({ error: "Invoice not found" });
+    if (isCircuitOpenError(err)) return res.status(503).json({ error: `${err.message} Try again shortly.` });
+    if (status === 429) return res.status(429).json({ error: "Xero rate limit hit — try again shortly." });
+    res.status(500).json({ error: "Invoice history could not be loaded" });
+  }
+});
+
+// -------------------------------------------------
+// INVOICE DETAIL (LINE ITEMS, TAX, TRACKING) (LAZY, JSON)
+// -------------------------------------------------
+app.get("/finance/invoices/:invoiceId/detail", async (req, res) => {
+  try {
+    const context = await resolveWidgetContext(req, { requiredAccess: "full" });
+    if (context.error) {
+      return res.status(context.error.status).send(context.error.body);
+    }
+
+    const invoiceId = req.params.invoiceId;
+    if (!XERO_GUID_PATTERN.test(invoiceId)) {
+      return res.status(400).json({ error: "Invalid Xero invoice ID" });
+    }
+
+    const invoice = await getXeroInvoiceForContact(context.contactId, invoiceId, context.tenantId);
+    if (!invoice) {
+      return res.status(404).json({ error: "Invoice not found for this client" });
+    }
+
+    res.json(buildInvoiceDetail(invoice, getRuntimeConfig().xeroBaseCurrency));
+  } catch (err) {
+    const status = err.response?.status;
+    console.error("❌ Invoice detail error:", status || "", err.response?.data || err.message);
+
+    if (status === 404) return res.status(404).json({ error: "Invoice not found" });
+    if (isCircuitOpenError(err)) return res.status(503).json({ error: `${err.message} Try again shortly.` });
+    if (status === 429) return res.status(429).json({ error: "Xero rate limit hit — try again shortly." });
+    res.status(500).json({ error: "Invoice detail could not be loaded" });
+  }
+});
+
+// -------------------------------------------------
+// ORIGINAL XERO INVOICE PDF (SIGNED EXPORT TOKEN)
+// -------------------------------------------------
+app.get("/finance/invoices/:invoiceId/pdf", async (req, res) => {
+  try {
+    if (!verifyExportToken(req)) {
+      return res.status(401).send("Invalid or expired export token");
+    }
+
+    const invoiceId = req.params.invoiceId;
+    const contactId = getContactIdFromCacheKey(req.query.key);
+    if (!XERO_GUID_PATTERN.test(invoiceId) || !contactId) {
+      return res.status(400).send("Invalid invoice download link");
+    }
+
+    const tenantId = await getXeroTenantIdForContact(contactId);
+    const invoice = await getXeroInvoiceForContact(contactId, invoiceId, tenantId);
+    if (!invoice) return res.status(404).send("Invoice not found for this client");
+
+    const response = await streamXeroInvoicePdf(invoiceId, tenantId);
+    const fileName = safeDownloadName(invoice.InvoiceNumber || invoiceId, ".pdf");
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    auditFinanceExport(req, "invoice_pdf", await getExportFinanceData(req.query.key), {
+      invoiceId,
+      invoiceNumber: invoice.InvoiceNumber || null
+    });
+    response.data.on("error", err => {
+      console.error("❌ invoice-pdf stream error:", err.message);
+      res.destroy(err);
+    });
+    response.data.pipe(res);
+  } catch (err) {
+    const status = err.response?.status;
+    console.error("❌ invoice-pdf error:", status || "", err.message);
+
+    if (status === 404) return res.status(404).send("Invoice not found");
+    if (isCircuitOpenError(err)) return res.status(503).send(`${err.message} Try again shortly.`);
+    if (status === 429) return res.status(429).send("Xero rate limit hit — try again shortly.");
+    res.status(500).send("Invoice PDF download failed");
+  }
+});
+
+// -------------------------------------------------
+// ACTIVITY STATEMENT MODE (shared by PDF + Excel exports)
+// ?mode=activity&from=YYYY-MM-DD&to=YYYY-MM-DD
+// -------------------------------------------------
+// The cached ledger stops at the history horizon, which leaves out settled
+// documents the opening balance depends on. Statements for such a ledger are
+// built from a full-history fetch of invoices and credits instead.
+async function fetchStatementRows(contactId, tenantId, baseCurrency) {
+  const connection = await getXeroConnectionForTenant(tenantId);
+  const xero = { connectionId: connection.id };
+  const [invoiceResult, credits] = await Promise.all([
+    fetchXeroInvoices(xero, contactId, 0),
+    fetchXeroCredits(xero, contactId, 0)
+  ]);
+
+  if (invoiceResult.truncated) {
+    console.warn("⚠️ Activity statement invoice history hit FINANCE_MAX_INVOICE_PAGES:", contactId);
+  }
+
+  return buildLedgerRows(invoiceResult.items, credits, { baseCurrency });
+}
+
+async function getActivityStatementRequest(req, cached) {
+  if (req.query.mode !== "activity") return null;
+
+  const period = parseStatementPeriod(req.query.from, req.query.to);
+  if (!period.valid) return { status: 400, error: period.error };
+
+  const baseCurrency = cached.baseCurrency || getRuntimeConfig().xeroBaseCurrency;
+  const contactId = getContactIdFromCacheKey(req.query.key);
+  let rows = cached.rows;
+
+  if (cached.invoiceHistory?.historyMonths && contactId) {
+    try {
+      rows = await fetchStatementRows(contactId, cached.xeroTenantId, baseCurrency);
+    } catch (err) {
+      if (!isXeroUnavailableError(err)) throw err;
+      console.warn("⚠️ Activity statement history fetch failed:", contactId, describeXeroUnavailable(err));
+      return {
+        status: 503,
+        error: "Activity statements need the full Xero history, and Xero is unavailable right now. Try again shortly."
+      };
+    }
+  }
+
+  return {
+    statement: buildActivityStatement(rows, { from: period.from, to: period.to, baseCurrency })
+  };
+}
+
+function getActivityFileSuffix(statement, extension) {
+  return `_Activity_${statement.from}_to_${statement.to}${extension}`;
+}
+
+async function sendWorkbook(res, wb, fileName) {
+  const buffer = await wb.xlsx.writeBuffer();
+
+  res.setHeader(
+    "Content-Type",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+
+  res.send(buffer);
+}
+
+// Metrics writes never fail or slow down the export itself.
+function recordExportSample(kind, sample) {
+  recordPdfExportSample({ kind, ...sample }).catch(err => {
+    console.warn("⚠️ PDF export metrics write failed:", err.message);
+  });
+}
+
+async function renderPdfKitStatement(kind, viewData) {
+  const startedAt = Date.now();
+  const pdf = kind === "activity"
+    ? await renderActivityStatementPdf(viewData)
+    : await renderStatementPdf(viewData);
+  const elapsedMs = Date.now() - startedAt;
+
+  recordExportSample(`${kind}-pdfkit`, {
+    outcome: "ok",
+    queueDepth: 0,
+    waitMs: 0,
+    renderMs: elapsedMs,
+    totalMs: elapsedMs
+  });
+  return pdf;
+}
+
+// Chromium renders the EJS statement views; PDFKit draws the same layout
+// natively. PDFKit is used when selected in runtime config, or automatically
+// when Chromium cannot be launched on this host.
+async function renderStatementExportPdf(kind, viewData) {
+  if (getRuntimeConfig().pdfRenderer === "pdfkit") {
+    return renderPdfKitStatement(kind, viewData);
+  }
+
+  const html = await ejs.renderFile(
+    path.join(VIEWS_DIR, kind === "activity" ? "activity_statement.ejs" : "statement.ejs"),
+    viewData
+  );
+
+  try {
+    return await renderPdf(html, {
+      onSample: sample => recordExportSample(kind, sample)
     });
+  } catch (err) {
+    if (!(err instanceof PdfBrowserLaunchError)) throw err;
 
-    const page = await browser.newPage();
-    await page.setContent(html, { waitUntil: "networkidle0" });
+    console.warn("⚠️ Chromium failed to launch; falling back to PDFKit:", err.message);
+    return renderPdfKitStatement(kind, viewData);
+  }
+}
 
-    const pdf = await page.pdf({ format: "A4", printBackground: true });
-    await browser.close();
-    browser = null;
+// -------------------------------------------------
+// EXPORT PDF
+// -------------------------------------------------
+app.get("/finance/export-pdf", async (req, res) => {
+  try {
+    if (!verifyExportToken(req)) {
+      return res.status(401).send("Invalid or expired export token");
+    }
+
+    const exportData = await getExportFinanceData(req.query.key);
+    if (!exportData) return res.status(400).send("No cached finance data. Open widget first.");
+    const cached = exportData.data;
+
+    const activity = await getActivityStatementRequest(req, cached);
+    if (activity?.error) return res.status(activity.status).send(activity.error);
+
+    const pdf = activity
+      ? await renderStatementExportPdf("activity", {
+          clientName: cached.clientName,
+          asAt: cached.asAt,
+          tenantName: cached.xeroTenantName || tokens.tenantName || "Xero",
+          statement: activity.statement
+        })
+      : await renderStatementExportPdf("statement", {
+          ...cached,
+          tenantName: cached.xeroTenantName || tokens.tenantName || "Xero",
+          ...getStatementTotals(cached),
+          aging: getAgingSummary(cached)
+        });
 
     res.setHeader("Content-Type", "application/pdf");
     res.setHeader(
       "Content-Disposition",
-      `attachment; filename="${safeDownloadName(cached.clientName, "_Statement.pdf")}"`
+      `attachment; filename="${safeDownloadName(
+        cached.clientName,
+        activity ? getActivityFileSuffix(activity.statement, ".pdf") : "_Statement.pdf"
+      )}"`
+    );
+    auditFinanceExport(
+      req,
+      activity ? "activity_pdf" : "export_pdf",
+      exportData,
+      activity ? { from: req.query.from || null, to: req.query.to || null } : null
     );
 
     res.send(pdf);
   } catch (err) {
+    if (err instanceof PdfExportQueueError) {
+      console.warn("⚠️ export-pdf rejected:", err.message);
+      return res.status(err.statusCode).send(err.message);
+    }
+
     console.error("❌ export-pdf error:", err);
     res.status(500).send("PDF export failed");
-  } finally {
-    if (browser) await browser.close().catch(() => {});
   }
 });
 
@@ -497,44 +1471,183 @@ app.get("/finance/export-excel", async (req, res) => {
       return res.status(401).send("Invalid or expired export token");
     }
 
-    const cached = cache.get(req.query.key);
-    if (!cached) return res.status(400).send("No cached finance data. Open widget first.");
+    const exportData = await getExportFinanceData(req.query.key);
+    if (!exportData) return res.status(400).send("No cached finance data. Open widget first.");
+    const cached = exportData.data;
+
+    const activity = await getActivityStatementRequest(req, cached);
+    if (activity?.error) return res.status(activity.status).send(activity.error);
 
     const wb = new ExcelJS.Workbook();
-    const ws = wb.addWorksheet("Statement");
+    const tenantName = cached.xeroTenantName || tokens.tenantName || "Xero";
+
+    if (activity) {
+      addActivityStatementSheet(wb, cached, activity.statement, { tenantName });
+      auditFinanceExport(req, "activity_excel", exportData, { from: req.query.from || null, to: req.query.to || null });
+      return sendWorkbook(
+        res,
+        wb,
+        safeDownloadName(cached.clientName, getActivityFileSuffix(activity.statement, ".xlsx"))
+      );
+    }
 
-    ws.columns = [
-      { header: "Date", key: "date", width: 15 },
-      { header: "Type", key: "type", width: 15 },
-      { header: "Number", key: "number", width: 20 },
-      { header: "Due", key: "due", width: 15 },
-      { header: "Total", key: "total", width: 15 },
-      { header: "Balance", key: "balance", width: 15 }
-    ];
+    const contactId = getContactIdFromCacheKey(req.query.key);
+    const goCardless = contactId ? await loadGoCardlessSummary(contactId, cached.clientName) : cached.goCardless;
 
-    cached.rows.forEach(r => ws.addRow(r));
+    addStatementWorkbookSheets(wb, { ...cached, goCardless }, {
+      tenantName,
+      totals: getStatementTotals(cached),
+      aging: getAgingSummary(cached)
+    });
 
-    const buffer = await wb.xlsx.writeBuffer();
+    auditFinanceExport(req, "export_excel", exportData);
+    await sendWorkbook(res, wb, safeDownloadName(cached.clientName, "_Statement.xlsx"));
+  } catch (err) {
+    console.error("❌ export-excel error:", err);
+    res.status(500).send("Excel export failed");
+  }
+});
 
+// -------------------------------------------------
+// EXPORT CSV (TRANSACTIONS)
+// -------------------------------------------------
+app.get("/finance/export-csv", async (req, res) => {
+  try {
+    if (!verifyExportToken(req)) {
+      return res.status(401).send("Invalid or expired export token");
+    }
+
+    const exportData = await getExportFinanceData(req.query.key);
+    if (!exportData) return res.status(400).send("No cached finance data. Open widget first.");
+    const cached = exportData.data;
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
     res.setHeader(
-      "Content-Type",
-      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      "Content-Disposition",
+      `attachment; filename="${safeDownloadName(cached.clientName, "_Transactions.csv")}"`
+    );
+
+    auditFinanceExport(req, "export_csv", exportData);
+    // BOM so Excel opens UTF-8 client names correctly.
+    res.send(`\uFEFF${buildTransactionsCsv(cached.rows)}`);
+  } catch (err) {
+    console.error("❌ export-csv error:", err);
+    res.status(500).send("CSV export failed");
+  }
+});
+
+// -------------------------------------------------
+// EXPORT JSON
+// Same versioned shape as /api/v1/finance, as a downloadable file.
+// -------------------------------------------------
+app.get("/finance/export-json", async (req, res) => {
+  try {
+    if (!verifyExportToken(req)) {
+      return res.status(401).send("Invalid or expired export token");
+    }
+
+    const exportData = await getExportFinanceData(req.query.key);
+    if (!exportData) return res.status(400).send("No cached finance data. Open widget first.");
+    const cached = exportData.data;
+
+    const payload = buildFinanceApiPayload(
+      { ...cached, aging: getAgingSummary(cached) },
+      {
+        contactId: getContactIdFromCacheKey(req.query.key),
+        cacheStatus: exportData.cacheStatus,
+        cacheTtlSeconds: getRuntimeConfig().financeCacheTtlSeconds
+      }
     );
+
     res.setHeader(
       "Content-Disposition",
-      `attachment; filename="${safeDownloadName(cached.clientName, "_Statement.xlsx")}"`
+      `attachment; filename="${safeDownloadName(cached.clientName, "_Statement.json")}"`
     );
-
-    res.send(buffer);
+    auditFinanceExport(req, "export_json", exportData);
+    res.type("application/json").send(JSON.stringify(payload, null, 2));
   } catch (err) {
-    console.error("❌ export-excel error:", err);
-    res.status(500).send("Excel export failed");
+    console.error("❌ export-json error:", err);
+    res.status(500).send("JSON export failed");
   }
 });
 
 // -------------------------------------------------
 // START
 // -------------------------------------------------
-app.listen(process.env.PORT || 3000, () => {
+function schedulePdfExportMetricsPrune() {
+  const prune = () =>
+    prunePdfExportMetrics().catch(err => {
+      console.warn("⚠️ PDF export metrics prune failed:", err.message);
+    });
+
+  prune();
+  setInterval(prune, 86_400_000).unref();
+}
+
+// /admin/metrics runs in another process, so the pool's live in-flight and
+// queued counts reach it through halo.pdf_pool_status.
+function schedulePdfPoolStatusHeartbeat() {
+  const report = () =>
+    recordPdfPoolStatus(getPdfPoolStatus()).catch(err => {
+      console.warn("⚠️ PDF pool status write failed:", err.message);
+    });
+
+  report();
+  setInterval(report, PDF_POOL_STATUS_HEARTBEAT_MS).unref();
+}
+
+// Failed Xero webhook events are retried by whichever worker claims them
+// first; see retryDueXeroWebhookEvents.
+function scheduleXeroWebhookRetries() {
+  const retry = async () => {
+    if (!getXeroWebhookKeys().length) return;
+
+    try {
+      const result = await retryDueXeroWebhookEvents({ onInvoiceChanged: forgetCachedInvoice });
+      if (result.eventCount) {
+        console.log("🔁 Xero webhook retries", {
+          processed: result.processed,
+          ignored: result.ignored,
+          failed: result.failed
+        });
+      }
+    } catch (err) {
+      console.warn("⚠️ Xero webhook retry sweep failed:", err.message);
+    }
+  };
+
+  setInterval(retry, 60_000).unref();
+}
+
+const server = app.listen(process.env.PORT || 3000, () => {
   console.log("🚀 Widget running on port", process.env.PORT || 3000);
+  for (const { envName, url } of getOverriddenUpstreamBaseUrls()) {
+    console.warn(`⚠️ ${envName} points at ${url} instead of the real service.`);
+  }
+  startPdfBrowserHealthChecks();
+  schedulePdfExportMetricsPrune();
+  schedulePdfPoolStatusHeartbeat();
+  scheduleXeroWebhookRetries();
 });
+
+// -------------------------------------------------
+// GRACEFUL SHUTDOWN
+// Stop taking requests, let in-flight PDF renders finish, then close Chromium
+// so PM2 restarts do not leave orphaned browser processes.
+// -------------------------------------------------
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`🛑 ${signal} received — shutting down widget`);
+
+  server.close();
+  await closePdfBrowserPool().catch(err => {
+    console.error("❌ PDF browser pool shutdown failed:", err.message);
+  });
+  process.exit(0);
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));